@@ -1,12 +1,22 @@
 // components/BuildDisplay.js
 // Component for displaying generated builds with expand/collapse functionality
 
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import Image from 'next/image'
+import { getSlotItem } from '../lib/build-diff'
+import { TriggerDatabase } from '../lib/destiny-intelligence/trigger-database'
+import { TriggerSimulator, ENCOUNTER_PRESETS } from '../lib/destiny-intelligence/trigger-simulator'
+import { DamageModel } from '../lib/destiny-intelligence/damage-model'
+import { ScoringPipeline } from '../lib/scoring-pipeline'
+
+export default function BuildDisplay({ builds: buildList, build: singleBuild, onLoadMore, onItemChange, isGenerating, readOnly = false }) {
+  // Pages showing one build pass `build`, the generator passes the whole list.
+  // readOnly hides editing and equipping (shared builds belong to someone else's inventory)
+  const builds = buildList || (singleBuild ? [singleBuild] : [])
 
-export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGenerating }) {
   const [expandedBuilds, setExpandedBuilds] = useState(new Set())
   const [editingSlots, setEditingSlots] = useState({})
+  const [equipStates, setEquipStates] = useState({})
 
   const toggleBuildExpansion = (buildIndex) => {
     const newExpanded = new Set(expandedBuilds)
@@ -27,7 +37,7 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
   }
 
   const handleItemChange = (buildIndex, slot, newItem) => {
-    onItemChange(buildIndex, slot, newItem)
+    if (onItemChange) onItemChange(buildIndex, slot, newItem)
     const editKey = `${buildIndex}-${slot}`
     setEditingSlots(prev => ({
       ...prev,
@@ -35,6 +45,42 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
     }))
   }
 
+  const getItemLocation = (item) => {
+    if (!item?.location) return null
+    if (item.location.type === 'vault') return 'Vault'
+    const className = item.location.className || 'Character'
+    return className.charAt(0).toUpperCase() + className.slice(1) + (item.location.equipped ? ' (equipped)' : '')
+  }
+
+  const canEquip = (build) => {
+    const loadout = build.loadout || {}
+    return [...Object.values(loadout.weapons || {}), ...Object.values(loadout.armor || {})]
+      .some(item => item?.itemInstanceId)
+  }
+
+  const handleEquip = async (buildIndex, build, dryRun) => {
+    setEquipStates(prev => ({ ...prev, [buildIndex]: { loading: true } }))
+
+    try {
+      const response = await fetch('/api/builds/equip', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ build, dryRun })
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to equip build')
+      }
+
+      setEquipStates(prev => ({ ...prev, [buildIndex]: { loading: false, report: data.report } }))
+    } catch (error) {
+      console.error('Equip build failed:', error)
+      setEquipStates(prev => ({ ...prev, [buildIndex]: { loading: false, error: error.message } }))
+    }
+  }
+
   const getItemIcon = (item) => {
     if (!item) return '/icons/empty_slot.png'
     return item.icon ? `https://www.bungie.net${item.icon}` : '/icons/default_item.png'
@@ -159,6 +205,7 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
                             )
                           })}
                         </div>
+                        <StatTargetReport report={build.statTargets} statMods={build.loadout?.statMods} />
                       </div>
 
                       {/* Weapons Section */}
@@ -166,7 +213,7 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
                         <h5>Weapons</h5>
                         <div className="items-grid">
                           {['kinetic', 'energy', 'power'].map(slot => {
-                            const item = build[slot]
+                            const item = getSlotItem(build, slot)
                             const editKey = `${index}-${slot}`
                             const isEditing = editingSlots[editKey]
 
@@ -174,15 +221,17 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
                               <div key={slot} className="item-slot">
                                 <div className="item-header">
                                   <span className="slot-name">{slot}</span>
-                                  <button 
-                                    className="change-btn"
-                                    onClick={(e) => {
-                                      e.stopPropagation()
-                                      handleItemEdit(index, slot)
-                                    }}
-                                  >
-                                    {isEditing ? 'Cancel' : 'Change'}
-                                  </button>
+                                  {!readOnly && (
+                                    <button 
+                                      className="change-btn"
+                                      onClick={(e) => {
+                                        e.stopPropagation()
+                                        handleItemEdit(index, slot)
+                                      }}
+                                    >
+                                      {isEditing ? 'Cancel' : 'Change'}
+                                    </button>
+                                  )}
                                 </div>
                                 
                                 {isEditing ? (
@@ -190,6 +239,17 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
                                     <p className="selector-note">
                                       Item selection requires inventory access
                                     </p>
+                                    {item && onItemChange && (
+                                      <button
+                                        className="clear-slot-btn"
+                                        onClick={(e) => {
+                                          e.stopPropagation()
+                                          handleItemChange(index, slot, null)
+                                        }}
+                                      >
+                                        Clear Slot
+                                      </button>
+                                    )}
                                   </div>
                                 ) : (
                                   <div className="item-display">
@@ -212,6 +272,9 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
                                       {item?.type && (
                                         <span className="item-type">{item.type}</span>
                                       )}
+                                      {getItemLocation(item) && (
+                                        <span className="item-location">{getItemLocation(item)}</span>
+                                      )}
                                       {item?.perks && (
                                         <div className="item-perks">
                                           {item.perks.slice(0, 2).map((perk, i) => (
@@ -235,7 +298,7 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
                         <h5>Armor</h5>
                         <div className="items-grid">
                           {['helmet', 'gauntlets', 'chest', 'legs', 'classItem'].map(slot => {
-                            const item = build[slot]
+                            const item = getSlotItem(build, slot)
                             const editKey = `${index}-${slot}`
                             const isEditing = editingSlots[editKey]
 
@@ -243,15 +306,17 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
                               <div key={slot} className="item-slot">
                                 <div className="item-header">
                                   <span className="slot-name">{slot.replace(/([A-Z])/g, ' $1')}</span>
-                                  <button 
-                                    className="change-btn"
-                                    onClick={(e) => {
-                                      e.stopPropagation()
-                                      handleItemEdit(index, slot)
-                                    }}
-                                  >
-                                    {isEditing ? 'Cancel' : 'Change'}
-                                  </button>
+                                  {!readOnly && (
+                                    <button 
+                                      className="change-btn"
+                                      onClick={(e) => {
+                                        e.stopPropagation()
+                                        handleItemEdit(index, slot)
+                                      }}
+                                    >
+                                      {isEditing ? 'Cancel' : 'Change'}
+                                    </button>
+                                  )}
                                 </div>
                                 
                                 {isEditing ? (
@@ -259,6 +324,17 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
                                     <p className="selector-note">
                                       Item selection requires inventory access
                                     </p>
+                                    {item && onItemChange && (
+                                      <button
+                                        className="clear-slot-btn"
+                                        onClick={(e) => {
+                                          e.stopPropagation()
+                                          handleItemChange(index, slot, null)
+                                        }}
+                                      >
+                                        Clear Slot
+                                      </button>
+                                    )}
                                   </div>
                                 ) : (
                                   <div className="item-display">
@@ -278,6 +354,9 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
                                       <span className="item-name">
                                         {item?.name || 'No armor selected'}
                                       </span>
+                                      {getItemLocation(item) && (
+                                        <span className="item-location">{getItemLocation(item)}</span>
+                                      )}
                                       {item?.stats && (
                                         <div className="armor-stats">
                                           {Object.entries(item.stats).slice(0, 3).map(([stat, value]) => (
@@ -322,24 +401,67 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
                         ) : (
                           <p className="no-mods">No specific mod recommendations</p>
                         )}
+
+                        {build.modValidation && (
+                          <ModValidationReport validation={build.modValidation} />
+                        )}
                       </div>
 
-                      {/* Score Breakdown */}
-                      {build.scoreBreakdown && (
-                        <div className="score-breakdown">
-                          <h5>Score Breakdown</h5>
-                          <div className="score-details">
-                            {Object.entries(build.scoreBreakdown).map(([category, value]) => (
-                              <div key={category} className="score-category">
-                                <span className="category-name">
-                                  {category.replace(/_/g, ' ')}:
-                                </span>
-                                <span className="category-score">{value}</span>
-                              </div>
-                            ))}
+                      {/* Damage Estimate */}
+                      {build.metadata?.activity !== 'pvp' && <DamageEstimate build={build} />}
+
+                      {/* Buff Uptime */}
+                      <BuffUptimeChart build={build} />
+
+                      {/* Equip Controls */}
+                      {!readOnly && canEquip(build) && (
+                        <div className="build-equip">
+                          <h5>Equip This Build</h5>
+                          <div className="equip-actions">
+                            <button
+                              className="equip-btn preview"
+                              disabled={equipStates[index]?.loading}
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                handleEquip(index, build, true)
+                              }}
+                            >
+                              Preview Transfers
+                            </button>
+                            <button
+                              className="equip-btn"
+                              disabled={equipStates[index]?.loading}
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                handleEquip(index, build, false)
+                              }}
+                            >
+                              {equipStates[index]?.loading ? 'Working...' : 'Equip Build'}
+                            </button>
                           </div>
+
+                          {equipStates[index]?.error && (
+                            <p className="equip-error">{equipStates[index].error}</p>
+                          )}
+
+                          {equipStates[index]?.report && (
+                            <ul className="equip-report">
+                              {equipStates[index].report.items.map(result => (
+                                <li key={result.itemInstanceId} className={`equip-result ${result.status}`}>
+                                  <span className="equip-item-name">{result.name}</span>
+                                  <span className="equip-status">{result.status}</span>
+                                  {result.error && <span className="equip-item-error">{result.error}</span>}
+                                  {result.steps.map((step, stepIndex) => (
+                                    <span key={stepIndex} className="equip-step">{step.description}</span>
+                                  ))}
+                                </li>
+                              ))}
+                            </ul>
+                          )}
                         </div>
                       )}
+
+                      <ScoreBreakdown build={build} />
                     </div>
                   )}
                 </div>
@@ -348,17 +470,379 @@ export default function BuildDisplay({ builds, onLoadMore, onItemChange, isGener
           </div>
 
           {/* Load More Button */}
-          <div className="load-more-section">
-            <button 
-              className="load-more-btn"
-              onClick={onLoadMore}
-              disabled={isGenerating}
-            >
-              {isGenerating ? 'Generating...' : 'Generate More Builds'}
-            </button>
+          {onLoadMore && (
+            <div className="load-more-section">
+              <button 
+                className="load-more-btn"
+                onClick={onLoadMore}
+                disabled={isGenerating}
+              >
+                {isGenerating ? 'Generating...' : 'Generate More Builds'}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+// Socket, energy and exclusivity problems found by ModValidator
+function ModValidationReport({ validation }) {
+  const errors = validation.errors || []
+  const warnings = validation.warnings || []
+  const energy = Object.entries(validation.energy || {})
+
+  if (errors.length === 0 && warnings.length === 0 && energy.length === 0) {
+    return null
+  }
+
+  return (
+    <div className={`mod-validation ${validation.valid ? 'valid' : 'invalid'}`}>
+      {validation.checked && errors.length === 0 && (
+        <p className="mod-validation-ok">All mods fit their sockets and armor energy</p>
+      )}
+
+      {(errors.length > 0 || warnings.length > 0) && (
+        <ul className="mod-issues">
+          {errors.map((issue, index) => (
+            <li key={`error-${index}`} className="mod-issue error">⚠️ {issue.message}</li>
+          ))}
+          {warnings.map((issue, index) => (
+            <li key={`warning-${index}`} className="mod-issue warning">{issue.message}</li>
+          ))}
+        </ul>
+      )}
+
+      {energy.length > 0 && (
+        <div className="mod-energy">
+          {energy.map(([slot, { used, capacity }]) => (
+            <span key={slot} className={`mod-energy-slot ${used > capacity ? 'over' : ''}`}>
+              {slot}: {used}/{capacity}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Stat targets from the request (met or how far short) and the stat mods socketed to reach them
+function StatTargetReport({ report, statMods = [] }) {
+  const targets = report?.targets || []
+  if (targets.length === 0 && statMods.length === 0) {
+    return null
+  }
+
+  return (
+    <div className={`stat-targets ${report?.hardMet === false ? 'missed' : ''}`}>
+      {targets.length > 0 && (
+        <ul className="stat-target-list">
+          {targets.map(target => (
+            <li key={target.stat} className={`stat-target ${target.met ? 'met' : 'missed'}`}>
+              <span className="stat-target-name">{target.stat}</span>
+              <span className="stat-target-goal">{target.hard ? 'at least ' : ''}{target.target}</span>
+              <span className="stat-target-result">
+                {target.met ? `✓ ${target.achieved}` : `${target.achieved} - ${target.shortBy} short`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {statMods.length > 0 && (
+        <div className="stat-mods">
+          {statMods.map((mod, index) => (
+            <span key={index} className="stat-mod">
+              {mod.slot}: {mod.type} {mod.stat} +{mod.value}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Trigger mappings are static, so every chart shares one database
+let triggerDatabase = null
+
+async function getTriggerDatabase() {
+  if (!triggerDatabase) {
+    triggerDatabase = new TriggerDatabase()
+    await triggerDatabase.initialize()
+  }
+  return triggerDatabase
+}
+
+const CHART_WIDTH = 600
+const LANE_HEIGHT = 14
+const HEALTH_HEIGHT = 40
+const LOGGED_EVENTS = ['trigger', 'effect-start', 'chain-reset', 'buff-suppressed', 'effect-proc']
+
+// Buff uptime and a combat timeline from TriggerSimulator
+function BuffUptimeChart({ build }) {
+  const [preset, setPreset] = useState('')
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    const run = async () => {
+      try {
+        const database = await getTriggerDatabase()
+        const simulation = new TriggerSimulator(database).simulate(build, preset ? { preset } : {})
+        if (!cancelled) {
+          setResult(simulation)
+          setError(null)
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message)
+      }
+    }
+
+    run()
+    return () => { cancelled = true }
+  }, [build, preset])
+
+  if (error) {
+    return (
+      <div className="buff-uptime">
+        <h5>Buff Uptime</h5>
+        <p className="buff-uptime-error">Simulation failed: {error}</p>
+      </div>
+    )
+  }
+  if (!result) return null
+
+  const duration = result.encounter.duration
+  const effectTypes = Object.keys(result.uptime).sort((a, b) => result.uptime[b] - result.uptime[a])
+  const x = (time) => (time / duration) * CHART_WIDTH
+  const height = HEALTH_HEIGHT + effectTypes.length * LANE_HEIGHT
+  const healthPoints = result.timeline
+    .map(sample => `${x(sample.time)},${HEALTH_HEIGHT - (sample.health / 100) * (HEALTH_HEIGHT - 4)}`)
+    .join(' ')
+  const sampleWidth = result.timeline.length > 1 ? x(result.timeline[1].time - result.timeline[0].time) : CHART_WIDTH
+  const events = result.events.filter(event => LOGGED_EVENTS.includes(event.type))
+
+  return (
+    <div className="buff-uptime">
+      <div className="buff-uptime-header">
+        <h5>Buff Uptime</h5>
+        <select
+          value={preset || result.encounter.preset}
+          onClick={(e) => e.stopPropagation()}
+          onChange={(e) => setPreset(e.target.value)}
+        >
+          {Object.entries(ENCOUNTER_PRESETS).map(([key, encounter]) => (
+            <option key={key} value={key}>{encounter.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {effectTypes.length === 0 ? (
+        <p className="no-buffs">No trigger chains fire in this encounter</p>
+      ) : (
+        <>
+          <div className="uptime-bars">
+            {effectTypes.map(type => (
+              <div key={type} className="uptime-bar">
+                <span className="uptime-label">{type.replace(/_/g, ' ')}</span>
+                <div className="uptime-track">
+                  <div className="uptime-fill" style={{ width: `${result.uptime[type]}%` }} />
+                </div>
+                <span className="uptime-value">
+                  {result.uptime[type]}%
+                  {result.suppressed[type] > 0 && <span className="uptime-suppressed"> ({result.suppressed[type]}% suppressed)</span>}
+                </span>
+              </div>
+            ))}
           </div>
+
+          <svg className="uptime-timeline" viewBox={`0 0 ${CHART_WIDTH} ${height}`}>
+            <polyline className="timeline-health" points={healthPoints} />
+            {effectTypes.map((type, lane) => result.timeline
+              .filter(sample => type in sample.effects)
+              .map(sample => (
+                <rect
+                  key={`${type}-${sample.time}`}
+                  className="timeline-buff"
+                  x={x(sample.time)}
+                  y={HEALTH_HEIGHT + lane * LANE_HEIGHT + 2}
+                  width={sampleWidth}
+                  height={LANE_HEIGHT - 4}
+                >
+                  <title>{type.replace(/_/g, ' ')} {sample.effects[type]} at {sample.time / 1000}s</title>
+                </rect>
+              )))}
+          </svg>
         </>
       )}
+
+      {events.length > 0 && (
+        <details className="uptime-events" onClick={(e) => e.stopPropagation()}>
+          <summary>Event log ({events.length}{result.truncated ? '+' : ''})</summary>
+          <ul>
+            {events.map((event, index) => (
+              <li key={index} className={`uptime-event ${event.type}`}>
+                <span className="event-time">{(event.time / 1000).toFixed(1)}s</span>
+                {event.type.replace(/-/g, ' ')}: {(event.trigger || event.effect || event.chain).replace(/_/g, ' ')}
+                {event.stack > 1 && ` x${event.stack}`}
+                {event.reason && ` (${event.reason})`}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  )
+}
+
+const PHASE_LENGTHS = [15000, 30000, 60000]
+
+// Boss damage over one damage phase from DamageModel
+function DamageEstimate({ build }) {
+  const [phaseLength, setPhaseLength] = useState(30000)
+  const [estimate, setEstimate] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+
+    getTriggerDatabase()
+      .then(database => {
+        const result = new DamageModel(database).estimate(build, { phaseLength })
+        if (!cancelled) setEstimate(result)
+      })
+      .catch(error => console.error('Damage estimate failed:', error))
+
+    return () => { cancelled = true }
+  }, [build, phaseLength])
+
+  if (!estimate || estimate.totalDamage === 0) return null
+
+  return (
+    <div className="damage-estimate">
+      <div className="damage-estimate-header">
+        <h5>Damage Phase Estimate</h5>
+        <select
+          value={phaseLength}
+          onClick={(e) => e.stopPropagation()}
+          onChange={(e) => setPhaseLength(Number(e.target.value))}
+        >
+          {PHASE_LENGTHS.map(length => (
+            <option key={length} value={length}>{length / 1000}s phase</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="damage-totals">
+        <div className="damage-total">
+          <span className="damage-label">Total Damage</span>
+          <span className="damage-value">{estimate.totalDamage.toLocaleString()}</span>
+        </div>
+        <div className="damage-total">
+          <span className="damage-label">Sustained DPS</span>
+          <span className="damage-value">{estimate.sustainedDps.toLocaleString()}</span>
+        </div>
+      </div>
+
+      <ul className="damage-sources">
+        {estimate.superDamage > 0 && (
+          <li className="damage-source">
+            <span>{build.loadout.subclass.super.name}</span>
+            <span>{estimate.superDamage.toLocaleString()}</span>
+          </li>
+        )}
+        {estimate.weapons.filter(weapon => weapon.damage > 0).map(weapon => (
+          <li key={weapon.slot} className="damage-source">
+            <span>{weapon.name} ({(weapon.time / 1000).toFixed(1)}s)</span>
+            <span>{weapon.damage.toLocaleString()}</span>
+          </li>
+        ))}
+      </ul>
+
+      {(estimate.modifiers.length > 0 || estimate.suppressed.length > 0) && (
+        <div className="damage-modifiers">
+          {estimate.modifiers.map(modifier => (
+            <span key={`${modifier.type}-${modifier.element || ''}`} className={`damage-modifier ${modifier.category}`} title={modifier.description}>
+              {modifier.element && `${modifier.element} `}{modifier.type.replace(/_/g, ' ')} +{modifier.magnitude}%
+            </span>
+          ))}
+          {estimate.suppressed.map(type => (
+            <span key={type} className="damage-modifier suppressed" title="Doesn't stack with a stronger buff of the same kind">
+              {type.replace(/_/g, ' ')}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Builds saved before the scoring pipeline have no breakdown - they're scored from their metadata
+let scoringPipeline = null
+
+async function getScoringPipeline() {
+  if (!scoringPipeline) {
+    scoringPipeline = new ScoringPipeline()
+    await scoringPipeline.initialize()
+  }
+  return scoringPipeline
+}
+
+function ScoreBreakdown({ build }) {
+  const [computed, setComputed] = useState(null)
+
+  useEffect(() => {
+    if (build.scoring) return
+    let cancelled = false
+
+    getScoringPipeline()
+      .then(pipeline => {
+        const result = pipeline.score(build, build.metadata || {})
+        if (!cancelled) setComputed(result)
+      })
+      .catch(error => console.error('Scoring failed:', error))
+
+    return () => { cancelled = true }
+  }, [build])
+
+  const scoring = build.scoring || computed
+  if (!scoring) return null
+
+  return (
+    <div className="score-breakdown">
+      <div className="score-breakdown-header">
+        <h5>Score Breakdown</h5>
+        <span className="score-total">{scoring.total} ({scoring.tier} tier)</span>
+      </div>
+      <p className="score-provenance">
+        {scoring.profile.name} profile • scoring v{scoring.pipelineVersion}
+        {scoring.manifestVersion && ` • manifest ${scoring.manifestVersion}`}
+      </p>
+
+      <div className="score-details">
+        {scoring.categories.map(category => (
+          <details key={category.id} className="score-category" onClick={(e) => e.stopPropagation()}>
+            <summary>
+              <span className="category-name">{category.label}</span>
+              <span className="category-score">{category.score}</span>
+              <span className="category-share">{category.share}% weight</span>
+            </summary>
+            <ul className="score-evidence">
+              {category.evidence.map((line, index) => <li key={index}>{line}</li>)}
+            </ul>
+          </details>
+        ))}
+      </div>
+
+      {scoring.improvements.length > 0 && (
+        <ul className="score-improvements">
+          {scoring.improvements.map(improvement => (
+            <li key={improvement.category}>{improvement.suggestion}</li>
+          ))}
+        </ul>
+      )}
     </div>
   )
-}
\ No newline at end of file
+}
@@ -5,6 +5,9 @@ import { useState, useEffect, useContext } from 'react'
 import { useAuth } from '../lib/useAuth'
 import { AppContext } from '../pages/_app'
 import BuildDisplay from './BuildDisplay'
+import { setSlotItem } from '../lib/build-diff'
+import { applySelections, clarifyingQuestions, answerClarifications } from '../lib/language-parser'
+import { evaluateStatTargets } from '../lib/stat-targets'
 import NaturalLanguageInput from './NaturalLanguageInput'
 
 export default function EnhancedBuildCreator() {
@@ -28,6 +31,14 @@ export default function EnhancedBuildCreator() {
   const [activeTab, setActiveTab] = useState('natural')
   const [showExoticSelector, setShowExoticSelector] = useState(false)
   const [availableExotics, setAvailableExotics] = useState([])
+  const [inventoryLoadedAt, setInventoryLoadedAt] = useState(null)
+
+  // Scoring profiles - generated builds are scored and ranked with the selected one
+  const [scoringProfiles, setScoringProfiles] = useState({ builtIn: [], profiles: [] })
+  const [selectedProfileId, setSelectedProfileId] = useState(null)
+  // 'weighted' orders by total score, 'pareto' groups builds by front across survivability, damage and ability uptime
+  const [rankingMode, setRankingMode] = useState('weighted')
+  const [rankedRequest, setRankedRequest] = useState(null)
 
   const activities = [
     { value: 'general_pve', label: 'General PvE' },
@@ -72,9 +83,94 @@ export default function EnhancedBuildCreator() {
     }
   }
 
-  const handleNaturalLanguageSubmit = async (request) => {
+  useEffect(() => {
+    if (session?.user) {
+      loadScoringProfiles()
+    }
+  }, [session])
+
+  const loadScoringProfiles = async () => {
+    try {
+      const response = await fetch('/api/scoring-profiles')
+      if (response.ok) {
+        const data = await response.json()
+        setScoringProfiles({ builtIn: data.builtIn || [], profiles: data.profiles || [] })
+        setSelectedProfileId(data.selectedProfileId || null)
+      }
+    } catch (error) {
+      console.error('Failed to load scoring profiles:', error)
+    }
+  }
+
+  const getScoringOptions = () => ({ profile: selectedProfileId || undefined, userProfiles: scoringProfiles.profiles })
+
+  // Weighted: best first, each with why it beat the next one. Pareto: front 1 is every build nothing beats on all objectives
+  const rankForDisplay = (buildArray, parsedRequest, mode) => {
+    const ranking = buildIntelligence.scoringPipeline.rankBuilds(buildArray, parsedRequest, { ...getScoringOptions(), mode })
+    if (ranking.mode === 'pareto') {
+      return ranking.ranked.map(({ build, scoring, front }) => ({
+        ...build,
+        scoring,
+        rank: undefined,
+        rankExplanation: undefined,
+        front: front + 1
+      }))
+    }
+    return ranking.ranked.map(({ build, scoring, rank }) => ({
+      ...build,
+      scoring,
+      rank,
+      rankExplanation: ranking.explanation[rank - 1],
+      front: undefined
+    }))
+  }
+
+  const changeRankingMode = (mode) => {
+    setRankingMode(mode)
+    if (builds.length > 0 && rankedRequest) {
+      setBuilds(rankForDisplay(builds, rankedRequest, mode))
+    }
+  }
+
+  const selectScoringProfile = async (profileId) => {
+    const previous = selectedProfileId
+    setSelectedProfileId(profileId)
+
+    try {
+      const response = await fetch('/api/scoring-profiles', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ profileId })
+      })
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to select scoring profile')
+      }
+    } catch (error) {
+      console.error('Failed to select scoring profile:', error)
+      setSelectedProfileId(previous)
+      setError(error.message)
+    }
+  }
+
+  // Owned inventory feeds the intelligence system for inventory-only builds
+  const loadOwnedInventory = async () => {
+    if (inventoryLoadedAt) return
+
+    const response = await fetch('/api/inventory/owned', { credentials: 'include' })
+    if (!response.ok) {
+      throw new Error('Failed to load your inventory. Turn off "Use only my inventory" to build from all items.')
+    }
+
+    const data = await response.json()
+    buildIntelligence.setInventory(data.inventory)
+    setInventoryLoadedAt(data.loadedAt)
+  }
+
+  // Resolves to { needsClarification, questions } when the request is too ambiguous to build from yet
+  const handleNaturalLanguageSubmit = async (request, refinement) => {
     setCurrentRequest(request)
-    await generateBuildsLocally(request)
+    return generateBuildsLocally(request, refinement)
   }
 
   const handleAdvancedGenerate = async () => {
@@ -96,11 +192,13 @@ export default function EnhancedBuildCreator() {
     
     const request = parts.join(' ') || 'optimized build'
     setCurrentRequest(request)
-    await generateBuildsLocally(request)
+    // The pickers are unambiguous - nothing to ask about
+    await generateBuildsLocally(request, { skipClarification: true })
   }
 
   // FIXED: Use local buildIntelligence instead of API calls
-  const generateBuildsLocally = async (request) => {
+  // refinement: { answers, skipClarification } from the clarifying questions of an earlier submit
+  const generateBuildsLocally = async (request, refinement = {}) => {
     if (!session?.user) {
       setError('Please sign in to generate builds')
       return
@@ -117,22 +215,33 @@ export default function EnhancedBuildCreator() {
 
     try {
       console.log('🏗️ Generating builds locally using Build Intelligence...')
+
+      if (useInventoryOnly) {
+        await loadOwnedInventory()
+      }
       
-      // Parse the request using local build intelligence
-      const parsedRequest = buildIntelligence.parseUserInputLocally(request)
-      
-      // Add additional context from UI selections
-      if (selectedClass !== 'any') parsedRequest.class = selectedClass
-      if (selectedActivity !== 'general_pve') parsedRequest.activity = selectedActivity
-      if (selectedSubclass) parsedRequest.element = selectedSubclass
-      if (lockedExotic) parsedRequest.exotic = lockedExotic.name
+      // Parse the request with the shared parser, then apply the UI selections and any answered questions on top
+      const parsedRequest = answerClarifications(applySelections(buildIntelligence.parseRequest(request), {
+        class: selectedClass !== 'any' ? selectedClass : null,
+        activity: selectedActivity !== 'general_pve' ? selectedActivity : null,
+        element: selectedSubclass || null,
+        exotic: lockedExotic ? { name: lockedExotic.name, hash: lockedExotic.itemHash ?? lockedExotic.hash } : null
+      }), refinement.answers)
+
+      const questions = refinement.skipClarification ? [] : clarifyingQuestions(parsedRequest)
+      if (questions.length > 0) {
+        return { needsClarification: true, questions }
+      }
+
+      const scoringOptions = getScoringOptions()
 
       // Generate build using local intelligence (NO API CALLS!)
       const buildResult = await buildIntelligence.createBuildLocally(parsedRequest, {
         useInventoryOnly,
         lockedExotic,
         includeAlternatives: true,
-        detailedAnalysis: true
+        detailedAnalysis: true,
+        ...scoringOptions
       })
 
       if (buildResult) {
@@ -140,10 +249,12 @@ export default function EnhancedBuildCreator() {
         const buildArray = [buildResult]
         
         // Generate alternatives locally
-        const alternatives = await generateAlternativesLocally(parsedRequest, 3)
+        const alternatives = await generateAlternativesLocally(parsedRequest, 3, scoringOptions)
         buildArray.push(...alternatives)
         
-        setBuilds(buildArray)
+        // Ranked under the selected profile - re-ranked in place when the ranking mode changes
+        setBuilds(rankForDisplay(buildArray, parsedRequest, rankingMode))
+        setRankedRequest(parsedRequest)
         console.log(`✅ Generated ${buildArray.length} builds locally`)
       } else {
         throw new Error('Build generation returned no results')
@@ -158,7 +269,7 @@ export default function EnhancedBuildCreator() {
     }
   }
 
-  const generateAlternativesLocally = async (parsedRequest, count = 3) => {
+  const generateAlternativesLocally = async (parsedRequest, count = 3, scoringOptions = {}) => {
     const alternatives = []
     
     try {
@@ -177,7 +288,8 @@ export default function EnhancedBuildCreator() {
         
         const altBuild = await buildIntelligence.createBuildLocally(altRequest, {
           useInventoryOnly,
-          variant: i + 1
+          variant: i + 1,
+          ...scoringOptions
         })
         
         if (altBuild) {
@@ -198,11 +310,7 @@ export default function EnhancedBuildCreator() {
     setBuilds(prev => {
       const updated = [...prev]
       updated[buildIndex] = {
-        ...updated[buildIndex],
-        loadout: {
-          ...updated[buildIndex].loadout,
-          [slot]: newItem
-        },
+        ...setSlotItem(updated[buildIndex], slot, newItem),
         metadata: {
           ...updated[buildIndex].metadata,
           modified: true,
@@ -210,10 +318,18 @@ export default function EnhancedBuildCreator() {
         }
       }
       
-      // Recalculate build stats locally when items change
-      if (buildIntelligence && buildIntelligence.calculateExpectedStatsLocally) {
-        updated[buildIndex].stats = buildIntelligence.calculateExpectedStatsLocally(updated[buildIndex].metadata)
-        updated[buildIndex].score = buildIntelligence.calculateBuildScoreLocally(updated[buildIndex], updated[buildIndex].metadata)
+      // Recalculate build stats locally when items change - from the new armor, with stat mods re-solved for it
+      if (buildIntelligence && buildIntelligence.solveArmorStatsLocally) {
+        const { stats, statMods } = buildIntelligence.solveArmorStatsLocally(
+          updated[buildIndex].metadata,
+          updated[buildIndex].loadout?.armor,
+          updated[buildIndex].loadout?.subclass
+        )
+        updated[buildIndex].stats = stats
+        updated[buildIndex].loadout = { ...updated[buildIndex].loadout, statMods }
+        updated[buildIndex].statTargets = evaluateStatTargets(updated[buildIndex].stats, updated[buildIndex].metadata.statTargets)
+        updated[buildIndex].scoring = buildIntelligence.scoreBuild(updated[buildIndex], updated[buildIndex].metadata, getScoringOptions())
+        updated[buildIndex].score = updated[buildIndex].scoring.total
       }
       
       return updated
@@ -242,6 +358,10 @@ export default function EnhancedBuildCreator() {
 
       if (response.ok) {
         alert('Build saved successfully!')
+      } else if (response.status === 409) {
+        // Build limit reached - the message says what to do
+        const data = await response.json()
+        alert(data.error)
       } else {
         throw new Error('Failed to save build')
       }
@@ -317,6 +437,35 @@ export default function EnhancedBuildCreator() {
           </div>
         )}
 
+        {session?.user && (
+          <div className="option-group">
+            <label>Scoring profile</label>
+            <select value={selectedProfileId || ''} onChange={(e) => selectScoringProfile(e.target.value || null)}>
+              <option value="">Activity default</option>
+              {scoringProfiles.builtIn.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+              {scoringProfiles.profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name} (custom)</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        <div className="option-group">
+          <label>Rank builds by</label>
+          <select value={rankingMode} onChange={(e) => changeRankingMode(e.target.value)}>
+            <option value="weighted">Weighted score</option>
+            <option value="pareto">Pareto front</option>
+          </select>
+          <span className="option-hint">
+            {rankingMode === 'pareto' ?
+              'Builds no other build beats on survivability, damage and ability uptime come first' :
+              'Builds are ordered by their total under the scoring profile'
+            }
+          </span>
+        </div>
+
         <button 
           className="exotic-selector-btn"
           onClick={() => setShowExoticSelector(true)}
@@ -412,18 +561,32 @@ export default function EnhancedBuildCreator() {
             {builds.map((build, index) => (
               <div key={index} className="build-result">
                 <div className="build-header">
-                  <h4>{build.metadata?.name || `Build ${index + 1}`}</h4>
+                  <h4>{build.rank ? `#${build.rank} ` : build.front ? `Front ${build.front} · ` : ''}{build.metadata?.name || `Build ${index + 1}`}</h4>
                   <div className="build-score">
-                    Score: {build.score || 0}/100
+                    Score: {build.scoring?.total ?? build.score ?? 0}/100
                   </div>
                   {build.metadata?.isAlternative && (
                     <span className="alternative-badge">Alternative {build.metadata.variant}</span>
                   )}
                 </div>
+
+                {build.rankExplanation?.drivers?.some(driver => driver.points > 0) && (
+                  <p className="rank-explanation">
+                    {build.rankExplanation.margin} points ahead of #{build.rank + 1}, mostly from{' '}
+                    {build.rankExplanation.drivers.filter(driver => driver.points > 0).slice(0, 2).map(driver => driver.category).join(' and ')}
+                  </p>
+                )}
+
+                {build.front && build.scoring?.objectives && (
+                  <p className="rank-explanation">
+                    Survivability {build.scoring.objectives.survivability}, damage {build.scoring.objectives.damage},
+                    ability uptime {build.scoring.objectives.abilityUptime}
+                  </p>
+                )}
                 
                 <BuildDisplay 
                   build={build} 
-                  onItemChange={(slot, newItem) => handleItemChange(index, slot, newItem)}
+                  onItemChange={(displayIndex, slot, newItem) => handleItemChange(index, slot, newItem)}
                   onSave={() => handleSaveBuild(build)}
                   showAdvanced={true}
                 />
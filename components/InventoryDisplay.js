@@ -1,4 +1,5 @@
 import { useState, useMemo } from 'react'
+import { searchItems } from '../lib/item-name-matcher'
 
 export default function InventoryDisplay({ inventory, loading, onRefresh }) {
   const [activeTab, setActiveTab] = useState('characters')
@@ -49,12 +50,15 @@ export default function InventoryDisplay({ inventory, loading, onRefresh }) {
     }
 
     // Apply filters
+    // Names match through typos and nicknames, descriptions by substring
     if (searchQuery) {
       const query = searchQuery.toLowerCase()
-      items = items.filter(item => 
-        item.displayProperties?.name?.toLowerCase().includes(query) ||
-        item.displayProperties?.description?.toLowerCase().includes(query)
-      )
+      const byName = searchItems(items, searchQuery, { getName: item => item.displayProperties?.name })
+      const found = new Set(byName)
+      items = [
+        ...byName,
+        ...items.filter(item => !found.has(item) && item.displayProperties?.description?.toLowerCase().includes(query))
+      ]
     }
 
     if (filterRarity !== 'all') {
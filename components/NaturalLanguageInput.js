@@ -1,22 +1,60 @@
 // components/NaturalLanguageInput.js
-// Natural language input component for build requests
+// Natural language input component for build requests - asks follow-up questions when a request is ambiguous
 
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 
+// Recent requests with the questions asked and the answers picked, kept for the browser session
+const HISTORY_KEY = 'request_conversation'
+const HISTORY_LIMIT = 5
+
+function loadHistory() {
+  try {
+    return JSON.parse(sessionStorage.getItem(HISTORY_KEY)) || []
+  } catch (error) {
+    return []
+  }
+}
+
+/**
+ * onSubmit(input, { answers, skipClarification }) may resolve to { needsClarification, questions } -
+ * the questions are shown with their options, and picking one resubmits the same input with the answers so far
+ */
 export default function NaturalLanguageInput({ onSubmit, disabled, placeholder }) {
   const [input, setInput] = useState('')
   const [isProcessing, setIsProcessing] = useState(false)
+  // { input, answers, questions } while a request waits on answers
+  const [pending, setPending] = useState(null)
+  const [history, setHistory] = useState([])
 
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    if (!input.trim() || disabled || isProcessing) return
-    
+  useEffect(() => {
+    setHistory(loadHistory())
+  }, [])
+
+  const updateHistory = (update) => {
+    setHistory(previous => {
+      const next = update(previous).slice(-HISTORY_LIMIT)
+      sessionStorage.setItem(HISTORY_KEY, JSON.stringify(next))
+      return next
+    })
+  }
+
+  // Record a picked answer against the latest exchange
+  const recordStep = (step) => {
+    updateHistory(previous => {
+      const latest = previous[previous.length - 1]
+      if (!latest) return previous
+      return [...previous.slice(0, -1), { ...latest, steps: [...latest.steps, step] }]
+    })
+  }
+
+  const submit = async (text, refinement) => {
     setIsProcessing(true)
-    
+
     try {
-      // Call the onSubmit callback with the input
-      await onSubmit(input)
-      setInput('') // Clear input after successful submission
+      const result = await onSubmit(text, refinement)
+      const questions = result?.needsClarification ? result.questions : []
+      setPending(questions.length > 0 ? { input: text, answers: refinement.answers, questions } : null)
+      return result
     } catch (error) {
       console.error('Error processing input:', error)
     } finally {
@@ -24,6 +62,32 @@ export default function NaturalLanguageInput({ onSubmit, disabled, placeholder }
     }
   }
 
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!input.trim() || disabled || isProcessing) return
+
+    // A new request replaces any questions still open
+    const text = input.trim()
+    updateHistory(previous => [...previous, { input: text, steps: [] }])
+    setInput('') // Clear input once submitted - the request stays in the conversation
+    await submit(text, { answers: {} })
+  }
+
+  const handleAnswer = async (question, option) => {
+    if (!pending || isProcessing) return
+    recordStep({ question: question.question, answer: option.label })
+    await submit(pending.input, { answers: { ...pending.answers, [question.id]: option.id } })
+  }
+
+  const handleSkip = async () => {
+    if (!pending || isProcessing) return
+    recordStep({ question: 'Build with what was understood', answer: 'Build anyway' })
+    await submit(pending.input, { answers: pending.answers, skipClarification: true })
+  }
+
+  const earlier = pending ? history.slice(0, -1) : history
+  const current = pending ? history[history.length - 1] : null
+
   return (
     <div className="natural-language-input">
       <form onSubmit={handleSubmit}>
@@ -45,6 +109,58 @@ export default function NaturalLanguageInput({ onSubmit, disabled, placeholder }
           </button>
         </div>
       </form>
+
+      {pending && (
+        <div className="clarification">
+          <p className="clarification-request">“{pending.input}”</p>
+          {current?.steps.map((step, index) => (
+            <p key={index} className="clarification-step">
+              {step.question} <strong>{step.answer}</strong>
+            </p>
+          ))}
+          {pending.questions.map(question => (
+            <div key={question.id} className="question">
+              <p className="question-text">{question.question}</p>
+              <div className="question-options">
+                {question.options.map(option => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    className="option-btn"
+                    disabled={disabled || isProcessing}
+                    onClick={() => handleAnswer(question, option)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+          <button type="button" className="skip-btn" disabled={disabled || isProcessing} onClick={handleSkip}>
+            Build anyway
+          </button>
+        </div>
+      )}
+
+      {earlier.length > 0 && (
+        <div className="conversation-history">
+          <p className="examples-title">Recent requests:</p>
+          <ul>
+            {earlier.map((exchange, index) => (
+              <li key={index}>
+                <button type="button" className="history-btn" onClick={() => setInput(exchange.input)}>
+                  {exchange.input}
+                </button>
+                {exchange.steps.length > 0 && (
+                  <span className="history-answers">
+                    {exchange.steps.map(step => step.answer).join(' · ')}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
       
       <div className="examples">
         <p className="examples-title">Example requests:</p>
@@ -114,6 +230,109 @@ export default function NaturalLanguageInput({ onSubmit, disabled, placeholder }
           cursor: not-allowed;
         }
 
+        .clarification {
+          margin-top: 16px;
+          padding: 16px;
+          background: rgba(255, 107, 53, 0.08);
+          border: 1px solid rgba(255, 107, 53, 0.4);
+          border-radius: 4px;
+        }
+
+        .clarification-request {
+          color: #ccc;
+          font-style: italic;
+          margin: 0 0 8px;
+        }
+
+        .clarification-step {
+          color: #999;
+          font-size: 13px;
+          margin: 0 0 8px;
+        }
+
+        .clarification-step strong {
+          color: #ff6b35;
+        }
+
+        .question {
+          margin-bottom: 12px;
+        }
+
+        .question-text {
+          color: #fff;
+          font-size: 14px;
+          margin: 0 0 8px;
+        }
+
+        .question-options {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+        }
+
+        .option-btn,
+        .skip-btn {
+          background: rgba(0, 0, 0, 0.5);
+          color: #fff;
+          border: 1px solid #444;
+          padding: 6px 12px;
+          border-radius: 4px;
+          font-size: 13px;
+          cursor: pointer;
+          transition: all 0.3s;
+        }
+
+        .option-btn:hover:not(:disabled) {
+          border-color: #ff6b35;
+        }
+
+        .skip-btn {
+          color: #999;
+        }
+
+        .option-btn:disabled,
+        .skip-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .conversation-history {
+          margin-top: 16px;
+        }
+
+        .conversation-history ul {
+          list-style: none;
+          padding: 0;
+          margin: 0;
+        }
+
+        .conversation-history li {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
+          align-items: baseline;
+          padding: 4px 0;
+        }
+
+        .history-btn {
+          background: none;
+          border: none;
+          padding: 0;
+          color: #ccc;
+          font-size: 13px;
+          text-align: left;
+          cursor: pointer;
+        }
+
+        .history-btn:hover {
+          color: #ff6b35;
+        }
+
+        .history-answers {
+          color: #666;
+          font-size: 12px;
+        }
+
         .examples {
           margin-top: 16px;
           padding-top: 16px;
@@ -5,6 +5,7 @@ import { useState, useEffect, useContext } from 'react'
 import { useAuth } from '../lib/useAuth'
 import { AppContext } from '../pages/_app'
 import Image from 'next/image'
+import { searchItems } from '../lib/item-name-matcher'
 
 export default function UserInventory({ onItemSelect, onLoadComplete, selectedExotic }) {
   const { session } = useAuth()
@@ -66,12 +67,14 @@ export default function UserInventory({ onItemSelect, onLoadComplete, selectedEx
     
     let filtered = [...items]
     
-    // Filter by search term
+    // Filter by search term - names match through typos and nicknames ("gally"), item types by substring
     if (searchTerm) {
-      filtered = filtered.filter(item => 
-        item.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        item.typeName?.toLowerCase().includes(searchTerm.toLowerCase())
+      const byName = searchItems(filtered, searchTerm)
+      const found = new Set(byName)
+      const byType = filtered.filter(item =>
+        !found.has(item) && item.typeName?.toLowerCase().includes(searchTerm.toLowerCase())
       )
+      filtered = [...byName, ...byType]
     }
     
     // Filter by item type
@@ -0,0 +1,11 @@
+// jest.config.js
+// Jest runs the lib tests through Next's SWC transform, so modules load the way the app bundles them
+
+const nextJest = require('next/jest')
+
+const createJestConfig = nextJest({ dir: './' })
+
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  testMatch: ['**/__tests__/**/*.test.js']
+})
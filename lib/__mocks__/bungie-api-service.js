@@ -0,0 +1,39 @@
+// lib/__mocks__/bungie-api-service.js
+// In-memory stand-in for BungieAPIService - records every action call and can be told to fail
+
+class BungieAPIService {
+  /**
+   * @param {Object} options - { failTransfers: [call indexes to reject], equipStatuses: { itemInstanceId: equipStatus } }
+   *   An equipStatus of null leaves the item out of equipResults
+   */
+  constructor(options = {}) {
+    this.failTransfers = new Set(options.failTransfers || [])
+    this.equipStatuses = options.equipStatuses || {}
+    this.calls = []
+  }
+
+  async transferItem(itemData, accessToken) {
+    const index = this.calls.filter(call => call.action === 'transfer').length
+    this.calls.push({ action: 'transfer', ...itemData, accessToken })
+
+    if (this.failTransfers.has(index)) {
+      throw new Error('DestinyItemNotFound')
+    }
+    return 0
+  }
+
+  async equipItems(itemIds, characterId, membershipType, accessToken) {
+    this.calls.push({ action: 'equip', itemIds, characterId, membershipType, accessToken })
+
+    return {
+      equipResults: itemIds
+        .filter(itemInstanceId => this.equipStatuses[itemInstanceId] !== null)
+        .map(itemInstanceId => ({
+          itemInstanceId,
+          equipStatus: this.equipStatuses[itemInstanceId] ?? 1
+        }))
+    }
+  }
+}
+
+export default BungieAPIService
@@ -0,0 +1,99 @@
+// lib/__tests__/build-code.test.js
+// Build share codes - round trips and rejecting damaged or foreign codes
+
+import { decodeBuildCode, encodeBuildCode, validateBuildCode } from '../build-code'
+
+const build = {
+  metadata: { name: 'Nighthawk Golden Gun', class: 'hunter', element: 'solar', activity: 'raid' },
+  loadout: {
+    weapons: {
+      primary: { name: 'Ace of Spades', hash: 347366834 },
+      heavy: { name: 'Gjallarhorn', hash: 1363886209 }
+    },
+    armor: {
+      helmet: { name: 'Celestial Nighthawk', hash: 3070555693 },
+      chest: { name: 'Lucent Night Vest', hash: 2754519999 }
+    },
+    subclass: {
+      name: 'Gunslinger',
+      hash: 2240888816,
+      super: { name: 'Golden Gun: Deadshot', hash: 2758933481 },
+      aspects: [{ name: 'Knock \'Em Down', hash: 3066103999 }, { name: 'Gunpowder Gamble', hash: 1334737386 }],
+      fragments: [{ name: 'Ember of Torches', hash: 362132290 }]
+    },
+    mods: {
+      helmet: ['Heavy Ammo Finder', 'Hands-On'],
+      legs: ['Recuperation']
+    }
+  },
+  mods: [{ name: 'Solar Siphon', hash: 2979161761 }, 'Precisely Charged'],
+  stats: { totalStats: { mobility: 100, resilience: 70, recovery: 80, discipline: 30, intellect: 60, strength: 20 } }
+}
+
+// Change one character mid-payload, keeping it inside the base64url alphabet
+const corrupt = (code) => {
+  const index = Math.floor(code.length / 2)
+  const replacement = code[index] === 'A' ? 'B' : 'A'
+  return code.slice(0, index) + replacement + code.slice(index + 1)
+}
+
+describe('build codes', () => {
+  it('round-trips metadata, item hashes, subclass, mods and stats', () => {
+    const decoded = decodeBuildCode(encodeBuildCode(build))
+
+    expect(decoded.metadata).toEqual(expect.objectContaining({
+      name: 'Nighthawk Golden Gun',
+      class: 'hunter',
+      element: 'solar',
+      activity: 'raid'
+    }))
+    expect(decoded.loadout.weapons).toEqual({ primary: { hash: 347366834 }, heavy: { hash: 1363886209 } })
+    expect(decoded.loadout.armor).toEqual({ helmet: { hash: 3070555693 }, chest: { hash: 2754519999 } })
+    expect(decoded.loadout.subclass).toEqual({
+      hash: 2240888816,
+      super: { hash: 2758933481 },
+      aspects: [{ hash: 3066103999 }, { hash: 1334737386 }],
+      fragments: [{ hash: 362132290 }]
+    })
+    expect(decoded.loadout.mods).toEqual(build.loadout.mods)
+    expect(decoded.mods).toEqual([{ hash: 2979161761 }, { name: 'Precisely Charged' }])
+    expect(decoded.stats).toEqual(build.stats.totalStats)
+  })
+
+  it('produces the same code for the decoded build', () => {
+    const code = encodeBuildCode(build)
+    expect(encodeBuildCode(decodeBuildCode(code))).toBe(code)
+  })
+
+  it('only uses URL-safe characters', () => {
+    expect(encodeBuildCode(build)).toMatch(/^[A-Za-z0-9_-]+$/)
+  })
+
+  it('fills defaults for an empty build', () => {
+    const decoded = decodeBuildCode(encodeBuildCode({}))
+
+    expect(decoded.metadata).toEqual(expect.objectContaining({ name: 'Imported Build', class: 'any', element: 'any' }))
+    expect(decoded.loadout.subclass).toBeUndefined()
+    expect(decoded.stats).toEqual({})
+  })
+
+  it('rejects a code whose checksum no longer matches', () => {
+    const result = validateBuildCode(corrupt(encodeBuildCode(build)))
+
+    expect(result.valid).toBe(false)
+    expect(result.error).toMatch(/checksum mismatch/)
+  })
+
+  it('rejects truncated codes and foreign text', () => {
+    const code = encodeBuildCode(build)
+
+    expect(validateBuildCode(code.slice(0, -6)).valid).toBe(false)
+    expect(validateBuildCode('AB').error).toBe('Build code is too short')
+    expect(validateBuildCode('not a build code!').error).toBe('Not a valid build code')
+  })
+
+  it('ignores whitespace around a pasted code', () => {
+    const code = encodeBuildCode(build)
+    expect(validateBuildCode(`  ${code}\n`).valid).toBe(true)
+  })
+})
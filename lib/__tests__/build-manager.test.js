@@ -0,0 +1,95 @@
+// lib/__tests__/build-manager.test.js
+// Build manager against in-memory SQLite storage - the saved build limit, read failures and share lookups
+
+import BuildManager from '../build-manager'
+import SQLiteStorage from '../storage/sqlite-storage'
+
+const USER_ID = '4611686018400000001'
+
+const createBuild = (name) => ({
+  metadata: { name, class: 'hunter', activity: 'general_pve' },
+  loadout: { weapons: {}, armor: {} }
+})
+
+describe('BuildManager', () => {
+  let storage
+  let buildManager
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    storage = new SQLiteStorage({ filename: ':memory:' })
+    buildManager = new BuildManager(storage)
+  })
+
+  afterEach(async () => {
+    await storage.close()
+    jest.restoreAllMocks()
+  })
+
+  describe('saveBuild', () => {
+    it('refuses to save past the limit instead of dropping the oldest build', async () => {
+      const first = await buildManager.saveBuild(USER_ID, createBuild('Build 1'))
+      for (let index = 2; index <= 50; index++) {
+        await buildManager.saveBuild(USER_ID, createBuild(`Build ${index}`))
+      }
+
+      const result = await buildManager.saveBuild(USER_ID, createBuild('Build 51'))
+
+      expect(result).toEqual(expect.objectContaining({ success: false, code: 'BUILD_LIMIT_REACHED' }))
+      expect(result.error).toMatch(/50 saved builds/)
+
+      const { builds } = await buildManager.loadUserBuilds(USER_ID)
+      expect(builds).toHaveLength(50)
+      expect(builds.some(build => build.id === first.buildId)).toBe(true)
+    })
+  })
+
+  describe('loading builds', () => {
+    it('lets storage failures through rather than reporting no builds', async () => {
+      const saved = await buildManager.saveBuild(USER_ID, createBuild('Saved'))
+      jest.spyOn(storage, 'get').mockRejectedValue(new Error('SQLITE_BUSY: database is locked'))
+
+      await expect(buildManager.loadUserBuilds(USER_ID)).rejects.toThrow('SQLITE_BUSY')
+      await expect(buildManager.getBuild(USER_ID, saved.buildId)).rejects.toThrow('SQLITE_BUSY')
+      await expect(buildManager.duplicateBuild(USER_ID, saved.buildId)).rejects.toThrow('SQLITE_BUSY')
+      await expect(buildManager.getRevisions(USER_ID, saved.buildId)).rejects.toThrow('SQLITE_BUSY')
+    })
+
+    it('still reports a build that does not exist as not found', async () => {
+      expect(await buildManager.getBuild(USER_ID, 'build_missing')).toBeNull()
+      expect(await buildManager.duplicateBuild(USER_ID, 'build_missing')).toEqual({ success: false, error: 'Build not found' })
+    })
+  })
+
+  describe('getSharedBuild', () => {
+    const owner = { membershipId: USER_ID, displayName: 'Owner' }
+
+    it('resolves an active public share', async () => {
+      const saved = await buildManager.saveBuild(USER_ID, createBuild('Shared'))
+      const { share } = await buildManager.shareBuild(owner, saved.buildId)
+
+      const result = await buildManager.getSharedBuild(share.shareId)
+
+      expect(result.success).toBe(true)
+      expect(result.build.name).toBe('Shared')
+    })
+
+    it('reports unknown and malformed links as not found', async () => {
+      const unknown = await buildManager.getSharedBuild(`share-${'0'.repeat(32)}`)
+      const malformed = await buildManager.getSharedBuild('../builds/other-user')
+
+      expect(unknown.code).toBe('SHARE_NOT_FOUND')
+      expect(malformed.code).toBe('SHARE_NOT_FOUND')
+    })
+
+    it('lets storage failures through rather than calling them missing', async () => {
+      const saved = await buildManager.saveBuild(USER_ID, createBuild('Shared'))
+      const { share } = await buildManager.shareBuild(owner, saved.buildId)
+      jest.spyOn(storage, 'get').mockRejectedValue(new Error('SQLITE_BUSY: database is locked'))
+
+      await expect(buildManager.getSharedBuild(share.shareId)).rejects.toThrow('SQLITE_BUSY')
+      await expect(buildManager.revokeShare(USER_ID, share.shareId)).rejects.toThrow('SQLITE_BUSY')
+    })
+  })
+})
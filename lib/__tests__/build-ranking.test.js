@@ -0,0 +1,127 @@
+// lib/__tests__/build-ranking.test.js
+// Build ranking - dominance, Pareto fronts and why each weighted place beat the next
+
+import { dominates, paretoFronts, explainRanking } from '../build-ranking'
+import { EnhancedBuildIntelligence } from '../destiny-intelligence/enhanced-build-intelligence'
+
+const entry = (name, survivability, damage, abilityUptime) => ({ name, objectives: { survivability, damage, abilityUptime } })
+
+describe('build ranking', () => {
+  describe('dominates', () => {
+    it('needs at least as good on every objective and better on one', () => {
+      expect(dominates({ survivability: 80, damage: 50, abilityUptime: 50 }, { survivability: 70, damage: 50, abilityUptime: 50 })).toBe(true)
+      expect(dominates({ survivability: 80, damage: 40, abilityUptime: 50 }, { survivability: 70, damage: 50, abilityUptime: 50 })).toBe(false)
+    })
+
+    it('does not let equal builds dominate each other', () => {
+      const objectives = { survivability: 60, damage: 60, abilityUptime: 60 }
+      expect(dominates(objectives, { ...objectives })).toBe(false)
+    })
+
+    it('counts missing objectives as 0 and compares only the given ones', () => {
+      expect(dominates({ survivability: 10 }, {})).toBe(true)
+      expect(dominates({ survivability: 90, damage: 10 }, { survivability: 50, damage: 80 }, ['survivability'])).toBe(true)
+    })
+  })
+
+  describe('paretoFronts', () => {
+    const entries = [
+      entry('tank', 80, 50, 50),
+      entry('dps', 50, 80, 50),
+      entry('middling', 40, 40, 40),
+      entry('weak', 30, 30, 30),
+      entry('tank copy', 80, 50, 50)
+    ]
+
+    it('peels fronts so each one is only beaten by earlier ones', () => {
+      const ranked = paretoFronts(entries)
+
+      expect(ranked.map(ranking => [ranking.name, ranking.front])).toEqual([
+        ['tank', 0], ['dps', 0], ['tank copy', 0], ['middling', 1], ['weak', 2]
+      ])
+    })
+
+    it('records which entries dominate each one by index', () => {
+      const byName = Object.fromEntries(paretoFronts(entries).map(ranking => [ranking.name, ranking]))
+
+      expect(byName.tank.dominatedBy).toEqual([])
+      expect(byName.middling.dominatedBy).toEqual([0, 1, 4])
+      expect(byName.weak.dominatedBy).toEqual([0, 1, 2, 4])
+    })
+
+    it('puts everything on one front when no build beats another', () => {
+      expect(paretoFronts([entry('a', 90, 10, 10), entry('b', 10, 90, 10), entry('c', 10, 10, 90)]).every(ranking => ranking.front === 0)).toBe(true)
+      expect(paretoFronts([])).toEqual([])
+    })
+  })
+
+  describe('explainRanking', () => {
+    const ranked = [
+      { scoring: { total: 80, scores: { statOptimization: 90, activityFit: 50, damageOutput: 70 } } },
+      { scoring: { total: 70, scores: { statOptimization: 60, activityFit: 60, damageOutput: 70 } } }
+    ]
+    const weights = { statOptimization: 2, activityFit: 1, damageOutput: 1, exoticUtilization: 5 }
+
+    it('splits the margin into weighted points per category, biggest first', () => {
+      const [first] = explainRanking(ranked, weights)
+
+      expect(first).toEqual({
+        rank: 1,
+        total: 80,
+        margin: 10,
+        drivers: [
+          { category: 'statOptimization', weight: 2, difference: 30, points: 15 },
+          { category: 'activityFit', weight: 1, difference: -10, points: -2.5 }
+        ]
+      })
+    })
+
+    it('leaves the margin out for the last build', () => {
+      expect(explainRanking(ranked, weights)[1]).toEqual({ rank: 2, total: 70 })
+    })
+  })
+
+  describe('ranking generated builds', () => {
+    let intelligence
+
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      intelligence = new EnhancedBuildIntelligence()
+      await intelligence.initialize({ data: { DestinyInventoryItemDefinition: {} }, version: 'test' })
+    })
+
+    afterAll(() => jest.restoreAllMocks())
+
+    const generate = (rankingMode) => intelligence.generateBuild('hunter raid build', {
+      includeAlternatives: true,
+      skipClarification: true,
+      rankingMode
+    })
+
+    it('ranks the build and its alternatives by weighted total', async () => {
+      const build = await generate('weighted')
+
+      expect(build.alternatives).toHaveLength(3)
+      expect(build.alternatives.every(alternative => alternative.metadata.isAlternative)).toBe(true)
+      expect(build.ranking.mode).toBe('weighted')
+      expect(build.ranking.ranked.map(ranking => ranking.rank)).toEqual([1, 2, 3, 4])
+      expect(build.ranking.ranked.map(ranking => ranking.variant).sort()).toEqual([0, 1, 2, 3])
+
+      const totals = build.ranking.ranked.map(ranking => ranking.total)
+      expect(totals).toEqual([...totals].sort((a, b) => b - a))
+    })
+
+    it('ranks them by Pareto front when asked', async () => {
+      const build = await generate('pareto')
+      const { ranked } = build.ranking
+
+      expect(build.ranking.mode).toBe('pareto')
+      expect(ranked[0].front).toBe(0)
+      ranked.forEach(ranking => {
+        expect(ranking.rank).toBeUndefined()
+        expect(Object.keys(ranking.objectives).sort()).toEqual(['abilityUptime', 'damage', 'survivability'])
+      })
+      expect(ranked.map(ranking => ranking.front)).toEqual([...ranked.map(ranking => ranking.front)].sort((a, b) => a - b))
+    })
+  })
+})
@@ -0,0 +1,154 @@
+// lib/__tests__/dim-loadout.test.js
+// DIM loadout mapping - slots, subclass socket overrides, armor mods, stat constraints and what can't be carried
+
+import { exportDimLoadout, getDimLoadouts, importDimLoadout } from '../dim-loadout'
+
+const HELMET_BUCKET = 3448274439
+const KINETIC_BUCKET = 1498876634
+const SUBCLASS_BUCKET = 3284755031
+
+const manifest = {
+  DestinyInventoryItemDefinition: {
+    347366834: { displayProperties: { name: 'Ace of Spades' }, itemType: 3, inventory: { bucketTypeHash: KINETIC_BUCKET, tierType: 6 } },
+    3070555693: { displayProperties: { name: 'Celestial Nighthawk' }, itemType: 2, inventory: { bucketTypeHash: HELMET_BUCKET, tierType: 6 } },
+    2240888816: {
+      displayProperties: { name: 'Gunslinger' },
+      itemType: 16,
+      talentGrid: { hudDamageType: 3 },
+      inventory: { bucketTypeHash: SUBCLASS_BUCKET },
+      sockets: {
+        socketEntries: [
+          { reusablePlugItems: [{ plugItemHash: 2758933481 }] },
+          { reusablePlugSetHash: 900 },
+          { reusablePlugSetHash: 900 },
+          { reusablePlugSetHash: 901 }
+        ]
+      }
+    },
+    2758933481: { displayProperties: { name: 'Golden Gun: Deadshot' }, plug: { plugCategoryIdentifier: 'hunter.solar.supers' } },
+    3066103999: { displayProperties: { name: 'Knock \'Em Down' }, plug: { plugCategoryIdentifier: 'hunter.solar.aspects' } },
+    1334737386: { displayProperties: { name: 'Gunpowder Gamble' }, plug: { plugCategoryIdentifier: 'hunter.solar.aspects' } },
+    362132290: { displayProperties: { name: 'Ember of Torches' }, plug: { plugCategoryIdentifier: 'shared.solar.fragments' } },
+    4048838440: {
+      displayProperties: { name: 'Heavy Ammo Finder', description: 'Finds heavy ammo' },
+      itemType: 19,
+      plug: { plugCategoryIdentifier: 'enhancements.v2_head' }
+    }
+  },
+  DestinyPlugSetDefinition: {
+    900: { reusablePlugItems: [{ plugItemHash: 3066103999 }, { plugItemHash: 1334737386 }] },
+    901: { reusablePlugItems: [{ plugItemHash: 362132290 }] }
+  }
+}
+
+const build = {
+  metadata: { name: 'Golden Gun', class: 'hunter', description: 'Solar hunter' },
+  loadout: {
+    weapons: { primary: { name: 'Ace of Spades', hash: 347366834, itemInstanceId: '6917529000000000001' } },
+    armor: {
+      helmet: { name: 'Celestial Nighthawk', hash: 3070555693, isExotic: true },
+      chest: { name: 'Any high-resilience chest' }
+    },
+    subclass: {
+      hash: 2240888816,
+      super: { hash: 2758933481 },
+      aspects: [{ hash: 3066103999 }, { hash: 1334737386 }],
+      fragments: [{ hash: 362132290 }, { hash: 537774540, name: 'Ember of Searing' }]
+    },
+    mods: { helmet: ['Heavy Ammo Finder', 'Made-Up Mod'], weapon: ['Backup Mag'] }
+  },
+  stats: { totalStats: { mobility: 100, resilience: 74, recovery: 0 } }
+}
+
+describe('DIM loadouts', () => {
+  describe('exportDimLoadout', () => {
+    const { loadout, unmapped } = exportDimLoadout(build, { manifest })
+
+    it('carries class, name and notes', () => {
+      expect(loadout).toEqual(expect.objectContaining({ name: 'Golden Gun', notes: 'Solar hunter', classType: 1 }))
+    })
+
+    it('equips items by hash, keeping instance ids for owned items', () => {
+      expect(loadout.equipped).toEqual(expect.arrayContaining([
+        { id: '6917529000000000001', hash: 347366834 },
+        { hash: 3070555693 }
+      ]))
+      expect(loadout.parameters.exoticArmorHash).toBe(3070555693)
+    })
+
+    it('places subclass plugs in the first free socket that accepts them', () => {
+      const subclass = loadout.equipped.find(item => item.hash === 2240888816)
+      expect(subclass.socketOverrides).toEqual({ 0: 2758933481, 1: 3066103999, 2: 1334737386, 3: 362132290 })
+    })
+
+    it('maps armor mods by name and stat totals to constraints', () => {
+      expect(loadout.parameters.mods).toEqual([4048838440])
+      expect(loadout.parameters.statConstraints).toEqual([
+        { statHash: 2996146975, minTier: 10, minStat: 100 },
+        { statHash: 392767087, minTier: 7, minStat: 74 }
+      ])
+    })
+
+    it('lists everything DIM cannot carry', () => {
+      expect(unmapped).toEqual(expect.arrayContaining([
+        expect.objectContaining({ slot: 'chest', reason: 'No item hash (generic recommendation)' }),
+        expect.objectContaining({ slot: 'subclass', name: 'Ember of Searing', reason: 'No matching subclass socket' }),
+        expect.objectContaining({ name: 'Made-Up Mod', reason: 'No matching armor mod in the manifest' }),
+        expect.objectContaining({ name: 'Backup Mag', reason: 'DIM loadouts only carry armor mods' })
+      ]))
+      expect(unmapped).toHaveLength(4)
+    })
+  })
+
+  describe('importDimLoadout', () => {
+    it('round-trips an exported loadout', () => {
+      const { loadout } = exportDimLoadout(build, { manifest })
+      const { build: imported } = importDimLoadout(loadout, { manifest })
+
+      expect(imported.metadata).toEqual(expect.objectContaining({ name: 'Golden Gun', class: 'hunter', importedFrom: 'dim' }))
+      expect(imported.loadout.weapons.primary).toEqual(expect.objectContaining({
+        hash: 347366834,
+        itemInstanceId: '6917529000000000001',
+        name: 'Ace of Spades'
+      }))
+      expect(imported.loadout.armor.helmet.name).toBe('Celestial Nighthawk')
+      expect(imported.loadout.subclass.element).toBe('Solar')
+      expect(imported.loadout.subclass.super.name).toBe('Golden Gun: Deadshot')
+      expect(imported.loadout.subclass.aspects.map(aspect => aspect.name)).toEqual(['Knock \'Em Down', 'Gunpowder Gamble'])
+      expect(imported.mods).toEqual([expect.objectContaining({ hash: 4048838440, name: 'Heavy Ammo Finder' })])
+      expect(imported.stats).toEqual({ mobility: 100, resilience: 74 })
+    })
+
+    it('fills an empty slot from the Loadout Optimizer exotic', () => {
+      const { build: imported } = importDimLoadout({ equipped: [], parameters: { exoticArmorHash: 3070555693 } }, { manifest })
+      expect(imported.loadout.armor.helmet.hash).toBe(3070555693)
+    })
+
+    it('reports unknown and unequipped items', () => {
+      const { unmapped } = importDimLoadout({
+        classType: 3,
+        equipped: [{ hash: 12345 }],
+        unequipped: [{ hash: 347366834 }]
+      }, { manifest })
+
+      expect(unmapped).toEqual([
+        { hash: 12345, reason: 'Not found in the manifest' },
+        { hash: 347366834, name: 'Ace of Spades', reason: 'Unequipped items are not part of a build' }
+      ])
+    })
+
+    it('rejects JSON that is not a loadout', () => {
+      expect(() => importDimLoadout({ name: 'nope' })).toThrow('Not a DIM loadout')
+    })
+  })
+
+  describe('getDimLoadouts', () => {
+    it('accepts a single loadout, an array or a DIM backup', () => {
+      const loadout = { equipped: [] }
+      expect(getDimLoadouts(loadout)).toEqual([loadout])
+      expect(getDimLoadouts([loadout, loadout])).toHaveLength(2)
+      expect(getDimLoadouts({ loadouts: [loadout] })).toEqual([loadout])
+      expect(getDimLoadouts({ builds: [] })).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,161 @@
+// lib/__tests__/equip-planner.test.js
+// Equip planner - dry-run plans, transfer ordering, full vaults and transfers failing partway through
+
+import BungieAPIService from '../bungie-api-service'
+import EquipPlanner from '../equip-planner'
+
+jest.mock('../bungie-api-service')
+
+const KINETIC = 1498876634
+const HELMET = 3448274439
+const HUNTER = '2305843009000000001'
+const WARLOCK = '2305843009000000002'
+
+const item = (itemInstanceId, bucketHash, itemHash = 1000) => ({ itemInstanceId, itemHash, bucketHash })
+
+const createInventory = ({ hunter = [], warlock = [], hunterEquipped = [], vault = [] } = {}) => ({
+  profile: { membershipType: 3 },
+  characters: [
+    { characterId: HUNTER, classType: 1, className: 'Hunter', equipment: hunterEquipped, inventory: hunter },
+    { characterId: WARLOCK, classType: 2, className: 'Warlock', equipment: [], inventory: warlock }
+  ],
+  vault: { items: vault }
+})
+
+const createBuild = (weapons = {}, armor = {}) => ({ loadout: { weapons, armor } })
+
+// A build whose kinetic sits on the warlock and whose helmet sits in the vault
+const crossCharacterBuild = createBuild(
+  { kinetic: { name: 'Ace of Spades', itemInstanceId: '1', hash: 347366834, bucketHash: KINETIC } },
+  { helmet: { name: 'Celestial Nighthawk', itemInstanceId: '2', hash: 3070555693, bucketHash: HELMET } }
+)
+const crossCharacterInventory = () => createInventory({
+  warlock: [item('1', KINETIC, 347366834)],
+  vault: [item('2', 138197802, 3070555693)]
+})
+
+describe('EquipPlanner', () => {
+  it('plans a dry run without calling Bungie', async () => {
+    const api = new BungieAPIService()
+    const planner = new EquipPlanner(api)
+
+    const report = await planner.equipBuild(crossCharacterBuild, crossCharacterInventory(), HUNTER, 'token', { dryRun: true })
+
+    expect(api.calls).toEqual([])
+    expect(report.dryRun).toBe(true)
+    expect(report.summary).toEqual({ total: 2, succeeded: 2, failed: 0 })
+    expect(report.items[0].steps.map(step => step.description)).toEqual([
+      'Move Ace of Spades to the vault',
+      'Move Ace of Spades to the character'
+    ])
+    expect(report.items[1].steps.map(step => step.description)).toEqual(['Move Celestial Nighthawk to the character'])
+    report.items.forEach(entry => entry.steps.forEach(step => expect(step.status).toBe('planned')))
+  })
+
+  it('needs no transfers for items already on the character', () => {
+    const planner = new EquipPlanner(new BungieAPIService())
+    const inventory = createInventory({ hunter: [item('1', KINETIC)] })
+    const build = createBuild({ kinetic: { name: 'Ace of Spades', itemInstanceId: '1', bucketHash: KINETIC } })
+
+    const plan = planner.planEquip(build, inventory, HUNTER)
+
+    expect(plan.steps).toEqual([])
+    expect(plan.equipItemIds).toEqual(['1'])
+  })
+
+  it('vaults from the other character before pulling to the target, then equips everything at once', async () => {
+    const api = new BungieAPIService()
+    const planner = new EquipPlanner(api)
+
+    const report = await planner.equipBuild(crossCharacterBuild, crossCharacterInventory(), HUNTER, 'token')
+
+    expect(api.calls.map(call => [call.action, call.itemId, call.characterId, call.transferToVault])).toEqual([
+      ['transfer', '1', WARLOCK, true],
+      ['transfer', '1', HUNTER, false],
+      ['transfer', '2', HUNTER, false],
+      ['equip', undefined, HUNTER, undefined]
+    ])
+    expect(api.calls[3].itemIds).toEqual(['1', '2'])
+    expect(report.summary).toEqual({ total: 2, succeeded: 2, failed: 0 })
+    report.items.forEach(entry => expect(entry.status).toBe('equipped'))
+  })
+
+  it('clears a full character bucket with an item the build does not use', () => {
+    const planner = new EquipPlanner(new BungieAPIService())
+    const carried = Array.from({ length: 9 }, (_, index) => item(`spare-${index}`, KINETIC))
+    const inventory = createInventory({ hunter: carried, vault: [item('1', 138197802)] })
+    const build = createBuild({ kinetic: { name: 'Ace of Spades', itemInstanceId: '1', bucketHash: KINETIC } })
+
+    const plan = planner.planEquip(build, inventory, HUNTER)
+
+    expect(plan.steps.map(step => [step.itemInstanceId, step.transferToVault])).toEqual([
+      ['spare-0', true],
+      ['1', false]
+    ])
+  })
+
+  it('fails items that need the vault once it is full', () => {
+    const planner = new EquipPlanner(new BungieAPIService())
+    // 599 unrelated items plus the helmet fill the vault
+    const vault = Array.from({ length: 599 }, (_, index) => item(`vault-${index}`, 138197802))
+    const inventory = createInventory({
+      warlock: [item('1', KINETIC)],
+      hunter: Array.from({ length: 9 }, (_, index) => item(`spare-${index}`, HELMET)),
+      vault: [...vault, item('2', 138197802)]
+    })
+
+    const plan = planner.planEquip(crossCharacterBuild, inventory, HUNTER)
+
+    expect(plan.items.map(entry => [entry.itemInstanceId, entry.status, entry.error])).toEqual([
+      ['1', 'failed', 'Vault is full'],
+      ['2', 'failed', 'Vault is full - no room to clear the character bucket']
+    ])
+    expect(plan.steps).toEqual([])
+    expect(plan.equipItemIds).toEqual([])
+  })
+
+  it('abandons an item whose transfer fails partway and still equips the rest', async () => {
+    // The first call (vaulting the kinetic from the warlock) fails
+    const api = new BungieAPIService({ failTransfers: [0] })
+    const planner = new EquipPlanner(api)
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    const report = await planner.equipBuild(crossCharacterBuild, crossCharacterInventory(), HUNTER, 'token')
+
+    expect(api.calls.filter(call => call.action === 'transfer').map(call => call.itemId)).toEqual(['1', '2'])
+    expect(api.calls.find(call => call.action === 'equip').itemIds).toEqual(['2'])
+
+    const [kinetic, helmet] = report.items
+    expect(kinetic.status).toBe('failed')
+    expect(kinetic.error).toBe('DestinyItemNotFound')
+    expect(kinetic.steps.map(step => step.status)).toEqual(['failed', 'skipped'])
+    expect(helmet.status).toBe('equipped')
+    expect(report.summary).toEqual({ total: 2, succeeded: 1, failed: 1 })
+
+    console.error.mockRestore()
+  })
+
+  it('reports items Bungie refuses to equip', async () => {
+    const api = new BungieAPIService({ equipStatuses: { 2: 1634 } })
+    const planner = new EquipPlanner(api)
+
+    const report = await planner.equipBuild(crossCharacterBuild, crossCharacterInventory(), HUNTER, 'token')
+
+    expect(report.items[0].status).toBe('equipped')
+    expect(report.items[1]).toEqual(expect.objectContaining({ status: 'failed', error: 'Equip failed (Bungie error 1634)' }))
+  })
+
+  it('does not count items missing from a partial equip response as equipped', async () => {
+    const api = new BungieAPIService({ equipStatuses: { 1: null } })
+    const planner = new EquipPlanner(api)
+
+    const report = await planner.equipBuild(crossCharacterBuild, crossCharacterInventory(), HUNTER, 'token')
+
+    expect(report.items[0]).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'Bungie did not report whether this item was equipped'
+    }))
+    expect(report.items[1].status).toBe('equipped')
+    expect(report.summary).toEqual({ total: 2, succeeded: 1, failed: 1 })
+  })
+})
@@ -0,0 +1,73 @@
+// lib/__tests__/friends-store.test.js
+// Friends store against in-memory SQLite storage - read failures, concurrent changes and paired updates
+
+import SQLiteStorage from '../storage/sqlite-storage'
+import { friendsError, loadUserFriends, updateFriendPair, updateUserFriends } from '../friends-store'
+
+const mockStorage = { current: null }
+jest.mock('../storage', () => ({ getStorage: () => mockStorage.current }))
+
+const ALICE = '4611686018400000001'
+const BOB = '4611686018400000002'
+const CAROL = '4611686018400000003'
+
+const friend = (membershipId) => ({ membershipId, displayName: membershipId, platform: 'bungie' })
+const addFriend = (membershipId) => lists => ({ ...lists, friends: [...lists.friends, friend(membershipId)] })
+
+describe('friends store', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    mockStorage.current = new SQLiteStorage({ filename: ':memory:' })
+  })
+
+  afterEach(async () => {
+    await mockStorage.current.close()
+    jest.restoreAllMocks()
+  })
+
+  it('fills in missing lists for new users', async () => {
+    expect(await loadUserFriends(ALICE)).toEqual({ friends: [], pendingRequests: [], sentRequests: [] })
+  })
+
+  it('lets read failures through instead of reporting empty lists', async () => {
+    await updateUserFriends(ALICE, addFriend(BOB))
+    jest.spyOn(mockStorage.current, 'getVersioned').mockRejectedValue(new Error('SQLITE_BUSY: database is locked'))
+    jest.spyOn(mockStorage.current, 'get').mockRejectedValue(new Error('SQLITE_BUSY: database is locked'))
+    const write = jest.spyOn(mockStorage.current, 'putIfVersion')
+
+    await expect(loadUserFriends(ALICE)).rejects.toThrow('SQLITE_BUSY')
+    await expect(updateFriendPair(ALICE, addFriend(CAROL), CAROL, addFriend(ALICE))).rejects.toThrow('SQLITE_BUSY')
+    expect(write).not.toHaveBeenCalled()
+  })
+
+  it('keeps both of two concurrent changes to the same user', async () => {
+    await Promise.all([
+      updateFriendPair(ALICE, addFriend(CAROL), CAROL, addFriend(ALICE)),
+      updateFriendPair(BOB, addFriend(CAROL), CAROL, addFriend(BOB))
+    ])
+
+    expect((await loadUserFriends(CAROL)).friends.map(entry => entry.membershipId).sort()).toEqual([ALICE, BOB])
+  })
+
+  it('writes nothing when an updater rejects the change', async () => {
+    const rejected = updateFriendPair(ALICE, () => {
+      throw friendsError('NOT_FOUND', 'User is not in your friends list')
+    }, BOB, addFriend(ALICE))
+
+    await expect(rejected).rejects.toMatchObject({ code: 'NOT_FOUND' })
+    expect(await mockStorage.current.get('friends', ALICE)).toBeNull()
+    expect(await mockStorage.current.get('friends', BOB)).toBeNull()
+  })
+
+  it('undoes the first user\'s change when the second write fails', async () => {
+    await updateUserFriends(ALICE, addFriend(CAROL))
+
+    const failed = updateFriendPair(ALICE, addFriend(BOB), BOB, () => {
+      throw new Error('GitHub API Error 502')
+    })
+
+    await expect(failed).rejects.toThrow('GitHub API Error 502')
+    expect((await loadUserFriends(ALICE)).friends).toEqual([friend(CAROL)])
+  })
+})
@@ -0,0 +1,62 @@
+// lib/__tests__/item-name-matcher.test.js
+// Item name matching - misspellings, partial names and nicknames, without mistaking ordinary words for items
+
+import { buildNameIndex, editDistance, findItems, normalizeName, searchItems } from '../item-name-matcher'
+
+const items = [
+  { name: 'Gjallarhorn', hash: 1363886209 },
+  { name: 'Heart of Inmost Light', hash: 3260753130 },
+  { name: 'Celestial Nighthawk', hash: 3070555693 },
+  { name: 'Crown of Tempests', hash: 3381022971 },
+  { name: 'Ace of Spades', hash: 347366834 },
+  { name: 'Divinity', hash: 4103414242 },
+  { name: 'Gyrfalcon\'s Hauberk', hash: 1906855381 }
+]
+const index = buildNameIndex(items)
+const best = (query, options) => findItems(index, query, options)[0]
+
+describe('item name matcher', () => {
+  it('normalizes apostrophes, case and punctuation', () => {
+    expect(normalizeName('Gyrfalcon\'s  Hauberk!')).toBe('gyrfalcons hauberk')
+    expect(editDistance('gjallahorn', 'gjallarhorn')).toBe(1)
+  })
+
+  it('finds misspelt names with their hash', () => {
+    expect(best('gjallahorn')).toEqual(expect.objectContaining({ hash: 1363886209, name: 'Gjallarhorn', matchedBy: 'name' }))
+    expect(best('heart of inmost lite').name).toBe('Heart of Inmost Light')
+  })
+
+  it('resolves nicknames', () => {
+    expect(best('hoil')).toEqual(expect.objectContaining({ name: 'Heart of Inmost Light', score: 1, matchedBy: 'nickname' }))
+    expect(best('gally').name).toBe('Gjallarhorn')
+    expect(best('ace').name).toBe('Ace of Spades')
+    expect(best('nighthwk').name).toBe('Celestial Nighthawk')
+  })
+
+  it('only matches short nicknames exactly', () => {
+    expect(findItems(index, 'crowd')).toEqual([])
+    expect(findItems(index, 'ally')).toEqual([])
+    expect(findItems(index, 'dive')).toEqual([])
+    expect(best('crown').name).toBe('Crown of Tempests')
+  })
+
+  it('matches part of a name only when asked to', () => {
+    expect(findItems(index, 'tempests')).toEqual([])
+    expect(best('tempests', { partial: true }).name).toBe('Crown of Tempests')
+  })
+
+  it('ranks and limits candidates', () => {
+    const results = findItems(index, 'gjallarhorn', { limit: 1, minScore: 0 })
+    expect(results).toEqual([expect.objectContaining({ name: 'Gjallarhorn', score: 1 })])
+  })
+
+  describe('searchItems', () => {
+    it('puts substring matches first, keeps fuzzy ones and returns everything for an empty query', () => {
+      const owned = [{ name: 'Gjallarhorn' }, { name: 'Heart of Inmost Light' }, { name: 'Ace of Spades' }]
+
+      expect(searchItems(owned, 'of').map(item => item.name)).toEqual(['Heart of Inmost Light', 'Ace of Spades'])
+      expect(searchItems(owned, 'gjalarhorn').map(item => item.name)).toEqual(['Gjallarhorn'])
+      expect(searchItems(owned, '')).toBe(owned)
+    })
+  })
+})
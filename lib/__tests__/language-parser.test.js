@@ -0,0 +1,330 @@
+// lib/__tests__/language-parser.test.js
+// Build request parser - tokens, grammar fields, exotic names, exclusion scopes, stat targets, confidence, source spans and clarifying questions
+
+import {
+  allowedElements,
+  allowedWeaponTypes,
+  answerClarifications,
+  applySelections,
+  buildExoticIndex,
+  clarifyingQuestions,
+  isExcluded,
+  parseBuildRequest,
+  tokenize,
+  validateBuildRequest
+} from '../language-parser'
+
+const exoticIndex = buildExoticIndex({
+  1363886209: { displayProperties: { name: 'Gjallarhorn' }, itemType: 3, inventory: { tierType: 6 } },
+  3070555693: { displayProperties: { name: 'Celestial Nighthawk' }, itemType: 2, classType: 1, inventory: { tierType: 6 } },
+  3260753130: { displayProperties: { name: 'Heart of Inmost Light' }, itemType: 2, classType: 0, inventory: { tierType: 6 } },
+  3381022971: { displayProperties: { name: 'Crown of Tempests' }, itemType: 2, classType: 2, inventory: { tierType: 6 } },
+  347366834: { displayProperties: { name: 'Ace of Spades' }, itemType: 3, inventory: { tierType: 6 } },
+  1906855381: { displayProperties: { name: 'Legendary Helmet' }, itemType: 2, classType: 1, inventory: { tierType: 5 } }
+})
+
+const spanText = (request, field) => request.spans[field]?.map(span => span.text)
+
+const questionIds = (request) => clarifyingQuestions(request).map(question => question.id)
+
+describe('language parser', () => {
+  describe('tokenize', () => {
+    it('lowercases words and keeps their offsets in the original text', () => {
+      expect(tokenize('Void Hunter, GMs')).toEqual([
+        { text: 'void', start: 0, end: 4 },
+        { text: 'hunter', start: 5, end: 11 },
+        { text: 'gms', start: 13, end: 16 }
+      ])
+    })
+
+    it('keeps apostrophes inside words', () => {
+      expect(tokenize('King\'s Fall').map(token => token.text)).toEqual(['king\'s', 'fall'])
+    })
+  })
+
+  describe('parseBuildRequest', () => {
+    it('reads class, element, activity and playstyle with their spans', () => {
+      const request = parseBuildRequest('Void Hunter for raids, tanky')
+
+      expect(request).toEqual(expect.objectContaining({
+        class: 'hunter',
+        element: 'void',
+        activity: 'raid',
+        playstyle: 'defensive'
+      }))
+      expect(spanText(request, 'class')).toEqual(['Hunter'])
+      expect(spanText(request, 'activity')).toEqual(['raids'])
+      expect(request.confidence.class).toBe(1)
+      expect(request.confidence.playstyle).toBe(0.8)
+    })
+
+    it('fills class and element from a subclass without overriding stated values', () => {
+      const implied = parseBuildRequest('nightstalker for nightfalls')
+      expect(implied).toEqual(expect.objectContaining({ subclass: 'nightstalker', class: 'hunter', element: 'void' }))
+      expect(implied.confidence.class).toBe(0.7)
+
+      const stated = parseBuildRequest('solar nightstalker')
+      expect(stated.element).toBe('solar')
+      expect(stated.conflicts).toEqual([{ field: 'element', values: ['solar', 'void'] }])
+    })
+
+    it('prefers the longest phrase and maps weapon aliases to slots', () => {
+      const request = parseBuildRequest('linear fusion and a hand cannon')
+
+      expect(request.weapons).toEqual([
+        { type: 'Linear Fusion Rifle', slot: 'heavy' },
+        { type: 'Hand Cannon', slot: 'primary' }
+      ])
+    })
+
+    it('records a second different value as a conflict and lowers confidence', () => {
+      const request = parseBuildRequest('titan or warlock for pvp')
+
+      expect(request.class).toBe('titan')
+      expect(request.conflicts).toEqual([{ field: 'class', values: ['titan', 'warlock'] }])
+      expect(request.confidence.class).toBe(0.4)
+      expect(validateBuildRequest(request).warnings).toContain('The request mentions more than one class: titan, warlock')
+    })
+
+    it('recognises multi-word exotics from the index and takes the class from exotic armor', () => {
+      const request = parseBuildRequest('Celestial Nighthawk golden gun', { exoticIndex })
+
+      expect(request.exotic).toEqual({ name: 'Celestial Nighthawk', hash: 3070555693, itemType: 'armor', classType: 1 })
+      expect(request.class).toBe('hunter')
+      expect(spanText(request, 'exotic')).toEqual(['Celestial Nighthawk'])
+    })
+
+    it('only indexes exotic weapons and armor', () => {
+      expect(exoticIndex.phrases.has('legendary helmet')).toBe(false)
+      expect(exoticIndex.phrases.get('heart of inmost light').hash).toBe(3260753130)
+    })
+
+    it('scores vague requests low and specific ones higher', () => {
+      expect(parseBuildRequest('something fun').confidence.overall).toBe(0)
+      expect(parseBuildRequest('build').confidence.overall).toBeLessThan(0.5)
+      expect(parseBuildRequest('void hunter raid dps').confidence.overall).toBeGreaterThan(0.5)
+    })
+  })
+
+  describe('exotic names', () => {
+    it('resolves misspellings and nicknames with ranked candidates', () => {
+      const misspelt = parseBuildRequest('gjallahorn for the raid', { exoticIndex })
+      expect(misspelt.exotic.name).toBe('Gjallarhorn')
+      expect(misspelt.exoticCandidates[0]).toEqual(expect.objectContaining({ hash: 1363886209, matchedBy: 'name' }))
+      expect(spanText(misspelt, 'exotic')).toEqual(['gjallahorn'])
+
+      expect(parseBuildRequest('hoil titan', { exoticIndex }).exotic.name).toBe('Heart of Inmost Light')
+      expect(parseBuildRequest('ace build for pvp', { exoticIndex }).exotic.name).toBe('Ace of Spades')
+      expect(parseBuildRequest('heart of the inmost light', { exoticIndex }).exotic.name).toBe('Heart of Inmost Light')
+    })
+
+    it('does not read ordinary words as short nicknames', () => {
+      const crowdControl = parseBuildRequest('crowd control build for titan', { exoticIndex })
+      expect(crowdControl.exotic).toBeNull()
+      expect(crowdControl.exoticCandidates).toEqual([])
+
+      expect(parseBuildRequest('support build for my ally', { exoticIndex }).exotic).toBeNull()
+      expect(parseBuildRequest('a build to race through content', { exoticIndex }).exotic).toBeNull()
+    })
+
+    it('needs a longer, closer match for a single word', () => {
+      expect(parseBuildRequest('gjalarhorn', { exoticIndex }).exotic.name).toBe('Gjallarhorn')
+      expect(parseBuildRequest('spade', { exoticIndex }).exotic).toBeNull()
+    })
+  })
+
+  describe('exclusions', () => {
+    it('excludes every weapon type and exotic in a negation scope', () => {
+      const request = parseBuildRequest('void hunter for GMs, no shotguns or fusions, not Gjallarhorn', { exoticIndex })
+
+      expect(request.excluded.weapons).toEqual(['Shotgun', 'Fusion Rifle'])
+      expect(request.excluded.exotics).toEqual([expect.objectContaining({ name: 'Gjallarhorn', hash: 1363886209 })])
+      expect(request.weapons).toEqual([])
+      expect(request.exotic).toBeNull()
+      expect(request).toEqual(expect.objectContaining({ class: 'hunter', element: 'void', activity: 'nightfall' }))
+    })
+
+    it('ends the scope at punctuation, a boundary word or an unrelated term', () => {
+      expect(parseBuildRequest('avoid void, arc is fine').excluded.elements).toEqual(['void'])
+      expect(parseBuildRequest('avoid void, arc is fine').element).toBe('arc')
+      expect(parseBuildRequest('without snipers but with a scout').weapons).toEqual([{ type: 'Scout Rifle', slot: 'primary' }])
+      expect(parseBuildRequest('no shotguns raid').activity).toBe('raid')
+    })
+
+    it('negates the first term without excluding it when it cannot be excluded', () => {
+      const request = parseBuildRequest('not aggressive')
+
+      expect(request.playstyle).toBe('balanced')
+      expect(request.excluded).toEqual({ weapons: [], elements: [], exotics: [] })
+    })
+
+    it('leaves implied values alone - no nightstalker does not exclude void', () => {
+      expect(parseBuildRequest('no nightstalker').excluded.elements).toEqual([])
+    })
+
+    it('drops a value the request both asks for and excludes, keeping the clash as a conflict', () => {
+      const request = parseBuildRequest('shotgun build, no shotguns')
+
+      expect(request.weapons).toEqual([])
+      expect(request.excluded.weapons).toEqual(['Shotgun'])
+      expect(request.conflicts).toEqual([{ field: 'weapons', values: ['Shotgun'], excluded: true }])
+      expect(validateBuildRequest(request).warnings[0]).toMatch(/both asks for and excludes Shotgun/)
+    })
+
+    it('answers isExcluded and lists what is still allowed', () => {
+      const request = parseBuildRequest('no shotguns, no solar or arc, not Gjallarhorn', { exoticIndex })
+
+      expect(isExcluded(request, 'weapons', 'Shotgun')).toBe(true)
+      expect(isExcluded(request, 'exotics', '1363886209')).toBe(true)
+      expect(isExcluded({}, 'weapons', 'Shotgun')).toBe(false)
+      expect(allowedWeaponTypes(request, 'special')).toEqual(['Fusion Rifle', 'Glaive', 'Sniper Rifle', 'Trace Rifle'])
+      expect(allowedElements(request)).toEqual(['void', 'stasis', 'strand', 'prismatic'])
+    })
+  })
+
+  describe('stat targets', () => {
+    it('reads numbers, tiers and max in front of or after a stat', () => {
+      const request = parseBuildRequest('100 resilience, tier 7 discipline, t8 mobility, recovery 60 and max intellect')
+
+      expect(request.statTargets).toEqual({
+        resilience: { value: 100, hard: false },
+        discipline: { value: 70, hard: false },
+        mobility: { value: 80, hard: false },
+        recovery: { value: 60, hard: false },
+        intellect: { value: 100, hard: false }
+      })
+      expect(request.focusStats).toEqual(expect.arrayContaining(['resilience', 'discipline', 'mobility', 'recovery', 'intellect']))
+    })
+
+    it('makes a target hard after a minimum word or with a plus', () => {
+      const request = parseBuildRequest('at least 80 recovery, need tier 7 discipline, 60+ strength')
+
+      expect(request.statTargets).toEqual({
+        recovery: { value: 80, hard: true },
+        discipline: { value: 70, hard: true },
+        strength: { value: 60, hard: true }
+      })
+      expect(spanText(request, 'statTargets')).toEqual(['at least 80 recovery', 'need tier 7 discipline', '60+ strength'])
+    })
+
+    it('ignores numbers past 100', () => {
+      expect(parseBuildRequest('200 resilience').statTargets).toEqual({})
+    })
+  })
+
+  describe('applySelections', () => {
+    it('lets picker choices override the text with full confidence', () => {
+      const request = applySelections(parseBuildRequest('titan or warlock for pvp'), { class: 'hunter', activity: null })
+
+      expect(request.class).toBe('hunter')
+      expect(request.activity).toBe('pvp')
+      expect(request.confidence.class).toBe(1)
+      expect(request.conflicts).toEqual([])
+      expect(request.spans.class).toBeUndefined()
+    })
+
+    it('lifts the exclusion on a picked element or exotic', () => {
+      const parsed = parseBuildRequest('no void, not Gjallarhorn', { exoticIndex })
+      const request = applySelections(parsed, { element: 'void', exotic: { name: 'Gjallarhorn', hash: 1363886209 } })
+
+      expect(request.excluded.elements).toEqual([])
+      expect(request.excluded.exotics).toEqual([])
+      expect(parsed.excluded.elements).toEqual(['void'])
+    })
+  })
+
+  describe('clarifying questions', () => {
+    it('asks which class when a stated class clashes with class-locked exotic armor', () => {
+      const request = parseBuildRequest('warlock celestial nighthawk raid', { exoticIndex })
+      const [question] = clarifyingQuestions(request)
+
+      expect(question).toEqual(expect.objectContaining({
+        id: 'conflict-class',
+        field: 'class',
+        question: 'Celestial Nighthawk is Hunter only - which class is the build for?'
+      }))
+      expect(question.options).toEqual([
+        { id: 'warlock', label: 'Warlock (without Celestial Nighthawk)', selections: { class: 'warlock' }, clear: ['exotic'] },
+        { id: 'hunter', label: 'Hunter', selections: { class: 'hunter' }, clear: [] }
+      ])
+    })
+
+    it('drops the exotic when the stated class is kept and keeps it otherwise', () => {
+      const request = parseBuildRequest('warlock celestial nighthawk raid', { exoticIndex })
+
+      const warlock = answerClarifications(request, { 'conflict-class': 'warlock' })
+      expect(warlock.class).toBe('warlock')
+      expect(warlock.exotic).toBeNull()
+      expect(warlock.exoticCandidates).toEqual([])
+      expect(warlock.spans.exotic).toBeUndefined()
+
+      const hunter = answerClarifications(request, { 'conflict-class': 'hunter' })
+      expect(hunter.class).toBe('hunter')
+      expect(hunter.exotic.name).toBe('Celestial Nighthawk')
+      expect(request.class).toBe('warlock')
+    })
+
+    it('offers each value of any other conflicting field', () => {
+      const [question] = clarifyingQuestions(parseBuildRequest('raid or pvp warlock'))
+
+      expect(question.id).toBe('conflict-activity')
+      expect(question.question).toBe('The request mentions more than one activity - which one did you mean?')
+      expect(question.options.map(option => option.label)).toEqual(['Raid', 'Crucible (PvP)'])
+    })
+
+    it('asks whether to use a value the request both asks for and excludes', () => {
+      const request = parseBuildRequest('warlock raid, not gjallarhorn, gjallarhorn', { exoticIndex })
+      const [question] = clarifyingQuestions(request)
+
+      expect(question.id).toBe('exclusion-exotic')
+      expect(question.options.map(option => option.label)).toEqual(['Leave Gjallarhorn out', 'Use Gjallarhorn'])
+
+      const used = answerClarifications(request, { 'exclusion-exotic': '1363886209' })
+      expect(used.exotic.name).toBe('Gjallarhorn')
+      expect(used.excluded.exotics).toEqual([])
+      expect(questionIds(used)).toEqual([])
+
+      const left = answerClarifications(request, { 'exclusion-exotic': 'exclude' })
+      expect(left.exotic).toBeNull()
+      expect(left.excluded.exotics).toEqual([expect.objectContaining({ hash: 1363886209 })])
+      expect(questionIds(left)).toEqual([])
+    })
+
+    it('confirms an exotic matched only loosely, with a way to drop it', () => {
+      const request = parseBuildRequest('titan heart of inmost lite raid', { exoticIndex })
+      const [question] = clarifyingQuestions(request)
+
+      expect(question.id).toBe('exotic')
+      expect(question.question).toBe('Which exotic did you mean by "heart of inmost lite"?')
+      expect(question.options.map(option => option.id)).toEqual(['3260753130', 'none'])
+
+      const none = answerClarifications(request, { exotic: 'none' })
+      expect(none.exotic).toBeNull()
+      expect(none.exoticCandidates).toEqual([])
+      expect(questionIds(none)).toEqual([])
+    })
+
+    it('does not question confident exotic matches', () => {
+      expect(questionIds(parseBuildRequest('hunter celestial nighthawks raid', { exoticIndex }))).toEqual([])
+    })
+
+    it('only asks for a missing class or activity when the request is vague', () => {
+      expect(questionIds(parseBuildRequest('something fun'))).toEqual(['missing-class', 'missing-activity'])
+      expect(questionIds(parseBuildRequest('void hunter raid dps'))).toEqual([])
+    })
+
+    it('does not ask an answered question again, even when the answer keeps the default', () => {
+      const request = answerClarifications(parseBuildRequest('something fun'), { 'missing-class': 'any' })
+
+      expect(request.class).toBe('any')
+      expect(questionIds(request)).toEqual(['missing-activity'])
+    })
+
+    it('ignores unknown answers and returns the request untouched without answers', () => {
+      const request = parseBuildRequest('something fun')
+
+      expect(answerClarifications(request, {})).toBe(request)
+      expect(answerClarifications(request, { 'missing-class': 'gardener', 'conflict-element': 'void' }).class).toBe('any')
+    })
+  })
+})
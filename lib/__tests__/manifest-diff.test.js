@@ -0,0 +1,145 @@
+// lib/__tests__/manifest-diff.test.js
+// Manifest diffs - added, removed, renamed and changed items, perk and stat changes, and one stored diff per version pair
+
+import GitHubStorageService from '../github-storage'
+import { diffManifests } from '../manifest-diff'
+
+const RANGE = 1240481185
+
+const item = (name, extra = {}) => ({
+  displayProperties: { name, description: '', icon: `/${name}.png` },
+  itemType: 3,
+  itemTypeDisplayName: 'Hand Cannon',
+  defaultDamageType: 1,
+  classType: 3,
+  inventory: { tierType: 5, bucketTypeHash: 1498876634 },
+  ...extra
+})
+const plug = (name, plugCategoryIdentifier = 'frames') => ({ displayProperties: { name }, plug: { plugCategoryIdentifier } })
+const withPerks = (...plugHashes) => ({ sockets: { socketEntries: plugHashes.map(singleInitialItemHash => ({ singleInitialItemHash })) } })
+const withRange = value => ({ stats: { stats: { [RANGE]: { statHash: RANGE, value } } } })
+
+const manifest = (version, items) => ({
+  version,
+  data: {
+    DestinyInventoryItemDefinition: {
+      900: plug('Outlaw'),
+      901: plug('Rampage'),
+      902: plug('Kill Clip'),
+      903: plug('New Shader', 'shader'),
+      ...items
+    },
+    DestinyStatDefinition: { [RANGE]: { displayProperties: { name: 'Range' } } }
+  }
+})
+
+const previous = manifest('1.0', {
+  1: item('Unchanged'),
+  2: item('Retired'),
+  3: item('Old Name'),
+  4: item('Reworked', { ...withPerks(900, 901), ...withRange(40) }),
+  5: item('Recolored'),
+  6: item('Reskinned', withPerks(900))
+})
+const next = manifest('2.0', {
+  1: item('Unchanged'),
+  3: item('New Name'),
+  4: item('Reworked', { ...withPerks(900, 902), ...withRange(46) }),
+  5: item('Recolored', { defaultDamageType: 3 }),
+  6: item('Reskinned', withPerks(900, 903)),
+  7: item('Brand New')
+})
+
+const names = entries => entries.map(entry => entry.name).sort()
+
+describe('diffManifests', () => {
+  const diff = diffManifests(previous, next)
+
+  it('records the versions and counts each category', () => {
+    expect(diff).toEqual(expect.objectContaining({ fromVersion: '1.0', toVersion: '2.0' }))
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 3, renamed: 1, perkChanges: 1, statChanges: 1 })
+  })
+
+  it('lists items only in the new manifest as added and only in the old one as removed', () => {
+    expect(diff.added).toEqual([{ hash: 7, name: 'Brand New', type: 'Hand Cannon', itemType: 3 }])
+    expect(diff.removed).toEqual([{ hash: 2, name: 'Retired', type: 'Hand Cannon', itemType: 3 }])
+  })
+
+  it('lists the fields that changed on items in both', () => {
+    const changes = Object.fromEntries(diff.changed.map(entry => [entry.name, entry.changes]))
+
+    expect(changes).toEqual({
+      'New Name': ['name', 'icon'],
+      Reworked: ['perks', 'stats'],
+      Recolored: ['damageType']
+    })
+    expect(diff.renamed).toEqual([{ hash: 3, from: 'Old Name', to: 'New Name' }])
+  })
+
+  it('reports perk and stat changes, ignoring cosmetic plugs', () => {
+    expect(diff.perkChanges).toEqual([expect.objectContaining({ name: 'Reworked', addedPerks: ['Kill Clip'], removedPerks: ['Rampage'] })])
+    expect(diff.statChanges).toEqual([expect.objectContaining({
+      name: 'Reworked',
+      stats: [{ statHash: RANGE, name: 'Range', from: 40, to: 46, delta: 6 }]
+    })])
+  })
+
+  it('reports nothing between identical manifests', () => {
+    const same = diffManifests(previous, { ...previous, version: '1.1' })
+
+    expect(Object.values(same.summary).every(count => count === 0)).toBe(true)
+    expect(names(same.changed)).toEqual([])
+  })
+})
+
+describe('GitHubStorageService manifest diffs', () => {
+  let storage
+  let files
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    files = new Map()
+    storage = new GitHubStorageService()
+    jest.spyOn(storage, 'getFile').mockImplementation(async path => files.has(path) ? { content: files.get(path), sha: path } : null)
+    jest.spyOn(storage, 'saveFile').mockImplementation(async (path, content) => {
+      files.set(path, JSON.parse(JSON.stringify(content)))
+      return {}
+    })
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  const third = manifest('3.0', { 1: item('Unchanged') })
+
+  it('keeps the diff of every version pair, listing the newest first', async () => {
+    await storage.saveManifestDiff(previous, next)
+    await storage.saveManifestDiff(next, third)
+
+    expect((await storage.listManifestDiffs()).map(entry => `${entry.fromVersion} -> ${entry.toVersion}`)).toEqual(['2.0 -> 3.0', '1.0 -> 2.0'])
+    expect((await storage.loadManifestDiff()).toVersion).toBe('3.0')
+    expect(names((await storage.loadManifestDiff('1.0', '2.0')).added)).toEqual(['Brand New'])
+  })
+
+  it('replaces the entry when the same version pair is diffed again', async () => {
+    await storage.saveManifestDiff(previous, next)
+    await storage.saveManifestDiff(next, third)
+    await storage.saveManifestDiff(previous, next)
+
+    const history = await storage.listManifestDiffs()
+    expect(history.map(entry => entry.toVersion)).toEqual(['2.0', '3.0'])
+    expect(history[0].summary.added).toBe(1)
+  })
+
+  it('records nothing for an unchanged version or a previous manifest without items', async () => {
+    expect(await storage.saveManifestDiff(next, next)).toBeNull()
+    expect(await storage.saveManifestDiff({ version: '0.9', data: { DestinyInventoryItemDefinition: {} } }, next)).toBeNull()
+    expect(storage.saveFile).not.toHaveBeenCalled()
+  })
+
+  it('falls back to the diff saved before pairs were kept', async () => {
+    files.set('data/manifest/manifest-diff.json', { fromVersion: '0.8', toVersion: '0.9' })
+
+    expect(await storage.loadManifestDiff()).toEqual({ fromVersion: '0.8', toVersion: '0.9' })
+    expect(await storage.loadManifestDiff('1.0', '2.0')).toBeNull()
+  })
+})
@@ -0,0 +1,85 @@
+// lib/__tests__/manifest-extractor.test.js
+// Manifest extraction against a tiny world content database (fixtures/world-content.sqlite)
+
+import { readFileSync } from 'fs'
+import os from 'os'
+import path from 'path'
+import { gzipSync } from 'zlib'
+import {
+  detectArchiveFormat,
+  extractManifestFromArchive,
+  extractManifestTables,
+  trimDefinition
+} from '../manifest-extractor'
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'world-content.sqlite')
+
+describe('manifest extractor', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  it('extracts the requested tables and reports the missing ones', async () => {
+    const { data, tableCounts, missingTables } = await extractManifestTables(FIXTURE)
+
+    expect(Object.keys(data).sort()).toEqual(['DestinyInventoryItemDefinition', 'DestinyStatDefinition'])
+    expect(tableCounts.DestinyStatDefinition).toBe(1)
+    expect(missingTables).toContain('DestinyClassDefinition')
+    expect(missingTables).not.toContain('DestinyStatDefinition')
+  })
+
+  it('keys definitions by unsigned hash', async () => {
+    const { data } = await extractManifestTables(FIXTURE)
+    const items = data.DestinyInventoryItemDefinition
+
+    // Stored as a negative signed id in the database
+    expect(items[3070555693].displayProperties.name).toBe('Celestial Nighthawk')
+    expect(data.DestinyStatDefinition[2996146975].displayProperties.name).toBe('Mobility')
+  })
+
+  it('keeps gear, mods and subclasses and drops emblems, shaders and ornaments', async () => {
+    const { data } = await extractManifestTables(FIXTURE)
+    const names = Object.values(data.DestinyInventoryItemDefinition).map(item => item.displayProperties.name)
+
+    expect(names.sort()).toEqual(['Ace of Spades', 'Arc Subclass', 'Celestial Nighthawk', 'Recovery Mod'])
+  })
+
+  it('trims item definitions to the fields the intelligence layer reads', async () => {
+    const { data } = await extractManifestTables(FIXTURE)
+    const items = data.DestinyInventoryItemDefinition
+
+    expect(items[3070555693].screenshot).toBeUndefined()
+    expect(items[3070555693].collectibleHash).toBeUndefined()
+    expect(items[3070555693].inventory).toEqual({ tierType: 6, bucketTypeHash: 3448274439 })
+    expect(items[1005].talentGrid).toEqual({ hudDamageType: 2 })
+  })
+
+  it('returns untrimmed definitions when trimming is off', async () => {
+    const { data } = await extractManifestTables(FIXTURE, { tables: ['DestinyInventoryItemDefinition'], trim: false })
+
+    expect(Object.keys(data.DestinyInventoryItemDefinition)).toHaveLength(8)
+    expect(data.DestinyInventoryItemDefinition[347366834].iconWatermark).toBe('/img/wm.png')
+  })
+
+  it('leaves other tables untouched', () => {
+    const definition = { hash: 1, displayProperties: { name: 'Mobility' }, extra: true }
+    expect(trimDefinition('DestinyStatDefinition', definition)).toBe(definition)
+  })
+
+  it('builds a manifest from a gzipped download', async () => {
+    const archive = gzipSync(readFileSync(FIXTURE))
+    expect(detectArchiveFormat(archive)).toBe('gzip')
+
+    const manifest = await extractManifestFromArchive(archive, { version: '1.2.3', tmpDir: os.tmpdir() })
+
+    expect(manifest.version).toBe('1.2.3')
+    expect(manifest.metadata).toEqual(expect.objectContaining({
+      itemCount: 4,
+      compressionFormat: 'gzip',
+      format: 'sqlite-extracted'
+    }))
+  })
+})
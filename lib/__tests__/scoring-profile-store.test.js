@@ -0,0 +1,83 @@
+// lib/__tests__/scoring-profile-store.test.js
+// Scoring profile store against in-memory SQLite storage - selection, concurrent saves and read failures
+
+import SQLiteStorage from '../storage/sqlite-storage'
+import {
+  deleteUserProfile,
+  loadScoringOptions,
+  loadUserProfiles,
+  saveUserProfile,
+  selectUserProfile
+} from '../scoring-profile-store'
+
+const mockStorage = { current: null }
+jest.mock('../storage', () => ({ getStorage: () => mockStorage.current }))
+
+const USER_ID = '4611686018400000001'
+
+const profile = (name) => ({ name, basedOn: 'raid', weights: { damageOutput: 3 } })
+
+describe('scoring profile store', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    mockStorage.current = new SQLiteStorage({ filename: ':memory:' })
+  })
+
+  afterEach(async () => {
+    await mockStorage.current.close()
+    jest.restoreAllMocks()
+  })
+
+  it('scores with the selected profile unless the request picks another', async () => {
+    const { profile: saved } = await saveUserProfile(USER_ID, profile('Boss melt'))
+
+    expect(await selectUserProfile(USER_ID, saved.id)).toBe(true)
+
+    const scoring = await loadScoringOptions(USER_ID)
+    expect(scoring.profile).toBe(saved.id)
+    expect(scoring.userProfiles).toEqual([saved])
+    expect((await loadScoringOptions(USER_ID, 'pvp')).profile).toBe('pvp')
+  })
+
+  it('keeps the selection when profiles change and clears it when the profile is deleted', async () => {
+    const { profile: saved } = await saveUserProfile(USER_ID, profile('Boss melt'))
+    await selectUserProfile(USER_ID, saved.id)
+
+    await saveUserProfile(USER_ID, profile('Add clear'))
+    expect((await loadScoringOptions(USER_ID)).profile).toBe(saved.id)
+
+    await deleteUserProfile(USER_ID, saved.id)
+    expect((await loadScoringOptions(USER_ID)).profile).toBeUndefined()
+  })
+
+  it('only selects built-in or saved profiles', async () => {
+    expect(await selectUserProfile(USER_ID, 'raid')).toBe(true)
+    expect(await selectUserProfile(USER_ID, 'profile_missing')).toBe(false)
+    expect((await loadScoringOptions(USER_ID)).profile).toBe('raid')
+  })
+
+  it('keeps every profile when two saves run at the same time', async () => {
+    const [first, second] = await Promise.all([
+      saveUserProfile(USER_ID, profile('Boss melt')),
+      saveUserProfile(USER_ID, profile('Add clear')),
+      selectUserProfile(USER_ID, 'raid')
+    ])
+
+    expect((await loadUserProfiles(USER_ID)).map(saved => saved.id).sort()).toEqual([first.profile.id, second.profile.id].sort())
+    expect((await loadScoringOptions(USER_ID)).profile).toBe('raid')
+  })
+
+  it('lets read failures through instead of saving over the stored list', async () => {
+    await saveUserProfile(USER_ID, profile('Boss melt'))
+    jest.spyOn(mockStorage.current, 'get').mockRejectedValue(new Error('SQLITE_BUSY: database is locked'))
+    jest.spyOn(mockStorage.current, 'getVersioned').mockRejectedValue(new Error('SQLITE_BUSY: database is locked'))
+    const write = jest.spyOn(mockStorage.current, 'putIfVersion')
+
+    await expect(loadUserProfiles(USER_ID)).rejects.toThrow('SQLITE_BUSY')
+    await expect(saveUserProfile(USER_ID, profile('Add clear'))).rejects.toThrow('SQLITE_BUSY')
+    await expect(selectUserProfile(USER_ID, 'raid')).rejects.toThrow('SQLITE_BUSY')
+    await expect(deleteUserProfile(USER_ID, 'profile_any')).rejects.toThrow('SQLITE_BUSY')
+    expect(write).not.toHaveBeenCalled()
+  })
+})
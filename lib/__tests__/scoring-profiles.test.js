@@ -0,0 +1,82 @@
+// lib/__tests__/scoring-profiles.test.js
+// Scoring profiles - which profile a build is scored with, and what a user-defined profile may contain
+
+import { BUILT_IN_PROFILES, SCORE_CATEGORIES, resolveProfile, validateProfile } from '../scoring-profiles'
+
+const userProfile = {
+  id: 'profile-1',
+  name: 'Boss DPS',
+  basedOn: 'raid',
+  weights: { damageOutput: 60 },
+  statPriorities: { strength: 1 }
+}
+
+describe('scoring profiles', () => {
+  describe('resolveProfile', () => {
+    it('uses the activity\'s built-in profile when none is picked, or general PvE for unknown activities', () => {
+      expect(resolveProfile(undefined, { activity: 'dungeon' })).toBe(BUILT_IN_PROFILES.dungeon)
+      expect(resolveProfile(null, { activity: 'patrol' })).toBe(BUILT_IN_PROFILES.general_pve)
+      expect(resolveProfile()).toBe(BUILT_IN_PROFILES.general_pve)
+    })
+
+    it('looks built-in ids up before the user\'s profiles', () => {
+      expect(resolveProfile('pvp', { activity: 'raid', userProfiles: [{ ...userProfile, id: 'pvp' }] })).toBe(BUILT_IN_PROFILES.pvp)
+    })
+
+    it('falls back to the activity profile for an id it cannot find', () => {
+      expect(resolveProfile('deleted-profile', { activity: 'nightfall', userProfiles: [userProfile] })).toBe(BUILT_IN_PROFILES.nightfall)
+    })
+
+    it('fills a user profile in from the profile it is based on', () => {
+      const resolved = resolveProfile('profile-1', { activity: 'gambit', userProfiles: [userProfile] })
+
+      expect(resolved.name).toBe('Boss DPS')
+      expect(resolved.activity).toBe('raid')
+      expect(resolved.weights).toEqual({ ...BUILT_IN_PROFILES.raid.weights, damageOutput: 60 })
+      expect(resolved.statPriorities).toEqual({ ...BUILT_IN_PROFILES.raid.statPriorities, strength: 1 })
+    })
+
+    it('bases a profile without basedOn on the activity\'s profile', () => {
+      const resolved = resolveProfile({ name: 'Quick', weights: { activityFit: 0 } }, { activity: 'pvp' })
+
+      expect(resolved.activity).toBe('pvp')
+      expect(resolved.weights).toEqual({ ...BUILT_IN_PROFILES.pvp.weights, activityFit: 0 })
+    })
+  })
+
+  describe('validateProfile', () => {
+    it('accepts a complete user profile', () => {
+      expect(validateProfile(userProfile)).toEqual([])
+      expect(validateProfile({ name: 'Defaults only' })).toEqual([])
+    })
+
+    it('requires profile data and a name of 50 characters or less', () => {
+      expect(validateProfile(null)).toEqual(['Profile data is required'])
+      expect(validateProfile({ weights: {} })).toEqual(['Profile name is required'])
+      expect(validateProfile({ name: 'x'.repeat(51) })).toEqual(['Profile name must be 50 characters or less'])
+    })
+
+    it('rejects unknown base profiles, categories and stats', () => {
+      expect(validateProfile({ name: 'Bad', basedOn: 'strikes', weights: { luck: 5 }, statPriorities: { speed: 1 } })).toEqual([
+        'Unknown base profile "strikes"',
+        'Unknown weights entry "luck"',
+        'Unknown statPriorities entry "speed"'
+      ])
+    })
+
+    it('rejects negative, non-numeric and non-object weights', () => {
+      expect(validateProfile({ name: 'Bad', weights: { damageOutput: -1, activityFit: '10' } })).toEqual([
+        'weights.damageOutput must be a number of 0 or more',
+        'weights.activityFit must be a number of 0 or more'
+      ])
+      expect(validateProfile({ name: 'Bad', statPriorities: 'strength' })).toEqual(['statPriorities must be an object'])
+    })
+
+    it('needs at least one weight above 0 once the base profile is filled in', () => {
+      const allZero = Object.fromEntries(SCORE_CATEGORIES.map(category => [category, 0]))
+
+      expect(validateProfile({ name: 'Nothing', weights: allZero })).toEqual(['At least one category weight must be above 0'])
+      expect(validateProfile({ name: 'Mostly nothing', weights: { ...allZero, damageOutput: 1 } })).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,44 @@
+// lib/__tests__/stat-targets.test.js
+// Stat targets - the tiers asked for, and which ones a build's stats meet
+
+import { evaluateStatTargets, targetTiers } from '../stat-targets'
+
+const statTargets = {
+  resilience: { value: 100, hard: true },
+  recovery: { value: 75, hard: false },
+  discipline: { value: 70, hard: true }
+}
+
+describe('stat targets', () => {
+  describe('targetTiers', () => {
+    it('rounds each target up to the tier that covers it', () => {
+      expect(targetTiers(statTargets)).toEqual({ resilience: 10, recovery: 8, discipline: 7 })
+    })
+
+    it('can leave soft targets out', () => {
+      expect(targetTiers(statTargets, { hardOnly: true })).toEqual({ resilience: 10, discipline: 7 })
+      expect(targetTiers(undefined)).toEqual({})
+    })
+  })
+
+  describe('evaluateStatTargets', () => {
+    it('reports met and missed targets with how far short they fall', () => {
+      const report = evaluateStatTargets({ resilience: 100, recovery: 60, discipline: 40 }, statTargets)
+
+      expect(report.met).toEqual(['resilience'])
+      expect(report.missed).toEqual(['recovery', 'discipline'])
+      expect(report.targets).toEqual(expect.arrayContaining([
+        { stat: 'recovery', target: 75, hard: false, achieved: 60, met: false, shortBy: 15 },
+        { stat: 'discipline', target: 70, hard: true, achieved: 40, met: false, shortBy: 30 }
+      ]))
+      expect(report.hardMet).toBe(false)
+    })
+
+    it('only fails hardMet for hard targets', () => {
+      const report = evaluateStatTargets({ resilience: 110, recovery: 0, discipline: 70 }, statTargets)
+
+      expect(report.missed).toEqual(['recovery'])
+      expect(report.hardMet).toBe(true)
+    })
+  })
+})
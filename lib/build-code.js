@@ -0,0 +1,373 @@
+// lib/build-code.js
+// Compact, URL-safe build share codes - encoded and decoded entirely client-side, no server or storage needed
+
+import { BUILD_SLOTS, getSlotItem, setSlotItem } from './build-diff'
+
+export const BUILD_CODE_VERSION = 1
+
+// Order matters: bit n of the stat mask is STAT_ORDER[n]. Append only.
+const STAT_ORDER = [
+  'mobility', 'resilience', 'recovery', 'discipline', 'intellect', 'strength',
+  'weapons', 'health', 'class', 'super', 'grenade', 'melee'
+]
+const CLASS_ORDER = ['titan', 'hunter', 'warlock', 'any']
+
+const MAX_NAME_LENGTH = 100
+const MAX_STRING_BYTES = 255
+const MOD_HASH = 0
+const MOD_NAME = 1
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+
+/**
+ * Encode a build as a share code.
+ * Layout: version byte, payload, CRC-32 of both (4 bytes LE), all base64url without padding.
+ * @param {Object} build - Generated or saved build (the inner `build` of a saved record)
+ * @returns {string} Share code
+ */
+export function encodeBuildCode(build) {
+  if (!build || typeof build !== 'object') {
+    throw new Error('Build is required')
+  }
+
+  const writer = new ByteWriter()
+  writer.byte(BUILD_CODE_VERSION)
+
+  // Metadata
+  const metadata = build.metadata || {}
+  writer.string((metadata.name || build.name || '').slice(0, MAX_NAME_LENGTH))
+  const classIndex = CLASS_ORDER.indexOf(metadata.class || build.guardianClass || 'any')
+  writer.byte(classIndex === -1 ? CLASS_ORDER.indexOf('any') : classIndex)
+  writer.string(metadata.element || '')
+  writer.string(metadata.activity || build.activity || '')
+
+  // Items - a slot mask, then one hash per filled slot
+  const slotHashes = BUILD_SLOTS.map(slot => getItemHash(getSlotItem(build, slot)))
+  writer.varint(slotHashes.reduce((mask, hash, index) => hash ? mask | (1 << index) : mask, 0))
+  slotHashes.forEach(hash => {
+    if (hash) writer.uint32(hash)
+  })
+
+  // Subclass plugs (hash 0 when the build has no manifest subclass)
+  const subclass = typeof build.loadout?.subclass === 'object' ? build.loadout.subclass : null
+  writer.uint32(getItemHash(subclass) || 0)
+  writer.uint32(getItemHash(subclass?.super) || 0)
+  writeHashList(writer, subclass?.aspects)
+  writeHashList(writer, subclass?.fragments)
+
+  // Mods - loadout mods by category, then the flat mod list some builds carry
+  const modCategories = Object.entries(build.loadout?.mods || {}).filter(([, mods]) => Array.isArray(mods))
+  writer.varint(modCategories.length)
+  modCategories.forEach(([category, mods]) => {
+    writer.string(category)
+    writeModList(writer, mods)
+  })
+  writeModList(writer, Array.isArray(build.mods) ? build.mods : [])
+
+  // Stat targets
+  const stats = getStatValues(build.stats)
+  writer.varint(STAT_ORDER.reduce((mask, stat, index) => stats[stat] !== undefined ? mask | (1 << index) : mask, 0))
+  STAT_ORDER.forEach(stat => {
+    if (stats[stat] !== undefined) writer.varint(stats[stat])
+  })
+
+  const bytes = writer.toBytes()
+  return toBase64Url(appendChecksum(bytes))
+}
+
+/**
+ * Decode and validate a share code
+ * @param {string} code - Share code (surrounding whitespace is ignored)
+ * @returns {Object} Build with hash-only items - pass it through resolveBuildItems (lib/build-diff) to fill in names
+ */
+export function decodeBuildCode(code) {
+  const bytes = fromBase64Url(String(code || '').trim())
+  if (bytes.length < 5) {
+    throw new Error('Build code is too short')
+  }
+
+  const payload = bytes.subarray(0, bytes.length - 4)
+  const checksum = readUint32(bytes, bytes.length - 4)
+  if (crc32(payload) !== checksum) {
+    throw new Error('Build code is damaged (checksum mismatch) - check it was copied completely')
+  }
+
+  const reader = new ByteReader(payload)
+  const version = reader.byte()
+  if (version !== BUILD_CODE_VERSION) {
+    throw new Error(`Unsupported build code version ${version}`)
+  }
+
+  const name = reader.string()
+  const guardianClass = CLASS_ORDER[reader.byte()] || 'any'
+  const element = reader.string()
+  const activity = reader.string()
+
+  let build = {
+    metadata: {
+      name: name || 'Imported Build',
+      class: guardianClass,
+      element: element || 'any',
+      activity: activity || 'general_pve',
+      importedFrom: 'build-code',
+      codeVersion: version
+    },
+    loadout: { weapons: {}, armor: {} }
+  }
+
+  const slotMask = reader.varint()
+  BUILD_SLOTS.forEach((slot, index) => {
+    if (slotMask & (1 << index)) {
+      build = setSlotItem(build, slot, { hash: reader.uint32() })
+    }
+  })
+
+  const subclassHash = reader.uint32()
+  const superHash = reader.uint32()
+  const aspects = readHashList(reader)
+  const fragments = readHashList(reader)
+  if (subclassHash) {
+    build.loadout.subclass = {
+      hash: subclassHash,
+      super: superHash ? { hash: superHash } : null,
+      aspects: aspects.map(hash => ({ hash })),
+      fragments: fragments.map(hash => ({ hash }))
+    }
+  }
+
+  const categoryCount = reader.varint()
+  const mods = {}
+  for (let i = 0; i < categoryCount; i++) {
+    const category = reader.string()
+    mods[category] = readModList(reader).map(mod => mod.name || mod)
+  }
+  build.loadout.mods = mods
+
+  const flatMods = readModList(reader)
+  if (flatMods.length > 0) build.mods = flatMods
+
+  const statMask = reader.varint()
+  const stats = {}
+  STAT_ORDER.forEach((stat, index) => {
+    if (statMask & (1 << index)) stats[stat] = reader.varint()
+  })
+  build.stats = stats
+
+  if (!reader.isDone()) {
+    throw new Error('Build code has unexpected trailing data')
+  }
+
+  return build
+}
+
+/**
+ * Check a share code without throwing
+ * @param {string} code - Share code
+ * @returns {Object} { valid, build } or { valid: false, error }
+ */
+export function validateBuildCode(code) {
+  try {
+    return { valid: true, build: decodeBuildCode(code) }
+  } catch (error) {
+    return { valid: false, error: error.message }
+  }
+}
+
+function getItemHash(item) {
+  const hash = Number(item?.hash || item?.itemHash)
+  return Number.isInteger(hash) && hash > 0 ? hash >>> 0 : null
+}
+
+function getStatValues(stats = {}) {
+  const values = {}
+  const sources = [stats?.totalStats || {}, stats || {}]
+  sources.forEach(source => {
+    STAT_ORDER.forEach(stat => {
+      const value = source[stat]
+      if (typeof value === 'number' && value >= 0) values[stat] = Math.round(value)
+    })
+  })
+  return values
+}
+
+function writeHashList(writer, entries = []) {
+  const hashes = (entries || []).map(getItemHash).filter(Boolean)
+  writer.varint(hashes.length)
+  hashes.forEach(hash => writer.uint32(hash))
+}
+
+function readHashList(reader) {
+  const count = reader.varint()
+  return Array.from({ length: count }, () => reader.uint32())
+}
+
+function writeModList(writer, mods) {
+  writer.varint(mods.length)
+  mods.forEach(mod => {
+    const hash = typeof mod === 'object' ? getItemHash(mod) : null
+    if (hash) {
+      writer.byte(MOD_HASH)
+      writer.uint32(hash)
+    } else {
+      writer.byte(MOD_NAME)
+      writer.string(typeof mod === 'string' ? mod : mod?.name || '')
+    }
+  })
+}
+
+function readModList(reader) {
+  const count = reader.varint()
+  return Array.from({ length: count }, () => {
+    const tag = reader.byte()
+    if (tag === MOD_HASH) return { hash: reader.uint32() }
+    if (tag === MOD_NAME) return { name: reader.string() }
+    throw new Error(`Build code has an unknown mod entry (${tag})`)
+  })
+}
+
+class ByteWriter {
+  constructor() {
+    this.bytes = []
+  }
+
+  byte(value) {
+    this.bytes.push(value & 0xff)
+  }
+
+  uint32(value) {
+    for (let shift = 0; shift < 32; shift += 8) {
+      this.byte(value >>> shift)
+    }
+  }
+
+  // LEB128 - small counts and stat values take a single byte
+  varint(value) {
+    let remaining = value >>> 0
+    while (remaining >= 0x80) {
+      this.byte((remaining & 0x7f) | 0x80)
+      remaining >>>= 7
+    }
+    this.byte(remaining)
+  }
+
+  string(value) {
+    const encoded = new TextEncoder().encode(value).slice(0, MAX_STRING_BYTES)
+    this.varint(encoded.length)
+    encoded.forEach(byte => this.byte(byte))
+  }
+
+  toBytes() {
+    return Uint8Array.from(this.bytes)
+  }
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes
+    this.offset = 0
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length) {
+      throw new Error('Build code is truncated')
+    }
+    return this.bytes[this.offset++]
+  }
+
+  uint32() {
+    const value = readUint32(this.bytes, this.offset)
+    if (Number.isNaN(value)) {
+      throw new Error('Build code is truncated')
+    }
+    this.offset += 4
+    return value
+  }
+
+  varint() {
+    let value = 0
+    for (let shift = 0; shift < 35; shift += 7) {
+      const byte = this.byte()
+      value += (byte & 0x7f) * 2 ** shift
+      if (!(byte & 0x80)) return value
+    }
+    throw new Error('Build code has an invalid number')
+  }
+
+  string() {
+    const length = this.varint()
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Build code is truncated')
+    }
+    const value = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length))
+    this.offset += length
+    return value
+  }
+
+  isDone() {
+    return this.offset === this.bytes.length
+  }
+}
+
+function readUint32(bytes, offset) {
+  if (offset + 4 > bytes.length) return NaN
+  return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0
+}
+
+let crcTable = null
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      }
+      return c >>> 0
+    })
+  }
+
+  let crc = 0xffffffff
+  bytes.forEach(byte => {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  })
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+function appendChecksum(bytes) {
+  const checksum = crc32(bytes)
+  const result = new Uint8Array(bytes.length + 4)
+  result.set(bytes)
+  for (let i = 0; i < 4; i++) {
+    result[bytes.length + i] = (checksum >>> (i * 8)) & 0xff
+  }
+  return result
+}
+
+// Base64url by hand - Buffer isn't available in the browser and btoa only takes strings
+function toBase64Url(bytes) {
+  let output = ''
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0)
+    const chars = Math.min(4, Math.ceil((bytes.length - i) * 4 / 3))
+    for (let j = 0; j < chars; j++) {
+      output += BASE64URL[(chunk >>> (18 - j * 6)) & 0x3f]
+    }
+  }
+  return output
+}
+
+function fromBase64Url(code) {
+  if (!/^[A-Za-z0-9_-]*$/.test(code) || code.length % 4 === 1) {
+    throw new Error('Not a valid build code')
+  }
+
+  const bytes = []
+  for (let i = 0; i < code.length; i += 4) {
+    const chars = code.slice(i, i + 4)
+    const chunk = chars.split('').reduce((value, char, j) => value | (BASE64URL.indexOf(char) << (18 - j * 6)), 0)
+    for (let j = 0; j < chars.length - 1; j++) {
+      bytes.push((chunk >>> (16 - j * 8)) & 0xff)
+    }
+  }
+  return Uint8Array.from(bytes)
+}
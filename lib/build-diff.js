@@ -0,0 +1,185 @@
+// lib/build-diff.js
+// Slot access, manifest resolution and diffing for builds - shared by BuildManager, build codes and the build pages
+
+// Display slot -> where generated builds keep the item under loadout
+const WEAPON_SLOTS = { kinetic: 'primary', energy: 'special', power: 'heavy' }
+const ARMOR_SLOTS = ['helmet', 'gauntlets', 'chest', 'legs', 'classItem']
+
+export const BUILD_SLOTS = [...Object.keys(WEAPON_SLOTS), ...ARMOR_SLOTS]
+
+/**
+ * Item in a display slot - generated builds keep items under loadout, older saved builds flat by slot
+ * @param {Object} build - Build object
+ * @param {string} slot - kinetic, energy, power or an armor slot
+ * @returns {Object|null} Item in that slot
+ */
+export function getSlotItem(build, slot) {
+  return build?.[slot] ||
+    build?.loadout?.weapons?.[WEAPON_SLOTS[slot]] ||
+    build?.loadout?.armor?.[slot] ||
+    null
+}
+
+/**
+ * Copy of a build with one slot replaced (null clears the slot)
+ * @param {Object} build - Build object
+ * @param {string} slot - kinetic, energy, power or an armor slot
+ * @param {Object|null} item - New item
+ * @returns {Object} Updated build
+ */
+export function setSlotItem(build, slot, item) {
+  // Legacy flat builds keep their shape
+  if (build[slot]) {
+    return { ...build, [slot]: item }
+  }
+
+  const loadout = build.loadout || {}
+
+  if (WEAPON_SLOTS[slot]) {
+    return {
+      ...build,
+      loadout: {
+        ...loadout,
+        weapons: { ...loadout.weapons, [WEAPON_SLOTS[slot]]: item }
+      }
+    }
+  }
+
+  if (ARMOR_SLOTS.includes(slot)) {
+    return {
+      ...build,
+      loadout: {
+        ...loadout,
+        armor: { ...loadout.armor, [slot]: item }
+      }
+    }
+  }
+
+  throw new Error(`Unknown build slot: ${slot}`)
+}
+
+/**
+ * Fill in names and icons for hash-only build items from manifest item definitions.
+ * Hashes the manifest doesn't know are kept and flagged unresolved.
+ * @param {Object} build - Build with hash-only items (decoded share codes, imported DIM loadouts)
+ * @param {Object} itemDefinitions - DestinyInventoryItemDefinition table
+ * @returns {Object} Build with resolved items
+ */
+export function resolveBuildItems(build, itemDefinitions = {}) {
+  const resolve = (entry) => {
+    if (!entry?.hash) return entry
+    const definition = itemDefinitions[entry.hash]
+    if (!definition) return { ...entry, name: entry.name || `Unknown item ${entry.hash}`, resolved: false }
+
+    return {
+      ...entry,
+      name: definition.displayProperties?.name,
+      icon: definition.displayProperties?.icon,
+      type: definition.itemTypeDisplayName,
+      tierType: definition.inventory?.tierType,
+      isExotic: definition.inventory?.tierType === 6,
+      resolved: true
+    }
+  }
+
+  let resolved = { ...build }
+  BUILD_SLOTS.forEach(slot => {
+    const item = getSlotItem(build, slot)
+    if (item) resolved = setSlotItem(resolved, slot, resolve(item))
+  })
+
+  const subclass = build.loadout?.subclass
+  if (subclass?.hash) {
+    resolved.loadout = {
+      ...resolved.loadout,
+      subclass: {
+        ...resolve(subclass),
+        super: subclass.super ? resolve(subclass.super) : null,
+        aspects: (subclass.aspects || []).map(resolve),
+        fragments: (subclass.fragments || []).map(resolve)
+      }
+    }
+  }
+
+  if (Array.isArray(build.mods)) {
+    resolved.mods = build.mods.map(mod => mod.hash ? resolve(mod) : mod)
+  }
+
+  return resolved
+}
+
+/**
+ * Describe what changed between two versions of a build
+ * @param {Object} before - Earlier build
+ * @param {Object} after - Later build
+ * @returns {Object} { items, stats, subclass, modsAdded, modsRemoved, summary, hasChanges }
+ */
+export function diffBuilds(before = {}, after = {}) {
+  const items = []
+  BUILD_SLOTS.forEach(slot => {
+    const from = getSlotItem(before, slot)
+    const to = getSlotItem(after, slot)
+    if (getItemKey(from) === getItemKey(to)) return
+
+    items.push({ slot, from: from?.name || null, to: to?.name || null })
+  })
+
+  const beforeStats = getNumericStats(before.stats)
+  const afterStats = getNumericStats(after.stats)
+  const stats = []
+  new Set([...Object.keys(beforeStats), ...Object.keys(afterStats)]).forEach(stat => {
+    const from = beforeStats[stat] ?? null
+    const to = afterStats[stat] ?? null
+    if (from !== to) stats.push({ stat, from, to })
+  })
+
+  const beforeSubclass = getSubclassName(before)
+  const afterSubclass = getSubclassName(after)
+  const subclass = beforeSubclass !== afterSubclass ? { from: beforeSubclass, to: afterSubclass } : null
+
+  const beforeMods = new Set((before.mods || []).map(mod => mod.name))
+  const afterMods = new Set((after.mods || []).map(mod => mod.name))
+  const modsAdded = Array.from(afterMods).filter(name => !beforeMods.has(name))
+  const modsRemoved = Array.from(beforeMods).filter(name => !afterMods.has(name))
+
+  const summary = [
+    ...items.map(change => `${change.slot}: ${change.from || 'empty'} → ${change.to || 'empty'}`),
+    ...(subclass ? [`subclass: ${subclass.from || 'none'} → ${subclass.to || 'none'}`] : []),
+    ...(modsAdded.length > 0 ? [`mods added: ${modsAdded.join(', ')}`] : []),
+    ...(modsRemoved.length > 0 ? [`mods removed: ${modsRemoved.join(', ')}`] : []),
+    ...(stats.length > 0 ? [`${stats.length} stat${stats.length === 1 ? '' : 's'} changed`] : [])
+  ]
+
+  return {
+    items,
+    stats,
+    subclass,
+    modsAdded,
+    modsRemoved,
+    summary,
+    hasChanges: summary.length > 0
+  }
+}
+
+// Instance id when owned, otherwise the definition hash, otherwise the name
+function getItemKey(item) {
+  if (!item) return null
+  return String(item.itemInstanceId || item.hash || item.itemHash || item.name)
+}
+
+function getNumericStats(stats = {}) {
+  const values = {}
+  const sources = [stats, stats.totalStats || {}]
+  sources.forEach(source => {
+    Object.entries(source).forEach(([stat, value]) => {
+      if (typeof value === 'number') values[stat] = value
+    })
+  })
+  return values
+}
+
+function getSubclassName(build) {
+  const subclass = build.loadout?.subclass || build.subclass
+  if (!subclass) return null
+  return typeof subclass === 'string' ? subclass : subclass.name || null
+}
@@ -1,10 +1,38 @@
 // lib/build-manager.js
-// Updated Build Manager for serverless environments (Vercel)
+// Build Manager - saved builds and friend shares, persisted through the configured storage backend
 
 import crypto from 'crypto'
+import { getStorage } from './storage'
+import { diffBuilds } from './build-diff'
+import { encodeBuildCode, validateBuildCode } from './build-code'
+import { exportDimLoadout, importDimLoadout, getDimLoadouts } from './dim-loadout'
+import { loadUserFriends } from './friends-store'
+
+const BUILDS_COLLECTION = 'builds'
+const SENT_BUILDS_COLLECTION = 'sent-builds'
+const RECEIVED_BUILDS_COLLECTION = 'received-builds'
+const REVISIONS_COLLECTION = 'build-revisions'
+const MAX_BUILDS = 50
+const MAX_REVISIONS = 25
+const FRIEND_SHARE_DAYS = 7
+const SHARES_COLLECTION = 'shares'
+const USER_SHARES_COLLECTION = 'user-shares'
+const DEFAULT_SHARE_DAYS = 30
+const MAX_SHARE_DAYS = 365
+
+// public: anyone with the link, signed-in: any Bungie.net user, friends: the owner's friends
+const SHARE_TYPES = ['public', 'signed-in', 'friends']
+const SHARE_PERMISSIONS = ['view', 'copy']
+// Every share link id generateShareId has ever produced
+const SHARE_ID_PATTERN = /^share-[0-9a-f]{32}$/
+const BUILD_CODES_FORMAT = 'destiny-build-codes-v1'
 
 class BuildManager {
-  constructor() {
+  /**
+   * @param {Object} storage - Storage adapter (defaults to the configured backend, see lib/storage)
+   */
+  constructor(storage = getStorage()) {
+    this.storage = storage
     this.initialized = false
     this.version = '2.0.0'
     this.isServerless = process.env.VERCEL || process.env.NETLIFY || process.env.AWS_LAMBDA_FUNCTION_NAME
@@ -13,16 +41,13 @@ class BuildManager {
   async initialize() {
     if (this.initialized) return
     
-    console.log(`🏗️ Initializing Build Manager (${this.isServerless ? 'Serverless' : 'Local'} mode)`)
-    
-    // In serverless environments, we can't use filesystem persistence
-    // Instead we'll need to use external storage or return temporary results
+    console.log(`🏗️ Initializing Build Manager (${this.storage.name} storage)`)
     
     this.initialized = true
   }
 
-  // Save a build (serverless-friendly)
-  async saveBuild(userId, buildData) {
+  // Save a build to the user's build list
+  async saveBuild(userId, buildData, details = {}) {
     await this.initialize()
     
     try {
@@ -35,63 +60,51 @@ class BuildManager {
       const buildId = this.generateBuildId()
       const timestamp = new Date().toISOString()
 
-      // Create comprehensive build record
       const build = {
         id: buildId,
         userId,
-        name: buildData.name || buildData.metadata?.name || 'Untitled Build',
-        description: buildData.description || buildData.metadata?.description || '',
-        
-        // Build data structure
-        metadata: {
-          ...buildData.metadata,
-          createdAt: timestamp,
-          updatedAt: timestamp,
-          version: this.version,
-          buildId
-        },
-        
-        // Loadout information
-        loadout: this.sanitizeLoadout(buildData.loadout || buildData.items),
+        name: details.name || buildData.name || buildData.metadata?.name || 'Untitled Build',
+        description: details.description || buildData.description || buildData.metadata?.description || 'No description provided',
+        tags: Array.isArray(details.tags) ? details.tags : (Array.isArray(buildData.tags) ? buildData.tags : []),
         
-        // Stats and scoring
-        stats: buildData.stats || {},
-        score: buildData.score || 0,
-        synergies: buildData.synergies || [],
+        // The full generated build, as BuildDisplay renders it
+        build: this.sanitizeBuildData(buildData),
         
         // Activity and class info
         activity: buildData.activity || buildData.metadata?.activity || 'general_pve',
         guardianClass: buildData.guardianClass || buildData.metadata?.class || 'any',
-        
-        // Tags and categorization
-        tags: Array.isArray(buildData.tags) ? buildData.tags : [],
         isPublic: buildData.isPublic || false,
         
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        version: this.version,
+        revision: 1,
+        
         // Usage tracking
-        usage: {
+        stats: {
           timesUsed: 0,
           lastUsed: null,
-          rating: null,
-          favorites: 0
+          rating: null
         }
       }
 
-      // In serverless environment, we can't persist to filesystem
-      if (this.isServerless) {
-        console.log(`💾 Build saved temporarily: ${build.name} (ID: ${buildId})`)
-        console.warn('⚠️ Serverless environment: Build will not persist between sessions')
-        
-        // Return success with warning about persistence
-        return {
-          success: true,
-          buildId,
-          build,
-          warning: 'Build saved temporarily - will not persist between sessions',
-          note: 'Consider implementing database storage for production use'
+      await this.storage.update(BUILDS_COLLECTION, userId, builds => {
+        // Refuse rather than drop old builds - their revisions and shares would be orphaned
+        if (builds.length >= MAX_BUILDS) {
+          const error = new Error(`You already have ${MAX_BUILDS} saved builds - delete one before saving another`)
+          error.code = 'BUILD_LIMIT_REACHED'
+          throw error
         }
-      } else {
-        // In local development, attempt filesystem storage
-        return await this.saveToFilesystem(userId, build)
+        return [...builds, build]
+      }, [])
+      await this.recordRevision(userId, build, details.message || 'Created build')
+
+      console.log(`💾 Build saved: ${build.name} (ID: ${buildId})`)
+
+      return {
+        success: true,
+        buildId,
+        build
       }
       
     } catch (error) {
@@ -99,122 +112,573 @@ class BuildManager {
       return {
         success: false,
         error: error.message,
+        code: error.code,
         details: process.env.NODE_ENV === 'development' ? error.stack : undefined
       }
     }
   }
 
-  // Load user builds (serverless-friendly)
+  // Load user builds, newest first. Storage failures throw - an empty list would read as "no builds" or "build not found"
   async loadUserBuilds(userId) {
     await this.initialize()
-    
-    try {
-      if (!userId) {
-        throw new Error('User ID is required')
-      }
 
-      // In serverless environment, we can't load from filesystem
-      if (this.isServerless) {
-        console.log(`📁 Loading builds for user ${userId} (serverless mode)`)
-        console.warn('⚠️ Serverless environment: No persistent storage available')
-        
-        // Return empty array with explanation
-        return {
-          builds: [],
-          message: 'No persistent storage in serverless environment',
-          suggestion: 'Builds are saved temporarily per session only'
-        }
-      } else {
-        // In local development, attempt filesystem loading
-        return await this.loadFromFilesystem(userId)
-      }
-      
-    } catch (error) {
-      console.error('❌ Failed to load builds:', error)
-      return {
-        builds: [],
-        error: error.message
+    if (!userId) {
+      throw new Error('User ID is required')
+    }
+
+    const builds = await this.storage.get(BUILDS_COLLECTION, userId) || []
+
+    return {
+      builds: builds.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    }
+  }
+
+  async getBuild(userId, buildId) {
+    const { builds } = await this.loadUserBuilds(userId)
+    return builds.find(build => build.id === buildId) || null
+  }
+
+  /**
+   * Update a saved build's details or build data. Build data changes are recorded as a new revision.
+   * @param {string} userId - Owner membership id
+   * @param {string} buildId - Saved build id
+   * @param {Object} changes - { name, description, tags, build, message }
+   * @returns {Object} { success, build, changes } where changes lists what the new revision altered
+   */
+  async updateBuild(userId, buildId, changes = {}) {
+    await this.initialize()
+
+    let previousBuild = null
+    let updatedBuild = null
+    await this.storage.update(BUILDS_COLLECTION, userId, builds => builds.map(existing => {
+      if (existing.id !== buildId) return existing
+
+      const currentRevision = existing.revision || 1
+      previousBuild = existing
+      updatedBuild = {
+        ...existing,
+        name: changes.name || existing.name,
+        description: changes.description || existing.description,
+        tags: changes.tags || existing.tags,
+        build: changes.build ? this.sanitizeBuildData(changes.build) : existing.build,
+        revision: changes.build ? currentRevision + 1 : currentRevision,
+        updatedAt: new Date().toISOString()
       }
+      return updatedBuild
+    }), [])
+
+    if (!updatedBuild) {
+      return { success: false, error: 'Build not found' }
     }
+
+    const revisionChanges = changes.build
+      ? await this.recordRevision(userId, updatedBuild, changes.message || 'Edited build', previousBuild)
+      : null
+
+    return { success: true, build: updatedBuild, changes: revisionChanges }
+  }
+
+  async renameBuild(userId, buildId, name) {
+    const trimmed = (name || '').trim()
+    if (!trimmed) {
+      return { success: false, error: 'Build name is required' }
+    }
+    if (trimmed.length > 100) {
+      return { success: false, error: 'Build name must be 100 characters or less' }
+    }
+
+    return this.updateBuild(userId, buildId, { name: trimmed })
+  }
+
+  // Copy a saved build (current revision only) into a new build
+  async duplicateBuild(userId, buildId, options = {}) {
+    const existing = await this.getBuild(userId, buildId)
+    if (!existing) {
+      return { success: false, error: 'Build not found' }
+    }
+
+    return this.saveBuild(userId, existing.build, {
+      name: options.name || `${existing.name} (Copy)`,
+      description: existing.description,
+      tags: existing.tags,
+      message: `Duplicated from ${existing.name}`
+    })
   }
 
-  // Delete a build
+  // Delete a build and its revision history
   async deleteBuild(userId, buildId) {
     await this.initialize()
-    
-    if (this.isServerless) {
-      return {
-        success: false,
-        error: 'Delete not supported in serverless environment',
-        message: 'Builds are temporary in serverless mode'
+
+    let found = false
+    await this.storage.update(BUILDS_COLLECTION, userId, builds => builds.filter(build => {
+      if (build.id === buildId) found = true
+      return build.id !== buildId
+    }), [])
+
+    if (!found) {
+      return { success: false, error: 'Build not found' }
+    }
+
+    await this.storage.delete(REVISIONS_COLLECTION, this.getRevisionKey(userId, buildId))
+    await this.deleteBuildShares(userId, buildId)
+
+    console.log(`🗑️ Build deleted for user ${userId}: ${buildId}`)
+    return { success: true }
+  }
+
+  /**
+   * Append a revision snapshot for a saved build
+   * @param {string} userId - Owner membership id
+   * @param {Object} record - Saved build record after the change
+   * @param {string} message - What the revision did
+   * @param {Object} previousRecord - Record before the change (seeds history for builds saved before revisions existed)
+   * @returns {Array} Human-readable list of changes from the previous revision
+   */
+  async recordRevision(userId, record, message, previousRecord = null) {
+    const changes = previousRecord ? diffBuilds(previousRecord.build, record.build).summary : []
+
+    await this.storage.update(REVISIONS_COLLECTION, this.getRevisionKey(userId, record.id), revisions => {
+      const history = [...revisions]
+
+      if (history.length === 0 && previousRecord) {
+        history.push(this.createRevision(previousRecord, 'Original version', []))
       }
+
+      history.push(this.createRevision(record, message, changes))
+      return history.slice(-MAX_REVISIONS)
+    }, [])
+
+    return changes
+  }
+
+  createRevision(record, message, changes) {
+    return {
+      revision: record.revision || 1,
+      createdAt: record.updatedAt || record.createdAt,
+      name: record.name,
+      message,
+      changes,
+      build: record.build
     }
-    
-    // Local filesystem deletion would go here
+  }
+
+  // Revision history without the build snapshots, newest first
+  async getRevisions(userId, buildId) {
+    const existing = await this.getBuild(userId, buildId)
+    if (!existing) {
+      return { success: false, error: 'Build not found' }
+    }
+
+    const revisions = await this.storage.get(REVISIONS_COLLECTION, this.getRevisionKey(userId, buildId)) || []
+
+    return {
+      success: true,
+      currentRevision: existing.revision || 1,
+      revisions: revisions
+        .map(({ build, ...revision }) => revision)
+        .reverse()
+    }
+  }
+
+  async getRevision(userId, buildId, revisionNumber) {
+    const revisions = await this.storage.get(REVISIONS_COLLECTION, this.getRevisionKey(userId, buildId)) || []
+    return revisions.find(revision => revision.revision === Number(revisionNumber)) || null
+  }
+
+  /**
+   * Diff two revisions of a build
+   * @param {string|number} fromRevision - Earlier revision number
+   * @param {string|number} toRevision - Later revision number, or 'current'
+   */
+  async diffRevisions(userId, buildId, fromRevision, toRevision = 'current') {
+    const existing = await this.getBuild(userId, buildId)
+    if (!existing) {
+      return { success: false, error: 'Build not found' }
+    }
+
+    const from = await this.getRevision(userId, buildId, fromRevision)
+    const to = toRevision === 'current'
+      ? { revision: existing.revision || 1, build: existing.build }
+      : await this.getRevision(userId, buildId, toRevision)
+
+    if (!from || !to) {
+      return { success: false, error: 'Revision not found' }
+    }
+
     return {
-      success: false,
-      error: 'Filesystem operations not implemented in this version'
+      success: true,
+      from: from.revision,
+      to: to.revision,
+      diff: diffBuilds(from.build, to.build)
     }
   }
 
-  // Share a build
-  async shareBuild(userId, buildId, options = {}) {
+  // Restoring never rewrites history - the old snapshot becomes a new revision
+  async restoreRevision(userId, buildId, revisionNumber) {
+    const revision = await this.getRevision(userId, buildId, revisionNumber)
+    if (!revision) {
+      return { success: false, error: 'Revision not found' }
+    }
+
+    return this.updateBuild(userId, buildId, {
+      build: revision.build,
+      message: `Restored revision ${revision.revision}`
+    })
+  }
+
+  getRevisionKey(userId, buildId) {
+    return `${userId}-${buildId}`
+  }
+
+  /**
+   * Create a persisted share link for a saved build. The link always shows the build's current revision.
+   * @param {Object} owner - { membershipId, displayName }
+   * @param {string} buildId - Saved build to share
+   * @param {Object} options - { shareType, permissions, expiresInDays } - expiresInDays null never expires
+   * @returns {Object} { success, share, shareUrl }
+   */
+  async shareBuild(owner, buildId, options = {}) {
     await this.initialize()
-    
-    try {
-      // Generate shareable build data structure
-      const shareId = this.generateShareId()
-      const shareData = {
-        shareId,
-        buildId,
-        userId,
-        createdAt: new Date().toISOString(),
-        expiresAt: options.expiresAt || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(), // 30 days
-        shareType: options.shareType || 'public',
-        permissions: options.permissions || ['view']
+
+    const build = await this.getBuild(owner.membershipId, buildId)
+    if (!build) {
+      return { success: false, error: 'Build not found' }
+    }
+
+    const shareType = options.shareType || 'public'
+    if (!SHARE_TYPES.includes(shareType)) {
+      return { success: false, error: `Share type must be one of: ${SHARE_TYPES.join(', ')}` }
+    }
+
+    const permissions = Array.from(new Set(['view', ...(options.permissions || [])]))
+    const unknownPermission = permissions.find(permission => !SHARE_PERMISSIONS.includes(permission))
+    if (unknownPermission) {
+      return { success: false, error: `Unknown share permission: ${unknownPermission}` }
+    }
+
+    const expiresInDays = options.expiresInDays === undefined ? DEFAULT_SHARE_DAYS : options.expiresInDays
+    if (expiresInDays !== null && !(expiresInDays >= 1 && expiresInDays <= MAX_SHARE_DAYS)) {
+      return { success: false, error: `Share expiry must be between 1 and ${MAX_SHARE_DAYS} days` }
+    }
+
+    const timestamp = new Date().toISOString()
+    const share = {
+      shareId: this.generateShareId(),
+      buildId,
+      userId: owner.membershipId,
+      ownerName: owner.displayName || 'Guardian',
+      buildName: build.name,
+      shareType,
+      permissions,
+      createdAt: timestamp,
+      expiresAt: expiresInDays === null ? null : new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
+      revokedAt: null,
+      views: 0,
+      lastViewedAt: null
+    }
+
+    await this.storage.put(SHARES_COLLECTION, share.shareId, share)
+    await this.storage.update(USER_SHARES_COLLECTION, owner.membershipId, shareIds => [...shareIds, share.shareId], [])
+
+    console.log(`🔗 Share link created for build ${buildId}: ${share.shareId}`)
+
+    return {
+      success: true,
+      share: this.describeShare(share),
+      shareUrl: this.getShareUrl(share.shareId)
+    }
+  }
+
+  // Every share link the user has created (optionally for one build), newest first, with view counts
+  async getUserShares(userId, buildId = null) {
+    const shareIds = await this.storage.get(USER_SHARES_COLLECTION, userId) || []
+    const shares = await Promise.all(shareIds.map(shareId => this.storage.get(SHARES_COLLECTION, shareId)))
+
+    return {
+      success: true,
+      shares: shares
+        .filter(share => share && (!buildId || share.buildId === buildId))
+        .map(share => ({ ...this.describeShare(share), shareUrl: this.getShareUrl(share.shareId) }))
+        .reverse()
+    }
+  }
+
+  async revokeShare(userId, shareId) {
+    const share = await this.getShare(shareId)
+    if (!share || share.userId !== userId) {
+      return { success: false, error: 'Share not found', code: 'SHARE_NOT_FOUND' }
+    }
+
+    if (!share.revokedAt) {
+      await this.storage.put(SHARES_COLLECTION, shareId, { ...share, revokedAt: new Date().toISOString() })
+      console.log(`🚫 Share link revoked: ${shareId}`)
+    }
+
+    return { success: true }
+  }
+
+  /**
+   * Resolve a share link for a viewer, enforcing revocation, expiry and share type
+   * @param {string} shareId - Share link id
+   * @param {Object|null} viewer - Signed-in user ({ membershipId, displayName }) or null
+   * @param {Object} options - { countView } - owners viewing their own link are never counted
+   * @returns {Object} { success, share, build, canCopy } or { success: false, error, code }
+   */
+  async getSharedBuild(shareId, viewer = null, options = {}) {
+    const { countView = true } = options
+
+    const share = await this.getShare(shareId)
+    if (!share) {
+      return { success: false, error: 'Share not found', code: 'SHARE_NOT_FOUND' }
+    }
+
+    const status = this.getShareStatus(share)
+    if (status === 'revoked') {
+      return { success: false, error: 'This share link has been revoked', code: 'SHARE_REVOKED' }
+    }
+    if (status === 'expired') {
+      return { success: false, error: 'This share link has expired', code: 'SHARE_EXPIRED' }
+    }
+
+    const isOwner = viewer?.membershipId === share.userId
+    if (share.shareType !== 'public' && !viewer) {
+      return { success: false, error: 'Sign in to view this build', code: 'AUTH_REQUIRED' }
+    }
+    if (share.shareType === 'friends' && !isOwner) {
+      const { friends = [] } = await loadUserFriends(share.userId)
+      if (!friends.some(friend => friend.membershipId === viewer.membershipId)) {
+        return { success: false, error: 'This build is only shared with friends', code: 'FORBIDDEN' }
       }
+    }
+
+    const { builds } = await this.loadUserBuilds(share.userId)
+
+    const build = builds.find(candidate => candidate.id === share.buildId)
+    if (!build) {
+      return { success: false, error: 'The shared build no longer exists', code: 'SHARE_NOT_FOUND' }
+    }
+
+    let views = share.views
+    if (countView && !isOwner) {
+      const updated = await this.storage.update(SHARES_COLLECTION, shareId, current => ({
+        ...current,
+        views: (current.views || 0) + 1,
+        lastViewedAt: new Date().toISOString()
+      }), share)
+      views = updated.views
+    }
+
+    return {
+      success: true,
+      share: { ...this.describeShare(share), views },
+      build: {
+        name: build.name,
+        description: build.description,
+        tags: build.tags,
+        activity: build.activity,
+        guardianClass: build.guardianClass,
+        revision: build.revision || 1,
+        updatedAt: build.updatedAt,
+        build: build.build
+      },
+      isOwner,
+      canCopy: Boolean(viewer) && !isOwner && share.permissions.includes('copy')
+    }
+  }
+
+  // Save a copy of a shared build into the viewer's own builds (needs the 'copy' permission)
+  async copySharedBuild(shareId, viewer) {
+    const result = await this.getSharedBuild(shareId, viewer, { countView: false })
+    if (!result.success) return result
+
+    if (!result.canCopy) {
+      return { success: false, error: 'This build cannot be copied', code: 'FORBIDDEN' }
+    }
+
+    return this.saveBuild(viewer.membershipId, result.build.build, {
+      name: result.build.name,
+      description: result.build.description,
+      tags: result.build.tags,
+      message: `Copied from ${result.share.ownerName}'s shared build`
+    })
+  }
+
+  /**
+   * Load a share record
+   * @returns {Object|null} The share, or null when no such link exists - storage failures are thrown
+   */
+  async getShare(shareId) {
+    // Malformed ids can't name a stored share - treat them like any unknown link
+    if (!SHARE_ID_PATTERN.test(String(shareId))) return null
+    return this.storage.get(SHARES_COLLECTION, shareId)
+  }
 
-      if (this.isServerless) {
-        return {
-          success: true,
-          shareId,
-          shareData,
-          warning: 'Share created temporarily - use database for production',
-          shareUrl: `${process.env.NEXTAUTH_URL || 'http://localhost:3000'}/builds/shared/${shareId}`
+  getShareStatus(share) {
+    if (share.revokedAt) return 'revoked'
+    if (share.expiresAt && new Date(share.expiresAt) <= new Date()) return 'expired'
+    return 'active'
+  }
+
+  // Share record as shown to owners and viewers
+  describeShare(share) {
+    return {
+      shareId: share.shareId,
+      buildId: share.buildId,
+      buildName: share.buildName,
+      ownerName: share.ownerName,
+      shareType: share.shareType,
+      permissions: share.permissions,
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      revokedAt: share.revokedAt,
+      views: share.views || 0,
+      lastViewedAt: share.lastViewedAt,
+      status: this.getShareStatus(share)
+    }
+  }
+
+  getShareUrl(shareId) {
+    return `${process.env.NEXTAUTH_URL || 'http://localhost:3000'}/builds/shared/${shareId}`
+  }
+
+  // Drop every share link pointing at a deleted build
+  async deleteBuildShares(userId, buildId) {
+    const { shares } = await this.getUserShares(userId, buildId)
+    if (shares.length === 0) return
+
+    const removed = new Set(shares.map(share => share.shareId))
+    await Promise.all(shares.map(share => this.storage.delete(SHARES_COLLECTION, share.shareId)))
+    await this.storage.update(USER_SHARES_COLLECTION, userId, shareIds => shareIds.filter(shareId => !removed.has(shareId)), [])
+  }
+
+  /**
+   * Send a build to a friend - copies land in the sender's sent list and the recipient's received list
+   * @param {Object} sender - { membershipId, displayName }
+   * @param {string} recipientMembershipId - Friend receiving the build
+   * @param {Object} buildData - Build being shared
+   */
+  async sendBuildToFriend(sender, recipientMembershipId, buildData) {
+    await this.initialize()
+
+    const buildId = this.generateBuildId()
+    const timestamp = new Date().toISOString()
+
+    const sharedBuild = {
+      id: buildId,
+      metadata: {
+        name: buildData.name || 'Shared Build',
+        description: buildData.description || '',
+        class: buildData.class,
+        subclass: buildData.subclass,
+        createdAt: timestamp,
+        sender: {
+          membershipId: sender.membershipId,
+          displayName: sender.displayName
+        },
+        recipient: {
+          membershipId: recipientMembershipId
         }
+      },
+      loadout: buildData.loadout,
+      sharing: {
+        status: 'sent',
+        sharedAt: timestamp,
+        expiresAt: new Date(Date.now() + (FRIEND_SHARE_DAYS * 24 * 60 * 60 * 1000)).toISOString()
       }
+    }
 
-      return shareData
-      
-    } catch (error) {
-      console.error('❌ Failed to share build:', error)
+    await this.storage.update(SENT_BUILDS_COLLECTION, sender.membershipId, builds => [...builds, sharedBuild], [])
+    await this.storage.update(RECEIVED_BUILDS_COLLECTION, recipientMembershipId, builds => [...builds, sharedBuild], [])
+
+    return {
+      success: true,
+      buildId,
+      sharedBuild
+    }
+  }
+
+  // Builds friends have sent this user, newest first
+  async getReceivedBuilds(membershipId) {
+    await this.initialize()
+
+    const builds = await this.storage.get(RECEIVED_BUILDS_COLLECTION, membershipId) || []
+    return builds.sort((a, b) => new Date(b.sharing.sharedAt) - new Date(a.sharing.sharedAt))
+  }
+
+  async markBuildViewed(membershipId, buildId) {
+    await this.initialize()
+
+    let found = false
+    await this.storage.update(RECEIVED_BUILDS_COLLECTION, membershipId, builds => builds.map(build => {
+      if (build.id !== buildId) return build
+
+      found = true
       return {
-        success: false,
-        error: error.message
+        ...build,
+        sharing: {
+          ...build.sharing,
+          status: 'viewed',
+          viewedAt: new Date().toISOString()
+        }
       }
-    }
+    }), [])
+
+    return found ? { success: true } : { success: false, error: 'Build not found' }
+  }
+
+  async deleteReceivedBuild(membershipId, buildId) {
+    await this.initialize()
+
+    let found = false
+    await this.storage.update(RECEIVED_BUILDS_COLLECTION, membershipId, builds => builds.filter(build => {
+      if (build.id === buildId) found = true
+      return build.id !== buildId
+    }), [])
+
+    return found ? { success: true } : { success: false, error: 'Build not found' }
   }
 
   // Get build statistics
   async getBuildStats(userId) {
-    await this.initialize()
-    
-    if (this.isServerless) {
-      return {
-        total: 0,
-        byClass: {},
-        byActivity: {},
-        recentBuilds: [],
-        mostUsedItems: {},
-        message: 'Stats not available in serverless mode'
+    const { builds } = await this.loadUserBuilds(userId)
+    if (builds.length === 0) return this.getDefaultStats()
+
+    const stats = this.getDefaultStats()
+    stats.total = builds.length
+    stats.recentBuilds = builds.slice(0, 5).map(build => ({ id: build.id, name: build.name, createdAt: build.createdAt }))
+    delete stats.message
+
+    builds.forEach(build => {
+      stats.byClass[build.guardianClass] = (stats.byClass[build.guardianClass] || 0) + 1
+      stats.byActivity[build.activity] = (stats.byActivity[build.activity] || 0) + 1
+    })
+
+    return stats
+  }
+
+  // Utility methods
+  sanitizeBuildData(build) {
+    // Round-trip through JSON so only plain data (no functions or class instances) is stored
+    const sanitized = JSON.parse(JSON.stringify({
+      ...build,
+      metadata: {
+        ...build.metadata,
+        generatedAt: build.metadata?.generatedAt || new Date().toISOString(),
+        version: build.metadata?.version || this.version
+      }
+    }))
+
+    // Ensure stats are properly structured
+    if (sanitized.stats && typeof sanitized.stats === 'object') {
+      sanitized.stats = {
+        totalStats: sanitized.stats.totalStats || {},
+        ...sanitized.stats
       }
     }
-    
-    // Would implement filesystem-based stats here
-    return this.getDefaultStats()
+
+    return sanitized
   }
 
-  // Utility methods
   sanitizeLoadout(loadoutData) {
     if (!loadoutData) return {}
     
@@ -298,27 +762,6 @@ class BuildManager {
     }
   }
 
-  // Local filesystem methods (for development)
-  async saveToFilesystem(userId, build) {
-    // This would implement actual filesystem saving
-    // For now, just return success
-    return {
-      success: true,
-      buildId: build.id,
-      build,
-      note: 'Filesystem storage not implemented in this version'
-    }
-  }
-
-  async loadFromFilesystem(userId) {
-    // This would implement actual filesystem loading
-    // For now, just return empty
-    return {
-      builds: [],
-      note: 'Filesystem storage not implemented in this version'
-    }
-  }
-
   // Validation methods
   validateBuildData(buildData) {
     const errors = []
@@ -371,25 +814,106 @@ class BuildManager {
   }
 
   // Export/Import methods for data portability
-  exportBuilds(builds) {
+  /**
+   * @param {Array} builds - Saved build records
+   * @param {Object} options - { format, manifest } - format is 'json' (full records), 'code' (share codes,
+   *   see lib/build-code) or 'dim' (DIM loadouts, see lib/dim-loadout - pass manifest tables to map mods and subclass plugs)
+   */
+  exportBuilds(builds, options = {}) {
+    const list = Array.isArray(builds) ? builds : []
+
+    if (options.format === 'dim') {
+      const exported = list.map(record => ({
+        record,
+        ...exportDimLoadout(record.build || {}, { manifest: options.manifest, name: record.name, notes: record.description })
+      }))
+
+      return {
+        version: this.version,
+        exportedAt: new Date().toISOString(),
+        loadouts: exported.map(entry => entry.loadout),
+        unmapped: exported
+          .filter(entry => entry.unmapped.length > 0)
+          .map(entry => ({ buildId: entry.record.id, name: entry.record.name, items: entry.unmapped })),
+        format: 'dim-loadouts'
+      }
+    }
+
+    if (options.format === 'code') {
+      return {
+        version: this.version,
+        exportedAt: new Date().toISOString(),
+        builds: list.map(record => ({
+          id: record.id,
+          name: record.name,
+          code: encodeBuildCode({
+            ...record.build,
+            metadata: { ...record.build?.metadata, name: record.name }
+          })
+        })),
+        format: BUILD_CODES_FORMAT
+      }
+    }
+
     return {
       version: this.version,
       exportedAt: new Date().toISOString(),
-      builds: Array.isArray(builds) ? builds : [],
+      builds: list,
       format: 'destiny-build-manager-v2'
     }
   }
 
-  validateImportData(importData) {
+  /**
+   * Accepts a JSON export, a share code export, pasted share codes (one per line) or DIM loadout JSON
+   * @param {Object} options - { manifest } - definition tables used to resolve DIM loadout hashes
+   * @returns {Object} { valid, format, builds, unmapped } or { valid: false, error }
+   */
+  validateImportData(importData, options = {}) {
+    if (typeof importData === 'string') {
+      const codes = importData.split(/\s+/).filter(Boolean)
+      if (codes.length === 0) {
+        return { valid: false, error: 'No build codes found' }
+      }
+      return this.decodeImportCodes(codes)
+    }
+
     if (!importData || typeof importData !== 'object') {
       return { valid: false, error: 'Invalid import data format' }
     }
+
+    const dimLoadouts = getDimLoadouts(importData)
+    if (dimLoadouts) {
+      const imported = dimLoadouts.map(loadout => importDimLoadout(loadout, options))
+      return {
+        valid: true,
+        format: 'dim',
+        builds: imported.map(entry => entry.build),
+        unmapped: imported.map(entry => entry.unmapped)
+      }
+    }
     
     if (!importData.builds || !Array.isArray(importData.builds)) {
       return { valid: false, error: 'Import data must contain builds array' }
     }
+
+    if (importData.format === BUILD_CODES_FORMAT) {
+      return this.decodeImportCodes(importData.builds.map(entry => entry?.code))
+    }
     
-    return { valid: true }
+    return { valid: true, format: 'json', builds: importData.builds }
+  }
+
+  decodeImportCodes(codes) {
+    const builds = []
+    for (let i = 0; i < codes.length; i++) {
+      const result = validateBuildCode(codes[i])
+      if (!result.valid) {
+        return { valid: false, error: codes.length > 1 ? `Build code ${i + 1}: ${result.error}` : result.error }
+      }
+      builds.push(result.build)
+    }
+
+    return { valid: true, format: 'code', builds }
   }
 
   isInitialized() {
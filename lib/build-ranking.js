@@ -0,0 +1,84 @@
+// lib/build-ranking.js
+// Ranking scored builds - weighted order with the categories that decided each place, or the Pareto front across objectives
+
+// Objective values are 0-100, higher is better
+export const OBJECTIVES = ['survivability', 'damage', 'abilityUptime']
+
+/**
+ * Whether a beats b: at least as good on every objective and better on one
+ */
+export function dominates(a, b, objectives = OBJECTIVES) {
+  let better = false
+  for (const objective of objectives) {
+    const valueA = a[objective] ?? 0
+    const valueB = b[objective] ?? 0
+    if (valueA < valueB) return false
+    if (valueA > valueB) better = true
+  }
+  return better
+}
+
+/**
+ * Split entries into Pareto fronts - front 0 is every build nothing else beats on all objectives
+ * @param {Array} entries - [{ objectives: { survivability, damage, abilityUptime }, ... }]
+ * @param {Array} objectives - Objective names to compare
+ * @returns {Array} Entries with front (0 = non-dominated) and dominatedBy (indexes into entries), ordered by front
+ */
+export function paretoFronts(entries, objectives = OBJECTIVES) {
+  const annotated = entries.map((entry, index) => ({
+    ...entry,
+    index,
+    dominatedBy: entries
+      .map((other, otherIndex) => (otherIndex !== index && dominates(other.objectives, entry.objectives, objectives) ? otherIndex : -1))
+      .filter(otherIndex => otherIndex !== -1)
+  }))
+
+  // Peel fronts: whatever only the current and earlier fronts dominate belongs to the next one
+  let remaining = annotated
+  const placed = new Set()
+  let front = 0
+  while (remaining.length > 0) {
+    const current = remaining.filter(entry => entry.dominatedBy.every(index => placed.has(index)))
+    current.forEach(entry => { entry.front = front })
+    current.forEach(entry => placed.add(entry.index))
+    remaining = remaining.filter(entry => !placed.has(entry.index))
+    front++
+  }
+
+  return annotated.sort((a, b) => a.front - b.front || a.index - b.index)
+}
+
+/**
+ * Why each build placed above the next one - category points gained and lost under the profile's weights
+ * @param {Array} ranked - [{ scoring: { total, scores } }] best first
+ * @param {Object} weights - Category weights used for the ranking
+ * @returns {Array} [{ rank, total, margin, drivers: [{ category, weight, difference, points }] }]
+ */
+export function explainRanking(ranked, weights) {
+  return ranked.map((entry, position) => {
+    const next = ranked[position + 1]
+    const explanation = { rank: position + 1, total: entry.scoring.total }
+    if (!next) return explanation
+
+    const scores = entry.scoring.scores || {}
+    const nextScores = next.scoring.scores || {}
+    const categories = Object.keys(weights).filter(category => category in scores || category in nextScores)
+    const totalWeight = categories.reduce((sum, category) => sum + weights[category], 0) || 1
+
+    explanation.margin = entry.scoring.total - next.scoring.total
+    explanation.drivers = categories
+      .map(category => {
+        const difference = (scores[category] || 0) - (nextScores[category] || 0)
+        return {
+          category,
+          weight: weights[category],
+          difference,
+          points: Math.round((difference * weights[category] / totalWeight) * 10) / 10
+        }
+      })
+      .filter(driver => driver.points !== 0)
+      .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+
+    return explanation
+  })
+}
@@ -0,0 +1,105 @@
+// lib/destiny-intelligence/__tests__/ability-cooldowns.test.js
+// Ability cooldowns - stat and cooldown tiers, stacked regen sources, energy-granting plugs and builds without a class
+
+import { AbilityCooldownCalculator } from '../ability-cooldowns'
+
+const maxedStats = { mobility: 100, resilience: 100, recovery: 100, discipline: 100, intellect: 100, strength: 100 }
+const build = ({ stats = {}, subclass = {}, mods = [], className = 'hunter' } = {}) => ({
+  metadata: { class: className },
+  stats,
+  loadout: { subclass, mods }
+})
+
+describe('AbilityCooldownCalculator', () => {
+  const calculator = new AbilityCooldownCalculator()
+
+  describe('calculate', () => {
+    it('reads each ability\'s stat tier against its cooldown tier', () => {
+      const cooldowns = calculator.calculate(build({
+        stats: { discipline: 50, strength: 0, intellect: 100, mobility: 100 },
+        subclass: { super: { name: 'Golden Gun' }, abilities: { grenade: { name: 'Healing Grenade' }, melee: 'Knife Trick' } }
+      }))
+
+      expect(cooldowns.grenade).toEqual(expect.objectContaining({ name: 'Healing Grenade', stat: 'discipline', statTier: 5, cooldownTier: 1, cooldown: 91 }))
+      expect(cooldowns.melee).toEqual(expect.objectContaining({ name: 'Knife Trick', stat: 'strength', statTier: 0, cooldownTier: 2, cooldown: 100 }))
+      expect(cooldowns.classAbility).toEqual(expect.objectContaining({ name: null, stat: 'mobility', statTier: 10, cooldownTier: 2, cooldown: 26 }))
+      expect(cooldowns.super).toEqual(expect.objectContaining({ stat: 'intellect', statTier: 10, cooldownTier: 2, cooldown: 250 }))
+    })
+
+    it('picks the class ability stat from the class, or the subclass\'s class type', () => {
+      const titan = calculator.calculate(build({ className: 'titan', stats: { resilience: 70 } }))
+      const warlock = calculator.calculate(build({ className: 'any', stats: { recovery: 40 }, subclass: { classType: 2 } }))
+
+      expect(titan.classAbility).toEqual(expect.objectContaining({ stat: 'resilience', statTier: 7 }))
+      expect(warlock.classAbility).toEqual(expect.objectContaining({ stat: 'recovery', statTier: 4 }))
+    })
+
+    it('reports the class ability as unknown without a class instead of a tier 0 cooldown', () => {
+      const cooldowns = calculator.calculate(build({ className: 'any', stats: maxedStats, mods: ['Utility Kickstart'] }))
+
+      expect(cooldowns.classAbility).toEqual({
+        name: null,
+        stat: null,
+        statTier: null,
+        cooldownTier: 2,
+        baseCooldown: null,
+        cooldown: null,
+        unknown: true,
+        reductions: [{ source: 'Utility Kickstart', percent: 10 }]
+      })
+      expect(cooldowns.grenade.cooldown).toBe(91)
+    })
+
+    it.each([
+      ['one regen mod', ['Grenade Kickstart'], 164],
+      ['two sources multiplied, not added', ['Grenade Kickstart', 'Bomber'], 151],
+      ['the same mod twice', ['Grenade Kickstart', 'Grenade Kickstart'], 147],
+      ['a mod shared across abilities', ['Distribution'], 173],
+      ['mods for other abilities', ['Melee Kickstart', 'Ashes to Assets'], 182]
+    ])('stacks %s', (_, mods, cooldown) => {
+      expect(calculator.calculate(build({ mods })).grenade.cooldown).toBe(cooldown)
+    })
+
+    it('reads mods from slot lists and mod objects', () => {
+      const cooldowns = calculator.calculate(build({ mods: { legs: [{ name: 'Melee Kickstart' }], classItem: ['Bomber'] } }))
+
+      expect(cooldowns.melee.reductions).toEqual([{ source: 'Melee Kickstart', percent: 10 }])
+      expect(cooldowns.grenade.reductions).toEqual([{ source: 'Bomber', percent: 8 }])
+    })
+  })
+
+  describe('collectReductions', () => {
+    it.each([
+      ['Defeating a target grants melee energy.', ['melee']],
+      ['Gain class ability energy when you are healed.', ['classAbility']],
+      ['Rapid kills restore super energy. Finishers return grenade energy.', ['super', 'grenade']],
+      ['Regain grenade energy, and allies nearby gain melee energy.', ['grenade', 'melee']],
+      ['Your grenade energy recharges faster.', []],
+      ['Increases melee damage.', []]
+    ])('reads "%s" as energy for %j', (description, abilities) => {
+      const reductions = calculator.collectReductions(build({ subclass: { fragments: [{ name: 'Fragment', description }] } }))
+
+      expect(reductions.map(reduction => reduction.ability)).toEqual(abilities)
+      reductions.forEach(reduction => expect(reduction).toEqual(expect.objectContaining({ source: 'Fragment', percent: 10 })))
+    })
+
+    it('counts each ability once per plug and skips plugs without descriptions', () => {
+      const reductions = calculator.collectReductions(build({
+        subclass: {
+          aspects: [{ name: 'Aspect', description: 'Grants melee energy. Kills also grant melee energy.' }],
+          fragments: [{ name: 'Bare fragment' }, null]
+        }
+      }))
+
+      expect(reductions).toEqual([{ ability: 'melee', source: 'Aspect', percent: 10 }])
+    })
+  })
+
+  describe('scoreCooldowns', () => {
+    it('scores maxed stats 100 and leaves unknown cooldowns out', () => {
+      expect(calculator.scoreCooldowns(calculator.calculate(build({ stats: maxedStats })))).toBe(100)
+      expect(calculator.scoreCooldowns(calculator.calculate(build({ className: 'any', stats: maxedStats })))).toBe(100)
+      expect(calculator.scoreCooldowns(calculator.calculate(build()))).toBe(0)
+    })
+  })
+})
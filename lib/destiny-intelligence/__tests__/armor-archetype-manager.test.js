@@ -0,0 +1,128 @@
+// lib/destiny-intelligence/__tests__/armor-archetype-manager.test.js
+// Owned armor set search - branch-and-bound against every combination, exotic limits, topN and minimum tiers
+
+import ArmorArchetypeManager from '../armor-archetype-manager'
+
+const SLOTS = ['helmet', 'gauntlets', 'chest', 'legs', 'classItem']
+const STATS = ['mobility', 'resilience', 'recovery', 'discipline', 'intellect', 'strength']
+
+// Deterministic rolls between 2 and 30 so the search has ties, near misses and wasted points to sort out
+const roll = seed => 2 + (seed * 7919) % 29
+const piece = (slot, index, overrides = {}) => ({
+  itemInstanceId: `${slot}-${index}`,
+  slot,
+  stats: Object.fromEntries(STATS.map((stat, statIndex) => [stat, roll(SLOTS.indexOf(slot) * 31 + index * 11 + statIndex * 5 + 1)])),
+  ...overrides
+})
+const inventory = SLOTS.flatMap(slot => [0, 1, 2].map(index => piece(slot, index)))
+
+const distribution = { resilience: 10, recovery: 6, discipline: 3, mobility: 1 }
+const rankKey = set => [set.pointsShort, -set.tierScore, set.wastedPoints]
+
+// Every combination, evaluated and sorted the way the search ranks them
+function bruteForce(manager, pieces, targetDistribution, { maxExotics = 1, minTiers = {} } = {}) {
+  const sets = []
+  const choose = (depth, chosen) => {
+    if (depth === SLOTS.length) {
+      if (chosen.filter(candidate => manager.isExoticArmor(candidate)).length > maxExotics) return
+      const stats = manager.calculateTotalStats(chosen)
+      const tierScore = Object.entries(targetDistribution)
+        .reduce((sum, [stat, weight]) => sum + Math.min(Math.floor(stats[stat] / 10), 10) * weight, 0)
+      sets.push(manager.evaluateArmorSet(chosen, stats, targetDistribution, minTiers, tierScore))
+      return
+    }
+    pieces.filter(candidate => candidate.slot === SLOTS[depth]).forEach(candidate => choose(depth + 1, [...chosen, candidate]))
+  }
+  choose(0, [])
+
+  const compare = (a, b) => rankKey(a).reduce((result, value, index) => result || value - rankKey(b)[index], 0)
+  return sets.sort(compare)
+}
+
+describe('ArmorArchetypeManager.findOptimalArmorSets', () => {
+  const manager = new ArmorArchetypeManager()
+
+  it('finds the same best sets as trying every combination', () => {
+    const sets = manager.findOptimalArmorSets(inventory, distribution, { topN: 5 })
+    const expected = bruteForce(manager, inventory, distribution).slice(0, 5)
+
+    expect(sets.map(rankKey)).toEqual(expected.map(rankKey))
+    sets.forEach(set => expect(set.pieces.map(candidate => candidate.slot)).toEqual(SLOTS))
+  })
+
+  it('returns at most topN sets, best first', () => {
+    expect(manager.findOptimalArmorSets(inventory, distribution, { topN: 1 })).toHaveLength(1)
+    expect(manager.findOptimalArmorSets(inventory, distribution, { topN: 500 })).toHaveLength(3 ** SLOTS.length)
+    expect(manager.findOptimalArmorSets(inventory, distribution)).toHaveLength(5)
+
+    const keys = manager.findOptimalArmorSets(inventory, distribution, { topN: 20 }).map(rankKey)
+    expect(keys).toEqual(bruteForce(manager, inventory, distribution).slice(0, 20).map(rankKey))
+  })
+
+  it('searches only the slots there are pieces for', () => {
+    const helmets = inventory.filter(candidate => candidate.slot === 'helmet')
+
+    expect(manager.findOptimalArmorSets(helmets, distribution, { topN: 10 })).toHaveLength(3)
+    expect(manager.findOptimalArmorSets([], distribution)).toEqual([])
+  })
+
+  describe('exotics', () => {
+    const exoticStats = { mobility: 30, resilience: 30, recovery: 30, discipline: 30, intellect: 30, strength: 30 }
+    const withExotics = [
+      ...inventory,
+      piece('helmet', 9, { stats: exoticStats, isExotic: true }),
+      piece('chest', 9, { stats: exoticStats, tierType: 6 }),
+      piece('legs', 9, { stats: exoticStats, inventory: { tierType: 6 } })
+    ]
+    const exoticsIn = set => set.pieces.filter(candidate => manager.isExoticArmor(candidate)).length
+
+    it('allows one exotic per set by default', () => {
+      const sets = manager.findOptimalArmorSets(withExotics, distribution, { topN: 10 })
+
+      expect(exoticsIn(sets[0])).toBe(1)
+      sets.forEach(set => expect(exoticsIn(set)).toBeLessThanOrEqual(1))
+      expect(sets.map(rankKey)).toEqual(bruteForce(manager, withExotics, distribution).slice(0, 10).map(rankKey))
+    })
+
+    it('follows maxExotics, including none at all', () => {
+      manager.findOptimalArmorSets(withExotics, distribution, { topN: 10, maxExotics: 0 })
+        .forEach(set => expect(exoticsIn(set)).toBe(0))
+
+      const sets = manager.findOptimalArmorSets(withExotics, distribution, { topN: 10, maxExotics: 3 })
+      expect(sets[0].exoticCount).toBeGreaterThan(1)
+      expect(sets.map(rankKey)).toEqual(bruteForce(manager, withExotics, distribution, { maxExotics: 3 }).slice(0, 10).map(rankKey))
+    })
+  })
+
+  describe('minimum tiers', () => {
+    it('ranks a set that meets the minimums above a higher-scoring one that misses them', () => {
+      const helmets = [
+        piece('helmet', 0, { stats: { mobility: 30, resilience: 0 } }),
+        piece('helmet', 1, { stats: { mobility: 0, resilience: 30 } })
+      ]
+      const sets = manager.findOptimalArmorSets(helmets, { mobility: 10, resilience: 1 }, { minTiers: { resilience: 3 } })
+
+      expect(sets.map(set => set.pieces[0].itemInstanceId)).toEqual(['helmet-1', 'helmet-0'])
+      expect(sets[0]).toEqual(expect.objectContaining({ meetsMinimums: true, pointsShort: 0, gaps: [] }))
+      expect(sets[1].gaps).toEqual([{ stat: 'resilience', required: 3, achieved: 0, pointsShort: 30 }])
+    })
+
+    it('keeps the sets closest to the minimums when none meet them', () => {
+      const minTiers = { resilience: 10, strength: 8 }
+      const sets = manager.findOptimalArmorSets(inventory, distribution, { topN: 5, minTiers })
+
+      expect(sets.map(rankKey)).toEqual(bruteForce(manager, inventory, distribution, { minTiers }).slice(0, 5).map(rankKey))
+      expect(sets[0].pointsShort).toBeLessThanOrEqual(sets[4].pointsShort)
+    })
+
+    it('prefers every set meeting reachable minimums over any that does not', () => {
+      const minTiers = { discipline: 7 }
+      const all = bruteForce(manager, inventory, distribution, { minTiers })
+      const meeting = all.filter(set => set.meetsMinimums).length
+      const sets = manager.findOptimalArmorSets(inventory, distribution, { topN: meeting + 3, minTiers })
+
+      expect(meeting).toBeGreaterThan(0)
+      expect(sets.map(set => set.meetsMinimums)).toEqual([...Array(meeting).fill(true), false, false, false])
+    })
+  })
+})
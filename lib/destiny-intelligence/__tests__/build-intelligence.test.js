@@ -0,0 +1,137 @@
+// lib/destiny-intelligence/__tests__/build-intelligence.test.js
+// Local weapon and subclass picks - the weapon index, exotic and exclusion rules, and subclasses resolved from the manifest
+
+import { BuildIntelligence } from '../build-intelligence'
+import { manifestData as subclassManifest } from './fixtures/subclass-manifest'
+
+const BUCKETS = { primary: 1498876634, special: 2465295065, heavy: 953998645, helmet: 3448274439 }
+const DAMAGE_TYPES = { kinetic: 1, arc: 2, solar: 3, void: 4 }
+
+const weapon = (name, type, slot, element, extra = {}) => ({
+  displayProperties: { name },
+  itemType: 3,
+  itemTypeDisplayName: type,
+  defaultDamageType: DAMAGE_TYPES[element],
+  inventory: { bucketTypeHash: BUCKETS[slot], tierType: extra.tierType || 5 },
+  index: extra.index || 0,
+  ...(extra.redacted ? { redacted: true } : {})
+})
+
+const itemDefinitions = {
+  ...subclassManifest.DestinyInventoryItemDefinition,
+  500: weapon('Legendary Scout', 'Scout Rifle', 'primary', 'kinetic'),
+  501: weapon('Rare Scout', 'Scout Rifle', 'primary', 'kinetic', { tierType: 4 }),
+  502: weapon('Exotic Scout', 'Scout Rifle', 'primary', 'kinetic', { tierType: 6 }),
+  503: weapon('Kinetic Hand Cannon', 'Hand Cannon', 'primary', 'kinetic'),
+  510: weapon('Solar Sniper', 'Sniper Rifle', 'special', 'solar'),
+  511: weapon('Arc Sniper', 'Sniper Rifle', 'special', 'arc'),
+  512: weapon('Solar Fusion', 'Fusion Rifle', 'special', 'solar'),
+  520: weapon('Old Linear Fusion', 'Linear Fusion Rifle', 'heavy', 'solar', { index: 10 }),
+  521: weapon('New Linear Fusion', 'Linear Fusion Rifle', 'heavy', 'solar', { index: 20 }),
+  530: weapon('Classified', 'Sniper Rifle', 'special', 'solar'),
+  531: weapon('Redacted Sniper', 'Sniper Rifle', 'special', 'solar', { redacted: true }),
+  540: { ...weapon('Armor Piece', 'Helmet', 'helmet', 'solar'), itemType: 2 },
+  541: { ...weapon('Unknown Bucket Weapon', 'Scout Rifle', 'primary', 'kinetic'), inventory: { bucketTypeHash: 1, tierType: 5 } }
+}
+
+const manifest = { data: { ...subclassManifest, DestinyInventoryItemDefinition: itemDefinitions }, version: 'test' }
+const excluding = excluded => ({ excluded: { weapons: [], elements: [], exotics: [], ...excluded } })
+
+describe('BuildIntelligence weapon and subclass selection', () => {
+  let intelligence
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    intelligence = new BuildIntelligence()
+    await intelligence.initialize(manifest)
+  })
+
+  afterAll(() => jest.restoreAllMocks())
+
+  const request = overrides => ({ ...intelligence.parseRequest('hunter solar raid'), ...overrides })
+
+  describe('getWeaponIndex', () => {
+    it('slots legendary and exotic weapons by inventory bucket', () => {
+      const index = intelligence.getWeaponIndex()
+      const hashes = slot => index[slot].map(candidate => candidate.hash).sort()
+
+      expect(hashes('primary')).toEqual([500, 502, 503])
+      expect(hashes('special')).toEqual([510, 511, 512])
+      expect(hashes('heavy')).toEqual([520, 521])
+    })
+  })
+
+  describe('findWeaponForSlot', () => {
+    it.each([
+      ['type and element', 'special', 'Sniper Rifle', 'solar', 'Solar Sniper'],
+      ['type over element', 'special', 'Sniper Rifle', 'void', 'Solar Sniper'],
+      ['element when the type is missing', 'special', 'Grenade Launcher', 'arc', 'Arc Sniper'],
+      ['type over element with both available', 'special', 'Fusion Rifle', 'arc', 'Solar Fusion']
+    ])('scores %s', (_, slot, type, element, expected) => {
+      expect(intelligence.findWeaponForSlot(slot, type, element).name).toBe(expected)
+    })
+
+    it('leaves exotic weapons out of unlocked picks', () => {
+      const candidates = intelligence.getWeaponIndex().primary.filter(candidate => candidate.hash === 502)
+
+      expect(intelligence.findWeaponForSlot('primary', 'Scout Rifle', 'kinetic')).toEqual(expect.objectContaining({ hash: 500 }))
+      expect(intelligence.findWeaponForSlot('primary', 'Scout Rifle', 'kinetic', candidates)).toBeNull()
+    })
+
+    it('breaks ties in favour of the newer manifest entry', () => {
+      expect(intelligence.findWeaponForSlot('heavy', 'Linear Fusion Rifle', 'solar').name).toBe('New Linear Fusion')
+    })
+
+    it('skips weapon types and elements the request rules out', () => {
+      expect(intelligence.findWeaponForSlot('special', 'Sniper Rifle', 'solar', null, excluding({ weapons: ['Sniper Rifle'] })).name)
+        .toBe('Solar Fusion')
+      expect(intelligence.findWeaponForSlot('special', 'Sniper Rifle', 'solar', null, excluding({ elements: ['solar'] })).name)
+        .toBe('Arc Sniper')
+      expect(intelligence.findWeaponForSlot('heavy', 'Linear Fusion Rifle', 'solar', null, excluding({ elements: ['solar'] })))
+        .toBeNull()
+    })
+  })
+
+  describe('selectWeaponsLocally', () => {
+    it('fills each slot with the activity\'s weapon type, kinetic in the primary slot', () => {
+      const weapons = intelligence.selectWeaponsLocally(request(), {})
+
+      expect(weapons.primary).toEqual(expect.objectContaining({ name: 'Legendary Scout', element: 'kinetic' }))
+      expect(weapons.special.name).toBe('Solar Sniper')
+      expect(weapons.heavy.name).toBe('New Linear Fusion')
+    })
+
+    it('uses a locked exotic in the slot its bucket belongs to', () => {
+      const weapons = intelligence.selectWeaponsLocally(request(), { lockedExotic: { hash: 502, bucketHash: BUCKETS.primary } })
+
+      expect(weapons.primary).toEqual(expect.objectContaining({ hash: 502, name: 'Exotic Scout', locked: true }))
+      expect(weapons.special.locked).toBeUndefined()
+    })
+
+    it('falls back to another weapon in the slot, and marks the slot unresolved when none is left', () => {
+      expect(intelligence.selectWeaponsLocally(request({ activity: 'dungeon' }), {}).heavy.name).toBe('New Linear Fusion')
+
+      const weapons = intelligence.selectWeaponsLocally(request({ activity: 'dungeon', ...excluding({ elements: ['solar'] }) }), {})
+      expect(weapons.heavy).toEqual({ type: 'Sword', element: 'solar', resolved: false })
+    })
+  })
+
+  describe('resolveSubclassFromManifest', () => {
+    it('configures the class and element\'s subclass for the focus stats', () => {
+      const subclass = intelligence.resolveSubclassFromManifest('hunter', 'solar', ['discipline'])
+
+      expect(subclass).toEqual(expect.objectContaining({ name: 'Gunslinger', element: 'Solar', fragmentSlots: 5 }))
+      expect(subclass.fragments[0].name).toBe('Ember of Char')
+    })
+
+    it('returns nothing for subclasses without aspects or fragments, or missing ones', () => {
+      expect(intelligence.resolveSubclassFromManifest('hunter', 'void')).toBeNull()
+      expect(intelligence.resolveSubclassFromManifest('warlock', 'solar')).toBeNull()
+    })
+
+    it('falls back to the generic subclass description when the manifest has none', () => {
+      expect(intelligence.selectSubclassLocally(request({ element: 'void' }))).toEqual(expect.objectContaining({ name: 'Void Subclass' }))
+      expect(intelligence.selectSubclassLocally(request()).name).toBe('Gunslinger')
+    })
+  })
+})
@@ -0,0 +1,146 @@
+// lib/destiny-intelligence/__tests__/damage-model.test.js
+// Damage phase estimate - buff stacking within and across categories, surges, heavy reserves and the super
+
+import { TriggerDatabase } from '../trigger-database'
+import { DamageModel } from '../damage-model'
+
+const rocket = { name: 'Rocket', type: 'Rocket Launcher', element: 'solar' }
+const shotgun = { name: 'Shotgun', type: 'Shotgun', element: 'arc' }
+const auto = { name: 'Auto', type: 'Auto Rifle', element: 'kinetic' }
+
+const build = ({ weapons = { heavy: rocket }, subclass = {}, mods = [] } = {}) => ({ loadout: { weapons, subclass, mods } })
+const surgeMods = count => Array.from({ length: count }, () => ({ name: 'Solar Weapon Surge' }))
+
+describe('DamageModel', () => {
+  let model
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    const database = new TriggerDatabase()
+    await database.initialize()
+    model = new DamageModel(database)
+  })
+
+  afterAll(() => jest.restoreAllMocks())
+
+  it('needs an initialized trigger database', () => {
+    expect(() => new DamageModel(new TriggerDatabase()).estimate(build())).toThrow('Trigger database must be initialized')
+  })
+
+  describe('estimate', () => {
+    it('fires heavy until its reserves run out, then special, then primary for the rest of the phase', () => {
+      const estimate = model.estimate(build({ weapons: { heavy: rocket, special: shotgun, primary: auto } }))
+
+      expect(estimate.weapons.map(({ slot, time, damage }) => ({ slot, time, damage }))).toEqual([
+        { slot: 'heavy', time: 15000, damage: 600000 },
+        // One second to swap in each following weapon
+        { slot: 'special', time: 7500, damage: 150000 },
+        { slot: 'primary', time: 5500, damage: 41250 }
+      ])
+      expect(estimate.totalDamage).toBe(791250)
+      expect(estimate.sustainedDps).toBe(Math.round(791250 / 30))
+    })
+
+    it('limits heavy by its reserves, which buffs make hit harder but not last longer', () => {
+      const plain = model.estimate(build())
+      const weakened = model.estimate(build(), { teamBuffs: ['weaken'] })
+
+      expect(plain.weapons[0]).toEqual(expect.objectContaining({ dps: 40000, time: 15000, damage: 600000 }))
+      expect(weakened.weapons[0]).toEqual(expect.objectContaining({ dps: 46000, time: 15000, damage: 690000 }))
+    })
+
+    it('runs heavy for the whole phase when the phase is shorter than its reserves', () => {
+      const estimate = model.estimate(build(), { phaseLength: 10000 })
+
+      expect(estimate.weapons[0]).toEqual(expect.objectContaining({ time: 10000, damage: 400000 }))
+      expect(estimate.sustainedDps).toBe(40000)
+    })
+
+    it('casts the super first with every buff at full strength', () => {
+      const subclass = { super: { name: 'Thundercrash' } }
+      const estimate = model.estimate(build({ subclass }), { phaseLength: 60000, teamBuffs: ['well_of_radiance'] })
+
+      // Well lasts half of a 60s phase: the super gets all 25%, weapons the 12.5% average
+      expect(estimate.superDamage).toBe(875000)
+      expect(estimate.weapons[0].dps).toBe(45000)
+    })
+
+    it('leaves the super and its cast time out with useSuper: false', () => {
+      const subclass = { super: { name: 'Thundercrash' } }
+      const withSuper = model.estimate(build({ subclass, weapons: { heavy: rocket, primary: auto } }))
+      const withoutSuper = model.estimate(build({ subclass, weapons: { heavy: rocket, primary: auto } }), { useSuper: false })
+
+      expect(withSuper.superDamage).toBe(700000)
+      expect(withoutSuper.superDamage).toBe(0)
+      // The primary gets what's left after 15s of heavy: less the 3s cast and 1s swap to heavy with the super
+      expect(withSuper.weapons[1].time).toBe(10000)
+      expect(withoutSuper.weapons[1].time).toBe(14000)
+    })
+
+    it('uses a default damage for unknown supers and weapon types', () => {
+      const estimate = model.estimate(build({
+        subclass: { super: { name: 'Storm\'s Edge' } },
+        weapons: { special: { name: 'Breech', type: 'Breech Grenade Launcher' } }
+      }))
+
+      expect(estimate.superDamage).toBe(300000)
+      expect(estimate.weapons[0].dps).toBe(16000)
+    })
+  })
+
+  describe('getModifiers', () => {
+    it('keeps only the strongest buff within a category', () => {
+      const { modifiers, suppressed } = model.getModifiers(build(), ['radiant', 'well_of_radiance'])
+
+      expect(modifiers.map(modifier => modifier.type)).toEqual(['well_of_radiance'])
+      expect(suppressed).toEqual(['radiant'])
+    })
+
+    it('compares buffs by what they add over the phase', () => {
+      // A 30s Well averages 12.5% over 60s, less than Radiant's 20%
+      const { modifiers, suppressed } = model.getModifiers(build(), ['radiant', 'well_of_radiance'], 60000)
+
+      expect(modifiers.map(modifier => [modifier.type, modifier.magnitude])).toEqual([['radiant', 20]])
+      expect(suppressed).toEqual(['well_of_radiance'])
+    })
+
+    it('multiplies buffs across categories', () => {
+      const { modifiers, suppressed } = model.getModifiers(build(), ['radiant', 'weaken', 'divinity'])
+
+      expect(modifiers.map(modifier => modifier.type).sort()).toEqual(['radiant', 'weaken'])
+      expect(suppressed).toEqual(['divinity'])
+      expect(model.estimate(build(), { teamBuffs: ['radiant', 'weaken'] }).weapons[0].dps).toBe(Math.round(40000 * 1.2 * 1.15))
+    })
+
+    it('picks buffs up from equipped names and from descriptions that apply them', () => {
+      const subclass = {
+        fragments: [{ name: 'Ember of Torches' }],
+        aspects: [{ name: 'Chaos Accelerant', description: 'Your grenades weaken targets.' }]
+      }
+      const { modifiers } = model.getModifiers(build({ subclass }))
+
+      expect(modifiers.map(modifier => [modifier.type, modifier.source])).toEqual([['radiant', 'build'], ['weaken', 'build']])
+    })
+
+    it.each([
+      [1, 10],
+      [2, 17],
+      [3, 22],
+      [4, 22]
+    ])('gives %i surge mods of an element %i%%', (count, magnitude) => {
+      const { surges, modifiers } = model.getModifiers(build({ mods: surgeMods(count) }))
+
+      expect(surges).toEqual({ solar: magnitude })
+      expect(modifiers).toEqual([expect.objectContaining({ type: 'weapon_surge', category: 'surge', element: 'solar', magnitude })])
+    })
+
+    it('applies surges to weapons of their element only', () => {
+      const estimate = model.estimate(build({ weapons: { heavy: rocket, special: shotgun }, mods: surgeMods(2) }))
+
+      expect(estimate.weapons.map(weapon => [weapon.slot, weapon.surge, weapon.dps])).toEqual([
+        ['heavy', 17, 46800],
+        ['special', 0, 20000]
+      ])
+    })
+  })
+})
@@ -0,0 +1,55 @@
+// lib/destiny-intelligence/__tests__/expected-stats.test.js
+// Generated builds without owned armor - stats come from generic armor rolls and stat mods, never from the targets
+
+import { BuildIntelligence } from '../build-intelligence'
+import { EnhancedBuildIntelligence } from '../enhanced-build-intelligence'
+
+const manifest = { data: { DestinyInventoryItemDefinition: {} }, version: 'test' }
+const SIX_AT_100 = '100 mobility 100 resilience 100 recovery 100 discipline 100 intellect 100 strength titan'
+
+describe('expected stats', () => {
+  let local
+  let enhanced
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    local = new BuildIntelligence()
+    await local.initialize(manifest)
+    enhanced = new EnhancedBuildIntelligence()
+    await enhanced.initialize(manifest)
+  })
+
+  afterAll(() => jest.restoreAllMocks())
+
+  const generators = [
+    ['BuildIntelligence', (text) => local.createBuildLocally(local.parseRequest(text))],
+    ['EnhancedBuildIntelligence', (text) => enhanced.generateBuild(text, { skipClarification: true })]
+  ]
+
+  describe.each(generators)('%s', (name, generate) => {
+    it('reaches a single hard target with armor and stat mods', async () => {
+      const build = await generate('titan with at least 100 resilience')
+
+      expect(build.stats.resilience).toBeGreaterThanOrEqual(100)
+      expect(build.statTargets.met).toEqual(['resilience'])
+      expect(build.statTargets.hardMet).toBe(true)
+    })
+
+    it('reports targets no armor set can reach as missed', async () => {
+      const build = await generate(SIX_AT_100)
+
+      expect(build.statTargets.missed.length).toBeGreaterThan(0)
+      build.statTargets.targets
+        .filter(target => !target.met)
+        .forEach(target => expect(target.shortBy).toBe(100 - build.stats[target.stat]))
+    })
+
+    it('lists the stat mods it counted, one per armor piece', async () => {
+      const build = await generate('titan with at least 100 resilience')
+      const slots = build.loadout.statMods.map(mod => mod.slot)
+
+      expect(slots.length).toBeLessThanOrEqual(5)
+      expect(new Set(slots).size).toBe(slots.length)
+    })
+  })
+})
@@ -0,0 +1,63 @@
+// lib/destiny-intelligence/__tests__/fixtures/subclass-manifest.js
+// A solar hunter subclass with plug sets, plugs for other classes and elements, and subclasses without aspects
+
+const STAT_HASHES = { resilience: 392767087, discipline: 1735777505, intellect: 144602215 }
+
+const plug = (name, plugCategoryIdentifier, extra = {}) => ({
+  displayProperties: { name, description: extra.description || '', icon: `/${name}.png` },
+  plug: { plugCategoryIdentifier, ...(extra.fragmentSlots ? { energyCapacity: { capacityValue: extra.fragmentSlots } } : {}) },
+  investmentStats: Object.entries(extra.stats || {}).map(([stat, value]) => ({ statTypeHash: STAT_HASHES[stat], value }))
+})
+
+export const GUNSLINGER = 4000
+
+export const itemDefinitions = {
+  [GUNSLINGER]: {
+    displayProperties: { name: 'Gunslinger', icon: '/gunslinger.png' },
+    itemType: 16,
+    classType: 1,
+    talentGrid: { hudDamageType: 3 },
+    sockets: { socketEntries: [7000, 7001, 7002, 7003, 7004, 7005, 7006].map(reusablePlugSetHash => ({ reusablePlugSetHash })) }
+  },
+  4001: { displayProperties: { name: 'Nightstalker' }, itemType: 16, classType: 1, defaultDamageType: 4 },
+  4002: { displayProperties: { name: 'Prismatic Hunter' }, itemType: 16, classType: 1, talentGrid: { hudDamageType: 3 } },
+  4003: { displayProperties: { name: 'Sunbreaker' }, itemType: 16, classType: 0, talentGrid: { hudDamageType: 3 } },
+
+  100: plug('Golden Gun: Marksman', 'hunter.solar.supers'),
+  101: plug('Blade Barrage', 'hunter.solar.supers'),
+  110: plug('Solar Grenade', 'shared.solar.grenades'),
+  111: plug('Healing Grenade', 'shared.solar.grenades'),
+  120: plug('Knife Trick', 'hunter.solar.melee'),
+  130: plug('Gambler\'s Dodge', 'hunter.shared.class_abilities'),
+  140: plug('Triple Jump', 'hunter.shared.movement'),
+  150: plug('Knock \'Em Down', 'hunter.solar.aspects', { fragmentSlots: 2 }),
+  151: plug('On Your Mark', 'hunter.solar.aspects', { fragmentSlots: 3 }),
+  // No energy capacity - opens the default two slots
+  152: plug('Gunpowder Gamble', 'hunter.solar.aspects'),
+  160: plug('Ember of Torches', 'shared.solar.fragments', { stats: { discipline: -10 } }),
+  161: plug('Ember of Solace', 'shared.solar.fragments'),
+  162: plug('Ember of Beams', 'shared.solar.fragments', { stats: { intellect: 10 } }),
+  163: plug('Ember of Empyrean', 'shared.solar.fragments', { stats: { resilience: -10 } }),
+  164: plug('Ember of Ashes', 'shared.solar.fragments'),
+  165: plug('Ember of Char', 'shared.solar.fragments', { stats: { discipline: 10 } }),
+
+  // Another class's aspect and another element's fragment - never offered to the solar hunter
+  200: plug('Sol Invictus', 'titan.solar.aspects'),
+  201: plug('Spark of Ions', 'shared.arc.fragments')
+}
+
+export const plugSetDefinitions = {
+  7000: [100, 101],
+  7001: [110, 111],
+  7002: [120],
+  7003: [130],
+  7004: [140],
+  7005: [150, 151, 152],
+  7006: [160, 161, 162, 163, 164, 165]
+}
+
+export const manifestData = {
+  DestinyInventoryItemDefinition: itemDefinitions,
+  DestinyPlugSetDefinition: Object.fromEntries(Object.entries(plugSetDefinitions)
+    .map(([hash, plugs]) => [hash, { reusablePlugItems: plugs.map(plugItemHash => ({ plugItemHash })) }]))
+}
@@ -0,0 +1,182 @@
+// lib/destiny-intelligence/__tests__/inventory-index.test.js
+// Owned inventory index and inventory-only builds - only instances the account holds, for the build's class
+
+import { InventoryIndex } from '../inventory-index'
+import { BuildIntelligence } from '../build-intelligence'
+import { EnhancedBuildIntelligence } from '../enhanced-build-intelligence'
+
+const BUCKETS = {
+  primary: 1498876634,
+  special: 2465295065,
+  heavy: 953998645,
+  helmet: 3448274439,
+  gauntlets: 3551918588,
+  chest: 14239492,
+  legs: 20886954,
+  classItem: 1585787867
+}
+const STAT_HASHES = { mobility: 2996146975, resilience: 392767087, recovery: 1943323491, discipline: 1735777505, intellect: 144602215, strength: 4244567218 }
+
+const weapon = (name, type, slot, damageType, tierType = 5) => ({
+  displayProperties: { name },
+  itemType: 3,
+  itemTypeDisplayName: type,
+  defaultDamageType: damageType,
+  classType: 3,
+  inventory: { bucketTypeHash: BUCKETS[slot], tierType }
+})
+const armor = (name, slot, classType) => ({
+  displayProperties: { name },
+  itemType: 2,
+  itemTypeDisplayName: slot,
+  classType,
+  inventory: { bucketTypeHash: BUCKETS[slot], tierType: 5 }
+})
+
+const itemDefinitions = {
+  100: weapon('Owned Auto', 'Auto Rifle', 'primary', 1),
+  101: weapon('Unowned Auto', 'Auto Rifle', 'primary', 1),
+  102: weapon('Owned Shotgun', 'Shotgun', 'special', 4),
+  103: weapon('Gjallarhorn', 'Rocket Launcher', 'heavy', 3, 6),
+  104: weapon('Owned Rocket', 'Rocket Launcher', 'heavy', 3),
+  200: armor('Hunter Helmet', 'helmet', 1),
+  201: armor('Hunter Gauntlets', 'gauntlets', 1),
+  202: armor('Hunter Chest', 'chest', 1),
+  203: armor('Hunter Legs', 'legs', 1),
+  204: armor('Hunter Cloak', 'classItem', 1),
+  205: armor('Titan Helmet', 'helmet', 0),
+  300: { displayProperties: { name: 'Glimmer' }, itemType: 0, inventory: {} }
+}
+
+const rolls = (values) => ({
+  stats: Object.fromEntries(Object.entries(values).map(([stat, value]) => [STAT_HASHES[stat], { statHash: STAT_HASHES[stat], value }]))
+})
+const armorRoll = rolls({ mobility: 10, resilience: 20, recovery: 12, discipline: 10, intellect: 6, strength: 10 })
+
+const inventory = {
+  characters: [
+    {
+      characterId: 'titan-character',
+      classType: 0,
+      dateLastPlayed: '2024-04-01T00:00:00Z',
+      equipment: [{ itemHash: 205, itemInstanceId: 'i205' }]
+    },
+    {
+      characterId: 'hunter-character',
+      classType: 1,
+      dateLastPlayed: '2024-05-01T00:00:00Z',
+      equipment: [{ itemHash: 100, itemInstanceId: 'i100', state: 4 }, { itemHash: 200, itemInstanceId: 'i200' }],
+      inventory: [{ itemHash: 102, itemInstanceId: 'i102' }]
+    }
+  ],
+  vault: {
+    items: [
+      { itemHash: 103, itemInstanceId: 'i103' },
+      { itemHash: 104, itemInstanceId: 'i104' },
+      { itemHash: 201, itemInstanceId: 'i201' },
+      { itemHash: 202, itemInstanceId: 'i202' },
+      { itemHash: 203, itemInstanceId: 'i203' },
+      { itemHash: 204, itemInstanceId: 'i204' },
+      { itemHash: 300, quantity: 250000 }
+    ]
+  },
+  itemComponents: {
+    instances: {
+      i100: { primaryStat: { value: 2010 }, damageType: 1 },
+      i104: { primaryStat: { value: 1990 }, damageType: 3 }
+    },
+    stats: {
+      i200: armorRoll, i201: armorRoll, i202: armorRoll, i203: armorRoll, i204: armorRoll,
+      i205: rolls({ resilience: 30 })
+    }
+  }
+}
+
+const manifest = { data: { DestinyInventoryItemDefinition: itemDefinitions }, version: 'test' }
+const OWNED_INSTANCES = ['i100', 'i102', 'i103', 'i104', 'i200', 'i201', 'i202', 'i203', 'i204', 'i205']
+
+describe('InventoryIndex', () => {
+  const index = new InventoryIndex(inventory, itemDefinitions)
+
+  it('indexes instanced weapons and armor from characters and the vault', () => {
+    expect(index.items.map(item => item.itemInstanceId).sort()).toEqual(OWNED_INSTANCES)
+  })
+
+  it('reads slot, power, masterwork and armor stats from the instance', () => {
+    const [auto] = index.findOwned(100)
+    expect(auto).toEqual(expect.objectContaining({ slot: 'primary', power: 2010, masterworked: true }))
+
+    const [helmet] = index.findOwned(200)
+    expect(helmet.masterworked).toBe(false)
+    expect(helmet.stats).toEqual({ mobility: 10, resilience: 20, recovery: 12, discipline: 10, intellect: 6, strength: 10 })
+  })
+
+  it('groups armor by slot for one class and shares weapons across classes', () => {
+    const hunterArmor = index.getArmorBySlot(1)
+    expect(hunterArmor.helmet.map(item => item.name)).toEqual(['Hunter Helmet'])
+    expect(Object.values(hunterArmor).every(pieces => pieces.length === 1)).toBe(true)
+    expect(index.getArmorBySlot(0).helmet.map(item => item.name)).toEqual(['Titan Helmet'])
+
+    expect(index.getWeapons('heavy').map(item => item.name)).toEqual(['Gjallarhorn', 'Owned Rocket'])
+  })
+
+  it('picks the most recently played character and describes where items are', () => {
+    expect(index.getCharacterForClass().characterId).toBe('hunter-character')
+    expect(index.getCharacterForClass(0).characterId).toBe('titan-character')
+
+    expect(index.describeLocation(index.findOwned(100)[0].location)).toBe('Hunter (equipped)')
+    expect(index.describeLocation(index.findOwned(102)[0].location)).toBe('Hunter')
+    expect(index.describeLocation(index.findOwned(104)[0].location)).toBe('Vault')
+  })
+})
+
+describe('inventory-only builds', () => {
+  let local
+  let enhanced
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+    local = new BuildIntelligence()
+    await local.initialize(manifest)
+    enhanced = new EnhancedBuildIntelligence()
+    await enhanced.initialize(manifest)
+  })
+
+  afterAll(() => jest.restoreAllMocks())
+
+  const expectOwnedBuild = (build) => {
+    const items = [...Object.values(build.loadout.weapons), ...Object.values(build.loadout.armor)]
+    items.forEach(item => expect(OWNED_INSTANCES).toContain(item.itemInstanceId))
+
+    expect(build.loadout.armor.helmet.name).toBe('Hunter Helmet')
+    expect(build.loadout.weapons.primary.name).toBe('Owned Auto')
+    expect(build.inventory).toEqual(expect.objectContaining({ useInventoryOnly: true, characterId: 'hunter-character', missing: [] }))
+  }
+
+  it('selects owned armor for the class and owned weapons, leaving unlocked exotics out', async () => {
+    const build = await local.createBuildLocally(local.parseRequest('hunter raid'), { useInventoryOnly: true, inventory })
+
+    expectOwnedBuild(build)
+    expect(build.loadout.weapons.heavy.name).toBe('Owned Rocket')
+    expect(build.inventory.items.find(item => item.slot === 'heavy').locationLabel).toBe('Vault')
+  })
+
+  it('uses the owned copy of an exotic the request names', async () => {
+    const build = await local.createBuildLocally(local.parseRequest('hunter raid with gjallarhorn'), { useInventoryOnly: true, inventory })
+
+    expect(build.loadout.weapons.heavy).toEqual(expect.objectContaining({ name: 'Gjallarhorn', itemInstanceId: 'i103', locked: true }))
+  })
+
+  it('builds from the inventory the API passes to the enhanced system', async () => {
+    const build = await enhanced.generateBuild('hunter raid', { useInventoryOnly: true, inventory, skipClarification: true })
+
+    expectOwnedBuild(build)
+  })
+
+  it('refuses an inventory-only build without an inventory instead of using unowned items', async () => {
+    const result = await enhanced.generateBuild('hunter raid', { useInventoryOnly: true, skipClarification: true })
+
+    expect(result.error).toBe('Inventory data is required when useInventoryOnly is enabled')
+  })
+})
@@ -0,0 +1,99 @@
+// lib/destiny-intelligence/__tests__/keyword-index.test.js
+// Keyword tagging - which plugs apply a verb and which benefit from it, and the synergies that pairs make
+
+import { KeywordIndex } from '../keyword-index'
+import { SynergyEngine } from '../synergy-engine'
+
+describe('KeywordIndex', () => {
+  const index = new KeywordIndex()
+
+  describe('tagText', () => {
+    it.each([
+      ['a consumer cue before a target state', 'Defeating scorched targets creates a Firesprite.', { produces: ['firesprite'], consumes: ['scorch'] }],
+      ['a base verb followed by its target', 'Your grenades scorch targets.', { produces: ['scorch'], consumes: [] }],
+      ['a finite verb form', 'Powered melee hits ignite the combatant.', { produces: ['ignite'], consumes: [] }],
+      ['a condition clause', 'While Amplified, your sprint speed is increased.', { produces: [], consumes: ['amplified'] }],
+      ['a producer cue nearer than a consumer cue', 'Defeating targets makes you Amplified.', { produces: ['amplified'], consumes: [] }],
+      ['a clause opening with an -ing word', 'Sprinting through a Sunspot grants Restoration.', { produces: ['restoration'], consumes: ['sunspot'] }],
+      ['each clause on its own', 'Upon Sunspot activation, gain Armor Charge.', { produces: ['armor-charge'], consumes: ['sunspot'] }],
+      ['a bare mention outside a condition', 'Your Sunspots last longer.', { produces: ['sunspot'], consumes: [] }],
+      ['multi-word verbs', 'Picking up an Orb of Power grants an Overshield.', { produces: ['overshield'], consumes: ['orb'] }],
+      ['text without verbs', 'Increases reload speed.', { produces: [], consumes: [] }]
+    ])('reads %s', (_, text, expected) => {
+      expect(index.tagText(text)).toEqual(expected)
+    })
+
+    it('lets one plug both produce and consume a verb', () => {
+      expect(index.tagText('Grenades scorch targets. Defeating scorched targets heals you.')).toEqual({ produces: ['scorch'], consumes: ['scorch'] })
+    })
+  })
+
+  describe('classifyMention', () => {
+    it.each([
+      ['consumes', 'scorch', 'scorched', ['defeating'], ['targets'], false],
+      ['produces', 'scorch', 'scorch', ['grenades'], ['targets'], false],
+      ['produces', 'scorch', 'scorches', ['your', 'melee'], [], false],
+      ['consumes', 'scorch', 'scorched', ['your', 'melee', 'hits'], [], false],
+      ['consumes', 'amplified', 'amplified', ['while'], [], true],
+      ['produces', 'amplified', 'amplified', ['kills', 'makes', 'you'], [], false],
+      ['consumes', 'firesprite', 'firesprite', ['near', 'your', 'allies'], [], false],
+      ['produces', 'firesprite', 'firesprite', ['near', 'your', 'nearby', 'allies'], [], false],
+      ['consumes', 'firesprite', 'firesprite', ['if', 'a'], [], true]
+    ])('%s %s as "%s" after %j', (expected, verbId, word, before, after, isCondition) => {
+      expect(index.classifyMention(index.getVerb(verbId), word, before, after, isCondition)).toBe(expected)
+    })
+  })
+
+  it('indexes plugs from manifest categories and finds them by hash and name', () => {
+    const manifestIndex = new KeywordIndex({
+      DestinyInventoryItemDefinition: {
+        1: { displayProperties: { name: 'Ember of Char', description: 'Defeating scorched targets creates a Firesprite.' }, plug: { plugCategoryIdentifier: 'shared.solar.fragments' } },
+        2: { displayProperties: { name: 'Incandescent', description: 'Final blows scorch nearby targets.' }, plug: { plugCategoryIdentifier: 'frames' } },
+        3: { displayProperties: { name: 'Ornament', description: 'Scorched look.' }, plug: { plugCategoryIdentifier: 'armor_skins' } }
+      }
+    })
+
+    expect(manifestIndex.getConsumers('scorch').map(entry => entry.name)).toEqual(['Ember of Char'])
+    expect(manifestIndex.getProducers('scorch').map(entry => entry.name)).toEqual(['Incandescent'])
+    expect(manifestIndex.getTags(1)).toEqual(expect.objectContaining({ hash: 1, produces: ['firesprite'], consumes: ['scorch'] }))
+    expect(manifestIndex.findByName('ember of char').hash).toBe(1)
+    expect(manifestIndex.getTags(3)).toEqual(expect.objectContaining({ produces: [], consumes: ['scorch'] }))
+  })
+})
+
+describe('SynergyEngine.findKeywordSynergies', () => {
+  const engine = new SynergyEngine()
+  const plug = (name, description) => ({ name, description })
+  const buildWith = (...fragments) => ({ loadout: { subclass: { super: null, aspects: [], fragments } } })
+
+  it.each([
+    ['scorch', [plug('Touch of Flame', 'Your grenades scorch targets.'), plug('Ember of Char', 'Defeating scorched targets creates a Firesprite.')], ['Touch of Flame'], ['Ember of Char']],
+    ['amplified', [plug('Spark of Ions', 'Defeating targets makes you Amplified.'), plug('Spark of Shock', 'While Amplified, your sprint speed is increased.')], ['Spark of Ions'], ['Spark of Shock']]
+  ])('pairs a plug that applies %s with one that benefits from it', (verb, fragments, producers, consumers) => {
+    const [synergy] = engine.findKeywordSynergies(buildWith(...fragments))
+
+    expect(synergy).toEqual(expect.objectContaining({ id: `keyword_${verb}`, type: 'keyword', verb, producers, consumers }))
+  })
+
+  it('finds no synergy in a plug that only feeds itself', () => {
+    const selfFeeding = plug('Ember of Searing', 'Grenades scorch targets. Defeating scorched targets heals you.')
+
+    expect(engine.findKeywordSynergies(buildWith(selfFeeding))).toEqual([])
+  })
+
+  it('counts a self-feeding plug as a consumer once something else applies the verb', () => {
+    const synergies = engine.findKeywordSynergies(buildWith(
+      plug('Ember of Searing', 'Grenades scorch targets. Defeating scorched targets heals you.'),
+      plug('Touch of Flame', 'Your grenades scorch targets.')
+    ))
+
+    expect(synergies).toHaveLength(1)
+    expect(synergies[0].producers).toEqual(['Ember of Searing', 'Touch of Flame'])
+    expect(synergies[0].consumers).toEqual(['Ember of Searing'])
+  })
+
+  it('needs both sides of a verb', () => {
+    expect(engine.findKeywordSynergies(buildWith(plug('Touch of Flame', 'Your grenades scorch targets.')))).toEqual([])
+    expect(engine.findKeywordSynergies(buildWith(plug('Spark of Shock', 'While Amplified, your sprint speed is increased.')))).toEqual([])
+  })
+})
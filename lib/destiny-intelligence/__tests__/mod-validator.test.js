@@ -0,0 +1,199 @@
+// lib/destiny-intelligence/__tests__/mod-validator.test.js
+// Mod validation - socket categories, armor energy, one-per-build mods, and the mods generated builds pick
+
+import { ModValidator } from '../mod-validator'
+import { BuildIntelligence } from '../build-intelligence'
+import { EnhancedBuildIntelligence } from '../enhanced-build-intelligence'
+
+const mod = (name, plugCategoryIdentifier, energyCost, extra = {}) => ({
+  displayProperties: { name, description: extra.description || '' },
+  plug: { plugCategoryIdentifier, energyCost: { energyCost }, insertionRules: extra.insertionRules || [] }
+})
+const FINISHER_RULE = [{ failureMessage: 'Only one finisher mod can be active at a time' }]
+
+// Mods as they are named in the current manifest
+const itemDefinitions = {
+  1: mod('Recovery Mod', 'enhancements.v2_general', 4),
+  2: mod('Resilience Mod', 'enhancements.v2_general', 4),
+  3: mod('Discipline Mod', 'enhancements.v2_general', 3),
+  4: mod('Intellect Mod', 'enhancements.v2_general', 5),
+  5: mod('Strength Mod', 'enhancements.v2_general', 3),
+  6: mod('Mobility Mod', 'enhancements.v2_general', 3),
+  10: mod('Heavy Ammo Finder', 'enhancements.v2_head', 3),
+  11: mod('Special Ammo Finder', 'enhancements.v2_head', 3),
+  12: mod('Ashes to Assets', 'enhancements.v2_head', 3),
+  13: mod('Concussive Dampener', 'enhancements.v2_chest', 1),
+  14: mod('Recuperation', 'enhancements.v2_legs', 1),
+  15: mod('Better Already', 'enhancements.v2_legs', 2),
+  16: mod('Stacks on Stacks', 'enhancements.v2_legs', 4, { description: 'Only one copy of this mod can be active at a time.' }),
+  17: mod('Time Dilation', 'enhancements.v2_class_item', 2, { insertionRules: FINISHER_RULE }),
+  18: mod('Special Finisher', 'enhancements.v2_class_item', 1, { insertionRules: FINISHER_RULE }),
+  19: mod('Bomber', 'enhancements.v2_class_item', 3),
+  26: mod('Outreach', 'enhancements.v2_class_item', 3),
+  20: mod('Solar Weapon Surge', 'enhancements.v2_legs', 3),
+  21: mod('Arc Weapon Surge', 'enhancements.v2_legs', 3),
+  22: mod('Void Weapon Surge', 'enhancements.v2_legs', 3),
+  23: mod('Stasis Weapon Surge', 'enhancements.v2_legs', 3),
+  24: mod('Strand Weapon Surge', 'enhancements.v2_legs', 3),
+  25: mod('Strength Forged', 'enhancements.artifice', 0),
+  30: mod('Backup Mag', 'v400.weapon.mod_magazine', 0),
+  31: mod('Targeting Adjuster', 'v400.weapon.mod_guns', 0),
+  // A helmet whose only mod socket takes helmet mods
+  500: {
+    displayProperties: { name: 'One-Socket Helm' },
+    sockets: { socketEntries: [{ socketTypeHash: 900 }, { socketTypeHash: 901 }] }
+  }
+}
+const manifestData = {
+  DestinyInventoryItemDefinition: itemDefinitions,
+  DestinySocketTypeDefinition: {
+    900: { plugWhitelist: [{ categoryIdentifier: 'enhancements.v2_head' }] },
+    901: { plugWhitelist: [{ categoryIdentifier: 'shader' }] }
+  }
+}
+
+const build = (mods, armor = {}) => ({ loadout: { mods, armor, weapons: {} } })
+
+describe('ModValidator', () => {
+  const validator = new ModValidator(manifestData)
+
+  it('reports builds as unchecked without manifest data', () => {
+    const result = new ModValidator().validateBuild(build({ combat: ['Heavy Ammo Finder'] }))
+
+    expect(result).toEqual(expect.objectContaining({ valid: true, checked: false }))
+    expect(result.warnings[0].type).toBe('unchecked')
+  })
+
+  describe('socket assignment', () => {
+    it('puts stat mods in general sockets and slot mods in their own slot', () => {
+      const result = validator.validateBuild(build({
+        armor: ['Recovery Mod', 'Resilience Mod'],
+        combat: ['Heavy Ammo Finder', 'Recuperation', 'Bomber']
+      }))
+
+      expect(result.valid).toBe(true)
+      const slotOf = name => result.assignments.find(assignment => assignment.mod === name)
+      expect(slotOf('Heavy Ammo Finder')).toEqual(expect.objectContaining({ slot: 'helmet', energyCost: 3 }))
+      expect(slotOf('Recuperation').slot).toBe('legs')
+      expect(slotOf('Bomber').slot).toBe('classItem')
+      expect(slotOf('Recovery Mod').socketIndex).toBe(0)
+      expect(slotOf('Resilience Mod').socketIndex).toBe(0)
+    })
+
+    it('places weapon mods on weapons, one per weapon', () => {
+      const result = validator.validateBuild(build({ weapon: ['Backup Mag', 'Targeting Adjuster', 'Backup Mag', 'Backup Mag'] }))
+
+      expect(result.assignments.map(assignment => assignment.slot).sort()).toEqual(['heavy', 'primary', 'special'])
+      expect(result.errors).toEqual([expect.objectContaining({ type: 'no-free-socket', mod: 'Backup Mag' })])
+    })
+
+    it('rejects mods with no socket that takes them', () => {
+      const result = validator.validateBuild(build({ armor: ['Strength Forged'] }))
+
+      expect(result.valid).toBe(false)
+      expect(result.errors).toEqual([expect.objectContaining({ type: 'illegal-socket', mod: 'Strength Forged' })])
+    })
+
+    it('reports the mod left over when a slot runs out of sockets', () => {
+      const result = validator.validateBuild(build({ combat: ['Heavy Ammo Finder', 'Special Ammo Finder', 'Ashes to Assets'] }))
+
+      expect(result.errors).toEqual([expect.objectContaining({ type: 'no-free-socket', mod: 'Ashes to Assets' })])
+    })
+
+    it('uses the manifest\'s sockets when the armor piece has them', () => {
+      const result = validator.validateBuild(build(
+        { combat: ['Heavy Ammo Finder', 'Special Ammo Finder'] },
+        { helmet: { hash: 500, name: 'One-Socket Helm' } }
+      ))
+
+      expect(result.warnings.filter(warning => warning.type === 'assumed-sockets')).toEqual([])
+      expect(result.assignments).toEqual([expect.objectContaining({ mod: 'Heavy Ammo Finder', slot: 'helmet', socketIndex: 0 })])
+      expect(result.errors).toEqual([expect.objectContaining({ type: 'no-free-socket', mod: 'Special Ammo Finder' })])
+    })
+  })
+
+  describe('armor energy', () => {
+    it('keeps each piece within its energy capacity', () => {
+      const result = validator.validateBuild(build(
+        { combat: ['Heavy Ammo Finder', 'Special Ammo Finder'] },
+        { helmet: { name: 'Low-Energy Helm', energy: { energyCapacity: 5 } } }
+      ))
+
+      expect(result.warnings).toEqual([expect.objectContaining({ type: 'assumed-sockets', slot: 'helmet' })])
+      expect(result.errors).toEqual([expect.objectContaining({ type: 'energy', mod: 'Special Ammo Finder' })])
+      expect(result.energy.helmet).toEqual({ used: 3, capacity: 5 })
+    })
+
+    it('moves general mods to pieces with energy left', () => {
+      const result = validator.validateBuild(build(
+        { combat: ['Heavy Ammo Finder'], armor: ['Recovery Mod'] },
+        { helmet: { name: 'Low-Energy Helm', energy: { energyCapacity: 4 } } }
+      ))
+
+      expect(result.valid).toBe(true)
+      expect(result.energy.helmet).toEqual({ used: 3, capacity: 4 })
+      expect(result.assignments.find(assignment => assignment.mod === 'Recovery Mod').slot).not.toBe('helmet')
+    })
+
+    it('assumes masterworked armor without instance energy', () => {
+      const result = validator.validateBuild(build({ combat: ['Stacks on Stacks', 'Solar Weapon Surge'] }))
+
+      expect(result.energy.legs).toEqual({ used: 7, capacity: 10 })
+    })
+  })
+
+  describe('exclusive mods', () => {
+    it('flags a one-per-build mod slotted twice', () => {
+      const result = validator.validateBuild(build({ combat: ['Stacks on Stacks', 'Stacks on Stacks'] }))
+
+      expect(result.errors).toEqual(expect.arrayContaining([
+        expect.objectContaining({ type: 'exclusive', message: 'Only one Stacks on Stacks can be active at a time' })
+      ]))
+    })
+
+    it('flags different mods that share a one-of-this-type rule', () => {
+      const result = validator.validateBuild(build({ combat: ['Time Dilation', 'Special Finisher'] }))
+
+      expect(result.errors).toEqual([
+        expect.objectContaining({ type: 'exclusive', mod: 'Time Dilation, Special Finisher', message: 'Time Dilation and Special Finisher are mutually exclusive' })
+      ])
+    })
+
+    it('lets mods without a rule stack', () => {
+      expect(validator.validateBuild(build({ combat: ['Recuperation', 'Recuperation'] })).errors).toEqual([])
+    })
+  })
+
+  it('warns about mods that are not in the manifest', () => {
+    const result = validator.validateBuild(build({ weapon: ['Boss Spec'] }))
+
+    expect(result.warnings).toEqual([expect.objectContaining({ type: 'unknown-mod', mod: 'Boss Spec' })])
+  })
+})
+
+describe('mods picked for generated builds', () => {
+  const validator = new ModValidator(manifestData)
+  const local = new BuildIntelligence()
+  const enhanced = new EnhancedBuildIntelligence()
+
+  it.each(['raid', 'pvp', 'nightfall', 'dungeon', 'general_pve'])('are all current mods that fit a %s build', (activity) => {
+    const parsedRequest = { activity, element: 'solar', focusStats: ['recovery'] }
+
+    const picked = [local.selectModsLocally(parsedRequest), {
+      combat: enhanced.getCombatMods(parsedRequest),
+      armor: enhanced.getArmorMods(parsedRequest),
+      weapon: enhanced.getWeaponMods(parsedRequest)
+    }]
+
+    picked.forEach(mods => {
+      const result = validator.validateBuild(build(mods))
+      expect(result.warnings).toEqual([])
+      expect(result.errors).toEqual([])
+    })
+  })
+
+  it('adds the weapon surge for the request\'s element', () => {
+    expect(local.selectModsLocally({ activity: 'raid', element: 'arc' }).combat).toContain('Arc Weapon Surge')
+    expect(local.selectModsLocally({ activity: 'raid', element: 'any' }).combat).not.toContain('Any Weapon Surge')
+  })
+})
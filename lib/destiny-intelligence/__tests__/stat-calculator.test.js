@@ -0,0 +1,119 @@
+// lib/destiny-intelligence/__tests__/stat-calculator.test.js
+// Stat tier solver - stat mods under each armor piece's energy, masterwork bonuses, unreachable targets and generic armor rolls
+
+import { StatCalculator } from '../stat-calculator'
+
+const piece = (stats = {}, options = {}) => ({
+  stats: { mobility: 10, resilience: 10, recovery: 10, discipline: 10, intellect: 10, strength: 10, ...stats },
+  masterworked: false,
+  energyCapacity: 10,
+  energyUsed: 0,
+  ...options
+})
+const fivePieces = (stats, options) => Array.from({ length: 5 }, () => piece(stats, options))
+
+describe('StatCalculator.solveStatTiers', () => {
+  const calculator = new StatCalculator()
+
+  it('adds stat mods until the desired tiers are reached', () => {
+    const result = calculator.solveStatTiers(fivePieces(), { resilience: 8, recovery: 7 })
+
+    expect(result.baseStats.resilience).toBe(50)
+    expect(result.tiers.resilience).toBeGreaterThanOrEqual(8)
+    expect(result.tiers.recovery).toBeGreaterThanOrEqual(7)
+    expect(result.allTargetsMet).toBe(true)
+    expect(result.impossibleTargets).toEqual([])
+  })
+
+  it('never puts more than one mod in a socket or spends energy a piece does not have', () => {
+    const pieces = fivePieces({}, { energyCapacity: 10, energyUsed: 7 })
+    const result = calculator.solveStatTiers(pieces, { resilience: 10 })
+
+    const slots = result.mods.map(mod => mod.slotIndex)
+    expect(new Set(slots).size).toBe(slots.length)
+    result.remainingEnergyBySlot.forEach(slot => expect(slot.remaining).toBeGreaterThanOrEqual(0))
+  })
+
+  it('counts the masterwork bonus on every stat', () => {
+    const plain = calculator.solveStatTiers(fivePieces(), {})
+    const masterworked = calculator.solveStatTiers(fivePieces({}, { masterworked: true }), {})
+
+    expect(masterworked.baseStats.mobility - plain.baseStats.mobility).toBe(10)
+    expect(masterworked.baseStats.strength - plain.baseStats.strength).toBe(10)
+  })
+
+  it('applies fragment modifiers before choosing mods', () => {
+    const result = calculator.solveStatTiers(fivePieces(), {}, { statModifiers: { discipline: 10, strength: -10 } })
+
+    expect(result.baseStats.discipline).toBe(60)
+    expect(result.baseStats.strength).toBe(40)
+  })
+
+  it('reports a target that even every socket cannot reach', () => {
+    // Two energy left per piece - only minor resilience mods fit
+    const pieces = fivePieces({}, { energyCapacity: 10, energyUsed: 8 })
+    const result = calculator.solveStatTiers(pieces, { resilience: 10 })
+
+    expect(result.allTargetsMet).toBe(false)
+    expect(result.tiers.resilience).toBe(7)
+    expect(result.impossibleTargets).toEqual([
+      expect.objectContaining({ stat: 'resilience', desired: 10, achieved: 7, maxAchievable: 7 })
+    ])
+  })
+})
+
+describe('StatCalculator.estimateArmorRoll', () => {
+  const calculator = new StatCalculator()
+  const total = (roll, stats) => stats.reduce((sum, stat) => sum + roll[stat], 0)
+
+  it('spends a fixed budget per stat group, weighted toward the heavier stats', () => {
+    const roll = calculator.estimateArmorRoll({ resilience: 40, mobility: 10, recovery: 10, discipline: 10, intellect: 10, strength: 10 })
+
+    expect(total(roll, ['mobility', 'resilience', 'recovery'])).toBe(32)
+    expect(total(roll, ['discipline', 'intellect', 'strength'])).toBe(32)
+    expect(roll.resilience).toBeGreaterThan(roll.mobility)
+  })
+
+  it('keeps at least two points in every stat and splits evenly without weights', () => {
+    const skewed = calculator.estimateArmorRoll({ recovery: 100 })
+    expect(skewed.mobility).toBe(2)
+    expect(skewed.recovery).toBe(28)
+
+    const even = calculator.estimateArmorRoll()
+    expect(Object.values(even).every(value => value >= 10 && value <= 12)).toBe(true)
+  })
+})
+
+describe('StatCalculator.compareStatBuilds', () => {
+  const calculator = new StatCalculator()
+  const build = (stats, mods = [], className = 'hunter') => ({ metadata: { class: className }, stats, loadout: { subclass: {}, mods } })
+
+  it('counts cooldowns at least 10% shorter as an advantage', () => {
+    const comparison = calculator.compareStatBuilds(
+      build({ strength: 30, discipline: 30 }),
+      build({ strength: 30, discipline: 30 }, ['Melee Kickstart', 'Outreach', 'Grenade Kickstart'])
+    )
+
+    // Two melee regen mods cut 17%; one grenade mod's 10% rounds to just short of the threshold
+    expect(comparison.cooldowns.melee).toEqual(expect.objectContaining({ difference: 15, advantage: 'build2' }))
+    expect(comparison.cooldowns.grenade.advantage).toBe('tie')
+    expect(comparison.winner).toBe('build2')
+  })
+
+  it('lets regen mods make up for a lower stat tier', () => {
+    const comparison = calculator.compareStatBuilds(
+      build({ strength: 40 }),
+      build({ strength: 30 }, ['Melee Kickstart', 'Outreach'])
+    )
+
+    expect(comparison.differences.strength.advantage).toBe('build1')
+    expect(comparison.cooldowns.melee.advantage).toBe('build2')
+    expect(comparison.winner).toBe('tie')
+  })
+
+  it('does not compare class ability cooldowns without a class', () => {
+    const comparison = calculator.compareStatBuilds(build({ mobility: 100 }, [], 'any'), build({ mobility: 0 }, [], 'any'))
+
+    expect(comparison.cooldowns.classAbility).toEqual(expect.objectContaining({ difference: null, advantage: 'unknown' }))
+  })
+})
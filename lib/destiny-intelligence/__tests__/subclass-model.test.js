@@ -0,0 +1,120 @@
+// lib/destiny-intelligence/__tests__/subclass-model.test.js
+// Subclass configurations - finding the subclass, its plug options, and configure's abilities, aspects and fragment slots
+
+import { SubclassModel } from '../subclass-model'
+import { GUNSLINGER, itemDefinitions, manifestData } from './fixtures/subclass-manifest'
+
+const names = plugs => plugs.map(plug => plug.name)
+
+describe('SubclassModel', () => {
+  const model = new SubclassModel(manifestData)
+
+  describe('findSubclass', () => {
+    it('matches class and element by hud or default damage type', () => {
+      expect(model.findSubclass('hunter', 'solar')).toEqual(expect.objectContaining({ hash: GUNSLINGER, itemType: 16 }))
+      expect(model.findSubclass('hunter', 'void').hash).toBe(4001)
+      expect(model.findSubclass('titan', 'solar').hash).toBe(4003)
+    })
+
+    it('keeps Prismatic apart from the element subclasses', () => {
+      expect(model.findSubclass('hunter', 'prismatic').hash).toBe(4002)
+      expect(model.findSubclass('warlock', 'solar')).toBeNull()
+      expect(model.findSubclass('hunter', 'stasis')).toBeNull()
+    })
+  })
+
+  describe('getOptions', () => {
+    it('lists every plug from the subclass\'s plug sets by socket type', () => {
+      const options = model.getOptions(model.findSubclass('hunter', 'solar'))
+
+      expect(names(options.supers)).toEqual(['Golden Gun: Marksman', 'Blade Barrage'])
+      expect(names(options.grenades)).toEqual(['Solar Grenade', 'Healing Grenade'])
+      expect(names(options.melees)).toEqual(['Knife Trick'])
+      expect(names(options.classAbilities)).toEqual(['Gambler\'s Dodge'])
+      expect(names(options.movements)).toEqual(['Triple Jump'])
+      expect(names(options.aspects)).toEqual(['Knock \'Em Down', 'On Your Mark', 'Gunpowder Gamble'])
+      expect(options.fragments).toHaveLength(6)
+    })
+
+    it('falls back to the class and element plug categories without plug sets', () => {
+      const withSets = model.getOptions(model.findSubclass('hunter', 'solar'))
+      const withoutSets = model.getOptions({ ...itemDefinitions[GUNSLINGER], sockets: undefined })
+
+      Object.keys(withSets).forEach(key => expect(names(withoutSets[key]).sort()).toEqual(names(withSets[key]).sort()))
+      expect(names(withoutSets.aspects)).not.toContain('Sol Invictus')
+      expect(names(withoutSets.fragments)).not.toContain('Spark of Ions')
+    })
+
+    it('reads fragment slots and stat modifiers from the plugs', () => {
+      const { aspects, fragments } = model.getOptions(model.findSubclass('hunter', 'solar'))
+
+      expect(aspects.map(aspect => aspect.fragmentSlots)).toEqual([2, 3, 2])
+      expect(fragments.find(fragment => fragment.name === 'Ember of Torches').statModifiers).toEqual({ discipline: -10 })
+      expect(fragments.find(fragment => fragment.name === 'Ember of Solace').statModifiers).toEqual({})
+    })
+  })
+
+  describe('configure', () => {
+    it('fills every socket by default, with abilities keyed by slot', () => {
+      const config = model.configure(GUNSLINGER, {}, { focusStats: ['discipline'] })
+
+      expect(Object.keys(config).sort()).toEqual([
+        'abilities', 'aspects', 'classType', 'element', 'fragmentSlots', 'fragments', 'hash', 'icon', 'issues', 'name', 'statModifiers', 'super'
+      ])
+      expect(config).toEqual(expect.objectContaining({ hash: GUNSLINGER, name: 'Gunslinger', element: 'Solar', classType: 1, issues: [] }))
+      expect(config.super.name).toBe('Golden Gun: Marksman')
+      expect(Object.fromEntries(Object.entries(config.abilities).map(([ability, plug]) => [ability, plug.name]))).toEqual({
+        grenade: 'Solar Grenade',
+        melee: 'Knife Trick',
+        classAbility: 'Gambler\'s Dodge',
+        movement: 'Triple Jump'
+      })
+    })
+
+    it('opens the fragment slots its aspects bring and ranks fragments by focus stats', () => {
+      const config = model.configure(GUNSLINGER, {}, { focusStats: ['discipline'] })
+
+      expect(names(config.aspects)).toEqual(['Knock \'Em Down', 'On Your Mark'])
+      expect(config.fragmentSlots).toBe(5)
+      // The discipline bonus first, the discipline penalty left out
+      expect(names(config.fragments)).toEqual(['Ember of Char', 'Ember of Solace', 'Ember of Beams', 'Ember of Ashes', 'Ember of Empyrean'])
+      expect(config.statModifiers).toEqual({ discipline: 10, intellect: 10, resilience: -10 })
+    })
+
+    it('takes selections by hash, name or plug, and defaults aspects without a capacity to two slots', () => {
+      const config = model.configure(GUNSLINGER, {
+        super: 'blade barrage',
+        grenade: 111,
+        melee: { hash: 120 },
+        aspects: ['Gunpowder Gamble', 'Knock \'Em Down'],
+        fragments: ['Ember of Torches', 'Ember of Char', 'Ember of Beams']
+      })
+
+      expect(config.super.name).toBe('Blade Barrage')
+      expect(config.abilities.grenade.name).toBe('Healing Grenade')
+      expect(config.abilities.melee.name).toBe('Knife Trick')
+      expect(config.fragmentSlots).toBe(4)
+      // Torches and Char cancel out
+      expect(config.statModifiers).toEqual({ intellect: 10 })
+      expect(config.issues).toEqual([])
+    })
+
+    it('reports selections the subclass does not offer or has no room for', () => {
+      const config = model.configure(GUNSLINGER, {
+        super: 'Nova Bomb',
+        aspects: ['Knock \'Em Down', 'On Your Mark', 'Gunpowder Gamble'],
+        fragments: ['Spark of Ions', 'Ember of Torches', 'Ember of Solace', 'Ember of Beams', 'Ember of Empyrean', 'Ember of Ashes', 'Ember of Char']
+      })
+
+      expect(config.issues.map(issue => issue.type).sort()).toEqual(['too-many-aspects', 'too-many-fragments', 'unknown-plug', 'unknown-plug'])
+      expect(config.issues.filter(issue => issue.type === 'unknown-plug').map(issue => issue.selection).sort()).toEqual(['Nova Bomb', 'Spark of Ions'])
+      expect(config.super.name).toBe('Golden Gun: Marksman')
+      expect(config.aspects).toHaveLength(2)
+      expect(config.fragments).toHaveLength(5)
+    })
+
+    it('returns null for an unknown subclass', () => {
+      expect(model.configure(12345)).toBeNull()
+    })
+  })
+})
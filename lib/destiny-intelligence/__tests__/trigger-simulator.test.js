@@ -0,0 +1,136 @@
+// lib/destiny-intelligence/__tests__/trigger-simulator.test.js
+// Trigger simulator - encounter presets and triggers taken from the build's own items
+
+import { TriggerDatabase } from '../trigger-database'
+import { TriggerSimulator } from '../trigger-simulator'
+
+const build = (loadout, metadata = {}) => ({ metadata: { activity: 'general_pve', ...metadata }, loadout })
+
+// Shaped like SubclassModel.configure - abilities keyed by slot, not a list
+const configuredSubclass = {
+  name: 'Broodweaver',
+  element: 'Strand',
+  super: { name: 'Needlestorm' },
+  abilities: {
+    grenade: { name: 'Threadling Grenade', description: 'Defeating targets with threadlings creates Orbs of Power' },
+    melee: { name: 'Arcane Needle' },
+    classAbility: null
+  },
+  aspects: [{ name: 'Weaver\'s Call', fragmentSlots: 2 }],
+  fragments: [],
+  fragmentSlots: 2
+}
+
+describe('TriggerSimulator', () => {
+  let simulator
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    const database = new TriggerDatabase()
+    await database.initialize()
+    simulator = new TriggerSimulator(database)
+    console.log.mockRestore()
+  })
+
+  describe('getEncounter', () => {
+    it('picks the preset for the build activity', () => {
+      expect(simulator.getEncounter(build({}, { activity: 'raid' })).preset).toBe('boss_dps')
+      expect(simulator.getEncounter(build({})).preset).toBe('add_clear')
+    })
+
+    it('applies overrides on top of a preset', () => {
+      const script = simulator.getEncounter(build({}), { preset: 'pvp', duration: 30000 })
+      expect(script).toEqual(expect.objectContaining({ preset: 'pvp', duration: 30000, damageInterval: 8000 }))
+    })
+
+    it('rejects unknown presets instead of running a script with no duration', () => {
+      expect(() => simulator.getEncounter(build({}), { preset: 'unknown' })).toThrow('Unknown encounter preset "unknown"')
+      expect(() => simulator.getEncounter(build({}), 'unknown')).toThrow('Unknown encounter preset')
+    })
+  })
+
+  describe('getActiveTriggers', () => {
+    const encounter = () => simulator.getEncounter(build({}), 'add_clear')
+
+    it('takes weapon triggers from the equipped weapons', () => {
+      const triggers = simulator.getActiveTriggers(build({ weapons: { primary: { name: 'Ace of Spades', type: 'Hand Cannon' } } }), encounter())
+
+      expect(triggers).toEqual(expect.arrayContaining(['weapon_kill', 'precision_kill', 'enemy_death']))
+      expect(triggers).not.toContain('ability_kill')
+    })
+
+    it('leaves precision kills out for weapons without precision hits', () => {
+      const triggers = simulator.getActiveTriggers(build({ weapons: { heavy: { name: 'Falling Guillotine', type: 'Sword' } } }), encounter())
+
+      expect(triggers).toContain('weapon_kill')
+      expect(triggers).not.toContain('precision_kill')
+    })
+
+    it('needs a subclass for ability kills and no weapons means no weapon kills', () => {
+      const triggers = simulator.getActiveTriggers(build({ weapons: {}, subclass: { name: 'Gunslinger', super: { name: 'Golden Gun' } } }), encounter())
+
+      expect(triggers).toEqual(expect.arrayContaining(['ability_kill', 'enemy_death']))
+      expect(triggers).not.toContain('weapon_kill')
+    })
+
+    it('only reacts to health and orbs when an item names them', () => {
+      const plain = simulator.getActiveTriggers(build({ weapons: { primary: { type: 'Auto Rifle' } } }), encounter())
+      expect(plain).not.toContain('taking_damage')
+      expect(plain).not.toContain('orb_pickup')
+
+      const withMods = simulator.getActiveTriggers(build({
+        weapons: { primary: { type: 'Auto Rifle' } },
+        mods: { armor: ['Recuperation', { name: 'Resistant Tether', description: 'Grants damage resistance while taking damage' }] }
+      }), encounter())
+      expect(withMods).toContain('taking_damage')
+
+      const withOrbs = simulator.getActiveTriggers(build({
+        weapons: { primary: { type: 'Auto Rifle' } },
+        subclass: { name: 'Void', fragments: [{ name: 'Echo of Harvest', description: 'Defeating weakened targets creates Orbs of Power' }] }
+      }), encounter())
+      expect(withOrbs).toContain('orb_pickup')
+    })
+
+    it('reads the text of configured subclass abilities', () => {
+      const triggers = simulator.getActiveTriggers(build({ weapons: {}, subclass: configuredSubclass }), encounter())
+
+      expect(triggers).toEqual(expect.arrayContaining(['ability_kill', 'orb_pickup']))
+    })
+
+    it('drops triggers the encounter never fires', () => {
+      const pvp = simulator.getEncounter(build({}), 'pvp')
+      const triggers = simulator.getActiveTriggers(build({
+        weapons: { primary: { type: 'Hand Cannon' } },
+        mods: { armor: ['Orbs of Power on kills'] }
+      }), pvp)
+
+      expect(triggers).not.toContain('orb_pickup')
+    })
+  })
+
+  describe('simulate', () => {
+    it('reports finite uptime for the build items', () => {
+      const result = simulator.simulate(build({
+        weapons: { primary: { name: 'Ace of Spades', type: 'Hand Cannon' } },
+        subclass: { name: 'Gunslinger', super: { name: 'Golden Gun' } }
+      }, { element: 'solar' }))
+
+      expect(result.encounter.duration).toBe(60000)
+      expect(Object.keys(result.uptime).length).toBeGreaterThan(0)
+      Object.values(result.uptime).forEach(percent => {
+        expect(Number.isFinite(percent)).toBe(true)
+        expect(percent).toBeGreaterThanOrEqual(0)
+        expect(percent).toBeLessThanOrEqual(100)
+      })
+    })
+
+    it('simulates a build with a configured subclass', () => {
+      const result = simulator.simulate(build({
+        weapons: { primary: { name: 'Ace of Spades', type: 'Hand Cannon' } },
+        subclass: configuredSubclass
+      }, { element: 'strand' }))
+
+      expect(result.encounter.duration).toBe(60000)
+    })
+  })
+})
@@ -0,0 +1,192 @@
+// lib/destiny-intelligence/ability-cooldowns.js
+// Ability cooldowns from stat tiers, cooldown tiers and the regen mods, aspects and fragments a build runs
+
+// Seconds at stat tier 0 for each ability cooldown tier (1 = fastest)
+const BASE_COOLDOWNS = {
+  grenade: { 1: 121, 2: 152, 3: 182, 4: 212, 5: 243 },
+  melee: { 1: 91, 2: 100, 3: 114, 4: 130, 5: 152 },
+  classAbility: { 1: 41, 2: 51, 3: 68, 4: 91, 5: 114 },
+  super: { 1: 417, 2: 455, 3: 500, 4: 556, 5: 625 }
+}
+
+// Cooldown multiplier at stat tiers 0-10 - intellect scales a little less than the ability stats
+const TIER_MULTIPLIERS = {
+  ability: [1, 0.95, 0.9, 0.85, 0.8, 0.75, 0.7, 0.65, 0.6, 0.55, 0.5],
+  super: [1, 0.955, 0.91, 0.865, 0.82, 0.775, 0.73, 0.685, 0.64, 0.595, 0.55]
+}
+
+const ABILITY_STATS = {
+  grenade: 'discipline',
+  melee: 'strength',
+  super: 'intellect',
+  classAbility: { titan: 'resilience', hunter: 'mobility', warlock: 'recovery' }
+}
+const CLASS_NAMES = { 0: 'titan', 1: 'hunter', 2: 'warlock' }
+
+// Cooldown tier of well-known abilities; anything else uses DEFAULT_COOLDOWN_TIERS
+const ABILITY_COOLDOWN_TIERS = {
+  'Healing Grenade': 1,
+  'Spike Grenade': 2,
+  'Solar Grenade': 3,
+  'Vortex Grenade': 3,
+  'Storm Grenade': 3,
+  'Magnetic Grenade': 3,
+  'Duskfield Grenade': 3,
+  'Glacier Grenade': 4,
+  'Shackle Grenade': 3,
+  'Grapple': 1,
+  'Incinerator Snap': 3,
+  'Throwing Hammer': 3,
+  'Thunderclap': 5,
+  'Knife Trick': 2,
+  'Gambler\'s Dodge': 1,
+  'Marksman\'s Dodge': 2,
+  'Towering Barricade': 3,
+  'Rally Barricade': 2,
+  'Healing Rift': 3,
+  'Empowering Rift': 3,
+  'Well of Radiance': 5,
+  'Ward of Dawn': 5,
+  'Thundercrash': 3,
+  'Golden Gun': 2,
+  'Silence and Squall': 5
+}
+const DEFAULT_COOLDOWN_TIERS = { grenade: 3, melee: 2, classAbility: 2, super: 3 }
+
+// Average cooldown reduction (percent) from regen mods, assuming they proc during normal play
+const REGEN_MODS = {
+  'Grenade Kickstart': { grenade: 10 },
+  'Melee Kickstart': { melee: 10 },
+  'Utility Kickstart': { classAbility: 10 },
+  'Ashes to Assets': { super: 10 },
+  'Hands-On': { super: 8 },
+  'Bomber': { grenade: 8 },
+  'Outreach': { melee: 8 },
+  'Distribution': { grenade: 5, melee: 5, classAbility: 5 },
+  'Bolstering Detonation': { classAbility: 8 },
+  'Focusing Strike': { classAbility: 8 },
+  'Impact Induction': { grenade: 8 },
+  'Momentum Transfer': { melee: 8 },
+  'Innervation': { grenade: 6 },
+  'Invigoration': { melee: 6 },
+  'Insulation': { classAbility: 6 },
+  'Firepower': { grenade: 6 }
+}
+
+// Aspects and fragments that hand back ability energy say so in their description
+const ENERGY_GRANT_PATTERN = /\b(grants?|gains?|regains?|restores?|returns?|refunds?)\b[^.]*?\b(grenade|melee|class ability|super) energy\b/g
+const ENERGY_ABILITIES = { grenade: 'grenade', melee: 'melee', 'class ability': 'classAbility', super: 'super' }
+const SUBCLASS_ENERGY_REDUCTION = 10
+
+export class AbilityCooldownCalculator {
+  /**
+   * Cooldown in seconds for every stat tier of an ability type and cooldown tier
+   * @param {string} ability - grenade, melee, classAbility or super
+   * @param {number} cooldownTier - 1 (fastest) to 5
+   * @returns {Array} Seconds at stat tiers 0-10
+   */
+  getCooldownTable(ability, cooldownTier = DEFAULT_COOLDOWN_TIERS[ability]) {
+    const base = BASE_COOLDOWNS[ability]?.[cooldownTier]
+    if (!base) return []
+
+    const multipliers = ability === 'super' ? TIER_MULTIPLIERS.super : TIER_MULTIPLIERS.ability
+    return multipliers.map(multiplier => Math.round(base * multiplier))
+  }
+
+  /**
+   * Cooldowns of a build's grenade, melee, class ability and super
+   * @param {Object} build - Build with stats, loadout.subclass and loadout.mods (metadata.class picks the class ability stat)
+   * @returns {Object} { grenade, melee, classAbility, super } - each { name, stat, statTier, cooldownTier, baseCooldown, cooldown, reductions }.
+   *   Without a class the class ability's stat is unknown: it gets unknown: true and null cooldowns
+   */
+  calculate(build = {}) {
+    const stats = build.stats || {}
+    const subclass = build.loadout?.subclass || {}
+    const className = build.metadata?.class && build.metadata.class !== 'any'
+      ? build.metadata.class
+      : CLASS_NAMES[subclass.classType]
+    const reductions = this.collectReductions(build)
+    const result = {}
+
+    Object.keys(BASE_COOLDOWNS).forEach(ability => {
+      const plug = ability === 'super' ? subclass.super : subclass.abilities?.[ability]
+      const name = typeof plug === 'string' ? plug : plug?.name || null
+      const stat = typeof ABILITY_STATS[ability] === 'string' ? ABILITY_STATS[ability] : ABILITY_STATS[ability][className]
+      const cooldownTier = ABILITY_COOLDOWN_TIERS[name] || DEFAULT_COOLDOWN_TIERS[ability]
+      const abilityReductions = reductions.filter(reduction => reduction.ability === ability)
+      const listed = abilityReductions.map(({ source, percent }) => ({ source, percent }))
+
+      if (!stat) {
+        result[ability] = { name, stat: null, statTier: null, cooldownTier, baseCooldown: null, cooldown: null, unknown: true, reductions: listed }
+        return
+      }
+
+      const statTier = Math.max(0, Math.min(Math.floor((stats[stat] || 0) / 10), 10))
+      const baseCooldown = this.getCooldownTable(ability, cooldownTier)[statTier]
+
+      // Regen sources multiply - two 10% sources cut 19%, not 20%
+      const remaining = abilityReductions.reduce((product, reduction) => product * (1 - reduction.percent / 100), 1)
+
+      result[ability] = {
+        name,
+        stat,
+        statTier,
+        cooldownTier,
+        baseCooldown,
+        cooldown: Math.round(baseCooldown * remaining),
+        reductions: listed
+      }
+    })
+
+    return result
+  }
+
+  /**
+   * 0-100 rating of how fast a build's abilities come back - tier 10 in every ability stat
+   * scores 100, and regen mods can make up for lower tiers. Unknown cooldowns are left out.
+   * @param {Object} cooldowns - calculate() output
+   * @returns {number} Score
+   */
+  scoreCooldowns(cooldowns) {
+    const entries = Object.entries(cooldowns).filter(([, { cooldown }]) => cooldown !== null)
+    if (entries.length === 0) return 0
+
+    const total = entries.reduce((sum, [ability, { cooldown, cooldownTier }]) => {
+      const multipliers = ability === 'super' ? TIER_MULTIPLIERS.super : TIER_MULTIPLIERS.ability
+      const maxReduction = 1 - multipliers[multipliers.length - 1]
+      const reduction = 1 - cooldown / BASE_COOLDOWNS[ability][cooldownTier]
+      return sum + Math.min(Math.max(reduction / maxReduction, 0), 1) * 100
+    }, 0)
+
+    return Math.round(total / entries.length)
+  }
+
+  // Regen mods by name, then aspects and fragments whose descriptions grant ability energy
+  collectReductions(build) {
+    const reductions = []
+
+    const mods = build.loadout?.mods || build.mods || []
+    const modNames = (Array.isArray(mods) ? mods : Object.values(mods).flat())
+      .map(mod => (typeof mod === 'string' ? mod : mod?.name))
+      .filter(Boolean)
+    modNames.forEach(name => {
+      Object.entries(REGEN_MODS[name] || {}).forEach(([ability, percent]) => {
+        reductions.push({ ability, source: name, percent })
+      })
+    })
+
+    const subclass = build.loadout?.subclass || {}
+    const plugs = [...(subclass.aspects || []), ...(subclass.fragments || [])].filter(plug => plug?.description)
+    plugs.forEach(plug => {
+      const abilities = new Set()
+      for (const match of plug.description.toLowerCase().matchAll(ENERGY_GRANT_PATTERN)) {
+        abilities.add(ENERGY_ABILITIES[match[2]])
+      }
+      abilities.forEach(ability => {
+        reductions.push({ ability, source: plug.name, percent: SUBCLASS_ENERGY_REDUCTION })
+      })
+    })
+
+    return reductions
+  }
+}
@@ -138,6 +138,9 @@ class ArmorArchetypeManager {
       extraEnergy: 'Additional mod socket energy',
       bonusSocket: 'Extra armor mod socket'
     }
+
+    // Armor slots searched by the set optimizer, one piece each
+    this.armorSlots = ['helmet', 'gauntlets', 'chest', 'legs', 'classItem']
   }
 
   /**
@@ -286,53 +289,190 @@ class ArmorArchetypeManager {
 
   /**
    * Optimize stat distribution for given armor pieces
-   * @param {Array} armorPieces - Available armor pieces
+   * @param {Array} armorPieces - Available armor pieces (flattenArmorInventory output)
    * @param {Object} targetDistribution - Desired stat distribution
+   * @param {Object} options - Search options passed to findOptimalArmorSets
    * @returns {Object} Optimization results
    */
-  optimizeStatDistribution(armorPieces, targetDistribution) {
+  optimizeStatDistribution(armorPieces, targetDistribution, options = {}) {
     const optimization = {
       recommendedPieces: [],
       achievedStats: {},
       tierBreakdown: {},
       optimizationScore: 0,
+      wastedPoints: 0,
       gaps: [],
       alternatives: []
     }
 
-    // Simple greedy optimization - can be enhanced with more sophisticated algorithms
-    const slots = ['helmet', 'gauntlets', 'chest', 'legs', 'classItem']
-    
-    slots.forEach(slot => {
-      const slotPieces = armorPieces.filter(piece => piece.slot === slot)
-      if (slotPieces.length === 0) return
-
-      // Score each piece based on target distribution
-      const scored = slotPieces.map(piece => ({
-        ...piece,
-        score: this.scoreArmorPiece(piece, targetDistribution)
-      }))
+    const sets = this.findOptimalArmorSets(armorPieces, targetDistribution, options)
+    if (sets.length === 0) {
+      return optimization
+    }
 
-      // Select highest scoring piece
-      const best = scored.sort((a, b) => b.score - a.score)[0]
-      optimization.recommendedPieces.push(best)
-    })
+    const [best, ...alternatives] = sets
+    optimization.recommendedPieces = best.pieces.map(piece => ({
+      ...piece,
+      score: this.scoreArmorPiece(piece, targetDistribution)
+    }))
+    optimization.achievedStats = best.stats
+    optimization.tierBreakdown = best.tiers
+    optimization.optimizationScore = best.optimizationScore
+    optimization.wastedPoints = best.wastedPoints
+    optimization.gaps = best.gaps
+    optimization.alternatives = alternatives
 
-    // Calculate achieved stats
-    optimization.achievedStats = this.calculateTotalStats(optimization.recommendedPieces)
-    
-    // Calculate tier breakdown
-    Object.entries(optimization.achievedStats).forEach(([stat, value]) => {
-      optimization.tierBreakdown[stat] = Math.floor(value / 10)
+    return optimization
+  }
+
+  /**
+   * Search every owned armor combination for the best stat sets.
+   * Branch-and-bound over helmet/gauntlets/chest/legs/classItem: a partial set
+   * is dropped once even the best remaining rolls per slot could not beat the
+   * worst set already kept. At most `maxExotics` exotic pieces per set.
+   * @param {Array} armorPieces - Flat armor pieces, each with `slot` and `stats`
+   * @param {Object} targetDistribution - Stat priorities ({ stat: weight })
+   * @param {Object} options - { topN, maxExotics, minTiers }
+   * @returns {Array} Sets meeting minTiers first (then fewest points short of them),
+   *   then by weighted tiers reached, then wasted points
+   */
+  findOptimalArmorSets(armorPieces, targetDistribution, options = {}) {
+    const topN = options.topN || 5
+    const maxExotics = options.maxExotics !== undefined ? options.maxExotics : 1
+    const minTiers = options.minTiers || {}
+    const statNames = Object.keys(this.calculateTotalStats([]))
+    const targetStats = Object.keys(targetDistribution).filter(stat => statNames.includes(stat))
+
+    // Only slots we actually own pieces for take part in the search; strongest
+    // pieces go first so good sets are found early and pruning bites sooner
+    const slotGroups = this.armorSlots
+      .map(slot => armorPieces
+        .filter(piece => piece.slot === slot)
+        .sort((a, b) => this.scoreArmorPiece(b, targetDistribution) - this.scoreArmorPiece(a, targetDistribution)))
+      .filter(group => group.length > 0)
+
+    if (slotGroups.length === 0) {
+      return []
+    }
+
+    // remainingMax[i][stat] = best roll obtainable for stat from slots i..end
+    const remainingMax = new Array(slotGroups.length + 1)
+    remainingMax[slotGroups.length] = this.calculateTotalStats([])
+    for (let i = slotGroups.length - 1; i >= 0; i--) {
+      remainingMax[i] = { ...remainingMax[i + 1] }
+      statNames.forEach(stat => {
+        const best = Math.max(...slotGroups[i].map(piece => (piece.stats || {})[stat] || 0))
+        remainingMax[i][stat] += best
+      })
+    }
+
+    const tierScoreOf = stats => targetStats.reduce((sum, stat) =>
+      sum + Math.min(Math.floor(stats[stat] / 10), 10) * targetDistribution[stat], 0)
+    const pointsShortOf = stats => Object.entries(minTiers).reduce((sum, [stat, minTier]) =>
+      sum + Math.max(minTier * 10 - (stats[stat] || 0), 0), 0)
+
+    const results = []
+    const isBetter = (a, b) => a.pointsShort < b.pointsShort ||
+      (a.pointsShort === b.pointsShort && (a.tierScore > b.tierScore ||
+        (a.tierScore === b.tierScore && a.wastedPoints < b.wastedPoints)))
+
+    const keep = candidate => {
+      if (results.length === topN && !isBetter(candidate, results[results.length - 1])) return
+      let index = results.length
+      while (index > 0 && isBetter(candidate, results[index - 1])) index--
+      results.splice(index, 0, candidate)
+      if (results.length > topN) results.pop()
+    }
+
+    const chosen = []
+    const search = (depth, stats, exoticCount) => {
+      // The best rolls left can only lower the points short and raise the tier score, so they bound any completion
+      if (results.length === topN) {
+        const optimistic = {}
+        statNames.forEach(stat => { optimistic[stat] = stats[stat] + remainingMax[depth][stat] })
+        const worst = results[results.length - 1]
+        const pointsShort = pointsShortOf(optimistic)
+        if (pointsShort > worst.pointsShort ||
+          (pointsShort === worst.pointsShort && tierScoreOf(optimistic) < worst.tierScore)) return
+      }
+
+      if (depth === slotGroups.length) {
+        keep(this.evaluateArmorSet(chosen, stats, targetDistribution, minTiers, tierScoreOf(stats)))
+        return
+      }
+
+      slotGroups[depth].forEach(piece => {
+        const exotic = this.isExoticArmor(piece)
+        if (exotic && exoticCount >= maxExotics) return
+
+        const nextStats = { ...stats }
+        Object.entries(piece.stats || {}).forEach(([stat, value]) => {
+          if (nextStats[stat] !== undefined) nextStats[stat] += value
+        })
+
+        chosen.push(piece)
+        search(depth + 1, nextStats, exoticCount + (exotic ? 1 : 0))
+        chosen.pop()
+      })
+    }
+
+    search(0, this.calculateTotalStats([]), 0)
+    return results
+  }
+
+  /**
+   * Summarize a complete armor set for ranking
+   * @param {Array} pieces - Pieces in the set
+   * @param {Object} stats - Summed stats of the set
+   * @param {Object} targetDistribution - Stat priorities
+   * @param {Object} minTiers - Required minimum tiers
+   * @param {number} tierScore - Weighted tiers reached
+   * @returns {Object} Ranked set entry
+   */
+  evaluateArmorSet(pieces, stats, targetDistribution, minTiers, tierScore) {
+    const tiers = {}
+    let wastedPoints = 0
+
+    Object.entries(stats).forEach(([stat, value]) => {
+      tiers[stat] = Math.min(Math.floor(value / 10), 10)
+      // Anything past 100 or short of the next tier does nothing
+      wastedPoints += value > 100 ? value - 100 : value % 10
     })
 
-    // Calculate optimization score
-    optimization.optimizationScore = this.calculateOptimizationScore(
-      optimization.tierBreakdown,
-      targetDistribution
-    )
+    const gaps = Object.entries(minTiers)
+      .filter(([stat, minTier]) => (tiers[stat] || 0) < minTier)
+      .map(([stat, minTier]) => ({
+        stat,
+        required: minTier,
+        achieved: tiers[stat] || 0,
+        pointsShort: minTier * 10 - (stats[stat] || 0)
+      }))
 
-    return optimization
+    return {
+      pieces: [...pieces],
+      stats,
+      tiers,
+      tierScore,
+      tiersReached: Object.keys(targetDistribution).reduce((sum, stat) => sum + (tiers[stat] || 0), 0),
+      wastedPoints,
+      exoticCount: pieces.filter(piece => this.isExoticArmor(piece)).length,
+      optimizationScore: this.calculateOptimizationScore(tiers, targetDistribution),
+      meetsMinimums: gaps.length === 0,
+      pointsShort: gaps.reduce((sum, gap) => sum + gap.pointsShort, 0),
+      gaps
+    }
+  }
+
+  /**
+   * Check if armor piece is exotic
+   * @param {Object} armorPiece - Armor piece to check
+   * @returns {boolean} Is exotic armor
+   */
+  isExoticArmor(armorPiece) {
+    return armorPiece.isExotic === true ||
+           armorPiece.tierType === 6 ||
+           armorPiece.inventory?.tierType === 6 ||
+           armorPiece.tier === 'Exotic'
   }
 
   /**
@@ -451,12 +591,18 @@ class ArmorArchetypeManager {
     // Convert available armor to array format
     const armorArray = this.flattenArmorInventory(availableArmor)
     
-    // Optimize stat distribution
+    // Search owned armor combinations for the archetype's stat targets
     const optimization = this.optimizeStatDistribution(
       armorArray, 
-      this.convertArchetypeToDistribution(recommendations.archetype[1])
+      this.convertArchetypeToDistribution(recommendations.archetype[1]),
+      {
+        topN: constraints.topN,
+        maxExotics: constraints.maxExotics,
+        minTiers: recommendations.archetype[1].minTiers
+      }
     )
     recommendations.primarySet = optimization.recommendedPieces
+    recommendations.alternativeSet = optimization.alternatives[0]?.pieces || null
     recommendations.optimization = optimization
 
     // Calculate synergies
@@ -476,6 +622,43 @@ class ArmorArchetypeManager {
     return recommendations
   }
 
+  /**
+   * Find armor set synergies among selected pieces
+   * @param {Array} armorPieces - Selected armor pieces
+   * @returns {Object} Active synergies and exotic count
+   */
+  calculateArchetypeSynergies(armorPieces) {
+    const synergies = {
+      activeSynergies: [],
+      exoticCount: 0
+    }
+
+    const sets = new Map()
+    armorPieces.forEach(piece => {
+      if (this.isExoticArmor(piece)) {
+        synergies.exoticCount++
+      }
+
+      const setKey = piece.setName || piece.setHash
+      if (setKey) {
+        sets.set(setKey, (sets.get(setKey) || 0) + 1)
+      }
+    })
+
+    // Matching set pieces activate their bonus at 2 and 4 pieces
+    sets.forEach((count, setName) => {
+      if (count >= 2) {
+        synergies.activeSynergies.push({
+          setName,
+          pieces: count,
+          bonusesActive: count >= 4 ? 2 : 1
+        })
+      }
+    })
+
+    return synergies
+  }
+
   /**
    * Flatten armor inventory to array format
    * @param {Object} availableArmor - Armor inventory by slot
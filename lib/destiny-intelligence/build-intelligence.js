@@ -1,6 +1,32 @@
 // lib/destiny-intelligence/build-intelligence.js
 // Frontend Build Intelligence system - processes builds locally using cached manifest data
 
+import ArmorArchetypeManager from './armor-archetype-manager'
+import { InventoryIndex } from './inventory-index'
+import { ModValidator } from './mod-validator'
+import { SubclassModel } from './subclass-model'
+import { StatCalculator } from './stat-calculator'
+import { ScoringPipeline } from '../scoring-pipeline'
+import {
+  parseBuildRequest, buildExoticIndex, isExcluded, allowedWeaponTypes, allowedElements, clarifyingQuestions, answerClarifications
+} from '../language-parser'
+import { targetTiers, evaluateStatTargets } from '../stat-targets'
+
+// Owned armor sets checked against the hard stat targets once stat mods are socketed
+const OWNED_SET_CANDIDATES = 10
+
+// Armor mods by activity, named as they are in the current manifest (helmet, chest, legs and class item mods).
+// Champion mods come from the seasonal artifact and aren't socketed.
+export const ACTIVITY_MODS = {
+  raid: ['Heavy Ammo Finder', 'Time Dilation', 'Bomber'],
+  pvp: ['Special Ammo Finder', 'Recuperation', 'Outreach'],
+  nightfall: ['Concussive Dampener', 'Heavy Ammo Finder', 'Recuperation']
+}
+export const WEAPON_MODS = {
+  pvp: ['Targeting Adjuster', 'Backup Mag'],
+  default: ['Backup Mag']
+}
+
 export class BuildIntelligence {
   constructor() {
     this.initialized = false
@@ -10,6 +36,31 @@ export class BuildIntelligence {
     this.statDefinitions = null
     this.classDefinitions = null
     this.damageDefinitions = null
+    this.subclassModel = null
+    this.modValidator = null
+    this.weaponIndex = null
+    this.inventoryIndex = null
+    this.exoticIndex = null
+    this.armorManager = new ArmorArchetypeManager()
+    this.statCalculator = new StatCalculator()
+    this.scoringPipeline = new ScoringPipeline()
+
+    this.statHashes = {
+      mobility: 2996146975,
+      resilience: 392767087,
+      recovery: 1943323491,
+      discipline: 1735777505,
+      intellect: 144602215,
+      strength: 4244567218
+    }
+    this.weaponBuckets = {
+      primary: 1498876634,
+      special: 2465295065,
+      heavy: 953998645
+    }
+    this.classTypes = { titan: 0, hunter: 1, warlock: 2 }
+    this.elementDamageTypes = { kinetic: 1, arc: 2, solar: 3, void: 4, stasis: 6, strand: 7 }
+    this.damageTypeNames = { 1: 'kinetic', 2: 'arc', 3: 'solar', 4: 'void', 6: 'stasis', 7: 'strand' }
   }
 
   async initialize(manifestData) {
@@ -25,6 +76,11 @@ export class BuildIntelligence {
       this.statDefinitions = manifestData.data.DestinyStatDefinition || {}
       this.classDefinitions = manifestData.data.DestinyClassDefinition || {}
       this.damageDefinitions = manifestData.data.DestinyDamageTypeDefinition || {}
+      this.subclassModel = new SubclassModel(manifestData.data)
+      this.modValidator = new ModValidator(manifestData.data)
+      this.weaponIndex = null
+      this.exoticIndex = buildExoticIndex(this.itemDefinitions)
+      await this.scoringPipeline.initialize(manifestData)
       
       console.log(`📊 Frontend Intelligence loaded:`)
       console.log(`  Items: ${Object.keys(this.itemDefinitions).length}`)
@@ -47,6 +103,33 @@ export class BuildIntelligence {
     return this.initialized
   }
 
+  // Accepts BungieAPIService.getCompleteInventory output for inventory-only builds
+  setInventory(inventory) {
+    this.inventoryIndex = inventory ? new InventoryIndex(inventory, this.itemDefinitions) : null
+    return this.inventoryIndex
+  }
+
+  getOwnedInventory(options = {}) {
+    if (!options.useInventoryOnly) return null
+
+    const inventoryIndex = options.inventory ?
+      new InventoryIndex(options.inventory, this.itemDefinitions) :
+      this.inventoryIndex
+
+    if (!inventoryIndex) {
+      throw new Error('Inventory data is required when useInventoryOnly is enabled')
+    }
+    return inventoryIndex
+  }
+
+  /**
+   * Generate a build from a natural language request. An ambiguous request comes back with follow-up
+   * questions instead of a build - pass the picked options back as answers, or skipClarification to build anyway.
+   * @param {string} userInput - Natural language request
+   * @param {Object} options - { useInventoryOnly, lockedExotic, includeAlternatives, detailedAnalysis, optimizationSuggestions,
+   *   answers: { questionId: optionId }, skipClarification }
+   * @returns {Object} { success, build, metadata } | { success: false, needsClarification: true, questions, parsedRequest }
+   */
   async generateBuild(userInput, options = {}) {
     if (!this.initialized) {
       throw new Error('Build Intelligence not initialized')
@@ -57,7 +140,9 @@ export class BuildIntelligence {
       lockedExotic = null,
       includeAlternatives = false,
       detailedAnalysis = true,
-      optimizationSuggestions = true
+      optimizationSuggestions = true,
+      answers = {},
+      skipClarification = false
     } = options
 
     try {
@@ -66,7 +151,12 @@ export class BuildIntelligence {
       // IMPORTANT: All processing happens locally - no API calls!
       
       // Parse the user request locally
-      const parsedRequest = this.parseUserInputLocally(userInput)
+      const parsedRequest = answerClarifications(this.parseRequest(userInput), answers)
+
+      const questions = skipClarification ? [] : clarifyingQuestions(parsedRequest)
+      if (questions.length > 0) {
+        return { success: false, needsClarification: true, questions, parsedRequest, userInput }
+      }
       
       // Generate build entirely using local manifest data
       const build = await this.createBuildLocally(parsedRequest, options)
@@ -109,63 +199,37 @@ export class BuildIntelligence {
     }
   }
 
-  parseUserInputLocally(input) {
-    console.log('🔍 Parsing user input locally:', input)
-    
-    const parsed = {
-      class: 'any',
-      activity: 'general_pve', 
-      element: 'any',
-      playstyle: 'balanced',
-      focusStats: [],
-      exotic: null,
-      keywords: input.toLowerCase().split(' ')
-    }
-
-    const lowercaseInput = input.toLowerCase()
-
-    // Parse class
-    if (lowercaseInput.includes('titan')) parsed.class = 'titan'
-    else if (lowercaseInput.includes('hunter')) parsed.class = 'hunter' 
-    else if (lowercaseInput.includes('warlock')) parsed.class = 'warlock'
-
-    // Parse activity
-    if (lowercaseInput.includes('raid')) parsed.activity = 'raid'
-    else if (lowercaseInput.includes('pvp') || lowercaseInput.includes('crucible')) parsed.activity = 'pvp'
-    else if (lowercaseInput.includes('dungeon')) parsed.activity = 'dungeon'
-    else if (lowercaseInput.includes('nightfall')) parsed.activity = 'nightfall'
-    else if (lowercaseInput.includes('gambit')) parsed.activity = 'gambit'
-    else if (lowercaseInput.includes('trials')) parsed.activity = 'trials'
-
-    // Parse element (including all 6 elements)
-    if (lowercaseInput.includes('solar')) parsed.element = 'solar'
-    else if (lowercaseInput.includes('arc')) parsed.element = 'arc'
-    else if (lowercaseInput.includes('void')) parsed.element = 'void'
-    else if (lowercaseInput.includes('stasis')) parsed.element = 'stasis'
-    else if (lowercaseInput.includes('strand')) parsed.element = 'strand'
-    else if (lowercaseInput.includes('prismatic')) parsed.element = 'prismatic'
+  async createBuildLocally(parsedRequest, options = {}) {
+    console.log('⚙️ Creating build locally using manifest data')
 
-    // Parse playstyle
-    if (lowercaseInput.includes('aggressive') || lowercaseInput.includes('offense')) parsed.playstyle = 'aggressive'
-    else if (lowercaseInput.includes('defensive') || lowercaseInput.includes('tank')) parsed.playstyle = 'defensive'
-    else if (lowercaseInput.includes('support')) parsed.playstyle = 'support'
-    else if (lowercaseInput.includes('dps') || lowercaseInput.includes('damage')) parsed.playstyle = 'dps'
-    else if (lowercaseInput.includes('speed') || lowercaseInput.includes('fast')) parsed.playstyle = 'speed'
+    const ownedInventory = this.getOwnedInventory(options)
 
-    // Parse focus stats
-    if (lowercaseInput.includes('recovery') || lowercaseInput.includes('health')) parsed.focusStats.push('recovery')
-    if (lowercaseInput.includes('mobility') || lowercaseInput.includes('speed')) parsed.focusStats.push('mobility')
-    if (lowercaseInput.includes('resilience') || lowercaseInput.includes('resistance')) parsed.focusStats.push('resilience')
-    if (lowercaseInput.includes('discipline') || lowercaseInput.includes('grenade')) parsed.focusStats.push('discipline')
-    if (lowercaseInput.includes('intellect') || lowercaseInput.includes('super')) parsed.focusStats.push('intellect')
-    if (lowercaseInput.includes('strength') || lowercaseInput.includes('melee')) parsed.focusStats.push('strength')
+    // Inventory-only builds without a class target the most recently played character -
+    // without one, armor from every class would end up in the same set
+    if (ownedInventory && parsedRequest.class === 'any') {
+      const character = ownedInventory.getCharacterForClass()
+      if (!character) {
+        throw new Error('No characters found on this account - pick a class for an inventory-only build')
+      }
+      parsedRequest = { ...parsedRequest, class: ownedInventory.classNames[character.classType] }
+    }
 
-    console.log('📝 Parsed request:', parsed)
-    return parsed
-  }
+    // 'any' falls back to solar below - when the request rules solar out, pin an element it allows instead
+    if (parsedRequest.element === 'any' && isExcluded(parsedRequest, 'elements', 'solar')) {
+      parsedRequest = { ...parsedRequest, element: allowedElements(parsedRequest)[0] || 'any' }
+    }
 
-  async createBuildLocally(parsedRequest, options) {
-    console.log('⚙️ Creating build locally using manifest data')
+    // An exotic named in the request is locked in like one picked in the exotic selector
+    const requestedExotic = parsedRequest.exotic?.hash ? this.resolveManifestItem(parsedRequest.exotic.hash) : null
+    const lockedExotic = options.lockedExotic || (requestedExotic?.resolved ? requestedExotic : null)
+    const subclass = this.selectSubclassLocally(parsedRequest)
+    const selectionOptions = { ...options, lockedExotic, ownedInventory, subclass }
+    const ownedArmor = ownedInventory ? this.selectOwnedArmor(parsedRequest, selectionOptions) : null
+    const armor = ownedArmor ? ownedArmor.armor : this.selectArmorLocally(parsedRequest)
+    // Stats come from the chosen armor and its stat mods - an account without a full set is measured on generic rolls
+    const armorStats = ownedArmor?.stats
+      ? ownedArmor
+      : this.solveArmorStatsLocally(parsedRequest, ownedArmor ? this.selectArmorLocally(parsedRequest) : armor, subclass)
     
     // All processing uses local manifest data - no API calls
     const build = {
@@ -177,27 +241,76 @@ export class BuildIntelligence {
         activity: parsedRequest.activity,
         playstyle: parsedRequest.playstyle,
         focusStats: parsedRequest.focusStats,
+        statTargets: parsedRequest.statTargets || {},
         generatedAt: new Date().toISOString(),
         version: this.version
       },
       loadout: {
-        subclass: this.selectSubclassLocally(parsedRequest),
-        weapons: this.selectWeaponsLocally(parsedRequest, options),
-        armor: this.selectArmorLocally(parsedRequest, options),
-        mods: this.selectModsLocally(parsedRequest)
+        subclass,
+        weapons: this.selectWeaponsLocally(parsedRequest, selectionOptions),
+        armor,
+        mods: this.selectModsLocally(parsedRequest),
+        statMods: ownedArmor ? ownedArmor.statMods : armorStats.statMods
       },
-      stats: this.calculateExpectedStatsLocally(parsedRequest),
+      stats: armorStats.stats,
       synergies: this.identifyBuildSynergiesLocally(parsedRequest),
       score: 0
     }
 
-    // Calculate overall build score using local data
-    build.score = this.calculateBuildScoreLocally(build, parsedRequest)
+    if (ownedInventory) {
+      build.inventory = this.createInventoryReport(build, parsedRequest, ownedInventory)
+    }
+
+    // Which of the request's stat targets the build reaches, and by how much the rest fall short
+    build.statTargets = evaluateStatTargets(build.stats, parsedRequest.statTargets)
+
+    // Sockets, armor energy and mutually exclusive mods - surfaced as warnings in BuildDisplay
+    build.modValidation = this.modValidator.validateBuild(build)
+
+    // Score and per-category evidence, shown in BuildDisplay's score breakdown
+    build.scoring = this.scoreBuild(build, parsedRequest, options)
+    build.score = build.scoring.total
     
     console.log('✅ Build created locally, score:', build.score)
     return build
   }
 
+  // Where each selected item lives, and which slots the user owns nothing for
+  createInventoryReport(build, parsedRequest, ownedInventory) {
+    const character = ownedInventory.getCharacterForClass(this.classTypes[parsedRequest.class])
+    const report = {
+      useInventoryOnly: true,
+      characterId: character?.characterId || null,
+      className: parsedRequest.class,
+      items: [],
+      missing: []
+    }
+
+    const slots = [
+      ...Object.entries(build.loadout.weapons).map(([slot, item]) => ['weapons', slot, item]),
+      ...Object.entries(build.loadout.armor).map(([slot, item]) => ['armor', slot, item])
+    ]
+
+    slots.forEach(([category, slot, item]) => {
+      if (!item?.itemInstanceId) {
+        report.missing.push({ category, slot })
+        return
+      }
+
+      report.items.push({
+        category,
+        slot,
+        name: item.name,
+        itemHash: item.hash,
+        itemInstanceId: item.itemInstanceId,
+        location: item.location,
+        locationLabel: ownedInventory.describeLocation(item.location)
+      })
+    })
+
+    return report
+  }
+
   generateBuildName(parsedRequest) {
     const parts = []
     
@@ -282,87 +395,291 @@ export class BuildIntelligence {
         fragments: ['Versatile fragments']
       }
     }
-    
-    return parsedRequest.element !== 'any' ? 
-      elementSubclasses[parsedRequest.element] || elementSubclasses['solar'] :
-      elementSubclasses['solar'] // Default to solar
+
+    const element = parsedRequest.element !== 'any' && elementSubclasses[parsedRequest.element] ?
+      parsedRequest.element :
+      'solar' // Default to solar
+
+    // Prefer the real subclass from the manifest, fall back to the generic description
+    return this.resolveSubclassFromManifest(parsedRequest.class, element, parsedRequest.focusStats) ||
+      elementSubclasses[element]
+  }
+
+  resolveSubclassFromManifest(className, element, focusStats = []) {
+    const subclass = this.subclassModel?.findSubclass(className, element)
+    if (!subclass) return null
+
+    const config = this.subclassModel.configure(subclass, {}, { focusStats })
+    if (config.aspects.length === 0 && config.fragments.length === 0) return null
+
+    return config
   }
 
   selectWeaponsLocally(parsedRequest, options) {
-    // Activity-based weapon selection using local manifest data
+    // Activity-based weapon archetypes per slot
     const activityWeapons = {
-      'raid': { 
-        primary: { type: 'Scout Rifle', element: parsedRequest.element },
-        special: { type: 'Sniper Rifle', element: parsedRequest.element },
-        heavy: { type: 'Linear Fusion Rifle', element: parsedRequest.element }
-      },
-      'pvp': { 
-        primary: { type: 'Hand Cannon', element: 'kinetic' },
-        special: { type: 'Shotgun', element: parsedRequest.element },
-        heavy: { type: 'Rocket Launcher', element: parsedRequest.element }
-      },
-      'dungeon': { 
-        primary: { type: 'Auto Rifle', element: parsedRequest.element },
-        special: { type: 'Fusion Rifle', element: parsedRequest.element },
-        heavy: { type: 'Sword', element: parsedRequest.element }
-      },
-      'nightfall': { 
-        primary: { type: 'Pulse Rifle', element: parsedRequest.element },
-        special: { type: 'Sniper Rifle', element: parsedRequest.element },
-        heavy: { type: 'Machine Gun', element: parsedRequest.element }
-      }
+      'raid': { primary: 'Scout Rifle', special: 'Sniper Rifle', heavy: 'Linear Fusion Rifle' },
+      'pvp': { primary: 'Hand Cannon', special: 'Shotgun', heavy: 'Rocket Launcher' },
+      'dungeon': { primary: 'Auto Rifle', special: 'Fusion Rifle', heavy: 'Sword' },
+      'nightfall': { primary: 'Pulse Rifle', special: 'Sniper Rifle', heavy: 'Machine Gun' }
+    }
+
+    // Weapon types named in the request replace the activity's pick for their slot
+    const weaponTypes = { ...(activityWeapons[parsedRequest.activity] || activityWeapons['raid']) }
+    for (const { type, slot } of parsedRequest.weapons || []) {
+      if (slot) weaponTypes[slot] = type
     }
 
-    const weapons = activityWeapons[parsedRequest.activity] || activityWeapons['raid']
+    // An excluded type hands its slot to the first type the request allows there
+    for (const [slot, type] of Object.entries(weaponTypes)) {
+      if (!isExcluded(parsedRequest, 'weapons', type)) continue
+      const [allowed] = allowedWeaponTypes(parsedRequest, slot)
+      if (allowed) weaponTypes[slot] = allowed
+      else delete weaponTypes[slot]
+    }
+    const weapons = {}
+    
+    const owned = options.ownedInventory
     
     // If locked exotic provided, incorporate it
     if (options.lockedExotic) {
       const exoticSlot = this.determineExoticSlot(options.lockedExotic)
-      if (exoticSlot && weapons[exoticSlot]) {
+      const exoticHash = options.lockedExotic.itemHash ?? options.lockedExotic.hash
+      const ownedCopy = owned ? owned.findOwned(exoticHash)[0] : null
+
+      // Inventory-only builds can't lock an exotic the user doesn't have
+      if (exoticSlot && weaponTypes[exoticSlot] && (!owned || ownedCopy)) {
         weapons[exoticSlot] = {
+          ...this.resolveManifestItem(exoticHash),
           ...options.lockedExotic,
+          ...(ownedCopy ? this.toOwnedFields(ownedCopy) : {}),
           locked: true
         }
       }
     }
 
+    Object.entries(weaponTypes).forEach(([slot, type]) => {
+      if (weapons[slot]) return
+
+      // The kinetic slot only carries kinetic, stasis and strand weapons
+      const element = slot === 'primary' && !['stasis', 'strand'].includes(parsedRequest.element) ?
+        'kinetic' :
+        parsedRequest.element
+
+      const candidates = owned ?
+        owned.getWeapons(slot).map(copy => ({ hash: copy.itemHash, item: this.itemDefinitions[copy.itemHash], owned: copy })) :
+        null
+
+      weapons[slot] = this.findWeaponForSlot(slot, type, element, candidates, parsedRequest) || { type, element, resolved: false }
+    })
+
     return weapons
   }
 
-  selectArmorLocally(parsedRequest, options) {
+  findWeaponForSlot(slot, weaponType, element, candidates = null, parsedRequest = null) {
+    candidates = candidates || this.getWeaponIndex()[slot] || []
+    const damageType = this.elementDamageTypes[element]
+    let best = null
+    let bestScore = -1
+
+    candidates.forEach(candidate => {
+      // Exotic weapons are only used when the user locks one in
+      if (candidate.item.inventory?.tierType === 6) return
+
+      // Weapon types and elements the request rules out
+      const candidateDamageType = candidate.owned?.damageType ?? candidate.item.defaultDamageType
+      if (isExcluded(parsedRequest, 'weapons', candidate.item.itemTypeDisplayName)) return
+      if (isExcluded(parsedRequest, 'elements', this.damageTypeNames[candidateDamageType])) return
+
+      let score = 0
+      if (candidate.item.itemTypeDisplayName === weaponType) score += 4
+      if (damageType !== undefined && candidateDamageType === damageType) score += 2
+
+      if (score > bestScore || (score === bestScore && this.isPreferredWeapon(candidate, best))) {
+        best = candidate
+        bestScore = score
+      }
+    })
+
+    if (!best) return null
+
+    const weapon = this.toBuildItem(best.hash, best.item)
+    return best.owned ? { ...weapon, ...this.toOwnedFields(best.owned) } : weapon
+  }
+
+  isPreferredWeapon(candidate, current) {
+    // Among owned copies take the highest power one
+    const powerDelta = (candidate.owned?.power || 0) - (current.owned?.power || 0)
+    if (powerDelta !== 0) return powerDelta > 0
+
+    // Higher manifest index means more recently added - prefer current gear on ties
+    return (candidate.item.index || 0) > (current.item.index || 0)
+  }
+
+  toOwnedFields(ownedItem) {
+    return {
+      itemInstanceId: ownedItem.itemInstanceId,
+      power: ownedItem.power,
+      masterworked: ownedItem.masterworked,
+      location: ownedItem.location
+    }
+  }
+
+  getWeaponIndex() {
+    if (this.weaponIndex) return this.weaponIndex
+
+    const slotsByBucket = Object.fromEntries(
+      Object.entries(this.weaponBuckets).map(([slot, bucketHash]) => [bucketHash, slot])
+    )
+    this.weaponIndex = { primary: [], special: [], heavy: [] }
+
+    Object.entries(this.itemDefinitions || {}).forEach(([hash, item]) => {
+      const slot = slotsByBucket[item.inventory?.bucketTypeHash]
+      if (item.itemType !== 3 || !slot || item.redacted) return
+      if (!item.displayProperties?.name || item.displayProperties.name.includes('Classified')) return
+      if ((item.inventory?.tierType || 0) < 5) return
+
+      this.weaponIndex[slot].push({ hash: Number(hash), item })
+    })
+
+    return this.weaponIndex
+  }
+
+  resolveManifestItem(itemHash) {
+    const item = itemHash !== undefined ? this.itemDefinitions?.[itemHash] : null
+    return item ? this.toBuildItem(Number(itemHash), item) : {}
+  }
+
+  toBuildItem(hash, item) {
+    return {
+      hash,
+      name: item.displayProperties?.name,
+      icon: item.displayProperties?.icon,
+      type: item.itemTypeDisplayName,
+      damageType: item.defaultDamageType,
+      element: this.damageTypeNames[item.defaultDamageType] || null,
+      bucketHash: item.inventory?.bucketTypeHash,
+      ammoType: item.equippingBlock?.ammoType,
+      tierType: item.inventory?.tierType,
+      isExotic: item.inventory?.tierType === 6,
+      resolved: true
+    }
+  }
+
+  selectArmorLocally(parsedRequest) {
     // Generate armor set optimized for the request using local data
     return {
       helmet: { 
         type: 'Helmet',
+        masterworked: true,
         stats: this.getOptimalArmorStatsLocally(parsedRequest, 'helmet'),
         element: parsedRequest.element !== 'any' ? parsedRequest.element : 'solar'
       },
       gauntlets: { 
         type: 'Gauntlets',
+        masterworked: true,
         stats: this.getOptimalArmorStatsLocally(parsedRequest, 'gauntlets'),
         element: parsedRequest.element !== 'any' ? parsedRequest.element : 'solar'
       },
       chest: { 
         type: 'Chest Armor',
+        masterworked: true,
         stats: this.getOptimalArmorStatsLocally(parsedRequest, 'chest'),
         element: parsedRequest.element !== 'any' ? parsedRequest.element : 'solar'
       },
       legs: { 
         type: 'Leg Armor',
+        masterworked: true,
         stats: this.getOptimalArmorStatsLocally(parsedRequest, 'legs'),
         element: parsedRequest.element !== 'any' ? parsedRequest.element : 'solar'
       },
       classItem: { 
         type: 'Class Item',
+        masterworked: true,
         stats: this.getOptimalArmorStatsLocally(parsedRequest, 'classItem'),
         element: parsedRequest.element !== 'any' ? parsedRequest.element : 'solar'
       }
     }
   }
 
+  /**
+   * Best owned armor set for the class via the armor set optimizer, with the stat mods that reach the request's targets
+   * @param {Object} parsedRequest - Parsed request
+   * @param {Object} options - { ownedInventory, lockedExotic, subclass }
+   * @returns {Object} { armor: { slot: item | null }, stats (null without a set), statMods: [{ slot, stat, type, value, cost }] }
+   */
+  selectOwnedArmor(parsedRequest, options) {
+    const owned = options.ownedInventory
+    const armorBySlot = owned.getArmorBySlot(this.classTypes[parsedRequest.class])
+
+    // Exotics the request rules out never make the set
+    Object.keys(armorBySlot).forEach(slot => {
+      armorBySlot[slot] = armorBySlot[slot].filter(piece => !isExcluded(parsedRequest, 'exotics', piece.itemHash))
+    })
+
+    // A locked exotic armor piece pins its slot to the copies the user owns
+    const locked = options.lockedExotic
+    const lockedHash = locked?.itemHash ?? locked?.hash
+    const lockedCopies = lockedHash !== undefined ? owned.findOwned(lockedHash, this.classTypes[parsedRequest.class]) : []
+    if (lockedCopies.length > 0 && lockedCopies[0].itemType === 2) {
+      armorBySlot[lockedCopies[0].slot] = lockedCopies
+    }
+
+    // Hard stat targets weigh most, then soft targets and focus stats
+    const statTargets = parsedRequest.statTargets || {}
+    const focusStats = Array.isArray(parsedRequest.focusStats) ? parsedRequest.focusStats : []
+    const targetDistribution = {}
+    Object.keys(this.statHashes).forEach(stat => {
+      targetDistribution[stat] = statTargets[stat]?.hard ? 20 : focusStats.includes(stat) ? 10 : 1
+    })
+
+    const hardTiers = targetTiers(statTargets, { hardOnly: true })
+    const sets = this.armorManager.findOptimalArmorSets(
+      this.armorManager.flattenArmorInventory(armorBySlot),
+      targetDistribution,
+      { topN: OWNED_SET_CANDIDATES, minTiers: hardTiers }
+    )
+
+    // Stat mods make up what the rolls miss: take the first set whose mods reach every hard target
+    const solved = sets.map(set => ({
+      set,
+      solution: this.statCalculator.solveStatTiers(
+        set.pieces.map(piece => ({
+          stats: piece.stats,
+          // Instance stats already include the masterwork bonus
+          masterworked: false,
+          energyCapacity: piece.energy?.energyCapacity,
+          energyUsed: piece.energy?.energyUsed
+        })),
+        targetTiers(statTargets),
+        { subclass: options.subclass }
+      )
+    }))
+    const best = solved.find(({ solution }) =>
+      Object.entries(hardTiers).every(([stat, tier]) => solution.tiers[stat] >= tier)) || solved[0]
+    const bestSet = best?.set
+
+    const armor = {}
+    this.armorManager.armorSlots.forEach(slot => {
+      const piece = bestSet?.pieces.find(candidate => candidate.slot === slot)
+      armor[slot] = piece ? {
+        ...this.toBuildItem(piece.itemHash, this.itemDefinitions[piece.itemHash]),
+        ...this.toOwnedFields(piece),
+        stats: piece.stats,
+        energy: piece.energy
+      } : null
+    })
+
+    const statMods = (best?.solution.mods || []).map(({ slotIndex, stat, type, value, cost }) => ({
+      slot: bestSet.pieces[slotIndex].slot, stat, type, value, cost
+    }))
+
+    return { armor, stats: best?.solution.stats || null, statMods }
+  }
+
   getOptimalArmorStatsLocally(parsedRequest, armorSlot) {
-    // Default stat distribution
-    const baseStats = {
+    // Relative weight of each stat in the piece's roll
+    const weights = {
       mobility: 10,
       resilience: 10,
       recovery: 10,
@@ -376,38 +693,43 @@ export class BuildIntelligence {
     
     // Boost focused stats significantly
     for (const focusStat of focusStats) {
-      if (baseStats[focusStat] !== undefined) {
-        baseStats[focusStat] = 25 // High investment in focused stats
+      if (weights[focusStat] !== undefined) {
+        weights[focusStat] = 25 // High investment in focused stats
       }
     }
 
     // Activity-specific stat adjustments
     if (parsedRequest.activity === 'pvp') {
-      baseStats.mobility = Math.max(baseStats.mobility, 20)
-      baseStats.recovery = Math.max(baseStats.recovery, 20)
-      baseStats.resilience = Math.max(baseStats.resilience, 15)
+      weights.mobility = Math.max(weights.mobility, 20)
+      weights.recovery = Math.max(weights.recovery, 20)
+      weights.resilience = Math.max(weights.resilience, 15)
     } else if (parsedRequest.activity === 'raid') {
-      baseStats.recovery = Math.max(baseStats.recovery, 20)
-      baseStats.intellect = Math.max(baseStats.intellect, 15)
-      baseStats.discipline = Math.max(baseStats.discipline, 15)
+      weights.recovery = Math.max(weights.recovery, 20)
+      weights.intellect = Math.max(weights.intellect, 15)
+      weights.discipline = Math.max(weights.discipline, 15)
     } else if (parsedRequest.activity === 'dungeon') {
-      baseStats.recovery = Math.max(baseStats.recovery, 25)
-      baseStats.resilience = Math.max(baseStats.resilience, 20)
+      weights.recovery = Math.max(weights.recovery, 25)
+      weights.resilience = Math.max(weights.resilience, 20)
     }
 
     // Playstyle adjustments
     if (parsedRequest.playstyle === 'aggressive') {
-      baseStats.mobility = Math.max(baseStats.mobility, 20)
-      baseStats.strength = Math.max(baseStats.strength, 15)
+      weights.mobility = Math.max(weights.mobility, 20)
+      weights.strength = Math.max(weights.strength, 15)
     } else if (parsedRequest.playstyle === 'defensive') {
-      baseStats.resilience = Math.max(baseStats.resilience, 25)
-      baseStats.recovery = Math.max(baseStats.recovery, 20)
+      weights.resilience = Math.max(weights.resilience, 25)
+      weights.recovery = Math.max(weights.recovery, 20)
     } else if (parsedRequest.playstyle === 'support') {
-      baseStats.discipline = Math.max(baseStats.discipline, 20)
-      baseStats.intellect = Math.max(baseStats.intellect, 20)
+      weights.discipline = Math.max(weights.discipline, 20)
+      weights.intellect = Math.max(weights.intellect, 20)
     }
 
-    return baseStats
+    // Hard stat targets weigh most, then soft ones
+    Object.entries(parsedRequest.statTargets || {}).forEach(([stat, { hard }]) => {
+      if (weights[stat] !== undefined) weights[stat] = Math.max(weights[stat], hard ? 40 : 30)
+    })
+
+    return this.statCalculator.estimateArmorRoll(weights)
   }
 
   selectModsLocally(parsedRequest) {
@@ -418,13 +740,7 @@ export class BuildIntelligence {
     }
 
     // Activity-based combat mods
-    if (parsedRequest.activity === 'raid') {
-      mods.combat.push('Boss Spec', 'Major Spec', 'Taken Spec')
-    } else if (parsedRequest.activity === 'pvp') {
-      mods.combat.push('Targeting Adjuster', 'Unflinching Aim', 'Dexterity')
-    } else if (parsedRequest.activity === 'nightfall') {
-      mods.combat.push('Champion mods', 'Barrier Breach', 'Overload Disruption')
-    }
+    mods.combat.push(...(ACTIVITY_MODS[parsedRequest.activity] || []))
 
     // Armor mods based on focus stats - ensure array
     const focusStats = Array.isArray(parsedRequest.focusStats) ? parsedRequest.focusStats : []
@@ -437,46 +753,46 @@ export class BuildIntelligence {
       mods.armor.push('Recovery Mod', 'Resilience Mod')
     }
 
-    // Element-specific weapon mods
-    if (parsedRequest.element !== 'any') {
-      mods.weapon.push(`${parsedRequest.element.charAt(0).toUpperCase() + parsedRequest.element.slice(1)} weapon synergy`)
+    // A leg surge for the subclass element boosts weapons of that element
+    if (parsedRequest.element && parsedRequest.element !== 'any') {
+      mods.combat.push(`${parsedRequest.element.charAt(0).toUpperCase() + parsedRequest.element.slice(1)} Weapon Surge`)
     }
 
-    mods.weapon.push('Backup Mag', 'Minor Spec')
+    mods.weapon.push(...(WEAPON_MODS[parsedRequest.activity] || WEAPON_MODS.default))
 
     return mods
   }
 
-  calculateExpectedStatsLocally(parsedRequest) {
-    const stats = {
-      mobility: 50,
-      resilience: 50,
-      recovery: 50, 
-      discipline: 50,
-      intellect: 50,
-      strength: 50
-    }
+  // subclass: a SubclassModel configuration; armor: the build's armor, a generic set for the request by default
+  calculateExpectedStatsLocally(parsedRequest, subclass = null, armor = null) {
+    return this.solveArmorStatsLocally(parsedRequest, armor || this.selectArmorLocally(parsedRequest), subclass).stats
+  }
 
-    // Ensure focusStats is an array before iterating
-    const focusStats = Array.isArray(parsedRequest.focusStats) ? parsedRequest.focusStats : []
-    
-    // Boost focused stats to tier 10
-    for (const focusStat of focusStats) {
-      if (stats[focusStat] !== undefined) {
-        stats[focusStat] = 100 // Tier 10 in focused stats
-      }
-    }
+  /**
+   * Stat totals an armor set reaches with the stat mods that best serve the request's targets -
+   * fragment modifiers included, and targets out of the set's reach left unmet
+   * @param {Object} parsedRequest - Parsed request or a build's metadata
+   * @param {Object} armor - { slot: item with stats } (owned pieces' instance stats already include the masterwork)
+   * @param {Object} subclass - SubclassModel configuration
+   * @returns {Object} { stats, statMods: [{ slot, stat, type, value, cost }] }
+   */
+  solveArmorStatsLocally(parsedRequest, armor, subclass = null) {
+    const pieces = Object.entries(armor || {}).filter(([, piece]) => piece?.stats)
+    const solution = this.statCalculator.solveStatTiers(
+      pieces.map(([, piece]) => ({
+        stats: piece.stats,
+        masterworked: Boolean(piece.masterworked),
+        energyCapacity: piece.energy?.energyCapacity,
+        energyUsed: piece.energy?.energyUsed
+      })),
+      targetTiers(parsedRequest.statTargets),
+      { subclass }
+    )
 
-    // Activity-specific stat targets
-    if (parsedRequest.activity === 'pvp') {
-      stats.mobility = Math.max(stats.mobility, 80)
-      stats.recovery = Math.max(stats.recovery, 70)
-    } else if (parsedRequest.activity === 'raid') {
-      stats.recovery = Math.max(stats.recovery, 80)
-      stats.intellect = Math.max(stats.intellect, 70)
+    return {
+      stats: solution.stats,
+      statMods: solution.mods.map(({ slotIndex, stat, type, value, cost }) => ({ slot: pieces[slotIndex][0], stat, type, value, cost }))
     }
-
-    return stats
   }
 
   identifyBuildSynergiesLocally(parsedRequest) {
@@ -511,55 +827,15 @@ export class BuildIntelligence {
     return synergies
   }
 
-  calculateBuildScoreLocally(build, parsedRequest) {
-    let score = 70 // Base score
-
-    // Bonus for matching requested class
-    if (build.metadata.class === parsedRequest.class && parsedRequest.class !== 'any') {
-      score += 10
-    }
-
-    // Bonus for matching element
-    if (build.metadata.element === parsedRequest.element && parsedRequest.element !== 'any') {
-      score += 10
-    }
-
-    // Bonus for focused stats
-    const focusStats = Array.isArray(parsedRequest.focusStats) ? parsedRequest.focusStats : []
-    for (const focusStat of focusStats) {
-      if (build.stats[focusStat] >= 80) {
-        score += 5
-      }
-    }
-
-    // Bonus for synergies
-    if (build.synergies.length >= 3) {
-      score += 5
-    }
-
-    // Activity compatibility bonus
-    const activityBonus = this.getActivityCompatibilityBonus(build, parsedRequest)
-    score += activityBonus
-
-    return Math.min(score, 100)
-  }
-
-  getActivityCompatibilityBonus(build, parsedRequest) {
-    let bonus = 0
-
-    if (parsedRequest.activity === 'raid' && build.stats.recovery >= 70) {
-      bonus += 3
-    }
-    
-    if (parsedRequest.activity === 'pvp' && build.stats.mobility >= 70) {
-      bonus += 3
-    }
-    
-    if (parsedRequest.activity === 'dungeon' && build.stats.resilience >= 70) {
-      bonus += 3
-    }
-
-    return bonus
+  /**
+   * Score a build through the scoring pipeline
+   * @param {Object} build - Build to score
+   * @param {Object} parsedRequest - Parsed request or the build's metadata
+   * @param {Object} options - Pipeline options: { profile, userProfiles }
+   * @returns {Object} ScoringPipeline.score result
+   */
+  scoreBuild(build, parsedRequest, options = {}) {
+    return this.scoringPipeline.score(build, parsedRequest, { profile: options.profile, userProfiles: options.userProfiles })
   }
 
   generateAlternativesLocally(parsedRequest) {
@@ -567,7 +843,7 @@ export class BuildIntelligence {
 
     // Alternative 1: Different element
     const elements = ['solar', 'arc', 'void', 'stasis', 'strand', 'prismatic']
-    const altElement = elements.find(e => e !== parsedRequest.element) || 'solar'
+    const altElement = elements.find(e => e !== parsedRequest.element && !isExcluded(parsedRequest, 'elements', e)) || 'solar'
     
     alternatives.push({
       name: `${altElement.charAt(0).toUpperCase() + altElement.slice(1)} Alternative`,
@@ -738,8 +1014,8 @@ export class BuildIntelligence {
     const optimizations = []
     
     if (parsedRequest.activity === 'raid') {
-      optimizations.push('Use Boss Spec and Major Spec for encounter optimization')
-      optimizations.push('Consider Well mods for enhanced ability regeneration')
+      optimizations.push('Match your weapon surge mods to your heavy weapon for boss damage')
+      optimizations.push('Consider Kickstart and Bomber mods for ability regeneration')
     } else if (parsedRequest.activity === 'pvp') {
       optimizations.push('Equip Targeting and Dexterity mods for weapon handling')
       optimizations.push('Use Unflinching mods for dueling advantages')
@@ -787,8 +1063,12 @@ export class BuildIntelligence {
     return weaponBuckets[exoticItem.bucketHash] || 'armor'
   }
 
-  // Helper method for external usage
-  async parseRequest(userInput) {
-    return this.parseUserInputLocally(userInput)
+  /**
+   * Parse a request with the shared grammar parser, recognising this manifest's exotics
+   * @param {string} userInput - Natural language request
+   * @returns {Object} parseBuildRequest result
+   */
+  parseRequest(userInput) {
+    return parseBuildRequest(userInput, { exoticIndex: this.exoticIndex })
   }
 }
\ No newline at end of file
@@ -0,0 +1,230 @@
+// lib/destiny-intelligence/damage-model.js
+// Boss damage estimate for a build's weapons and super over a damage phase, with buff/debuff stacking from the trigger database
+
+import { KeywordIndex } from './keyword-index'
+
+// Sustained boss DPS (reloads included) and the damage a full reserve deals. Primaries never run dry.
+const WEAPON_ARCHETYPES = {
+  heavy: {
+    'Linear Fusion Rifle': { dps: 45000, reserveDamage: 700000 },
+    'Rocket Launcher': { dps: 40000, reserveDamage: 600000 },
+    'Grenade Launcher': { dps: 42000, reserveDamage: 550000 },
+    'Machine Gun': { dps: 30000, reserveDamage: 800000 },
+    'Sword': { dps: 50000, reserveDamage: 500000 },
+    default: { dps: 35000, reserveDamage: 600000 }
+  },
+  special: {
+    'Fusion Rifle': { dps: 22000, reserveDamage: 200000 },
+    'Shotgun': { dps: 20000, reserveDamage: 150000 },
+    'Sniper Rifle': { dps: 18000, reserveDamage: 220000 },
+    'Grenade Launcher': { dps: 16000, reserveDamage: 150000 },
+    'Trace Rifle': { dps: 15000, reserveDamage: 250000 },
+    'Glaive': { dps: 14000, reserveDamage: 200000 },
+    default: { dps: 16000, reserveDamage: 180000 }
+  },
+  primary: {
+    'Scout Rifle': { dps: 7500, reserveDamage: Infinity },
+    'Auto Rifle': { dps: 7500, reserveDamage: Infinity },
+    'Hand Cannon': { dps: 7000, reserveDamage: Infinity },
+    'Pulse Rifle': { dps: 7000, reserveDamage: Infinity },
+    'Submachine Gun': { dps: 7000, reserveDamage: Infinity },
+    'Bow': { dps: 6500, reserveDamage: Infinity },
+    'Sidearm': { dps: 6500, reserveDamage: Infinity },
+    default: { dps: 7000, reserveDamage: Infinity }
+  }
+}
+
+// Total damage of one cast against a boss
+const SUPER_DAMAGE = {
+  'Thundercrash': 700000,
+  'Blade Barrage': 600000,
+  'Nova Bomb': 350000,
+  'Golden Gun': 450000,
+  'Needlestorm': 500000,
+  'Chaos Reach': 400000,
+  'Hammer of Sol': 300000,
+  'Glacial Quake': 250000,
+  'Silkstrike': 300000,
+  default: 300000
+}
+
+const SLOT_ORDER = ['heavy', 'special', 'primary']
+const EXOTIC_WEAPON_BONUS = 1.15
+const SUPER_CAST_TIME = 3000
+const WEAPON_SWAP_TIME = 1000
+const DEFAULT_PHASE_LENGTH = 30000
+const ELEMENTS = ['arc', 'solar', 'void', 'stasis', 'strand', 'kinetic']
+
+export class DamageModel {
+  /**
+   * @param {TriggerDatabase} triggerDatabase - Initialized trigger database (damage modifiers and their conflicts)
+   */
+  constructor(triggerDatabase) {
+    this.database = triggerDatabase
+    this.keywordIndex = new KeywordIndex()
+  }
+
+  /**
+   * Estimate a build's damage over one damage phase: super first, then heavy until its reserves
+   * run out, then special, then primary for the rest of the phase.
+   * @param {Object} build - Build with loadout.weapons, loadout.subclass and loadout.mods
+   * @param {Object} options - { phaseLength (ms), teamBuffs: [modifier type], useSuper }
+   * @returns {Object} { phaseLength, totalDamage, sustainedDps, superDamage, weapons, modifiers, suppressed }
+   */
+  estimate(build, options = {}) {
+    if (!this.database?.isInitialized()) {
+      throw new Error('Trigger database must be initialized before estimating damage')
+    }
+
+    const phaseLength = options.phaseLength || DEFAULT_PHASE_LENGTH
+    const { modifiers, suppressed, surges } = this.getModifiers(build, options.teamBuffs || [], phaseLength)
+    const shared = modifiers.filter(modifier => modifier.category !== 'surge')
+
+    // The super goes off at the start with every buff up; weapons get the phase average
+    const burstMultiplier = shared.reduce((product, modifier) => product * (1 + modifier.peakMagnitude / 100), 1)
+    const sharedMultiplier = shared.reduce((product, modifier) => product * (1 + modifier.magnitude / 100), 1)
+
+    let remaining = phaseLength
+    let superDamage = 0
+    const superName = build?.loadout?.subclass?.super?.name
+    if (superName && options.useSuper !== false) {
+      superDamage = Math.round(this.getSuperDamage(superName) * burstMultiplier)
+      remaining -= SUPER_CAST_TIME
+    }
+
+    const weapons = []
+    SLOT_ORDER.forEach(slot => {
+      const weapon = build?.loadout?.weapons?.[slot]
+      if (!weapon || remaining <= 0) return
+
+      const archetype = WEAPON_ARCHETYPES[slot][weapon.type] || WEAPON_ARCHETYPES[slot].default
+      const surge = surges[weapon.element] || 0
+      const multiplier = sharedMultiplier * (1 + surge / 100) * (weapon.isExotic ? EXOTIC_WEAPON_BONUS : 1)
+      const dps = archetype.dps * multiplier
+
+      // Swapping in costs time; the weapon fires until the phase ends or its reserves are spent
+      if (weapons.length > 0 || superDamage > 0) remaining -= WEAPON_SWAP_TIME
+      const time = Math.max(0, Math.min(remaining, (archetype.reserveDamage * multiplier / dps) * 1000))
+      remaining -= time
+
+      weapons.push({
+        slot,
+        name: weapon.name || weapon.type,
+        type: weapon.type,
+        element: weapon.element,
+        surge,
+        dps: Math.round(dps),
+        time: Math.round(time),
+        damage: Math.round(dps * time / 1000)
+      })
+    })
+
+    const totalDamage = superDamage + weapons.reduce((sum, weapon) => sum + weapon.damage, 0)
+
+    return {
+      phaseLength,
+      totalDamage,
+      sustainedDps: Math.round(totalDamage / (phaseLength / 1000)),
+      superDamage,
+      weapons,
+      modifiers,
+      suppressed
+    }
+  }
+
+  /**
+   * Damage modifiers the build (or its fireteam) brings, after the database's stacking rules.
+   * magnitude is averaged over the phase (a 30s Well in a 60s phase counts half), so the
+   * strongest-in-category rule compares what each buff actually adds.
+   * @returns {Object} { modifiers, suppressed: [type], surges: { element: percent } }
+   */
+  getModifiers(build, teamBuffs = [], phaseLength = DEFAULT_PHASE_LENGTH) {
+    const { names, produced } = this.collectBuildSources(build)
+    const candidates = []
+
+    const modifiers = ['empowering', 'debuff'].flatMap(category => this.database.findDamageModifiersByCategory(category))
+    modifiers.forEach(({ type, ...modifier }) => {
+      const fromTeam = teamBuffs.includes(type)
+      const fromBuild = produced.has(type) || modifier.sources.some(source => names.some(name => name.includes(source)))
+      if (!fromTeam && !fromBuild) return
+
+      const coverage = modifier.duration > 0 ? Math.min(1, modifier.duration / phaseLength) : 1
+      candidates.push({
+        type,
+        category: modifier.category,
+        magnitude: Math.round(modifier.magnitude[0] * coverage * 10) / 10,
+        peakMagnitude: modifier.magnitude[0],
+        duration: modifier.duration,
+        source: fromTeam ? 'team' : 'build',
+        description: modifier.description
+      })
+    })
+
+    const resolved = this.database.resolveEffectConflicts(candidates)
+    const suppressed = candidates.filter(candidate => !resolved.includes(candidate)).map(candidate => candidate.type)
+
+    const surges = this.getSurges(build)
+    const surgeModifier = this.database.getDamageModifier('weapon_surge')
+    Object.entries(surges).forEach(([element, count]) => {
+      const magnitude = surgeModifier.magnitude[Math.min(count, surgeModifier.magnitude.length) - 1]
+      surges[element] = magnitude
+      resolved.push({
+        type: 'weapon_surge',
+        category: 'surge',
+        element,
+        magnitude,
+        peakMagnitude: magnitude,
+        duration: 0,
+        source: 'build',
+        description: `${count} ${element} surge mod${count > 1 ? 's' : ''}`
+      })
+    })
+
+    return { modifiers: resolved, suppressed, surges }
+  }
+
+  // Surge mods by element, e.g. { solar: 2 }
+  getSurges(build) {
+    const counts = {}
+    this.collectModNames(build).forEach(name => {
+      const match = name.toLowerCase().match(/^(\w+) (weapon )?surge$/)
+      if (match && ELEMENTS.includes(match[1])) counts[match[1]] = (counts[match[1]] || 0) + 1
+    })
+    return counts
+  }
+
+  getSuperDamage(superName) {
+    const key = Object.keys(SUPER_DAMAGE).find(name => superName.includes(name))
+    return SUPER_DAMAGE[key] || SUPER_DAMAGE.default
+  }
+
+  collectModNames(build) {
+    const mods = build?.loadout?.mods || build?.mods || []
+    const lists = Array.isArray(mods) ? [mods] : Object.values(mods)
+    return lists
+      .flat()
+      .map(mod => (typeof mod === 'string' ? mod : mod?.name))
+      .filter(Boolean)
+  }
+
+  // Lowercased names of everything equipped, and the keyword verbs their descriptions apply
+  collectBuildSources(build) {
+    const loadout = build?.loadout || {}
+    const subclass = loadout.subclass || {}
+    const parts = [
+      subclass.super,
+      ...Object.values(subclass.abilities || {}),
+      ...(subclass.aspects || []),
+      ...(subclass.fragments || []),
+      ...Object.values(loadout.weapons || {}),
+      ...Object.values(loadout.armor || {})
+    ].filter(Boolean)
+
+    const names = [...parts.map(part => part.name), ...this.collectModNames(build)]
+      .filter(Boolean)
+      .map(name => name.toLowerCase())
+    const produced = new Set(parts.flatMap(part => this.keywordIndex.tagText(part.description).produces))
+
+    return { names, produced }
+  }
+}
@@ -1,36 +1,70 @@
 // lib/destiny-intelligence/enhanced-build-intelligence.js
 // Enhanced Build Intelligence System - Fixed focusStats iteration bug
 
+const { BuildIntelligence, ACTIVITY_MODS, WEAPON_MODS } = require('./build-intelligence')
+const { ModValidator } = require('./mod-validator')
+const { StatCalculator } = require('./stat-calculator')
+const { ScoringPipeline } = require('../scoring-pipeline')
+const {
+  parseBuildRequest, buildExoticIndex, isExcluded, allowedWeaponTypes, allowedElements, clarifyingQuestions, answerClarifications
+} = require('../language-parser')
+const { targetTiers, evaluateStatTargets } = require('../stat-targets')
+
+// Playstyles alternatives are built with, skipping the request's own
+const ALTERNATIVE_PLAYSTYLES = ['balanced', 'aggressive', 'defensive', 'support']
+
 class EnhancedBuildIntelligence {
   constructor(manifestProcessor, synergyEngine, scorer) {
     this.manifestProcessor = manifestProcessor
     this.synergyEngine = synergyEngine
-    this.scorer = scorer
+    this.scorer = scorer || new ScoringPipeline()
+    this.manifest = null
+    this.exoticIndex = null
+    this.modValidator = null
+    this.statCalculator = new StatCalculator()
+    this.ownedBuilder = null
   }
 
+  // The manifest version is recorded in every score breakdown
+  async initialize(manifest) {
+    this.manifest = manifest
+    this.exoticIndex = buildExoticIndex(manifest?.data?.DestinyInventoryItemDefinition)
+
+    // Mods can only be checked against sockets when a manifest is available
+    const manifestData = this.manifestProcessor?.manifest?.data || manifest?.data
+    this.modValidator = manifestData ? new ModValidator(manifestData) : null
+    await this.scorer.initialize(manifest)
+    return true
+  }
+
+  // request: text, or a request already parsed by analyzeRequest. Ambiguous requests get questions back
+  // instead of a build unless options.skipClarification is set - options.answers answers them
   async generateBuild(request, options = {}) {
+    let parsedRequest = null
     try {
-      // Parse the natural language request
-      const parsedRequest = this.parseNaturalLanguageInput(request)
-      
-      // Create safe request object with proper array initialization
-      const safeRequest = {
-        ...parsedRequest,
-        focusStats: Array.isArray(parsedRequest.focusStats) ? parsedRequest.focusStats : [],
-        tags: Array.isArray(parsedRequest.tags) ? parsedRequest.tags : []
+      parsedRequest = answerClarifications(typeof request === 'string' ? this.parseRequest(request) : request, options.answers)
+
+      const questions = options.skipClarification ? [] : clarifyingQuestions(parsedRequest)
+      if (questions.length > 0) {
+        return { needsClarification: true, questions, parsedRequest }
       }
       
-      // Generate the optimal build
-      const build = await this.createOptimalBuild(safeRequest, options)
+      const build = await this.createBuild(parsedRequest, options)
+
+      // Alternatives are ranked together with the build under options.rankingMode ('weighted' or 'pareto')
+      if (options.includeAlternatives) {
+        build.alternatives = await this.createAlternatives(parsedRequest, options)
+        build.ranking = this.rankAlternatives(build, parsedRequest, options)
+      }
       
       // Add detailed analysis if requested
       if (options.detailedAnalysis) {
-        build.analysis = await this.performDetailedAnalysis(build, safeRequest)
+        build.analysis = await this.performDetailedAnalysis(build, parsedRequest)
       }
       
       // Add optimization suggestions if requested
       if (options.optimizationSuggestions) {
-        build.optimizations = await this.generateOptimizations(build, safeRequest)
+        build.optimizations = await this.generateOptimizations(build, parsedRequest)
       }
       
       return build
@@ -44,77 +78,85 @@ class EnhancedBuildIntelligence {
     }
   }
 
-  parseNaturalLanguageInput(request) {
-    const parsed = {
-      class: 'any',
-      element: 'any',
-      activity: 'general_pve',
-      playstyle: 'balanced',
-      focusStats: [], // Always initialize as array
-      tags: [],
-      weapons: [],
-      exotic: null,
-      priority: 'effectiveness'
-    }
-
-    const requestLower = request.toLowerCase()
-
-    // Parse class
-    if (requestLower.includes('titan')) parsed.class = 'titan'
-    else if (requestLower.includes('hunter')) parsed.class = 'hunter' 
-    else if (requestLower.includes('warlock')) parsed.class = 'warlock'
-
-    // Parse element
-    if (requestLower.includes('solar')) parsed.element = 'solar'
-    else if (requestLower.includes('arc')) parsed.element = 'arc'
-    else if (requestLower.includes('void')) parsed.element = 'void'
-    else if (requestLower.includes('stasis')) parsed.element = 'stasis'
-    else if (requestLower.includes('strand')) parsed.element = 'strand'
-    else if (requestLower.includes('prismatic')) parsed.element = 'prismatic'
-
-    // Parse activity
-    if (requestLower.includes('raid')) parsed.activity = 'raid'
-    else if (requestLower.includes('pvp') || requestLower.includes('crucible')) parsed.activity = 'pvp'
-    else if (requestLower.includes('dungeon')) parsed.activity = 'dungeon'
-    else if (requestLower.includes('nightfall')) parsed.activity = 'nightfall'
-    else if (requestLower.includes('gambit')) parsed.activity = 'gambit'
-    else if (requestLower.includes('trials')) parsed.activity = 'trials'
-
-    // Parse playstyle
-    if (requestLower.includes('aggressive') || requestLower.includes('dps')) parsed.playstyle = 'aggressive'
-    else if (requestLower.includes('tank') || requestLower.includes('survivability')) parsed.playstyle = 'defensive'
-    else if (requestLower.includes('support') || requestLower.includes('healer')) parsed.playstyle = 'support'
-    else if (requestLower.includes('ability') || requestLower.includes('spam')) parsed.playstyle = 'ability_focused'
-
-    // Parse focus stats (always ensure it's an array)
-    const statKeywords = {
-      'mobility': ['mobility', 'speed', 'movement'],
-      'resilience': ['resilience', 'tank', 'health'],
-      'recovery': ['recovery', 'healing', 'survivability'],
-      'discipline': ['discipline', 'grenade'],
-      'intellect': ['intellect', 'super'],
-      'strength': ['strength', 'melee']
-    }
-
-    for (const [stat, keywords] of Object.entries(statKeywords)) {
-      if (keywords.some(keyword => requestLower.includes(keyword))) {
-        parsed.focusStats.push(stat)
+  /**
+   * Parse a request with the shared grammar parser, recognising the manifest's exotics
+   * @param {string} request - Natural language request
+   * @returns {Object} parseBuildRequest result
+   */
+  parseRequest(request) {
+    return parseBuildRequest(request, { exoticIndex: this.exoticIndex })
+  }
+
+  // options.answers: picked options for questions an earlier analysis asked
+  async analyzeRequest(input, options = {}) {
+    try {
+      const parsedRequest = answerClarifications(this.parseRequest(input), options.answers)
+      return {
+        success: true,
+        parsedRequest,
+        confidence: parsedRequest.confidence.overall,
+        questions: clarifyingQuestions(parsedRequest)
       }
+    } catch (error) {
+      return { success: false, error: error.message }
     }
+  }
 
-    // Default focus stats if none specified
-    if (parsed.focusStats.length === 0) {
-      if (parsed.activity === 'pvp') {
-        parsed.focusStats.push('mobility', 'recovery')
-      } else {
-        parsed.focusStats.push('recovery', 'discipline')
-      }
+  // Inventory-only builds come from options.inventory, which the API loads for the user
+  async createBuild(parsedRequest, options) {
+    return options.useInventoryOnly
+      ? this.createOwnedBuild(parsedRequest, options)
+      : this.createOptimalBuild(parsedRequest, options)
+  }
+
+  // The same request under other playstyles
+  async createAlternatives(parsedRequest, options) {
+    const playstyles = ALTERNATIVE_PLAYSTYLES.filter(playstyle => playstyle !== parsedRequest.playstyle).slice(0, 3)
+    const alternatives = []
+    for (const [index, playstyle] of playstyles.entries()) {
+      const alternative = await this.createBuild({ ...parsedRequest, playstyle }, options)
+      alternative.metadata = { ...alternative.metadata, isAlternative: true, variant: index + 1 }
+      alternatives.push(alternative)
     }
+    return alternatives
+  }
+
+  /**
+   * Rank a build against its alternatives - by weighted total, or by Pareto front over the
+   * survivability, damage and ability uptime objectives when options.rankingMode is 'pareto'
+   * @returns {Object} { mode, profile, ranked } - variant 0 is the build, n is alternatives[n - 1]
+   */
+  rankAlternatives(build, parsedRequest, options) {
+    const candidates = [build, ...build.alternatives]
+    const ranking = this.scorer.rankBuilds(candidates, parsedRequest, {
+      profile: options.profile,
+      userProfiles: options.userProfiles,
+      mode: options.rankingMode
+    })
 
-    return parsed
+    return {
+      mode: ranking.mode,
+      profile: ranking.profile,
+      ranked: ranking.ranked.map((entry, index) => ({
+        variant: candidates.indexOf(entry.build),
+        playstyle: entry.build.metadata.playstyle,
+        ...(ranking.mode === 'pareto' ? { front: entry.front } : { rank: entry.rank, explanation: ranking.explanation[index] }),
+        total: entry.scoring.total,
+        objectives: entry.scoring.objectives
+      }))
+    }
   }
 
   async createOptimalBuild(parsedRequest, options) {
+    // 'any' falls back to solar - when the request rules solar out, pin an element it allows instead
+    if (parsedRequest.element === 'any' && isExcluded(parsedRequest, 'elements', 'solar')) {
+      parsedRequest = { ...parsedRequest, element: allowedElements(parsedRequest)[0] || 'any' }
+    }
+
+    const subclass = this.selectOptimalSubclass(parsedRequest)
+    const armor = await this.selectOptimalArmor(parsedRequest, options)
+    const { stats, statMods } = this.solveArmorStats(parsedRequest, armor, subclass)
+
     // Create a comprehensive build based on the parsed request
     const build = {
       metadata: {
@@ -122,25 +164,48 @@ class EnhancedBuildIntelligence {
         element: parsedRequest.element, 
         activity: parsedRequest.activity,
         playstyle: parsedRequest.playstyle,
-        focusStats: parsedRequest.focusStats || []
+        focusStats: parsedRequest.focusStats || [],
+        statTargets: parsedRequest.statTargets || {}
       },
       loadout: {
-        subclass: this.selectOptimalSubclass(parsedRequest),
+        subclass,
         weapons: await this.selectOptimalWeapons(parsedRequest, options),
-        armor: await this.selectOptimalArmor(parsedRequest, options),
-        mods: await this.selectOptimalMods(parsedRequest, options)
+        armor,
+        mods: await this.selectOptimalMods(parsedRequest, options),
+        statMods
       },
-      stats: this.calculateExpectedStats(parsedRequest),
+      stats,
       synergies: this.identifyBuildSynergies(parsedRequest),
       score: 0 // Will be calculated
     }
 
-    // Calculate overall build score
-    build.score = this.calculateBuildScore(build, parsedRequest)
+    // Which of the request's stat targets the build reaches, and by how much the rest fall short
+    build.statTargets = evaluateStatTargets(build.stats, parsedRequest.statTargets)
+
+    if (this.modValidator) {
+      build.modValidation = this.modValidator.validateBuild(build)
+    }
+
+    // Scored after validation so mods that don't fit count against the build
+    build.scoring = this.scorer.score(build, parsedRequest, { profile: options.profile, userProfiles: options.userProfiles })
+    build.score = build.scoring.total
     
     return build
   }
 
+  // Owned-item selection (InventoryIndex, selectOwnedArmor, owned weapons) lives in BuildIntelligence
+  async createOwnedBuild(parsedRequest, options) {
+    if (!options.inventory) {
+      throw new Error('Inventory data is required when useInventoryOnly is enabled')
+    }
+
+    if (!this.ownedBuilder) {
+      this.ownedBuilder = new BuildIntelligence()
+      await this.ownedBuilder.initialize(this.manifest)
+    }
+    return this.ownedBuilder.createBuildLocally(parsedRequest, options)
+  }
+
   selectOptimalSubclass(parsedRequest) {
     // Map elements to subclass recommendations
     const elementMap = {
@@ -173,11 +238,20 @@ class EnhancedBuildIntelligence {
       'nightfall': { primary: 'Pulse Rifle', special: 'Sniper Rifle', heavy: 'Machine Gun' }
     }
 
-    const recommended = activityWeapons[parsedRequest.activity] || activityWeapons['raid']
+    // Weapon types named in the request replace the activity's pick for their slot
+    const recommended = { ...(activityWeapons[parsedRequest.activity] || activityWeapons['raid']) }
+    for (const { type, slot } of parsedRequest.weapons || []) {
+      if (slot) recommended[slot] = type
+    }
+
+    // An excluded type hands its slot to the first type the request allows there
+    for (const [slot, type] of Object.entries(recommended)) {
+      if (isExcluded(parsedRequest, 'weapons', type)) recommended[slot] = allowedWeaponTypes(parsedRequest, slot)[0] || null
+    }
     
-    weapons.primary = { type: recommended.primary, element: parsedRequest.element }
-    weapons.special = { type: recommended.special, element: parsedRequest.element }
-    weapons.heavy = { type: recommended.heavy, element: parsedRequest.element }
+    for (const slot of Object.keys(weapons)) {
+      weapons[slot] = recommended[slot] ? { type: recommended[slot], element: parsedRequest.element } : null
+    }
 
     return weapons
   }
@@ -185,17 +259,17 @@ class EnhancedBuildIntelligence {
   async selectOptimalArmor(parsedRequest, options) {
     // Generate armor set optimized for the request
     return {
-      helmet: { stats: this.getOptimalArmorStats(parsedRequest, 'helmet') },
-      gauntlets: { stats: this.getOptimalArmorStats(parsedRequest, 'gauntlets') },
-      chest: { stats: this.getOptimalArmorStats(parsedRequest, 'chest') },
-      legs: { stats: this.getOptimalArmorStats(parsedRequest, 'legs') },
-      classItem: { stats: this.getOptimalArmorStats(parsedRequest, 'classItem') }
+      helmet: { masterworked: true, stats: this.getOptimalArmorStats(parsedRequest, 'helmet') },
+      gauntlets: { masterworked: true, stats: this.getOptimalArmorStats(parsedRequest, 'gauntlets') },
+      chest: { masterworked: true, stats: this.getOptimalArmorStats(parsedRequest, 'chest') },
+      legs: { masterworked: true, stats: this.getOptimalArmorStats(parsedRequest, 'legs') },
+      classItem: { masterworked: true, stats: this.getOptimalArmorStats(parsedRequest, 'classItem') }
     }
   }
 
   getOptimalArmorStats(parsedRequest, armorSlot) {
-    // Default stat distribution based on focus stats
-    const baseStats = {
+    // Relative weight of each stat in the piece's roll, from focus stats
+    const weights = {
       mobility: 10,
       resilience: 10, 
       recovery: 10,
@@ -209,21 +283,26 @@ class EnhancedBuildIntelligence {
 
     // Boost focused stats
     for (const focusStat of focusStats) {
-      if (baseStats[focusStat] !== undefined) {
-        baseStats[focusStat] = 25 // High investment in focused stats
+      if (weights[focusStat] !== undefined) {
+        weights[focusStat] = 25 // High investment in focused stats
       }
     }
 
     // Activity-specific adjustments
     if (parsedRequest.activity === 'pvp') {
-      baseStats.mobility = Math.max(baseStats.mobility, 20)
-      baseStats.recovery = Math.max(baseStats.recovery, 20)
+      weights.mobility = Math.max(weights.mobility, 20)
+      weights.recovery = Math.max(weights.recovery, 20)
     } else if (parsedRequest.activity === 'raid') {
-      baseStats.recovery = Math.max(baseStats.recovery, 20)
-      baseStats.intellect = Math.max(baseStats.intellect, 15)
+      weights.recovery = Math.max(weights.recovery, 20)
+      weights.intellect = Math.max(weights.intellect, 15)
     }
 
-    return baseStats
+    // Hard stat targets weigh most, then soft ones
+    Object.entries(parsedRequest.statTargets || {}).forEach(([stat, { hard }]) => {
+      if (weights[stat] !== undefined) weights[stat] = Math.max(weights[stat], hard ? 40 : 30)
+    })
+
+    return this.statCalculator.estimateArmorRoll(weights)
   }
 
   async selectOptimalMods(parsedRequest, options) {
@@ -236,13 +315,7 @@ class EnhancedBuildIntelligence {
   }
 
   getCombatMods(parsedRequest) {
-    const activityMods = {
-      'raid': ['Boss Spec', 'Major Spec', 'Taken Spec'],
-      'pvp': ['Targeting Adjuster', 'Unflinching', 'Dexterity'],
-      'nightfall': ['Champion mods', 'Barrier', 'Overload']
-    }
-    
-    return activityMods[parsedRequest.activity] || activityMods['raid']
+    return [...(ACTIVITY_MODS[parsedRequest.activity] || ACTIVITY_MODS.raid)]
   }
 
   getArmorMods(parsedRequest) {
@@ -260,39 +333,22 @@ class EnhancedBuildIntelligence {
   }
 
   getWeaponMods(parsedRequest) {
-    const mods = []
-    
-    if (parsedRequest.activity === 'pvp') {
-      mods.push('Targeting Adjuster', 'Unflinching Aim')
-    } else {
-      mods.push('Boss Spec', 'Major Spec')
-    }
-    
-    return mods
+    return [...(WEAPON_MODS[parsedRequest.activity] || WEAPON_MODS.default)]
   }
 
-  calculateExpectedStats(parsedRequest) {
-    // Calculate expected total stats for the build
-    const stats = {
-      mobility: 50,
-      resilience: 50,
-      recovery: 50,
-      discipline: 50,
-      intellect: 50,
-      strength: 50
-    }
-
-    // Ensure focusStats is an array before iteration
-    const focusStats = Array.isArray(parsedRequest.focusStats) ? parsedRequest.focusStats : []
+  // Stat totals the armor reaches with the stat mods that best serve the request's targets - out-of-reach targets stay unmet
+  solveArmorStats(parsedRequest, armor, subclass = null) {
+    const pieces = Object.entries(armor || {}).filter(([, piece]) => piece?.stats)
+    const solution = this.statCalculator.solveStatTiers(
+      pieces.map(([, piece]) => ({ stats: piece.stats, masterworked: Boolean(piece.masterworked) })),
+      targetTiers(parsedRequest.statTargets),
+      { subclass }
+    )
 
-    // Boost focus stats
-    for (const stat of focusStats) {
-      if (stats[stat] !== undefined) {
-        stats[stat] = 100 // T10 in focused stats
-      }
+    return {
+      stats: solution.stats,
+      statMods: solution.mods.map(({ slotIndex, stat, type, value, cost }) => ({ slot: pieces[slotIndex][0], stat, type, value, cost }))
     }
-
-    return stats
   }
 
   identifyBuildSynergies(parsedRequest) {
@@ -316,34 +372,6 @@ class EnhancedBuildIntelligence {
     return synergies
   }
 
-  calculateBuildScore(build, parsedRequest) {
-    let score = 50 // Base score
-
-    // Score based on focus stat alignment
-    const focusStats = Array.isArray(parsedRequest.focusStats) ? parsedRequest.focusStats : []
-    for (const stat of focusStats) {
-      if (build.stats[stat] >= 100) {
-        score += 15
-      } else if (build.stats[stat] >= 80) {
-        score += 10
-      }
-    }
-
-    // Activity-specific bonuses
-    if (parsedRequest.activity === 'pvp') {
-      if (build.stats.mobility >= 80) score += 10
-      if (build.stats.recovery >= 80) score += 10
-    } else {
-      if (build.stats.recovery >= 80) score += 8
-      if (build.stats.intellect >= 70) score += 5
-    }
-
-    // Synergy bonuses
-    score += build.synergies.length * 5
-
-    return Math.min(score, 100) // Cap at 100
-  }
-
   async performDetailedAnalysis(build, parsedRequest) {
     return {
       strengths: this.identifyBuildStrengths(build, parsedRequest),
@@ -449,4 +477,5 @@ class EnhancedBuildIntelligence {
   }
 }
 
-module.exports = EnhancedBuildIntelligence
\ No newline at end of file
+module.exports = EnhancedBuildIntelligence
+module.exports.EnhancedBuildIntelligence = EnhancedBuildIntelligence
\ No newline at end of file
@@ -0,0 +1,149 @@
+// lib/destiny-intelligence/inventory-index.js
+// Indexes owned weapon and armor instances from BungieAPIService.getCompleteInventory output
+
+export class InventoryIndex {
+  constructor(inventory, itemDefinitions = {}) {
+    this.inventory = inventory || {}
+    this.itemDefinitions = itemDefinitions
+    this.items = []
+
+    this.statNames = {
+      2996146975: 'mobility',
+      392767087: 'resilience',
+      1943323491: 'recovery',
+      1735777505: 'discipline',
+      144602215: 'intellect',
+      4244567218: 'strength'
+    }
+    this.weaponBuckets = {
+      1498876634: 'primary',
+      2465295065: 'special',
+      953998645: 'heavy'
+    }
+    this.armorBuckets = {
+      3448274439: 'helmet',
+      3551918588: 'gauntlets',
+      14239492: 'chest',
+      20886954: 'legs',
+      1585787867: 'classItem'
+    }
+    this.classNames = { 0: 'titan', 1: 'hunter', 2: 'warlock' }
+
+    this._buildIndex()
+  }
+
+  _buildIndex() {
+    const characters = this.inventory.characters || []
+
+    characters.forEach(character => {
+      const base = {
+        type: 'character',
+        characterId: character.characterId,
+        classType: character.classType,
+        className: this.classNames[character.classType] || 'unknown'
+      }
+
+      const equipment = character.equipment || []
+      const carried = character.inventory || []
+      equipment.forEach(item => this._addItem(item, { ...base, equipped: true }))
+      carried.forEach(item => this._addItem(item, { ...base, equipped: false }))
+    })
+
+    const vaultItems = this.inventory.vault?.items || []
+    vaultItems.forEach(item => this._addItem(item, { type: 'vault', equipped: false }))
+  }
+
+  _addItem(item, location) {
+    // Only instanced gear matters - currencies and consumables have no itemInstanceId
+    if (!item.itemInstanceId) return
+
+    const definition = this.itemDefinitions[item.itemHash]
+    if (!definition || ![2, 3].includes(definition.itemType)) return
+
+    const bucketHash = definition.inventory?.bucketTypeHash
+    const components = this.inventory.itemComponents || {}
+    const instance = components.instances?.[item.itemInstanceId] || {}
+
+    this.items.push({
+      itemInstanceId: item.itemInstanceId,
+      itemHash: item.itemHash,
+      name: definition.displayProperties?.name,
+      icon: definition.displayProperties?.icon,
+      itemType: definition.itemType,
+      type: definition.itemTypeDisplayName,
+      classType: definition.classType,
+      bucketHash,
+      slot: this.weaponBuckets[bucketHash] || this.armorBuckets[bucketHash] || null,
+      tierType: definition.inventory?.tierType,
+      isExotic: definition.inventory?.tierType === 6,
+      damageType: instance.damageType || definition.defaultDamageType,
+      power: instance.primaryStat?.value || 0,
+      energy: instance.energy || null,
+      // ItemState bit 4 marks a masterworked item
+      masterworked: ((item.state || 0) & 4) === 4,
+      stats: this._getArmorStats(item.itemInstanceId),
+      location
+    })
+  }
+
+  _getArmorStats(itemInstanceId) {
+    const stats = {}
+    const instanceStats = this.inventory.itemComponents?.stats?.[itemInstanceId]?.stats || {}
+
+    Object.values(instanceStats).forEach(({ statHash, value }) => {
+      const stat = this.statNames[statHash]
+      if (stat) stats[stat] = value
+    })
+
+    return stats
+  }
+
+  // Weapons are usable by every class, so any instance anywhere on the account counts
+  getWeapons(slot = null) {
+    return this.items.filter(item =>
+      item.itemType === 3 && item.slot && (!slot || item.slot === slot)
+    )
+  }
+
+  // Armor grouped by slot, in the shape ArmorArchetypeManager.flattenArmorInventory expects
+  getArmorBySlot(classType) {
+    const armor = {}
+    Object.values(this.armorBuckets).forEach(slot => { armor[slot] = [] })
+
+    this.items
+      .filter(item => item.itemType === 2 && item.slot && this.fitsClass(item, classType))
+      .forEach(item => armor[item.slot].push(item))
+
+    return armor
+  }
+
+  getExotics(classType) {
+    return this.items.filter(item => item.isExotic && item.slot && this.fitsClass(item, classType))
+  }
+
+  findOwned(itemHash, classType) {
+    return this.items.filter(item => item.itemHash === Number(itemHash) && this.fitsClass(item, classType))
+  }
+
+  fitsClass(item, classType) {
+    // classType 3 on a definition means any class can use it
+    return classType === undefined || item.classType === 3 || item.classType === classType
+  }
+
+  // Most recently played character of the class, for pulling gear onto
+  getCharacterForClass(classType) {
+    const characters = (this.inventory.characters || [])
+      .filter(character => classType === undefined || character.classType === classType)
+      .sort((a, b) => new Date(b.dateLastPlayed || 0) - new Date(a.dateLastPlayed || 0))
+
+    return characters[0] || null
+  }
+
+  describeLocation(location) {
+    if (!location) return 'Unknown'
+    if (location.type === 'vault') return 'Vault'
+
+    const className = location.className.charAt(0).toUpperCase() + location.className.slice(1)
+    return location.equipped ? `${className} (equipped)` : className
+  }
+}
@@ -0,0 +1,180 @@
+// lib/destiny-intelligence/keyword-index.js
+// Indexes Destiny verbs (scorch, jolt, volatile, ...) in plug descriptions and tags each plug as producing or consuming them
+
+// words: every form we look for. state: forms describing an affected target or buffed player.
+// active: finite verb forms - "grenades ignite targets" always applies the verb.
+const VERBS = [
+  { id: 'scorch', label: 'Scorch', element: 'solar', words: ['scorch', 'scorches', 'scorched', 'scorching'], state: ['scorched'], active: ['scorches'] },
+  { id: 'ignite', label: 'Ignition', element: 'solar', words: ['ignite', 'ignites', 'ignited', 'ignition', 'ignitions'], state: ['ignited'], active: ['ignites'] },
+  { id: 'radiant', label: 'Radiant', element: 'solar', words: ['radiant'], state: ['radiant'] },
+  { id: 'restoration', label: 'Restoration', element: 'solar', words: ['restoration'], state: ['restoration'] },
+  { id: 'cure', label: 'Cure', element: 'solar', words: ['cure', 'cures', 'cured'], state: ['cured'], active: ['cures'] },
+  { id: 'firesprite', label: 'Firesprite', element: 'solar', words: ['firesprite', 'firesprites'] },
+  { id: 'sunspot', label: 'Sunspot', element: 'solar', words: ['sunspot', 'sunspots'] },
+  { id: 'jolt', label: 'Jolt', element: 'arc', words: ['jolt', 'jolts', 'jolted', 'jolting'], state: ['jolted'], active: ['jolts'] },
+  { id: 'blind', label: 'Blind', element: 'arc', words: ['blind', 'blinds', 'blinded', 'blinding'], state: ['blinded'], active: ['blinds'] },
+  { id: 'amplified', label: 'Amplified', element: 'arc', words: ['amplified'], state: ['amplified'] },
+  { id: 'ionic-trace', label: 'Ionic Trace', element: 'arc', words: ['ionic trace', 'ionic traces'] },
+  { id: 'bolt-charge', label: 'Bolt Charge', element: 'arc', words: ['bolt charge'] },
+  { id: 'volatile', label: 'Volatile', element: 'void', words: ['volatile'], state: ['volatile'] },
+  { id: 'weaken', label: 'Weaken', element: 'void', words: ['weaken', 'weakens', 'weakened', 'weakening'], state: ['weakened'], active: ['weakens'] },
+  { id: 'suppress', label: 'Suppression', element: 'void', words: ['suppress', 'suppresses', 'suppressed', 'suppression'], state: ['suppressed'], active: ['suppresses'] },
+  { id: 'devour', label: 'Devour', element: 'void', words: ['devour'] },
+  { id: 'invisibility', label: 'Invisibility', element: 'void', words: ['invisible', 'invisibility'], state: ['invisible'] },
+  { id: 'overshield', label: 'Overshield', element: 'void', words: ['overshield', 'overshields'] },
+  { id: 'void-breach', label: 'Void Breach', element: 'void', words: ['void breach', 'void breaches'] },
+  { id: 'slow', label: 'Slow', element: 'stasis', words: ['slow', 'slows', 'slowed', 'slowing'], state: ['slowed'], active: ['slows'] },
+  { id: 'freeze', label: 'Freeze', element: 'stasis', words: ['freeze', 'freezes', 'frozen', 'freezing'], state: ['frozen'], active: ['freezes'] },
+  { id: 'shatter', label: 'Shatter', element: 'stasis', words: ['shatter', 'shatters', 'shattered', 'shattering'], state: ['shattered'], active: ['shatters'] },
+  { id: 'stasis-crystal', label: 'Stasis Crystal', element: 'stasis', words: ['stasis crystal', 'stasis crystals'] },
+  { id: 'frost-armor', label: 'Frost Armor', element: 'stasis', words: ['frost armor'] },
+  { id: 'suspend', label: 'Suspend', element: 'strand', words: ['suspend', 'suspends', 'suspended', 'suspending'], state: ['suspended'], active: ['suspends'] },
+  { id: 'sever', label: 'Sever', element: 'strand', words: ['sever', 'severs', 'severed', 'severing'], state: ['severed'], active: ['severs'] },
+  { id: 'unravel', label: 'Unravel', element: 'strand', words: ['unravel', 'unravels', 'unraveled', 'unravelled', 'unraveling', 'unravelling'], state: ['unraveled', 'unravelled'], active: ['unravels'] },
+  { id: 'threadling', label: 'Threadling', element: 'strand', words: ['threadling', 'threadlings'] },
+  { id: 'woven-mail', label: 'Woven Mail', element: 'strand', words: ['woven mail'] },
+  { id: 'tangle', label: 'Tangle', element: 'strand', words: ['tangle', 'tangles'] },
+  { id: 'orb', label: 'Orbs of Power', element: null, words: ['orb of power', 'orbs of power'] },
+  { id: 'armor-charge', label: 'Armor Charge', element: null, words: ['armor charge'] }
+]
+
+// A cue among the few words before a mention decides its direction
+const PRODUCER_CUES = [
+  'apply', 'applies', 'applying', 'cause', 'causes', 'causing', 'create', 'creates', 'creating',
+  'generate', 'generates', 'spawn', 'spawns', 'grant', 'grants', 'granting', 'gain', 'gains',
+  'become', 'becomes', 'make', 'makes', 'emit', 'emits', 'release', 'releases', 'leave', 'leaves'
+]
+const CONSUMER_CUES = [
+  'against', 'defeat', 'defeats', 'defeating', 'damaging', 'kill', 'kills', 'killing', 'destroying',
+  'while', 'when', 'whenever', 'near', 'from', 'consume', 'consumes', 'consuming', 'picking',
+  'collect', 'collecting', 'affected', 'vs', 'versus', 'on'
+]
+// Clauses opening like this describe a condition ("While Amplified, ...", "Defeating a scorched target ...")
+const CONDITION_OPENERS = /^(while|when|whenever|after|if|upon|each time|every time|final blows|kills|rapidly|defeating|damaging|picking|collecting|\w+ing\b)/
+const TARGET_NOUNS = ['target', 'targets', 'enemy', 'enemies', 'combatant', 'combatants', 'foe', 'foes', 'them', 'it', 'nearby']
+const CUE_WINDOW = 3
+
+// Plug categories worth indexing - perks, intrinsics, mods, aspects and fragments
+const INDEXED_CATEGORIES = /(frames|intrinsics|perks|traits|barrels|magazines|enhancements\.|\.aspects|\.fragments|\.supers|\.grenades|\.melee|\.class_abilities|\.movement)/
+
+const WORD_LOOKUP = new Map()
+VERBS.forEach(verb => verb.words.forEach(word => WORD_LOOKUP.set(word, verb)))
+const MENTION_PATTERN = new RegExp(`\\b(${Array.from(WORD_LOOKUP.keys()).sort((a, b) => b.length - a.length).join('|')})\\b`, 'g')
+
+export class KeywordIndex {
+  /**
+   * @param {Object} manifestData - Definition tables (manifest.data); omit to only tag text
+   */
+  constructor(manifestData = {}) {
+    this.itemDefinitions = manifestData.DestinyInventoryItemDefinition || {}
+    this.entries = new Map()
+    this.entriesByName = new Map()
+    this.producers = new Map()
+    this.consumers = new Map()
+
+    Object.entries(this.itemDefinitions).forEach(([hash, item]) => {
+      const category = item.plug?.plugCategoryIdentifier
+      if (!category || !INDEXED_CATEGORIES.test(category) || !item.displayProperties?.description) return
+
+      const tags = this.tagText(item.displayProperties.description)
+      if (tags.produces.length === 0 && tags.consumes.length === 0) return
+
+      const entry = { hash: Number(hash), name: item.displayProperties.name, category, ...tags }
+      this.entries.set(entry.hash, entry)
+      if (!this.entriesByName.has(entry.name.toLowerCase())) this.entriesByName.set(entry.name.toLowerCase(), entry)
+      tags.produces.forEach(verb => this.addTo(this.producers, verb, entry))
+      tags.consumes.forEach(verb => this.addTo(this.consumers, verb, entry))
+    })
+  }
+
+  /**
+   * Tag a description. A plug can both produce and consume the same verb.
+   * @param {string} text - Description text
+   * @returns {Object} { produces: [verbId], consumes: [verbId] }
+   */
+  tagText(text = '') {
+    const produces = new Set()
+    const consumes = new Set()
+
+    String(text).toLowerCase().split(/[.;!?\n]+/).forEach(sentence => {
+      sentence.split(',').forEach(rawClause => {
+        const clause = rawClause.trim()
+        if (!clause) return
+
+        const isCondition = CONDITION_OPENERS.test(clause)
+        MENTION_PATTERN.lastIndex = 0
+        let match
+        while ((match = MENTION_PATTERN.exec(clause)) !== null) {
+          const verb = WORD_LOOKUP.get(match[1])
+          const before = clause.slice(0, match.index).split(/\s+/).filter(Boolean)
+          const after = clause.slice(match.index + match[1].length).split(/\s+/).filter(Boolean)
+          const direction = this.classifyMention(verb, match[1], before, after, isCondition)
+          if (direction === 'produces') produces.add(verb.id)
+          else consumes.add(verb.id)
+        }
+      })
+    })
+
+    return { produces: Array.from(produces), consumes: Array.from(consumes) }
+  }
+
+  classifyMention(verb, word, before, after, isCondition) {
+    // Nearest cue wins - "defeating targets makes you Amplified" produces Amplified
+    for (let i = before.length - 1; i >= Math.max(0, before.length - CUE_WINDOW); i--) {
+      if (PRODUCER_CUES.includes(before[i])) return 'produces'
+      if (CONSUMER_CUES.includes(before[i])) return 'consumes'
+    }
+
+    // "ignites it", "scorch targets"
+    const isBaseVerb = Boolean(verb.active) && word === verb.words[0]
+    if ((verb.active || []).includes(word) || (isBaseVerb && TARGET_NOUNS.includes(after[0]))) return 'produces'
+
+    if ((verb.state || []).includes(word) || isCondition) return 'consumes'
+    return 'produces'
+  }
+
+  /**
+   * Tags for an indexed plug, or for any item by its description and intrinsic perks
+   * @param {number} hash - Item hash
+   * @returns {Object|null} { hash, name, produces, consumes }
+   */
+  getTags(hash) {
+    const entry = this.entries.get(Number(hash))
+    if (entry) return entry
+
+    const item = this.itemDefinitions[hash]
+    if (!item?.displayProperties) return null
+
+    // Exotics keep their perk on an intrinsic socket
+    const texts = [item.displayProperties.description]
+    const socketEntries = item.sockets?.socketEntries || []
+    socketEntries.forEach(socket => {
+      const plug = this.itemDefinitions[socket.singleInitialItemHash]
+      if (plug?.plug?.plugCategoryIdentifier === 'intrinsics') texts.push(plug.displayProperties?.description)
+    })
+
+    return { hash: Number(hash), name: item.displayProperties.name, ...this.tagText(texts.filter(Boolean).join('. ')) }
+  }
+
+  // Builds often carry mods by name only
+  findByName(name) {
+    return typeof name === 'string' ? this.entriesByName.get(name.toLowerCase()) || null : null
+  }
+
+  getProducers(verbId) {
+    return this.producers.get(verbId) || []
+  }
+
+  getConsumers(verbId) {
+    return this.consumers.get(verbId) || []
+  }
+
+  getVerb(verbId) {
+    return VERBS.find(verb => verb.id === verbId) || null
+  }
+
+  addTo(map, verb, entry) {
+    if (!map.has(verb)) map.set(verb, [])
+    map.get(verb).push(entry)
+  }
+}
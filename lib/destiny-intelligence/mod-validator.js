@@ -0,0 +1,381 @@
+// lib/destiny-intelligence/mod-validator.js
+// Checks that a build's mods fit its gear - legal sockets, armor energy capacity and mods that can't be combined
+
+const ARMOR_SLOTS = ['helmet', 'gauntlets', 'chest', 'legs', 'classItem']
+const WEAPON_SLOTS = ['primary', 'special', 'heavy']
+
+// Masterworked armor - used when the build doesn't carry instance energy
+const DEFAULT_ARMOR_ENERGY = 10
+
+const GENERAL_MOD_CATEGORY = 'enhancements.v2_general'
+const SLOT_MOD_CATEGORIES = {
+  helmet: 'enhancements.v2_head',
+  gauntlets: 'enhancements.v2_arms',
+  chest: 'enhancements.v2_chest',
+  legs: 'enhancements.v2_legs',
+  classItem: 'enhancements.v2_class_item'
+}
+const WEAPON_MOD_CATEGORY = /weapon\.mod_/
+const ARMOR_MOD_CATEGORY = /^enhancements\./
+
+// Bungie marks one-per-build mods in their description or insertion rule failure message
+const UNIQUE_MOD_PATTERN = /only one|does not stack|cannot be stacked/i
+
+// Backtracking gives up after this many placements and falls back to a greedy fit
+const MAX_SEARCH_STEPS = 20000
+
+export class ModValidator {
+  /**
+   * @param {Object} manifestData - Definition tables (manifest.data)
+   */
+  constructor(manifestData = {}) {
+    this.itemDefinitions = manifestData.DestinyInventoryItemDefinition || {}
+    this.socketTypeDefinitions = manifestData.DestinySocketTypeDefinition || {}
+    this.plugSetDefinitions = manifestData.DestinyPlugSetDefinition || {}
+    this.modsByName = null
+  }
+
+  /**
+   * Validate every mod in a build against the build's armor and weapons
+   * @param {Object} build - Generated or saved build
+   * @returns {Object} { valid, checked, errors, warnings, assignments, energy }
+   */
+  validateBuild(build) {
+    const result = { valid: true, checked: true, errors: [], warnings: [], assignments: [], energy: {} }
+
+    if (Object.keys(this.itemDefinitions).length === 0) {
+      result.checked = false
+      result.warnings.push({ type: 'unchecked', message: 'Mods were not checked - manifest data is not loaded' })
+      return result
+    }
+
+    const mods = []
+    this.collectMods(build).forEach(entry => {
+      const definition = entry.hash ? this.itemDefinitions[entry.hash] : this.findModByName(entry.name)
+      if (!definition?.plug) {
+        result.warnings.push({
+          type: 'unknown-mod',
+          mod: entry.name || String(entry.hash),
+          message: `${entry.name || entry.hash} is not a mod in the current manifest and could not be checked`
+        })
+        return
+      }
+
+      const category = definition.plug.plugCategoryIdentifier || ''
+      mods.push({
+        hash: Number(entry.hash || definition.hash),
+        name: definition.displayProperties?.name || entry.name,
+        definition,
+        category,
+        target: WEAPON_MOD_CATEGORY.test(category) || (!ARMOR_MOD_CATEGORY.test(category) && entry.category === 'weapon') ? 'weapon' : 'armor',
+        energyCost: definition.plug.energyCost?.energyCost || 0
+      })
+    })
+
+    const pieces = [
+      ...ARMOR_SLOTS.map(slot => this.describePiece(build, slot, 'armor')),
+      ...WEAPON_SLOTS.map(slot => this.describePiece(build, slot, 'weapon'))
+    ]
+
+    pieces
+      .filter(piece => piece.assumedLayout && piece.item)
+      .forEach(piece => {
+        result.warnings.push({
+          type: 'assumed-sockets',
+          slot: piece.slot,
+          message: `${piece.name} has no socket data - assuming the standard ${piece.type} mod sockets`
+        })
+      })
+
+    this.checkExclusiveMods(mods).forEach(error => result.errors.push(error))
+
+    const { assignments, unplaced } = this.assignMods(mods, pieces)
+    result.assignments = assignments.map(({ mod, piece, socket }) => ({
+      mod: mod.name,
+      hash: mod.hash,
+      slot: piece.slot,
+      socketIndex: socket.index,
+      energyCost: mod.energyCost
+    }))
+
+    unplaced.forEach(mod => result.errors.push(this.explainUnplaced(mod, pieces, assignments)))
+
+    pieces
+      .filter(piece => piece.type === 'armor')
+      .forEach(piece => {
+        const used = assignments
+          .filter(assignment => assignment.piece === piece)
+          .reduce((sum, assignment) => sum + assignment.mod.energyCost, 0)
+        result.energy[piece.slot] = { used, capacity: piece.capacity }
+      })
+
+    result.valid = result.errors.length === 0
+    return result
+  }
+
+  // Mods from the loadout's category lists and the flat mod list, as { name, hash, category }
+  collectMods(build) {
+    const entries = []
+
+    Object.entries(build.loadout?.mods || {}).forEach(([category, mods]) => {
+      if (!Array.isArray(mods)) return
+      mods.forEach(mod => entries.push(this.toModEntry(mod, category)))
+    })
+
+    const flatMods = Array.isArray(build.mods) ? build.mods : []
+    flatMods.forEach(mod => entries.push(this.toModEntry(mod, mod?.category || 'armor')))
+
+    return entries.filter(entry => entry.name || entry.hash)
+  }
+
+  toModEntry(mod, category) {
+    if (typeof mod === 'string') return { name: mod, hash: null, category }
+    return { name: mod?.name || null, hash: mod?.hash || mod?.itemHash || null, category }
+  }
+
+  findModByName(name) {
+    if (!name) return null
+
+    if (!this.modsByName) {
+      this.modsByName = new Map()
+      Object.entries(this.itemDefinitions).forEach(([hash, item]) => {
+        const category = item.plug?.plugCategoryIdentifier || ''
+        const modName = item.displayProperties?.name
+        if (!modName || !(ARMOR_MOD_CATEGORY.test(category) || WEAPON_MOD_CATEGORY.test(category))) return
+
+        // Several copies share a name (legacy and current) - keep the first playable one
+        const key = modName.toLowerCase()
+        if (!this.modsByName.has(key)) this.modsByName.set(key, { ...item, hash: item.hash || Number(hash) })
+      })
+    }
+
+    return this.modsByName.get(name.toLowerCase()) || null
+  }
+
+  /**
+   * Mod sockets on one armor piece or weapon
+   * @returns {Object} { slot, type, item, name, capacity, sockets, assumedLayout }
+   */
+  describePiece(build, slot, type) {
+    const item = type === 'armor' ? build.loadout?.armor?.[slot] : build.loadout?.weapons?.[slot]
+    const hash = item?.hash || item?.itemHash
+    const definition = hash ? this.itemDefinitions[hash] : null
+
+    let sockets = definition ? this.getModSockets(definition) : []
+    const assumedLayout = sockets.length === 0
+    if (assumedLayout) {
+      sockets = this.getDefaultSockets(slot, type)
+    }
+
+    return {
+      slot,
+      type,
+      item,
+      name: item?.name || definition?.displayProperties?.name || slot,
+      capacity: type === 'armor'
+        ? item?.energy?.energyCapacity ?? item?.energyCapacity ?? DEFAULT_ARMOR_ENERGY
+        : Infinity,
+      sockets,
+      assumedLayout
+    }
+  }
+
+  // Sockets whose type whitelist takes armor or weapon mods
+  getModSockets(definition) {
+    const socketEntries = definition.sockets?.socketEntries || []
+    const sockets = []
+
+    socketEntries.forEach((entry, index) => {
+      const socketType = this.socketTypeDefinitions[entry.socketTypeHash]
+      const categories = (socketType?.plugWhitelist || []).map(plug => plug.categoryIdentifier).filter(Boolean)
+      if (!categories.some(category => ARMOR_MOD_CATEGORY.test(category) || WEAPON_MOD_CATEGORY.test(category))) return
+
+      const plugHashes = new Set((entry.reusablePlugItems || []).map(plug => plug.plugItemHash))
+      const plugSetHashes = [entry.reusablePlugSetHash, entry.randomizedPlugSetHash]
+      plugSetHashes.forEach(plugSetHash => {
+        const plugItems = this.plugSetDefinitions[plugSetHash]?.reusablePlugItems || []
+        plugItems.forEach(plug => plugHashes.add(plug.plugItemHash))
+      })
+
+      sockets.push({ index, categories, plugHashes })
+    })
+
+    return sockets
+  }
+
+  // Current armor: one general socket and two slot-specific ones. Weapons: one mod socket.
+  getDefaultSockets(slot, type) {
+    if (type === 'weapon') {
+      return [{ index: 0, categories: [], categoryPattern: WEAPON_MOD_CATEGORY, plugHashes: new Set() }]
+    }
+
+    return [
+      { index: 0, categories: [GENERAL_MOD_CATEGORY], plugHashes: new Set() },
+      { index: 1, categories: [SLOT_MOD_CATEGORIES[slot]], plugHashes: new Set() },
+      { index: 2, categories: [SLOT_MOD_CATEGORIES[slot]], plugHashes: new Set() }
+    ]
+  }
+
+  socketAccepts(socket, mod) {
+    return socket.categories.includes(mod.category) ||
+      socket.plugHashes.has(mod.hash) ||
+      Boolean(socket.categoryPattern?.test(mod.category))
+  }
+
+  /**
+   * Place mods into sockets: each socket holds one mod and armor energy can't exceed capacity.
+   * Most constrained mods are placed first; backtracking finds a full fit when one exists.
+   * @returns {Object} { assignments: [{ mod, piece, socket }], unplaced: [mod] }
+   */
+  assignMods(mods, pieces) {
+    const candidatesFor = mod => pieces.flatMap(piece =>
+      piece.type === mod.target
+        ? piece.sockets.filter(socket => this.socketAccepts(socket, mod)).map(socket => ({ piece, socket }))
+        : []
+    )
+
+    const ordered = mods
+      .map(mod => ({ mod, candidates: candidatesFor(mod) }))
+      .sort((a, b) => a.candidates.length - b.candidates.length || b.mod.energyCost - a.mod.energyCost)
+
+    const usedSockets = new Set()
+    const energyUsed = new Map()
+    const assignments = []
+    let steps = 0
+
+    const fits = ({ piece, socket }, mod) =>
+      !usedSockets.has(`${piece.slot}:${socket.index}`) &&
+      (energyUsed.get(piece) || 0) + mod.energyCost <= piece.capacity
+
+    const place = (candidate, mod) => {
+      usedSockets.add(`${candidate.piece.slot}:${candidate.socket.index}`)
+      energyUsed.set(candidate.piece, (energyUsed.get(candidate.piece) || 0) + mod.energyCost)
+      assignments.push({ mod, ...candidate })
+    }
+
+    const unplace = (candidate, mod) => {
+      usedSockets.delete(`${candidate.piece.slot}:${candidate.socket.index}`)
+      energyUsed.set(candidate.piece, energyUsed.get(candidate.piece) - mod.energyCost)
+      assignments.pop()
+    }
+
+    const search = (index) => {
+      if (index === ordered.length) return true
+      if (++steps > MAX_SEARCH_STEPS) return false
+
+      const { mod, candidates } = ordered[index]
+      for (const candidate of candidates) {
+        if (!fits(candidate, mod)) continue
+        place(candidate, mod)
+        if (search(index + 1)) return true
+        unplace(candidate, mod)
+      }
+      return false
+    }
+
+    if (search(0)) {
+      return { assignments, unplaced: [] }
+    }
+
+    // No complete fit - place what fits greedily so the report can name the mods left over
+    assignments.length = 0
+    usedSockets.clear()
+    energyUsed.clear()
+
+    const unplaced = []
+    ordered.forEach(({ mod, candidates }) => {
+      const candidate = candidates.find(option => fits(option, mod))
+      if (candidate) {
+        place(candidate, mod)
+      } else {
+        unplaced.push(mod)
+      }
+    })
+
+    return { assignments, unplaced }
+  }
+
+  explainUnplaced(mod, pieces, assignments) {
+    const legalPieces = pieces.filter(piece =>
+      piece.type === mod.target && piece.sockets.some(socket => this.socketAccepts(socket, mod))
+    )
+
+    if (legalPieces.length === 0) {
+      return {
+        type: 'illegal-socket',
+        mod: mod.name,
+        message: `${mod.name} doesn't fit any ${mod.target} socket in this build`
+      }
+    }
+
+    const energyBlocked = legalPieces.some(piece => {
+      const used = assignments
+        .filter(assignment => assignment.piece === piece)
+        .reduce((sum, assignment) => sum + assignment.mod.energyCost, 0)
+      const freeSocket = piece.sockets.some(socket =>
+        this.socketAccepts(socket, mod) &&
+        !assignments.some(assignment => assignment.piece === piece && assignment.socket === socket)
+      )
+      return freeSocket && used + mod.energyCost > piece.capacity
+    })
+
+    if (energyBlocked) {
+      return {
+        type: 'energy',
+        mod: mod.name,
+        message: `Not enough armor energy for ${mod.name} (costs ${mod.energyCost})`
+      }
+    }
+
+    return {
+      type: 'no-free-socket',
+      mod: mod.name,
+      message: `No free socket left for ${mod.name} - too many mods of this type`
+    }
+  }
+
+  // One-per-build mods slotted twice, and different mods that share a one-of-this-type rule
+  checkExclusiveMods(mods) {
+    const errors = []
+    const groups = new Map()
+
+    mods.forEach(mod => {
+      const rule = this.getExclusivityRule(mod.definition)
+      if (!rule) return
+
+      const key = rule.shared ? `${mod.category}|${rule.message}` : `hash:${mod.hash}`
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(mod)
+    })
+
+    groups.forEach(group => {
+      if (group.length < 2) return
+
+      const names = Array.from(new Set(group.map(mod => mod.name)))
+      errors.push({
+        type: 'exclusive',
+        mod: names.join(', '),
+        message: names.length === 1
+          ? `Only one ${names[0]} can be active at a time`
+          : `${names.join(' and ')} are mutually exclusive`
+      })
+    })
+
+    return errors
+  }
+
+  /**
+   * @returns {Object|null} { message, shared } - shared rules (insertion rule messages) span every mod in the category
+   */
+  getExclusivityRule(definition) {
+    const insertionMessage = (definition.plug?.insertionRules || [])
+      .map(rule => rule.failureMessage)
+      .find(message => message && UNIQUE_MOD_PATTERN.test(message))
+    if (insertionMessage) return { message: insertionMessage, shared: true }
+
+    const description = definition.displayProperties?.description || ''
+    if (UNIQUE_MOD_PATTERN.test(description)) return { message: description, shared: false }
+
+    return null
+  }
+}
@@ -1,6 +1,16 @@
 // lib/destiny-intelligence/stat-calculator.js
 // Advanced stat calculation and optimization system
 
+import { SubclassModel } from './subclass-model'
+import { AbilityCooldownCalculator } from './ability-cooldowns'
+
+// Cooldowns at least this much shorter count as an advantage in compareStatBuilds
+const COOLDOWN_ADVANTAGE = 0.1
+// Armor rolls its stats in two groups of three - a high-stat piece has about 32 points in each, at least 2 per stat
+const ARMOR_STAT_GROUPS = [['mobility', 'resilience', 'recovery'], ['discipline', 'intellect', 'strength']]
+const GROUP_ROLL_TOTAL = 32
+const STAT_ROLL_MIN = 2
+
 export class StatCalculator {
   constructor() {
     this.initialized = false
@@ -13,6 +23,18 @@ export class StatCalculator {
       strength: 4244567218
     }
     this.statEffects = {}
+
+    // Energy cost of the +10 (major) and +5 (minor) stat mods
+    this.statModCosts = {
+      mobility: { major: 3, minor: 1 },
+      resilience: { major: 4, minor: 2 },
+      recovery: { major: 4, minor: 2 },
+      discipline: { major: 3, minor: 1 },
+      intellect: { major: 5, minor: 2 },
+      strength: { major: 3, minor: 1 }
+    }
+    this.masterworkBonus = 2 // Added to every stat by a masterworked armor piece
+    this.cooldownCalculator = new AbilityCooldownCalculator()
   }
 
   async initialize(manifestData) {
@@ -55,6 +77,7 @@ export class StatCalculator {
           10: 'Maximum movement speed'
         },
         breakpoints: [50, 80, 100], // Important PvP breakpoints
+        ability: 'classAbility', // Hunters only
         pvpImportant: true
       },
       
@@ -73,6 +96,7 @@ export class StatCalculator {
           10: 'Maximum damage resistance'
         },
         breakpoints: [60, 100], // Important PvE breakpoints
+        ability: 'classAbility', // Titans only
         pveImportant: true
       },
 
@@ -91,6 +115,7 @@ export class StatCalculator {
           10: 'Maximum health regeneration'
         },
         breakpoints: [70, 100],
+        ability: 'classAbility', // Warlocks only
         universallyImportant: true
       },
 
@@ -108,7 +133,8 @@ export class StatCalculator {
           9: 'Very fast grenade regen',
           10: 'Maximum grenade regeneration'
         },
-        breakpoints: [60, 100]
+        breakpoints: [60, 100],
+        ability: 'grenade'
       },
 
       intellect: {
@@ -125,7 +151,8 @@ export class StatCalculator {
           9: 'Very fast super regen',
           10: 'Maximum super regeneration'
         },
-        breakpoints: [70, 100]
+        breakpoints: [70, 100],
+        ability: 'super'
       },
 
       strength: {
@@ -142,7 +169,8 @@ export class StatCalculator {
           9: 'Very fast melee regen',
           10: 'Maximum melee regeneration'
         },
-        breakpoints: [50, 100]
+        breakpoints: [50, 100],
+        ability: 'melee'
       }
     }
   }
@@ -168,6 +196,7 @@ export class StatCalculator {
       efficiency: excess === 0 ? 100 : Math.round(((10 - excess) / 10) * 100),
       wastedPoints: excess,
       description: stat.description,
+      cooldowns: this.getCooldownsAtTier(stat.ability, Math.min(tier, 10)),
       isImportantForPvP: isPvP && stat.pvpImportant,
       isImportantForPvE: !isPvP && (stat.pveImportant || stat.universallyImportant),
       nextTierCost: excess === 0 ? 10 : (10 - excess),
@@ -179,6 +208,25 @@ export class StatCalculator {
     }
   }
 
+  // Seconds per ability cooldown tier at one stat tier, e.g. { 1: 91, 2: 114, ... }
+  getCooldownsAtTier(ability, statTier) {
+    const cooldowns = {}
+    for (let cooldownTier = 1; cooldownTier <= 5; cooldownTier++) {
+      const table = this.cooldownCalculator.getCooldownTable(ability, cooldownTier)
+      if (table.length > 0) cooldowns[cooldownTier] = table[statTier]
+    }
+    return cooldowns
+  }
+
+  /**
+   * Grenade, melee, class ability and super cooldowns for a build's stats, regen mods, aspects and fragments
+   * @param {Object} build - Build with stats, loadout and metadata.class
+   * @returns {Object} Per ability { name, stat, statTier, cooldownTier, baseCooldown, cooldown, reductions }
+   */
+  calculateAbilityCooldowns(build) {
+    return this.cooldownCalculator.calculate(build)
+  }
+
   optimizeStatDistribution(targetStats, constraints = {}) {
     const maxPoints = constraints.maxPoints || 600 // Typical max with masterworked armor
     const minTiers = constraints.minTiers || {}
@@ -228,12 +276,18 @@ export class StatCalculator {
     }
   }
 
-  calculateDistributionEfficiency(stats) {
+  // Pass options.mods (e.g. solveStatTiers output) to measure waste after stat mods
+  calculateDistributionEfficiency(stats, options = {}) {
     let totalWaste = 0
     let totalStats = 0
 
+    if (options.mods) {
+      stats = this._applyStatMods(stats, options.mods)
+    }
+
     Object.entries(stats).forEach(([stat, value]) => {
-      const waste = value % 10
+      // Points past 100 never count toward a tier
+      const waste = value > 100 ? value - 100 : value % 10
       totalWaste += waste
       totalStats += value
     })
@@ -247,6 +301,205 @@ export class StatCalculator {
     }
   }
 
+  // Solve which stat mods to socket so real armor rolls reach the desired tiers.
+  // armorPieces: [{ stats: { mobility, ... }, masterworked, energyCapacity, energyUsed }]
+  // desiredTiers: { stat: minimumTier }
+  // options.statModifiers: flat bonuses/penalties from fragments and subclass ({ stat: +/-value } or an array of them)
+  // options.subclass: a SubclassModel configuration - its aspect and fragment modifiers are added to statModifiers
+  solveStatTiers(armorPieces = [], desiredTiers = {}, options = {}) {
+    const statNames = Object.keys(this.statHashes)
+    const maxMods = options.maxMods ?? armorPieces.length
+
+    // Base stats: armor rolls, +2 to every stat per masterworked piece, then fragments and penalties
+    const baseStats = {}
+    statNames.forEach(stat => { baseStats[stat] = 0 })
+
+    armorPieces.forEach(piece => {
+      statNames.forEach(stat => {
+        baseStats[stat] += (piece.stats?.[stat] || 0) + (piece.masterworked ? this.masterworkBonus : 0)
+      })
+    })
+
+    const modifiers = [].concat(options.statModifiers || [], this.getSubclassStatModifiers(options.subclass))
+    modifiers.forEach(modifier => {
+      Object.entries(modifier).forEach(([stat, value]) => {
+        if (baseStats[stat] !== undefined) baseStats[stat] += value
+      })
+    })
+
+    // Each armor piece has one stat mod socket limited by its leftover energy
+    const slotEnergy = armorPieces
+      .map((piece, index) => ({
+        index,
+        available: (piece.energyCapacity ?? 10) - (piece.energyUsed || 0)
+      }))
+      .slice(0, maxMods)
+
+    const modOptions = []
+    statNames.forEach(stat => {
+      modOptions.push({ stat, type: 'major', value: 10, cost: this.statModCosts[stat].major })
+      modOptions.push({ stat, type: 'minor', value: 5, cost: this.statModCosts[stat].minor })
+    })
+
+    const targets = Object.entries(desiredTiers)
+      .filter(([stat]) => baseStats[stat] !== undefined)
+      .map(([stat, tier]) => [stat, Math.min(tier, 10)])
+
+    let best = null
+    const chosen = []
+
+    const consider = () => {
+      const assignment = this._assignModsToSlots(chosen, slotEnergy)
+      if (!assignment) return
+
+      const stats = this._applyStatMods(baseStats, chosen)
+      const tiers = {}
+      statNames.forEach(stat => { tiers[stat] = this._statTier(stats[stat]) })
+
+      const candidate = {
+        mods: assignment,
+        stats,
+        tiers,
+        targetsMet: targets.filter(([stat, tier]) => tiers[stat] >= tier).length,
+        targetTiers: targets.reduce((sum, [stat, tier]) => sum + Math.min(tiers[stat], tier), 0),
+        totalTiers: Object.values(tiers).reduce((sum, tier) => sum + tier, 0),
+        energyUsed: chosen.reduce((sum, mod) => sum + mod.cost, 0)
+      }
+
+      if (!best || this._isBetterModSolution(candidate, best)) {
+        best = candidate
+      }
+    }
+
+    // Enumerate mod multisets (order doesn't matter), capped by the number of sockets
+    const enumerate = (start) => {
+      consider()
+      if (chosen.length >= slotEnergy.length) return
+
+      for (let i = start; i < modOptions.length; i++) {
+        chosen.push(modOptions[i])
+        enumerate(i)
+        chosen.pop()
+      }
+    }
+    enumerate(0)
+
+    const totalEnergy = slotEnergy.reduce((sum, slot) => sum + Math.max(slot.available, 0), 0)
+    const targetReport = {}
+    const impossibleTargets = []
+
+    targets.forEach(([stat, tier]) => {
+      const achieved = best.tiers[stat]
+      targetReport[stat] = { desired: tier, achieved, met: achieved >= tier }
+
+      if (achieved < tier) {
+        const maxAchievable = this._maxAchievableTier(stat, baseStats[stat], slotEnergy)
+        impossibleTargets.push({
+          stat,
+          desired: tier,
+          achieved,
+          maxAchievable,
+          reason: maxAchievable < tier
+            ? `${stat} tops out at tier ${maxAchievable} even with every socket on it`
+            : `${stat} tier ${tier} cannot be reached together with the other targets`
+        })
+      }
+    })
+
+    return {
+      baseStats,
+      stats: best.stats,
+      tiers: best.tiers,
+      mods: best.mods,
+      targets: targetReport,
+      allTargetsMet: best.targetsMet === targets.length,
+      impossibleTargets,
+      energyUsed: best.energyUsed,
+      remainingEnergy: totalEnergy - best.energyUsed,
+      remainingEnergyBySlot: slotEnergy.map(slot => ({
+        index: slot.index,
+        remaining: slot.available - (best.mods.find(mod => mod.slotIndex === slot.index)?.cost || 0)
+      })),
+      efficiency: this.calculateDistributionEfficiency(baseStats, { mods: best.mods })
+    }
+  }
+
+  // Base stats of a generic high-stat armor piece, each group's points split by the stats' relative weights.
+  // Recommendations without real items are measured on these rolls, so they can't promise more than armor holds.
+  estimateArmorRoll(weights = {}) {
+    const roll = {}
+
+    ARMOR_STAT_GROUPS.forEach(group => {
+      const spare = GROUP_ROLL_TOTAL - STAT_ROLL_MIN * group.length
+      const totalWeight = group.reduce((sum, stat) => sum + Math.max(weights[stat] || 0, 0), 0)
+
+      group.forEach(stat => {
+        const share = totalWeight > 0 ? Math.max(weights[stat] || 0, 0) / totalWeight : 1 / group.length
+        roll[stat] = STAT_ROLL_MIN + Math.floor(spare * share)
+      })
+
+      // Rounding leftovers go to the heaviest stat
+      const heaviest = group.reduce((best, stat) => ((weights[stat] || 0) > (weights[best] || 0) ? stat : best))
+      roll[heaviest] += GROUP_ROLL_TOTAL - group.reduce((sum, stat) => sum + roll[stat], 0)
+    })
+
+    return roll
+  }
+
+  // Net fragment and aspect modifiers of a subclass configuration (placeholder subclasses have none)
+  getSubclassStatModifiers(subclass) {
+    if (!subclass || typeof subclass !== 'object') return {}
+    return subclass.statModifiers || new SubclassModel().getStatModifiers(subclass)
+  }
+
+  // Prefer meeting more targets, then more target tiers, then more tiers overall, then cheaper mods
+  _isBetterModSolution(a, b) {
+    if (a.targetsMet !== b.targetsMet) return a.targetsMet > b.targetsMet
+    if (a.targetTiers !== b.targetTiers) return a.targetTiers > b.targetTiers
+    if (a.totalTiers !== b.totalTiers) return a.totalTiers > b.totalTiers
+    return a.energyUsed < b.energyUsed
+  }
+
+  // One mod per socket: the costliest mods go into the roomiest sockets
+  _assignModsToSlots(mods, slotEnergy) {
+    const sortedMods = [...mods].sort((a, b) => b.cost - a.cost)
+    const sortedSlots = [...slotEnergy].sort((a, b) => b.available - a.available)
+    if (sortedMods.length > sortedSlots.length) return null
+
+    const assignment = []
+    for (let i = 0; i < sortedMods.length; i++) {
+      if (sortedMods[i].cost > sortedSlots[i].available) return null
+      assignment.push({ ...sortedMods[i], slotIndex: sortedSlots[i].index })
+    }
+    return assignment
+  }
+
+  _applyStatMods(stats, mods = []) {
+    const result = { ...stats }
+    mods.forEach(mod => {
+      if (result[mod.stat] !== undefined) result[mod.stat] += mod.value
+    })
+    return result
+  }
+
+  _statTier(value) {
+    return Math.max(0, Math.min(Math.floor(value / 10), 10))
+  }
+
+  // Most points a single stat can gain if every socket it fits in gets a mod for it
+  _maxModPoints(stat, slotEnergy) {
+    const costs = this.statModCosts[stat]
+    return slotEnergy.reduce((sum, slot) => {
+      if (slot.available >= costs.major) return sum + 10
+      if (slot.available >= costs.minor) return sum + 5
+      return sum
+    }, 0)
+  }
+
+  _maxAchievableTier(stat, baseValue, slotEnergy) {
+    return this._statTier(baseValue + this._maxModPoints(stat, slotEnergy))
+  }
+
   generateEfficiencyRecommendations(stats) {
     const recommendations = []
     
@@ -282,6 +535,7 @@ export class StatCalculator {
       winner: null,
       differences: {},
       focusComparison: {},
+      cooldowns: {},
       recommendation: ''
     }
 
@@ -318,6 +572,29 @@ export class StatCalculator {
       comparison.focusComparison[stat] = diff
     })
 
+    // Side by side cooldowns - regen mods and fragments can make up for a lower tier
+    const cooldowns1 = this.calculateAbilityCooldowns(build1)
+    const cooldowns2 = this.calculateAbilityCooldowns(build2)
+    Object.keys(cooldowns1).forEach(ability => {
+      const cooldown1 = cooldowns1[ability].cooldown
+      const cooldown2 = cooldowns2[ability].cooldown
+      // A cooldown that can't be worked out (no class for the class ability) can't be compared
+      const known = cooldown1 !== null && cooldown2 !== null
+      let advantage = known ? 'tie' : 'unknown'
+      if (known && cooldown1 <= cooldown2 * (1 - COOLDOWN_ADVANTAGE)) advantage = 'build1'
+      else if (known && cooldown2 <= cooldown1 * (1 - COOLDOWN_ADVANTAGE)) advantage = 'build2'
+
+      comparison.cooldowns[ability] = {
+        build1: { cooldown: cooldown1, name: cooldowns1[ability].name },
+        build2: { cooldown: cooldown2, name: cooldowns2[ability].name },
+        difference: known ? cooldown1 - cooldown2 : null,
+        advantage
+      }
+
+      if (advantage === 'build1') build1Score += 1
+      else if (advantage === 'build2') build2Score += 1
+    })
+
     // Determine winner
     if (build1Score > build2Score) {
       comparison.winner = 'build1'
@@ -0,0 +1,259 @@
+// lib/destiny-intelligence/subclass-model.js
+// Subclass configurations from manifest plug sets - super, abilities, aspects with fragment slots and fragments with stat modifiers
+
+const STAT_HASHES = {
+  mobility: 2996146975,
+  resilience: 392767087,
+  recovery: 1943323491,
+  discipline: 1735777505,
+  intellect: 144602215,
+  strength: 4244567218
+}
+const CLASS_TYPES = { titan: 0, hunter: 1, warlock: 2 }
+const CLASS_NAMES = { 0: 'titan', 1: 'hunter', 2: 'warlock' }
+const ELEMENT_DAMAGE_TYPES = { arc: 2, solar: 3, void: 4, stasis: 6, strand: 7 }
+const DAMAGE_TYPE_ELEMENTS = { 2: 'arc', 3: 'solar', 4: 'void', 6: 'stasis', 7: 'strand' }
+
+// Last segment of the plug category identifier (e.g. hunter.solar.aspects) -> option list
+const PLUG_TYPES = {
+  supers: 'supers',
+  grenades: 'grenades',
+  melee: 'melees',
+  class_abilities: 'classAbilities',
+  movement: 'movements',
+  aspects: 'aspects',
+  fragments: 'fragments'
+}
+const ABILITY_OPTIONS = {
+  grenade: 'grenades',
+  melee: 'melees',
+  classAbility: 'classAbilities',
+  movement: 'movements'
+}
+
+const ASPECT_SOCKETS = 2
+// Most aspects open two fragment slots - used when the plug doesn't say
+const DEFAULT_FRAGMENT_SLOTS = 2
+
+export class SubclassModel {
+  /**
+   * @param {Object} manifestData - Definition tables (manifest.data)
+   */
+  constructor(manifestData = {}) {
+    this.itemDefinitions = manifestData.DestinyInventoryItemDefinition || {}
+    this.plugSetDefinitions = manifestData.DestinyPlugSetDefinition || {}
+  }
+
+  /**
+   * Subclass definition for a class and element
+   * @param {string} className - titan, hunter, warlock or any
+   * @param {string} element - arc, solar, void, stasis, strand or prismatic
+   * @returns {Object|null} Subclass item definition (with hash)
+   */
+  findSubclass(className, element) {
+    const classType = CLASS_TYPES[className]
+    const damageType = ELEMENT_DAMAGE_TYPES[element]
+
+    const entry = Object.entries(this.itemDefinitions).find(([, item]) => {
+      if (item.itemType !== 16 || !item.displayProperties?.name) return false
+      if (classType !== undefined && item.classType !== classType) return false
+
+      const isPrismatic = item.displayProperties.name.includes('Prismatic')
+      if (element === 'prismatic') return isPrismatic
+      return !isPrismatic &&
+        (item.talentGrid?.hudDamageType === damageType || item.defaultDamageType === damageType)
+    })
+
+    return entry ? { ...entry[1], hash: Number(entry[0]) } : null
+  }
+
+  /**
+   * Every plug the subclass offers, grouped by socket type
+   * @param {Object} subclass - Subclass item definition
+   * @returns {Object} { supers, grenades, melees, classAbilities, movements, aspects, fragments }
+   */
+  getOptions(subclass) {
+    const options = {}
+    Object.values(PLUG_TYPES).forEach(key => { options[key] = [] })
+    const seen = new Set()
+
+    const addPlug = (plugHash) => {
+      if (seen.has(String(plugHash))) return
+      const item = this.itemDefinitions[plugHash]
+      const key = PLUG_TYPES[(item?.plug?.plugCategoryIdentifier || '').split('.').pop()]
+      if (!key || !item.displayProperties?.name) return
+
+      seen.add(String(plugHash))
+      options[key].push(this.toPlugSummary({ ...item, hash: Number(plugHash) }, key))
+    }
+
+    // Each subclass socket points at a plug set listing every option for that socket
+    const socketEntries = subclass.sockets?.socketEntries || []
+    socketEntries.forEach(entry => {
+      const plugSet = this.plugSetDefinitions[entry.reusablePlugSetHash || entry.randomizedPlugSetHash]
+      const plugItems = [...(plugSet?.reusablePlugItems || []), ...(entry.reusablePlugItems || [])]
+      plugItems.forEach(plug => addPlug(plug.plugItemHash))
+    })
+
+    // Older cached manifests may not carry plug sets - match plug categories instead
+    if (options.aspects.length === 0 && options.fragments.length === 0) {
+      const className = CLASS_NAMES[subclass.classType]
+      const element = this.getElement(subclass)
+      const elementKey = element === 'prismatic' ? 'prism' : element
+      const prefixes = [`${className}.${elementKey}.`, `shared.${elementKey}.`, `${className}.shared.`]
+
+      Object.entries(this.itemDefinitions).forEach(([hash, item]) => {
+        const category = item.plug?.plugCategoryIdentifier
+        if (category && prefixes.some(prefix => category.startsWith(prefix))) addPlug(hash)
+      })
+    }
+
+    return options
+  }
+
+  /**
+   * Build a subclass configuration. Selections may be hashes, names or plug objects;
+   * anything not chosen is filled from the subclass's options (fragments ranked by focus stats).
+   * @param {Object|number} subclass - Subclass item definition or hash
+   * @param {Object} selections - { super, grenade, melee, classAbility, movement, aspects, fragments }
+   * @param {Object} options - { focusStats }
+   * @returns {Object|null} Configuration, including fragmentSlots, statModifiers and any selection issues
+   */
+  configure(subclass, selections = {}, options = {}) {
+    const definition = typeof subclass === 'object'
+      ? subclass
+      : this.itemDefinitions[subclass] && { ...this.itemDefinitions[subclass], hash: Number(subclass) }
+    if (!definition) return null
+
+    const available = this.getOptions(definition)
+    const issues = []
+
+    const resolve = (key, selection) => {
+      const plug = this.findOption(available[key], selection)
+      if (!plug) {
+        const label = String(selection?.name || selection)
+        issues.push({ type: 'unknown-plug', selection: label, message: `${label} isn't available on ${definition.displayProperties.name}` })
+      }
+      return plug
+    }
+
+    // Single sockets fall back to the first option, multi-plug lists drop what doesn't resolve
+    const pick = (key, selection) =>
+      (selection !== undefined && selection !== null && resolve(key, selection)) || available[key][0] || null
+    const pickMany = (key, chosen) => chosen.map(selection => resolve(key, selection)).filter(Boolean)
+
+    let aspects = Array.isArray(selections.aspects)
+      ? pickMany('aspects', selections.aspects)
+      : available.aspects.slice(0, ASPECT_SOCKETS)
+    if (aspects.length > ASPECT_SOCKETS) {
+      issues.push({ type: 'too-many-aspects', message: `Only ${ASPECT_SOCKETS} aspects can be equipped` })
+      aspects = aspects.slice(0, ASPECT_SOCKETS)
+    }
+
+    const fragmentSlots = aspects.reduce((sum, aspect) => sum + aspect.fragmentSlots, 0)
+
+    const focusStats = Array.isArray(options.focusStats) ? options.focusStats : []
+    let fragments = Array.isArray(selections.fragments)
+      ? pickMany('fragments', selections.fragments)
+      : [...available.fragments].sort((a, b) => this.scoreFragmentForFocus(b, focusStats) - this.scoreFragmentForFocus(a, focusStats))
+    if (Array.isArray(selections.fragments) && fragments.length > fragmentSlots) {
+      issues.push({ type: 'too-many-fragments', message: `The chosen aspects only open ${fragmentSlots} fragment slots` })
+    }
+    fragments = fragments.slice(0, fragmentSlots)
+
+    const abilities = {}
+    Object.entries(ABILITY_OPTIONS).forEach(([ability, key]) => {
+      abilities[ability] = pick(key, selections[ability])
+    })
+
+    const element = this.getElement(definition)
+
+    return {
+      hash: definition.hash,
+      name: definition.displayProperties.name,
+      icon: definition.displayProperties.icon,
+      element: element ? element.charAt(0).toUpperCase() + element.slice(1) : null,
+      classType: definition.classType,
+      super: pick('supers', selections.super),
+      abilities,
+      aspects,
+      fragments,
+      fragmentSlots,
+      statModifiers: this.getStatModifiers({ aspects, fragments }),
+      issues
+    }
+  }
+
+  /**
+   * Net stat bonuses and penalties of a configuration's aspects and fragments
+   * @param {Object} config - Subclass configuration
+   * @returns {Object} { stat: value }
+   */
+  getStatModifiers(config) {
+    const totals = {}
+    const plugs = [...(config?.aspects || []), ...(config?.fragments || [])]
+    plugs.forEach(plug => {
+      Object.entries(plug?.statModifiers || {}).forEach(([stat, value]) => {
+        totals[stat] = (totals[stat] || 0) + value
+      })
+    })
+
+    Object.keys(totals).forEach(stat => {
+      if (totals[stat] === 0) delete totals[stat]
+    })
+    return totals
+  }
+
+  getElement(subclass) {
+    if (subclass.displayProperties?.name?.includes('Prismatic')) return 'prismatic'
+    return DAMAGE_TYPE_ELEMENTS[subclass.talentGrid?.hudDamageType || subclass.defaultDamageType] || null
+  }
+
+  findOption(plugs, selection) {
+    const hash = Number(typeof selection === 'object' ? selection.hash : selection)
+    const name = typeof selection === 'object' ? selection.name : selection
+    return plugs.find(plug => plug.hash === hash) ||
+      plugs.find(plug => typeof name === 'string' && plug.name.toLowerCase() === name.toLowerCase()) ||
+      null
+  }
+
+  scoreFragmentForFocus(fragment, focusStats) {
+    let score = 0
+
+    Object.entries(fragment.statModifiers).forEach(([stat, value]) => {
+      if (focusStats.includes(stat)) {
+        // Penalties on stats we care about hurt twice as much as bonuses help
+        score += value > 0 ? value : value * 2
+      } else if (value < 0) {
+        score += value / 2
+      }
+    })
+
+    return score
+  }
+
+  toPlugSummary(plugItem, type) {
+    const statModifiers = {}
+
+    const investmentStats = plugItem.investmentStats || []
+    investmentStats.forEach(({ statTypeHash, value }) => {
+      const stat = Object.keys(STAT_HASHES).find(name => STAT_HASHES[name] === statTypeHash)
+      if (stat && value) statModifiers[stat] = value
+    })
+
+    const summary = {
+      hash: plugItem.hash,
+      name: plugItem.displayProperties.name,
+      icon: plugItem.displayProperties.icon,
+      description: plugItem.displayProperties.description,
+      statModifiers
+    }
+
+    // An aspect's energy capacity is the number of fragment slots it opens
+    if (type === 'aspects') {
+      summary.fragmentSlots = plugItem.plug?.energyCapacity?.capacityValue ?? DEFAULT_FRAGMENT_SLOTS
+    }
+
+    return summary
+  }
+}
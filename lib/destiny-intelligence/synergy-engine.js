@@ -1,6 +1,8 @@
 // lib/destiny-intelligence/synergy-engine.js
 // Detects and analyzes build synergies and interactions
 
+import { KeywordIndex } from './keyword-index'
+
 export class SynergyEngine {
   constructor() {
     this.initialized = false
@@ -10,6 +12,8 @@ export class SynergyEngine {
     this.armorSynergies = new Map()
     this.elementSynergies = new Map()
     this.activitySynergies = new Map()
+    this.abilityStats = []
+    this.keywordIndex = new KeywordIndex()
   }
 
   async initialize(manifestData) {
@@ -21,6 +25,7 @@ export class SynergyEngine {
       }
       
       this.manifest = manifestData
+      this.keywordIndex = new KeywordIndex(manifestData.data || manifestData)
       
       // Build synergy detection rules
       this._buildSynergyRules()
@@ -28,6 +33,7 @@ export class SynergyEngine {
       this._buildArmorSynergies()
       this._buildElementSynergies()
       this._buildActivitySynergies()
+      this._buildAbilityStats()
       
       this.initialized = true
       console.log('✅ Synergy Engine initialized successfully')
@@ -204,6 +210,16 @@ export class SynergyEngine {
     })
   }
 
+  _buildAbilityStats() {
+    // Aspects built around an ability want the stat that recharges it
+    this.abilityStats = [
+      { keyword: 'grenade', stat: 'discipline' },
+      { keyword: 'melee', stat: 'strength' },
+      { keyword: 'super', stat: 'intellect' },
+      { keyword: 'class ability', stat: { 0: 'resilience', 1: 'mobility', 2: 'recovery' } }
+    ]
+  }
+
   findBuildSynergies(buildData, parsedRequest) {
     if (!this.initialized) {
       return []
@@ -282,6 +298,15 @@ export class SynergyEngine {
       })
     }
 
+    // Producer -> consumer verbs between the build's plugs and items
+    synergies.push(...this.findKeywordSynergies(buildData))
+
+    // Check the chosen aspects against stats
+    const subclass = buildData.loadout?.subclass
+    if (subclass && typeof subclass === 'object') {
+      synergies.push(...this.analyzeSubclassSynergies(subclass, stats))
+    }
+
     // Sort by strength and score
     synergies.sort((a, b) => {
       const strengthOrder = { 'high': 3, 'medium': 2, 'low': 1 }
@@ -362,6 +387,119 @@ export class SynergyEngine {
     return synergies
   }
 
+  /**
+   * Verbs one part of the build applies and another benefits from (scorch -> "defeating scorched targets ...")
+   * @param {Object} buildData - Build with loadout
+   * @returns {Array} One synergy per verb with its producers and consumers
+   */
+  findKeywordSynergies(buildData) {
+    const parts = this._collectBuildParts(buildData)
+      .map(part => ({ ...part, ...this._tagBuildPart(part) }))
+      .filter(part => part.produces.length > 0 || part.consumes.length > 0)
+
+    const synergies = []
+    const verbs = new Set(parts.flatMap(part => part.produces))
+    verbs.forEach(verbId => {
+      const producers = parts.filter(part => part.produces.includes(verbId))
+      // Something feeding only itself isn't a synergy between items
+      const consumers = parts.filter(part =>
+        part.consumes.includes(verbId) && producers.some(producer => producer.key !== part.key)
+      )
+      if (consumers.length === 0) return
+
+      const verb = this.keywordIndex.getVerb(verbId)
+      const rule = {
+        conditions: [...producers, ...consumers].map(part => part.name),
+        strength: producers.length + consumers.length >= 3 ? 'high' : 'medium'
+      }
+      synergies.push({
+        id: `keyword_${verbId}`,
+        type: 'keyword',
+        name: `${verb.label} Loop`,
+        description: `${producers.map(part => part.name).join(', ')} ${producers.length === 1 ? 'applies' : 'apply'} ${verb.label}, which ${consumers.map(part => part.name).join(', ')} ${consumers.length === 1 ? 'benefits' : 'benefit'} from`,
+        strength: rule.strength,
+        verb: verbId,
+        element: verb.element,
+        producers: producers.map(part => part.name),
+        consumers: consumers.map(part => part.name),
+        score: this._calculateSynergyScore(rule, buildData)
+      })
+    })
+
+    return synergies
+  }
+
+  // Subclass plugs, weapons, armor and mods as { key, hash, name, description }
+  _collectBuildParts(buildData) {
+    const loadout = buildData.loadout || {}
+    const parts = []
+    const add = (source, entry) => {
+      if (!entry) return
+      if (typeof entry === 'string') {
+        parts.push({ key: `${source}:${entry}`, name: entry })
+      } else if (entry.name || entry.hash) {
+        parts.push({ key: `${source}:${entry.hash || entry.name}`, hash: entry.hash, name: entry.name || String(entry.hash), description: entry.description })
+      }
+    }
+
+    const subclass = typeof loadout.subclass === 'object' ? loadout.subclass : null
+    if (subclass) {
+      add('super', subclass.super)
+      const aspects = subclass.aspects || []
+      const fragments = subclass.fragments || []
+      Object.values(subclass.abilities || {}).forEach(ability => add('ability', ability))
+      aspects.forEach(aspect => add('aspect', aspect))
+      fragments.forEach(fragment => add('fragment', fragment))
+    }
+
+    Object.values(loadout.weapons || {}).forEach(weapon => add('weapon', weapon?.hash ? weapon : null))
+    Object.values(loadout.armor || {}).forEach(armor => add('armor', armor?.hash ? armor : null))
+    Object.values(loadout.mods || {}).forEach(mods => {
+      if (Array.isArray(mods)) mods.forEach(mod => add('mod', mod))
+    })
+    if (Array.isArray(buildData.mods)) buildData.mods.forEach(mod => add('mod', mod))
+
+    return parts
+  }
+
+  // Manifest tags when the hash or name is indexed, otherwise whatever the build's own description says
+  _tagBuildPart(part) {
+    const indexed = (part.hash && this.keywordIndex.getTags(part.hash)) || this.keywordIndex.findByName(part.name)
+    if (indexed && (indexed.produces.length > 0 || indexed.consumes.length > 0)) {
+      return { produces: indexed.produces, consumes: indexed.consumes }
+    }
+    return this.keywordIndex.tagText(part.description || '')
+  }
+
+  // subclass: a SubclassModel configuration. Placeholder aspects (plain strings) carry nothing to reason over.
+  analyzeSubclassSynergies(subclass, stats = {}) {
+    const synergies = []
+    const aspects = (subclass.aspects || []).filter(aspect => aspect?.description)
+
+    // Ability-focused aspects backed by the matching stat
+    aspects.forEach(aspect => {
+      const text = aspect.description.toLowerCase()
+      this.abilityStats.forEach(({ keyword, stat }) => {
+        const statName = typeof stat === 'string' ? stat : stat[subclass.classType]
+        if (!statName || !text.includes(keyword) || (stats[statName] || 0) < 70) return
+
+        const rule = { conditions: [aspect.name, statName], strength: 'medium' }
+        synergies.push({
+          id: `aspect_stat_${aspect.hash}_${statName}`,
+          type: 'subclass',
+          name: `${aspect.name} ${statName.charAt(0).toUpperCase() + statName.slice(1)}`,
+          description: `${aspect.name} leans on your ${keyword} - ${statName} ${stats[statName]} keeps it available`,
+          strength: rule.strength,
+          aspect: aspect.name,
+          stat: statName,
+          score: this._calculateSynergyScore(rule, subclass)
+        })
+      })
+    })
+
+    return synergies
+  }
+
   calculateSynergyStrength(synergies) {
     if (!Array.isArray(synergies) || synergies.length === 0) {
       return { overall: 'none', score: 0 }
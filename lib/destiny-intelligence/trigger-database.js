@@ -6,6 +6,7 @@ class TriggerDatabase {
     this.effects = new Map()
     this.chains = new Map()
     this.conflicts = new Map()
+    this.damageModifiers = new Map()
   }
 
   async initialize(manifestData) {
@@ -15,6 +16,7 @@ class TriggerDatabase {
       this.buildTriggerMappings()
       this.buildEffectMappings()
       this.buildChainMappings()
+      this.buildDamageModifierMappings()
       this.buildConflictMappings()
       this.initialized = true
       console.log('Trigger Database initialized successfully')
@@ -280,6 +282,94 @@ class TriggerDatabase {
     })
   }
 
+  buildDamageModifierMappings() {
+    // Empowering buffs (on the player) - duration 0 means it can be held for the whole damage phase.
+    // sources are item and ability names; radiant and weaken are also picked up from descriptions that apply them
+
+    this.damageModifiers.set('radiant', {
+      type: 'radiant',
+      category: 'empowering',
+      magnitude: [20],
+      duration: 0,
+      sources: ['ember of torches'],
+      description: 'Radiant increases weapon damage'
+    })
+
+    this.damageModifiers.set('well_of_radiance', {
+      type: 'well_of_radiance',
+      category: 'empowering',
+      magnitude: [25],
+      duration: 30000,
+      sources: ['well of radiance'],
+      description: 'Standing in a Well empowers all damage'
+    })
+
+    this.damageModifiers.set('weapons_of_light', {
+      type: 'weapons_of_light',
+      category: 'empowering',
+      magnitude: [25],
+      duration: 0,
+      sources: ['ward of dawn', 'weapons of light'],
+      description: 'Passing through a Ward of Dawn grants Weapons of Light'
+    })
+
+    this.damageModifiers.set('empowering_rift', {
+      type: 'empowering_rift',
+      category: 'empowering',
+      magnitude: [20],
+      duration: 0,
+      sources: ['empowering rift'],
+      description: 'Standing in an Empowering Rift increases damage'
+    })
+
+    // Debuffs (on the target)
+    this.damageModifiers.set('weaken', {
+      type: 'weaken',
+      category: 'debuff',
+      magnitude: [15],
+      duration: 0,
+      sources: ['echo of undermining', 'vortex frag'],
+      description: 'Weakened targets take more damage'
+    })
+
+    this.damageModifiers.set('divinity', {
+      type: 'divinity',
+      category: 'debuff',
+      magnitude: [15],
+      duration: 0,
+      sources: ['divinity'],
+      description: 'Divinity\'s bubble weakens the target'
+    })
+
+    this.damageModifiers.set('tractor_cannon', {
+      type: 'tractor_cannon',
+      category: 'debuff',
+      magnitude: [30],
+      duration: 10000,
+      sources: ['tractor cannon'],
+      description: 'Tractor Cannon makes the target take more damage'
+    })
+
+    this.damageModifiers.set('shadowshot', {
+      type: 'shadowshot',
+      category: 'debuff',
+      magnitude: [30],
+      duration: 15000,
+      sources: ['shadowshot', 'deadfall', 'moebius quiver'],
+      description: 'Tethered targets take more damage'
+    })
+
+    // Leg armor surges - magnitude by number of matching mods, weapons of that element only
+    this.damageModifiers.set('weapon_surge', {
+      type: 'weapon_surge',
+      category: 'surge',
+      magnitude: [10, 17, 22],
+      duration: 0,
+      sources: ['surge'],
+      description: 'Weapon surge mods increase damage of matching weapons'
+    })
+  }
+
   buildConflictMappings() {
     // Buff conflicts (effects that don't stack or override each other)
     this.conflicts.set('damage_boost_conflict', {
@@ -301,6 +391,19 @@ class TriggerDatabase {
       description: 'Invisibility effects use longest duration'
     })
 
+    // Damage modifiers multiply across categories - within a category only the strongest applies
+    this.conflicts.set('empowering_buff_conflict', {
+      conflicting_effects: ['radiant', 'well_of_radiance', 'weapons_of_light', 'empowering_rift'],
+      resolution: 'highest_magnitude',
+      description: 'Empowering buffs do not stack with each other'
+    })
+
+    this.conflicts.set('debuff_conflict', {
+      conflicting_effects: ['weaken', 'divinity', 'tractor_cannon', 'shadowshot'],
+      resolution: 'highest_magnitude',
+      description: 'Target debuffs do not stack with each other'
+    })
+
     // Trigger conflicts (triggers that interfere with each other)
     this.conflicts.set('kill_trigger_conflict', {
       conflicting_triggers: ['weapon_kill', 'ability_kill', 'precision_kill'],
@@ -348,6 +451,26 @@ class TriggerDatabase {
     return this.conflicts.get(conflictType) || null
   }
 
+  getDamageModifier(modifierType) {
+    if (!this.initialized) {
+      console.warn('Trigger Database not initialized')
+      return null
+    }
+    return this.damageModifiers.get(modifierType) || null
+  }
+
+  findDamageModifiersByCategory(category) {
+    if (!this.initialized) return []
+
+    const matchingModifiers = []
+    this.damageModifiers.forEach((modifier, key) => {
+      if (modifier.category === category) {
+        matchingModifiers.push({ type: key, ...modifier })
+      }
+    })
+    return matchingModifiers
+  }
+
   findTriggersBySource(source) {
     if (!this.initialized) return []
     
@@ -505,39 +628,6 @@ class TriggerDatabase {
     
     return conflictingItems[0]
   }
-
-  simulateTriggerChain(trigger, context = {}) {
-    if (!this.initialized) {
-      return { success: false, reason: 'Database not initialized' }
-    }
-
-    const chains = this.findChainsByTrigger(trigger.type)
-    if (chains.length === 0) {
-      return { success: false, reason: 'No chains found for trigger' }
-    }
-
-    const results = []
-    
-    chains.forEach(chain => {
-      const effect = this.getEffect(chain.effect)
-      if (effect) {
-        results.push({
-          chain: chain.type,
-          trigger: trigger.type,
-          effect: chain.effect,
-          magnitude: effect.magnitude[0], // Use first magnitude as default
-          duration: effect.duration[0],
-          success: true
-        })
-      }
-    })
-
-    return {
-      success: results.length > 0,
-      results,
-      totalChains: results.length
-    }
-  }
 }
 
 // Export both named and default
@@ -0,0 +1,512 @@
+// lib/destiny-intelligence/trigger-simulator.js
+// Discrete-event simulation of a build's trigger chains over a scripted encounter - buff uptime and an event log for charting
+
+import { getSlotItem } from '../build-diff'
+
+// Rates are per second (damage in percent of max health). Phases override them for a window of the fight (from/to in ms).
+export const ENCOUNTER_PRESETS = {
+  add_clear: {
+    label: 'Add clear',
+    duration: 60000,
+    killsPerSecond: 1.5,
+    precisionRate: 0.4,
+    abilityKillsPerSecond: 0.25,
+    damageTakenPerSecond: 4,
+    orbsPerSecond: 0.15
+  },
+  boss_dps: {
+    label: 'Boss DPS phase',
+    duration: 60000,
+    killsPerSecond: 0.2,
+    precisionRate: 0.8,
+    abilityKillsPerSecond: 0.05,
+    damageTakenPerSecond: 3,
+    orbsPerSecond: 0.05,
+    phases: [{ from: 0, to: 15000, killsPerSecond: 1, abilityKillsPerSecond: 0.2 }]
+  },
+  pvp: {
+    label: 'Crucible',
+    duration: 60000,
+    killsPerSecond: 0.1,
+    precisionRate: 0.6,
+    abilityKillsPerSecond: 0.03,
+    damageTakenPerSecond: 10,
+    damageInterval: 8000, // One duel at a time
+    orbsPerSecond: 0
+  }
+}
+
+const ACTIVITY_PRESETS = { raid: 'boss_dps', dungeon: 'boss_dps', pvp: 'pvp' }
+const DEFAULT_PRESET = 'add_clear'
+
+// Weapon slots as the trigger database names its sources
+const WEAPON_SOURCES = { kinetic: 'primary', energy: 'special', power: 'heavy' }
+const ARMOR_SLOTS = ['helmet', 'gauntlets', 'chest', 'legs', 'classItem']
+const NO_PRECISION_WEAPONS = /sword|rocket launcher|grenade launcher|glaive/i
+// Perk, mod and plug text that names a trigger source
+const TEXT_SOURCES = [
+  [/orbs? of (power|light)/i, 'orb_of_power'],
+  [/damage resistance|taking damage|when (you are|you're) (hit|damaged)/i, 'any_source'],
+  [/low health|critical(ly)? (health|wounded)/i, 'critical_health'],
+  [/full health|fully healed/i, 'maximum_health']
+]
+// The encounter rate each simulated trigger needs - the simulator never fires the others
+const TRIGGER_RATES = {
+  weapon_kill: ['killsPerSecond'],
+  precision_kill: ['precisionRate'],
+  enemy_death: ['killsPerSecond', 'abilityKillsPerSecond'],
+  ability_kill: ['abilityKillsPerSecond'],
+  taking_damage: ['damageTakenPerSecond'],
+  low_health: ['damageTakenPerSecond'],
+  full_health: ['damageTakenPerSecond'],
+  orb_pickup: ['orbsPerSecond']
+}
+
+const MAX_HEALTH = 100
+const LOW_HEALTH_THRESHOLD = 30
+const REGEN_DELAY = 4000 // ms without damage before health regenerates
+const REGEN_PER_SECOND = 25
+const DEFAULT_DAMAGE_INTERVAL = 5000
+const DEFAULT_SAMPLE_MS = 1000
+const MAX_LOG_EVENTS = 1000
+
+export class TriggerSimulator {
+  /**
+   * @param {TriggerDatabase} triggerDatabase - Initialized trigger database
+   */
+  constructor(triggerDatabase) {
+    this.database = triggerDatabase
+  }
+
+  /**
+   * Encounter script for a build's activity, with overrides applied
+   * @param {Object} build - Build (metadata.activity picks the preset)
+   * @param {Object|string} encounter - Preset name or script overrides
+   * @returns {Object} Encounter script
+   */
+  getEncounter(build, encounter = {}) {
+    const overrides = typeof encounter === 'string' ? { preset: encounter } : encounter
+    const preset = overrides.preset || ACTIVITY_PRESETS[build?.metadata?.activity] || DEFAULT_PRESET
+
+    if (!ENCOUNTER_PRESETS[preset]) {
+      throw new Error(`Unknown encounter preset "${preset}" - expected one of: ${Object.keys(ENCOUNTER_PRESETS).join(', ')}`)
+    }
+
+    return { ...ENCOUNTER_PRESETS[preset], ...overrides, preset }
+  }
+
+  /**
+   * Trigger sources the build's items provide - weapons by slot and type, subclass abilities,
+   * and whatever perk, mod and plug text names (orbs, incoming damage, health thresholds)
+   * @param {Object} build - Build to inspect
+   * @returns {Set} Source names as the trigger database lists them
+   */
+  getBuildSources(build) {
+    const sources = new Set()
+    const texts = []
+    const addText = (entry) => {
+      if (typeof entry === 'string') texts.push(entry)
+      else if (entry) texts.push(entry.name || '', entry.description || '')
+    }
+
+    Object.entries(WEAPON_SOURCES).forEach(([slot, source]) => {
+      const weapon = getSlotItem(build, slot)
+      if (!weapon) return
+
+      sources.add(source)
+      sources.add('weapon')
+      const type = String(weapon.type || weapon.itemTypeDisplayName || '').toLowerCase()
+      if (type) {
+        // 'Sniper Rifle' -> sniper_rifle and sniper, to match either spelling in trigger sources
+        sources.add(type.replace(/\s+/g, '_'))
+        sources.add(type.split(/\s+/)[0])
+      }
+      if (!NO_PRECISION_WEAPONS.test(type)) sources.add('precision_weapon')
+      addText(weapon)
+    })
+
+    const subclass = build?.loadout?.subclass
+    if (subclass) {
+      // Every subclass equips a grenade, melee and class ability
+      sources.add('grenade')
+      sources.add('melee')
+      sources.add('class_ability')
+      if (typeof subclass !== 'object' || subclass.super) sources.add('super')
+      if (typeof subclass === 'object') {
+        const plugs = [subclass.super, ...(subclass.aspects || []), ...(subclass.fragments || []), ...Object.values(subclass.abilities || {})]
+        plugs.forEach(addText)
+      }
+    }
+
+    ARMOR_SLOTS.forEach(slot => addText(getSlotItem(build, slot)))
+    Object.values(build?.loadout?.mods || {}).forEach(mods => {
+      if (Array.isArray(mods)) mods.forEach(addText)
+    })
+    if (Array.isArray(build?.mods)) build.mods.forEach(addText)
+
+    const text = texts.join('\n')
+    TEXT_SOURCES.forEach(([pattern, source]) => {
+      if (pattern.test(text)) sources.add(source)
+    })
+
+    // Anything that kills leaves enemies dying nearby
+    if (sources.has('weapon') || sources.has('grenade')) sources.add('nearby_enemy')
+
+    return sources
+  }
+
+  /**
+   * Triggers the build's items can fire in this encounter
+   * @returns {Array} Trigger types
+   */
+  getActiveTriggers(build, encounter) {
+    const sources = this.getBuildSources(build)
+    const phases = encounter.phases || []
+    const hasRate = (key) => encounter[key] > 0 || phases.some(phase => phase[key] > 0)
+
+    const active = new Set()
+    sources.forEach(source => {
+      this.database.findTriggersBySource(source).forEach(trigger => active.add(trigger.type))
+    })
+
+    // The database lists 'any_weapon' as a precision source - weapons that can't land precision hits don't count
+    if (!sources.has('precision_weapon')) active.delete('precision_kill')
+
+    return Array.from(active).filter(type => TRIGGER_RATES[type]?.some(hasRate))
+  }
+
+  /**
+   * Run the simulation
+   * @param {Object} build - Build to simulate
+   * @param {Object|string} encounter - Preset name or script ({ duration, killsPerSecond, precisionRate, abilityKillsPerSecond, damageTakenPerSecond, damageInterval, orbsPerSecond, phases })
+   * @param {Object} options - { conditions: { conditionName: boolean }, sampleMs }
+   * @returns {Object} { encounter, uptime, procs, averageMagnitude, suppressed, events, timeline, truncated }
+   */
+  simulate(build, encounter = {}, options = {}) {
+    if (!this.database?.isInitialized()) {
+      throw new Error('Trigger database must be initialized before simulating')
+    }
+
+    const script = this.getEncounter(build, encounter)
+    const duration = script.duration
+    const activeTriggers = this.getActiveTriggers(build, script)
+    const chains = activeTriggers
+      .flatMap(trigger => this.database.findChainsByTrigger(trigger))
+      .filter(chain => this.database.getEffect(chain.effect) && this.isConditionMet(chain, build, options))
+
+    const state = {
+      time: 0,
+      health: MAX_HEALTH,
+      lastHit: -Infinity,
+      damaged: false,
+      precisionCredit: 0,
+      lastFired: {},
+      chainStacks: {},
+      instances: new Map(), // chain type -> active effect instance
+      effective: [],
+      candidates: [],
+      uptime: {},
+      magnitudeTime: {},
+      suppressed: {},
+      procs: {},
+      events: [],
+      timeline: [],
+      truncated: false
+    }
+
+    const queue = []
+    this.scheduleEncounter(queue, script)
+    const sampleMs = options.sampleMs || DEFAULT_SAMPLE_MS
+    for (let time = 0; time <= duration; time += sampleMs) {
+      this.schedule(queue, { time, kind: 'sample' })
+    }
+
+    while (queue.length > 0) {
+      const event = queue.shift()
+      if (event.time > duration) break
+
+      this.advance(state, event.time)
+      this.handleEvent(state, queue, event, chains, activeTriggers)
+    }
+    this.advance(state, duration)
+
+    const percent = (ms) => Math.round((ms / duration) * 1000) / 10
+    const uptime = {}
+    const averageMagnitude = {}
+    Object.entries(state.uptime).forEach(([type, ms]) => {
+      uptime[type] = percent(ms)
+      averageMagnitude[type] = ms > 0 ? Math.round(state.magnitudeTime[type] / ms) : 0
+    })
+    const suppressed = {}
+    Object.entries(state.suppressed).forEach(([type, ms]) => { suppressed[type] = percent(ms) })
+
+    return {
+      encounter: script,
+      activeTriggers,
+      chains: chains.map(chain => chain.type),
+      uptime,
+      averageMagnitude,
+      suppressed,
+      procs: state.procs,
+      events: state.events,
+      timeline: state.timeline,
+      truncated: state.truncated
+    }
+  }
+
+  // Conditions the build can't satisfy drop the chain; options.conditions overrides any of them
+  isConditionMet(chain, build, options) {
+    if (options.conditions && chain.condition in options.conditions) {
+      return Boolean(options.conditions[chain.condition])
+    }
+
+    switch (chain.condition) {
+      case 'elemental_match':
+        return Boolean(build?.metadata?.element) && build.metadata.element !== 'any'
+      case 'recovery_stat':
+        return (build?.stats?.recovery || 0) >= 50
+      default:
+        return true
+    }
+  }
+
+  // Evenly spaced, deterministic events so the same build and script always chart the same
+  scheduleEncounter(queue, script) {
+    const phases = [{ from: 0, to: script.duration }, ...(script.phases || [])]
+    const rateAt = (key, time) => phases.reduce((rate, phase) =>
+      time >= phase.from && time < phase.to && phase[key] !== undefined ? phase[key] : rate, script[key] || 0)
+
+    const emit = (key, kind, details = () => ({})) => {
+      let time = 0
+      while (time < script.duration) {
+        const rate = rateAt(key, time)
+        if (rate <= 0) {
+          // Skip to the next phase boundary that might change the rate
+          const next = phases.flatMap(phase => [phase.from, phase.to]).filter(boundary => boundary > time).sort((a, b) => a - b)[0]
+          if (next === undefined) return
+          time = next
+          continue
+        }
+        time += 1000 / rate
+        if (time < script.duration) this.schedule(queue, { time: Math.round(time), kind, ...details(time) })
+      }
+    }
+
+    emit('killsPerSecond', 'kill', time => ({ precisionRate: Math.min(Math.max(rateAt('precisionRate', time), 0), 1) }))
+    emit('abilityKillsPerSecond', 'ability_kill')
+    emit('orbsPerSecond', 'orb')
+    // Incoming damage lands in bursts, leaving gaps for health to regenerate
+    if (script.damageTakenPerSecond > 0) {
+      const interval = script.damageInterval || DEFAULT_DAMAGE_INTERVAL
+      for (let time = interval; time < script.duration; time += interval) {
+        this.schedule(queue, { time, kind: 'hit', damage: rateAt('damageTakenPerSecond', time) * interval / 1000 })
+      }
+    }
+  }
+
+  schedule(queue, event) {
+    let index = queue.length
+    while (index > 0 && queue[index - 1].time > event.time) index--
+    queue.splice(index, 0, event)
+  }
+
+  // Accumulate uptime for the effects in force since the last event, regenerate health, expire effects
+  advance(state, time) {
+    const elapsed = time - state.time
+    if (elapsed > 0) {
+      state.effective.forEach(effect => {
+        state.uptime[effect.type] = (state.uptime[effect.type] || 0) + elapsed
+        state.magnitudeTime[effect.type] = (state.magnitudeTime[effect.type] || 0) + effect.magnitude * elapsed
+      })
+      this.getSuppressed(state).forEach(type => {
+        state.suppressed[type] = (state.suppressed[type] || 0) + elapsed
+      })
+
+      const regenStart = Math.max(state.time, state.lastHit + REGEN_DELAY)
+      if (time > regenStart && state.health < MAX_HEALTH) {
+        state.health = Math.min(MAX_HEALTH, state.health + ((time - regenStart) / 1000) * REGEN_PER_SECOND)
+      }
+    }
+    state.time = time
+
+    let expired = false
+    state.instances.forEach((instance, chainType) => {
+      if (instance.expiresAt <= time) {
+        state.instances.delete(chainType)
+        this.log(state, { type: 'effect-end', effect: instance.type, chain: chainType })
+        expired = true
+      }
+    })
+    if (expired) this.resolveEffects(state)
+  }
+
+  handleEvent(state, queue, event, chains, activeTriggers) {
+    const fired = []
+
+    switch (event.kind) {
+      case 'sample':
+        state.timeline.push({
+          time: event.time,
+          health: Math.round(state.health),
+          effects: Object.fromEntries(state.effective.map(effect => [effect.type, effect.magnitude]))
+        })
+        return
+
+      case 'kill': {
+        // Precision credit builds up kill by kill so the rate holds without randomness
+        state.precisionCredit += event.precisionRate
+        const isPrecision = state.precisionCredit >= 1
+        if (isPrecision) state.precisionCredit -= 1
+        fired.push('weapon_kill', 'enemy_death')
+        if (isPrecision) fired.push('precision_kill')
+        else this.breakConsecutive(state, chains, 'consecutive_precision')
+        break
+      }
+
+      case 'ability_kill':
+        fired.push('ability_kill', 'enemy_death')
+        break
+
+      case 'orb':
+        fired.push('orb_pickup')
+        break
+
+      case 'hit': {
+        const resistance = state.effective.find(effect => effect.type === 'damage_resistance')?.magnitude || 0
+        const shield = state.effective.find(effect => effect.type === 'overshield')?.magnitude || 0
+        const damage = Math.max(0, event.damage * (1 - resistance / 100) - shield / 10)
+        const wasLow = state.health < LOW_HEALTH_THRESHOLD
+        state.health = Math.max(1, state.health - damage)
+        state.lastHit = event.time
+        state.damaged = true
+        fired.push('taking_damage')
+        if (!wasLow && state.health < LOW_HEALTH_THRESHOLD) fired.push('low_health')
+
+        const fullAt = event.time + REGEN_DELAY + Math.ceil(((MAX_HEALTH - state.health) / REGEN_PER_SECOND) * 1000)
+        this.schedule(queue, { time: fullAt, kind: 'full', after: event.time })
+        break
+      }
+
+      case 'full':
+        // Stale if we were hit again before regenerating
+        if (event.after !== state.lastHit || !state.damaged) return
+        state.damaged = false
+        fired.push('full_health')
+        break
+
+      default:
+        return
+    }
+
+    const triggers = fired
+      .filter(type => activeTriggers.includes(type))
+      .filter(type => {
+        const cooldown = this.database.getTrigger(type).cooldown || 0
+        if (event.time - (state.lastFired[type] ?? -Infinity) < cooldown) return false
+        state.lastFired[type] = event.time
+        return true
+      })
+      .map(type => ({ type, timestamp: event.time }))
+
+    // A precision kill is also a weapon kill - the database's conflict rules pick which one counts
+    const resolved = this.database.resolveTriggerConflicts(triggers)
+    triggers
+      .filter(trigger => !resolved.includes(trigger))
+      .forEach(trigger => this.log(state, { type: 'trigger-suppressed', trigger: trigger.type }))
+
+    resolved.forEach(trigger => {
+      this.log(state, { type: 'trigger', trigger: trigger.type })
+      chains
+        .filter(chain => chain.trigger === trigger.type)
+        .forEach(chain => this.advanceChain(state, chain))
+    })
+
+    this.resolveEffects(state)
+  }
+
+  // Chains whose condition needs an unbroken streak restart on a miss
+  breakConsecutive(state, chains, condition) {
+    chains
+      .filter(chain => chain.condition === condition && state.chainStacks[chain.type]?.stack > 0)
+      .forEach(chain => {
+        state.chainStacks[chain.type].stack = 0
+        this.log(state, { type: 'chain-reset', chain: chain.type, reason: 'streak broken' })
+      })
+  }
+
+  advanceChain(state, chain) {
+    const chainState = state.chainStacks[chain.type] || { stack: 0, lastTrigger: -Infinity }
+
+    if (chain.decay_time > 0 && chainState.stack > 0 && state.time - chainState.lastTrigger > chain.decay_time) {
+      chainState.stack = 0
+      this.log(state, { type: 'chain-reset', chain: chain.type, reason: 'decayed' })
+    }
+
+    chainState.stack = Math.min(chainState.stack + 1, chain.chain_length)
+    chainState.lastTrigger = state.time
+    state.chainStacks[chain.type] = chainState
+
+    // Each stack steps up the effect's magnitude and duration tables
+    const effect = this.database.getEffect(chain.effect)
+    const magnitude = effect.magnitude[Math.min(chainState.stack, effect.magnitude.length) - 1]
+    const duration = effect.duration[Math.min(chainState.stack, effect.duration.length) - 1]
+    state.procs[effect.type] = (state.procs[effect.type] || 0) + 1
+
+    if (!duration) {
+      this.log(state, { type: 'effect-proc', effect: effect.type, chain: chain.type, stack: chainState.stack, magnitude })
+      return
+    }
+
+    const refreshed = state.instances.has(chain.type)
+    state.instances.set(chain.type, { type: effect.type, magnitude, stackable: effect.stackable, expiresAt: state.time + duration })
+    this.log(state, {
+      type: refreshed ? 'effect-refresh' : 'effect-start',
+      effect: effect.type,
+      chain: chain.type,
+      stack: chainState.stack,
+      magnitude,
+      expiresAt: state.time + duration
+    })
+  }
+
+  // One entry per effect type (stackable instances add, others keep the strongest), then the database's effect conflicts
+  resolveEffects(state) {
+    const byType = new Map()
+    state.instances.forEach(instance => {
+      const current = byType.get(instance.type)
+      if (!current) {
+        byType.set(instance.type, { type: instance.type, magnitude: instance.magnitude, duration: instance.expiresAt - state.time })
+      } else if (instance.stackable) {
+        current.magnitude += instance.magnitude
+      } else if (instance.magnitude > current.magnitude) {
+        current.magnitude = instance.magnitude
+      }
+    })
+
+    const candidates = Array.from(byType.values())
+    const wasEffective = new Set(state.effective.map(effect => effect.type))
+    const wasSuppressed = new Set(this.getSuppressed(state))
+    state.candidates = candidates.map(effect => effect.type)
+    state.effective = this.database.resolveEffectConflicts(candidates.map(effect => ({ ...effect })))
+
+    state.effective
+      .filter(effect => !wasEffective.has(effect.type))
+      .forEach(effect => this.log(state, { type: 'buff-active', effect: effect.type, magnitude: effect.magnitude }))
+    this.getSuppressed(state)
+      .filter(type => !wasSuppressed.has(type))
+      .forEach(type => this.log(state, { type: 'buff-suppressed', effect: type }))
+  }
+
+  getSuppressed(state) {
+    const effective = new Set(state.effective.map(effect => effect.type))
+    return (state.candidates || []).filter(type => !effective.has(type))
+  }
+
+  log(state, entry) {
+    if (state.events.length >= MAX_LOG_EVENTS) {
+      state.truncated = true
+      return
+    }
+    state.events.push({ time: state.time, ...entry })
+  }
+}
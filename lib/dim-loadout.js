@@ -0,0 +1,367 @@
+// lib/dim-loadout.js
+// Converts builds to and from Destiny Item Manager (DIM) loadout JSON
+
+import { BUILD_SLOTS, getSlotItem, setSlotItem, resolveBuildItems } from './build-diff'
+
+const CLASS_TYPES = { titan: 0, hunter: 1, warlock: 2 }
+const CLASS_NAMES = { 0: 'titan', 1: 'hunter', 2: 'warlock' }
+const DIM_ANY_CLASS = 3
+
+const SLOT_BUCKETS = {
+  kinetic: 1498876634,
+  energy: 2465295065,
+  power: 953998645,
+  helmet: 3448274439,
+  gauntlets: 3551918588,
+  chest: 14239492,
+  legs: 20886954,
+  classItem: 1585787867
+}
+const SUBCLASS_BUCKET = 3284755031
+const WEAPON_SLOTS = ['kinetic', 'energy', 'power']
+
+// Armor 3.0 renamed the stats but kept their hashes
+const STAT_HASHES = {
+  mobility: 2996146975,
+  resilience: 392767087,
+  recovery: 1943323491,
+  discipline: 1735777505,
+  intellect: 144602215,
+  strength: 4244567218,
+  weapons: 2996146975,
+  health: 392767087,
+  class: 1943323491,
+  grenade: 1735777505,
+  super: 144602215,
+  melee: 4244567218
+}
+const STAT_NAMES = {
+  2996146975: 'mobility',
+  392767087: 'resilience',
+  1943323491: 'recovery',
+  1735777505: 'discipline',
+  144602215: 'intellect',
+  4244567218: 'strength'
+}
+
+const DAMAGE_TYPE_NAMES = { 2: 'Arc', 3: 'Solar', 4: 'Void', 6: 'Stasis', 7: 'Strand' }
+
+const ITEM_TYPE_SUBCLASS = 16
+const ITEM_TYPE_MOD = 19
+const ARMOR_MOD_CATEGORY = /^enhancements\./
+
+/**
+ * Convert a build into a DIM loadout
+ * @param {Object} build - Generated or saved build (the inner `build` of a saved record)
+ * @param {Object} options - { manifest (definition tables), name, notes }
+ * @returns {Object} { loadout, unmapped } - unmapped lists what DIM's schema couldn't carry
+ */
+export function exportDimLoadout(build, options = {}) {
+  const itemDefinitions = options.manifest?.DestinyInventoryItemDefinition || {}
+  const plugSets = options.manifest?.DestinyPlugSetDefinition || {}
+  const metadata = build.metadata || {}
+  const unmapped = []
+
+  const equipped = []
+  let exoticArmorHash
+  BUILD_SLOTS.forEach(slot => {
+    const item = getSlotItem(build, slot)
+    if (!item) return
+
+    const hash = getItemHash(item)
+    if (!hash) {
+      unmapped.push({ slot, name: item.name || slot, reason: 'No item hash (generic recommendation)' })
+      return
+    }
+
+    equipped.push(item.itemInstanceId ? { id: String(item.itemInstanceId), hash } : { hash })
+
+    const isExotic = item.isExotic || item.tierType === 6 || itemDefinitions[hash]?.inventory?.tierType === 6
+    if (isExotic && !WEAPON_SLOTS.includes(slot)) {
+      exoticArmorHash = hash
+    }
+  })
+
+  const subclass = build.loadout?.subclass
+  if (subclass && typeof subclass === 'object' && getItemHash(subclass)) {
+    const { socketOverrides, unplaced } = getSubclassSocketOverrides(subclass, itemDefinitions, plugSets)
+    equipped.push({ hash: getItemHash(subclass), socketOverrides })
+    unplaced.forEach(plug => {
+      unmapped.push({ slot: 'subclass', name: plug.name || String(plug.hash), reason: 'No matching subclass socket' })
+    })
+  } else if (subclass) {
+    unmapped.push({ slot: 'subclass', name: subclass.name || String(subclass), reason: 'No subclass hash' })
+  }
+
+  const mods = []
+  getModEntries(build).forEach(({ category, mod }) => {
+    if (category === 'weapon') {
+      unmapped.push({ slot: 'mods', name: mod.name || String(mod.hash), reason: 'DIM loadouts only carry armor mods' })
+      return
+    }
+
+    const hash = getItemHash(mod) || findModHashByName(mod.name, itemDefinitions)
+    if (hash) {
+      mods.push(hash)
+    } else {
+      unmapped.push({ slot: 'mods', name: mod.name, reason: 'No matching armor mod in the manifest' })
+    }
+  })
+
+  const statConstraints = Object.entries(getStatTargets(build.stats)).map(([stat, value]) => ({
+    statHash: STAT_HASHES[stat],
+    minTier: Math.min(10, Math.floor(value / 10)),
+    minStat: value
+  }))
+
+  const loadout = {
+    id: generateLoadoutId(),
+    name: options.name || metadata.name || build.name || 'Casting Destiny Build',
+    notes: options.notes || metadata.description || undefined,
+    classType: CLASS_TYPES[metadata.class || build.guardianClass] ?? DIM_ANY_CLASS,
+    clearSpace: false,
+    equipped,
+    unequipped: [],
+    parameters: {
+      ...(statConstraints.length > 0 && { statConstraints }),
+      ...(mods.length > 0 && { mods }),
+      ...(exoticArmorHash && { exoticArmorHash })
+    },
+    createdAt: Date.now()
+  }
+
+  return { loadout, unmapped }
+}
+
+/**
+ * Convert a DIM loadout into our build structure, resolving hashes against the manifest
+ * @param {Object} loadout - DIM loadout JSON
+ * @param {Object} options - { manifest (definition tables) }
+ * @returns {Object} { build, unmapped } - unmapped lists items and plugs that had nowhere to go
+ */
+export function importDimLoadout(loadout, options = {}) {
+  if (!isDimLoadout(loadout)) {
+    throw new Error('Not a DIM loadout - expected an object with an equipped item list')
+  }
+
+  const itemDefinitions = options.manifest?.DestinyInventoryItemDefinition || {}
+  const unmapped = []
+
+  let build = {
+    metadata: {
+      name: loadout.name || 'Imported DIM Loadout',
+      description: loadout.notes || 'Imported from DIM',
+      class: CLASS_NAMES[loadout.classType] || 'any',
+      importedFrom: 'dim'
+    },
+    loadout: { weapons: {}, armor: {} }
+  }
+
+  const items = [
+    ...loadout.equipped.map(item => ({ ...item, equipped: true })),
+    ...(loadout.unequipped || []).map(item => ({ ...item, equipped: false }))
+  ]
+
+  items.forEach(item => {
+    const definition = itemDefinitions[item.hash]
+    if (!definition) {
+      unmapped.push({ hash: item.hash, reason: 'Not found in the manifest' })
+      return
+    }
+
+    const name = definition.displayProperties?.name || String(item.hash)
+    if (!item.equipped) {
+      unmapped.push({ hash: item.hash, name, reason: 'Unequipped items are not part of a build' })
+      return
+    }
+
+    if (definition.itemType === ITEM_TYPE_SUBCLASS || definition.inventory?.bucketTypeHash === SUBCLASS_BUCKET) {
+      const { subclass, unknownPlugs } = importSubclass(item, itemDefinitions)
+      build.loadout.subclass = subclass
+      unknownPlugs.forEach(hash => unmapped.push({ hash, reason: 'Subclass plug not found in the manifest' }))
+      return
+    }
+
+    const slot = getSlotForBucket(definition.inventory?.bucketTypeHash)
+    if (!slot) {
+      unmapped.push({ hash: item.hash, name, reason: 'Not a weapon or armor slot' })
+      return
+    }
+
+    build = setSlotItem(build, slot, item.id ? { hash: item.hash, itemInstanceId: item.id } : { hash: item.hash })
+  })
+
+  // Loadout Optimizer loadouts often name an exotic without equipping it
+  const parameters = loadout.parameters || {}
+  const exoticDefinition = parameters.exoticArmorHash > 0 ? itemDefinitions[parameters.exoticArmorHash] : null
+  if (exoticDefinition) {
+    const slot = getSlotForBucket(exoticDefinition.inventory?.bucketTypeHash)
+    if (slot && !getSlotItem(build, slot)) {
+      build = setSlotItem(build, slot, { hash: parameters.exoticArmorHash })
+    }
+  }
+
+  const mods = []
+  const modHashes = parameters.mods || []
+  modHashes.forEach(hash => {
+    if (itemDefinitions[hash]) {
+      mods.push({ hash, description: itemDefinitions[hash].displayProperties?.description })
+    } else {
+      unmapped.push({ hash, reason: 'Mod not found in the manifest' })
+    }
+  })
+  if (mods.length > 0) build.mods = mods
+
+  const stats = {}
+  const statConstraints = parameters.statConstraints || []
+  statConstraints.forEach(constraint => {
+    const stat = STAT_NAMES[constraint.statHash]
+    const value = constraint.minStat ?? (constraint.minTier !== undefined ? constraint.minTier * 10 : undefined)
+    if (stat && value !== undefined) stats[stat] = value
+  })
+  build.stats = stats
+
+  return { build: resolveBuildItems(build, itemDefinitions), unmapped }
+}
+
+/**
+ * Pull DIM loadouts out of pasted or uploaded JSON - a single loadout, an array, or { loadouts: [...] }
+ * @param {*} data - Parsed JSON
+ * @returns {Array|null} Loadouts, or null when the data isn't DIM loadouts
+ */
+export function getDimLoadouts(data) {
+  const candidates = Array.isArray(data) ? data : Array.isArray(data?.loadouts) ? data.loadouts : [data]
+  return candidates.length > 0 && candidates.every(isDimLoadout) ? candidates : null
+}
+
+export function isDimLoadout(data) {
+  return Boolean(data) && typeof data === 'object' && Array.isArray(data.equipped)
+}
+
+function importSubclass(item, itemDefinitions) {
+  const definition = itemDefinitions[item.hash]
+  const subclass = {
+    hash: item.hash,
+    element: getElementName(definition),
+    super: null,
+    aspects: [],
+    fragments: [],
+    abilities: []
+  }
+  const unknownPlugs = []
+
+  Object.values(item.socketOverrides || {}).forEach(plugHash => {
+    const plug = itemDefinitions[plugHash]
+    if (!plug) {
+      unknownPlugs.push(plugHash)
+      return
+    }
+
+    const category = plug.plug?.plugCategoryIdentifier || ''
+    const entry = { hash: plugHash, name: plug.displayProperties?.name, description: plug.displayProperties?.description }
+    if (category.includes('.supers')) {
+      subclass.super = entry
+    } else if (category.includes('.aspects')) {
+      subclass.aspects.push(entry)
+    } else if (category.includes('.fragments')) {
+      subclass.fragments.push(entry)
+    } else {
+      subclass.abilities.push(entry)
+    }
+  })
+
+  return { subclass, unknownPlugs }
+}
+
+/**
+ * DIM keys subclass plugs by socket index, so each plug goes to the first free socket that can hold it
+ * @returns {Object} { socketOverrides, unplaced }
+ */
+function getSubclassSocketOverrides(subclass, itemDefinitions, plugSets) {
+  const plugs = [subclass.super, ...(subclass.abilities || []), ...(subclass.aspects || []), ...(subclass.fragments || [])]
+    .filter(plug => getItemHash(plug))
+  const socketEntries = itemDefinitions[getItemHash(subclass)]?.sockets?.socketEntries || []
+
+  const candidates = socketEntries.map(entry => {
+    const hashes = new Set((entry.reusablePlugItems || []).map(plug => plug.plugItemHash))
+    const plugSetItems = plugSets[entry.reusablePlugSetHash]?.reusablePlugItems || []
+    plugSetItems.forEach(plug => hashes.add(plug.plugItemHash))
+    return hashes
+  })
+
+  const socketOverrides = {}
+  const unplaced = []
+  plugs.forEach(plug => {
+    const hash = getItemHash(plug)
+    const index = candidates.findIndex((hashes, socketIndex) => hashes.has(hash) && socketOverrides[socketIndex] === undefined)
+    if (index === -1) {
+      unplaced.push(plug)
+    } else {
+      socketOverrides[index] = hash
+    }
+  })
+
+  return { socketOverrides, unplaced }
+}
+
+// Loadout mods by category plus the flat mod list, as { category, mod: { hash?, name } }
+function getModEntries(build) {
+  const entries = []
+  Object.entries(build.loadout?.mods || {}).forEach(([category, mods]) => {
+    if (!Array.isArray(mods)) return
+    mods.forEach(mod => entries.push({ category, mod: typeof mod === 'string' ? { name: mod } : mod }))
+  })
+  const flatMods = Array.isArray(build.mods) ? build.mods : []
+  flatMods.forEach(mod => {
+    entries.push({ category: 'armor', mod: typeof mod === 'string' ? { name: mod } : mod })
+  })
+  return entries
+}
+
+function findModHashByName(name, itemDefinitions) {
+  if (!name) return null
+  const target = name.toLowerCase()
+  const match = Object.entries(itemDefinitions).find(([, item]) =>
+    item.itemType === ITEM_TYPE_MOD &&
+    ARMOR_MOD_CATEGORY.test(item.plug?.plugCategoryIdentifier || '') &&
+    item.displayProperties?.name?.toLowerCase() === target
+  )
+  return match ? Number(match[0]) : null
+}
+
+function getStatTargets(stats = {}) {
+  const targets = {}
+  const sources = [stats?.totalStats || {}, stats || {}]
+  sources.forEach(source => {
+    Object.entries(source).forEach(([stat, value]) => {
+      if (STAT_HASHES[stat] && typeof value === 'number' && value > 0) targets[stat] = Math.round(value)
+    })
+  })
+
+  // Old and new stat names share hashes - keep one constraint per hash
+  const seen = new Set()
+  return Object.fromEntries(Object.entries(targets).filter(([stat]) => {
+    if (seen.has(STAT_HASHES[stat])) return false
+    seen.add(STAT_HASHES[stat])
+    return true
+  }))
+}
+
+function getSlotForBucket(bucketHash) {
+  return Object.keys(SLOT_BUCKETS).find(slot => SLOT_BUCKETS[slot] === bucketHash) || null
+}
+
+function getElementName(definition) {
+  if (definition?.displayProperties?.name?.includes('Prismatic')) return 'Prismatic'
+  const damageType = definition?.talentGrid?.hudDamageType ?? definition?.defaultDamageType
+  return DAMAGE_TYPE_NAMES[damageType] || null
+}
+
+function getItemHash(item) {
+  const hash = Number(item?.hash || item?.itemHash)
+  return Number.isInteger(hash) && hash > 0 ? hash >>> 0 : null
+}
+
+function generateLoadoutId() {
+  return globalThis.crypto?.randomUUID?.() || `cd-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`
+}
@@ -0,0 +1,350 @@
+// lib/equip-planner.js
+// Plans and runs the vault/character transfers needed to equip a build on a character
+
+import BungieAPIService from './bungie-api-service'
+
+const CHARACTER_BUCKET_CAPACITY = 9 // Unequipped slots per weapon/armor bucket
+const VAULT_CAPACITY = 600
+const EQUIP_SUCCESS = 1 // PlatformErrorCodes.Success
+
+class EquipPlanner {
+  /**
+   * @param {Object} bungieAPI - Bungie API client (defaults to BungieAPIService, swap for a mock in tests)
+   */
+  constructor(bungieAPI = new BungieAPIService()) {
+    this.bungieAPI = bungieAPI
+  }
+
+  /**
+   * Collect the instanced items a build wants equipped
+   * @param {Object} build - Generated build with loadout.weapons / loadout.armor
+   * @returns {Array} Items with slot, name, itemInstanceId, itemHash and bucketHash
+   */
+  getBuildItems(build) {
+    const loadout = build?.loadout || {}
+    const items = []
+
+    const categories = ['weapons', 'armor']
+    categories.forEach(category => {
+      Object.entries(loadout[category] || {}).forEach(([slot, item]) => {
+        if (!item?.itemInstanceId) return
+
+        items.push({
+          category,
+          slot,
+          name: item.name || slot,
+          itemInstanceId: String(item.itemInstanceId),
+          itemHash: item.hash ?? item.itemHash,
+          bucketHash: item.bucketHash
+        })
+      })
+    })
+
+    return items
+  }
+
+  /**
+   * Build a mutable snapshot of where every instanced item currently lives
+   * @param {Object} inventory - BungieAPIService.getCompleteInventory output
+   * @returns {Object} Snapshot with item locations and bucket contents
+   */
+  createInventorySnapshot(inventory) {
+    const snapshot = {
+      items: new Map(),
+      characters: new Map(),
+      vaultCount: (inventory.vault?.items || []).length
+    }
+
+    const characters = inventory.characters || []
+    characters.forEach(character => {
+      snapshot.characters.set(character.characterId, {
+        characterId: character.characterId,
+        classType: character.classType,
+        className: character.className
+      })
+
+      const equipment = character.equipment || []
+      const carried = character.inventory || []
+      equipment.forEach(item => this.trackItem(snapshot, item, {
+        type: 'character', characterId: character.characterId, equipped: true
+      }))
+      carried.forEach(item => this.trackItem(snapshot, item, {
+        type: 'character', characterId: character.characterId, equipped: false
+      }))
+    })
+
+    const vaultItems = inventory.vault?.items || []
+    vaultItems.forEach(item => this.trackItem(snapshot, item, {
+      type: 'vault', equipped: false
+    }))
+
+    return snapshot
+  }
+
+  trackItem(snapshot, item, location) {
+    if (!item.itemInstanceId) return
+
+    snapshot.items.set(String(item.itemInstanceId), {
+      itemInstanceId: String(item.itemInstanceId),
+      itemHash: item.itemHash,
+      // Vault items report the vault bucket - the real bucket comes from the build item
+      bucketHash: location.type === 'character' ? item.bucketHash : null,
+      location: { ...location }
+    })
+  }
+
+  /**
+   * Items sitting unequipped in a character bucket
+   * @param {Object} snapshot - Inventory snapshot
+   * @param {string} characterId - Character to inspect
+   * @param {number} bucketHash - Bucket to inspect
+   * @returns {Array} Unequipped items in that bucket
+   */
+  getBucketContents(snapshot, characterId, bucketHash) {
+    return Array.from(snapshot.items.values()).filter(item =>
+      item.location.type === 'character' &&
+      item.location.characterId === characterId &&
+      !item.location.equipped &&
+      item.bucketHash === bucketHash
+    )
+  }
+
+  /**
+   * Work out every transfer needed to equip a build, without calling Bungie
+   * @param {Object} build - Build whose loadout items carry itemInstanceId
+   * @param {Object} inventory - BungieAPIService.getCompleteInventory output
+   * @param {string} characterId - Character to equip the build on
+   * @returns {Object} Ordered steps plus a per-item plan
+   */
+  planEquip(build, inventory, characterId) {
+    const snapshot = this.createInventorySnapshot(inventory)
+    const membershipType = inventory.profile?.membershipType
+
+    if (!snapshot.characters.has(characterId)) {
+      throw new Error(`Character ${characterId} not found in inventory`)
+    }
+
+    const buildItems = this.getBuildItems(build)
+    const buildInstanceIds = new Set(buildItems.map(item => item.itemInstanceId))
+
+    const plan = {
+      characterId,
+      membershipType,
+      steps: [],
+      items: []
+    }
+
+    buildItems.forEach(buildItem => {
+      const entry = {
+        ...buildItem,
+        from: null,
+        steps: [],
+        status: 'planned',
+        error: null
+      }
+      plan.items.push(entry)
+
+      const current = snapshot.items.get(buildItem.itemInstanceId)
+      if (!current) {
+        entry.status = 'failed'
+        entry.error = 'Item is no longer in your inventory'
+        return
+      }
+
+      entry.from = { ...current.location }
+      const bucketHash = buildItem.bucketHash ?? current.bucketHash
+
+      if (current.location.type === 'character' && current.location.characterId === characterId) {
+        // Already on the right character - only the final equip call is needed
+        return
+      }
+
+      const addStep = (step) => {
+        const planned = { ...step, itemInstanceId: step.itemInstanceId || buildItem.itemInstanceId, forItem: buildItem.itemInstanceId }
+        plan.steps.push(planned)
+        entry.steps.push(planned)
+      }
+
+      // Step 1: get the item into the vault
+      if (current.location.type === 'character') {
+        if (current.location.equipped) {
+          entry.status = 'failed'
+          entry.error = 'Equipped on another character - unequip it in game first'
+          return
+        }
+
+        if (snapshot.vaultCount >= VAULT_CAPACITY) {
+          entry.status = 'failed'
+          entry.error = 'Vault is full'
+          return
+        }
+
+        addStep({
+          action: 'transfer',
+          itemHash: current.itemHash,
+          transferToVault: true,
+          characterId: current.location.characterId,
+          description: `Move ${buildItem.name} to the vault`
+        })
+        current.location = { type: 'vault', equipped: false }
+        snapshot.vaultCount++
+      }
+
+      // Step 2: make room in the target bucket by vaulting something the build doesn't need
+      const bucket = this.getBucketContents(snapshot, characterId, bucketHash)
+      if (bucket.length >= CHARACTER_BUCKET_CAPACITY) {
+        const evictee = bucket.find(item => !buildInstanceIds.has(item.itemInstanceId))
+
+        if (!evictee || snapshot.vaultCount >= VAULT_CAPACITY) {
+          entry.status = 'failed'
+          entry.error = evictee ? 'Vault is full - no room to clear the character bucket' : 'Character bucket is full of build items'
+          return
+        }
+
+        addStep({
+          action: 'transfer',
+          itemInstanceId: evictee.itemInstanceId,
+          itemHash: evictee.itemHash,
+          transferToVault: true,
+          characterId,
+          description: `Move an unused item to the vault to make room for ${buildItem.name}`
+        })
+        evictee.location = { type: 'vault', equipped: false }
+        evictee.bucketHash = null
+        snapshot.vaultCount++
+      }
+
+      // Step 3: pull it from the vault onto the target character
+      addStep({
+        action: 'transfer',
+        itemHash: current.itemHash,
+        transferToVault: false,
+        characterId,
+        description: `Move ${buildItem.name} to the character`
+      })
+      current.location = { type: 'character', characterId, equipped: false }
+      current.bucketHash = bucketHash
+      snapshot.vaultCount--
+    })
+
+    plan.equipItemIds = plan.items
+      .filter(item => item.status !== 'failed')
+      .map(item => item.itemInstanceId)
+
+    return plan
+  }
+
+  /**
+   * Plan and (unless dryRun) execute equipping a build
+   * @param {Object} build - Build with owned item instances
+   * @param {Object} inventory - BungieAPIService.getCompleteInventory output
+   * @param {string} characterId - Target character
+   * @param {string} accessToken - Bungie OAuth access token
+   * @param {Object} options - { dryRun }
+   * @returns {Object} Per-item result report
+   */
+  async equipBuild(build, inventory, characterId, accessToken, options = {}) {
+    const plan = this.planEquip(build, inventory, characterId)
+
+    if (options.dryRun) {
+      return this.createReport(plan, true)
+    }
+
+    const failedItems = new Set(plan.items.filter(item => item.status === 'failed').map(item => item.itemInstanceId))
+
+    // Steps run strictly in order; a failed step abandons the rest of that item's steps
+    for (const step of plan.steps) {
+      if (failedItems.has(step.forItem)) {
+        step.status = 'skipped'
+        continue
+      }
+
+      try {
+        await this.bungieAPI.transferItem({
+          itemReferenceHash: step.itemHash,
+          stackSize: 1,
+          transferToVault: step.transferToVault,
+          itemId: step.itemInstanceId,
+          characterId: step.characterId,
+          membershipType: plan.membershipType
+        }, accessToken)
+        step.status = 'done'
+      } catch (error) {
+        console.error(`Transfer failed (${step.description}):`, error.message)
+        step.status = 'failed'
+        step.error = error.message
+        failedItems.add(step.forItem)
+
+        const item = plan.items.find(candidate => candidate.itemInstanceId === step.forItem)
+        item.status = 'failed'
+        item.error = error.message
+      }
+    }
+
+    const equipIds = plan.items
+      .filter(item => !failedItems.has(item.itemInstanceId))
+      .map(item => item.itemInstanceId)
+
+    if (equipIds.length > 0) {
+      try {
+        const response = await this.bungieAPI.equipItems(equipIds, characterId, plan.membershipType, accessToken)
+        const results = new Map((response?.equipResults || []).map(result => [String(result.itemInstanceId), result.equipStatus]))
+
+        plan.items.forEach(item => {
+          if (failedItems.has(item.itemInstanceId)) return
+
+          // Items Bungie doesn't report a result for may not be equipped - they aren't counted as equipped
+          const equipStatus = results.get(item.itemInstanceId)
+          if (equipStatus === EQUIP_SUCCESS) {
+            item.status = 'equipped'
+          } else if (equipStatus === undefined) {
+            item.status = 'failed'
+            item.error = 'Bungie did not report whether this item was equipped'
+          } else {
+            item.status = 'failed'
+            item.error = `Equip failed (Bungie error ${equipStatus})`
+          }
+        })
+      } catch (error) {
+        console.error('Equip failed:', error.message)
+        plan.items.forEach(item => {
+          if (failedItems.has(item.itemInstanceId)) return
+          item.status = 'failed'
+          item.error = error.message
+        })
+      }
+    }
+
+    return this.createReport(plan, false)
+  }
+
+  createReport(plan, dryRun) {
+    const summary = { total: plan.items.length, succeeded: 0, failed: 0 }
+    plan.items.forEach(item => {
+      if (item.status === 'failed') summary.failed++
+      else summary.succeeded++
+    })
+
+    return {
+      dryRun,
+      characterId: plan.characterId,
+      summary,
+      items: plan.items.map(item => ({
+        slot: item.slot,
+        category: item.category,
+        name: item.name,
+        itemInstanceId: item.itemInstanceId,
+        from: item.from,
+        status: item.status,
+        error: item.error,
+        steps: item.steps.map(step => ({
+          description: step.description,
+          status: step.status || (dryRun ? 'planned' : 'pending'),
+          error: step.error
+        }))
+      }))
+    }
+  }
+}
+
+export default EquipPlanner
@@ -0,0 +1,65 @@
+// lib/friends-store.js
+// Per-user friend lists and friend requests, persisted through the configured storage backend
+
+import { getStorage } from './storage'
+
+const FRIENDS_COLLECTION = 'friends'
+
+// Status for each friendsError code - anything else (storage failures) is a 500
+export const FRIENDS_ERROR_STATUS = {
+  ALREADY_FRIENDS: 400,
+  REQUEST_EXISTS: 400,
+  NOT_FOUND: 404
+}
+
+function emptyFriends() {
+  return { friends: [], pendingRequests: [], sentRequests: [] }
+}
+
+// Documents written before every list existed are filled in with empty ones
+function withFriendLists(data) {
+  return { ...emptyFriends(), ...data }
+}
+
+export function friendsError(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Read errors propagate - treating them as an empty list would let the next write wipe the stored one
+export async function loadUserFriends(userId) {
+  const data = await getStorage().get(FRIENDS_COLLECTION, String(userId))
+  return withFriendLists(data)
+}
+
+/**
+ * Change a user's friend lists, re-running the updater when another request wrote them in between
+ * @param {string} userId - Membership id
+ * @param {Function} updater - Receives the current lists and returns the new ones; throw (friendsError) to abort
+ * @returns {Object} The stored lists
+ */
+export async function updateUserFriends(userId, updater) {
+  return getStorage().update(FRIENDS_COLLECTION, String(userId), current => updater(withFriendLists(current)), emptyFriends())
+}
+
+/**
+ * Change two users' friend lists together. If the second write fails the first is undone, unless
+ * another request has changed that user's lists since, so a friendship is not left one-sided.
+ * The second updater runs after the first and can use what it decided.
+ */
+export async function updateFriendPair(userId, userUpdater, otherUserId, otherUpdater) {
+  let previous = null
+  const written = await updateUserFriends(userId, current => {
+    previous = current
+    return userUpdater(current)
+  })
+
+  try {
+    return [written, await updateUserFriends(otherUserId, otherUpdater)]
+  } catch (error) {
+    await updateUserFriends(userId, current => JSON.stringify(current) === JSON.stringify(written) ? previous : current)
+      .catch(undoError => console.error('Error undoing friends change:', undoError))
+    throw error
+  }
+}
@@ -1,5 +1,7 @@
 // lib/github-storage.js
-// Service for storing build sharing data and manifest caching in GitHub repository
+// Service for manifest caching and JSON file storage in a GitHub repository
+
+import { diffManifests } from './manifest-diff.js'
 
 class GitHubStorageService {
   constructor() {
@@ -7,7 +9,6 @@ class GitHubStorageService {
     this.repo = process.env.GITHUB_REPO_NAME || 'casting-destiny-v2' 
     this.token = process.env.GITHUB_TOKEN
     this.baseUrl = 'https://api.github.com'
-    this.basePath = 'data/shared-builds'
     this.manifestPath = 'data/manifest'
   }
 
@@ -58,8 +59,13 @@ class GitHubStorageService {
       const endpoint = `/repos/${this.owner}/${this.repo}/contents/${filePath}`
       const response = await this.makeRequest(endpoint)
       
+      // Files over 1MB come back without inline content - fetch them through the blob API instead
+      const encoded = response.encoding === 'none' || !response.content
+        ? (await this.makeRequest(`/repos/${this.owner}/${this.repo}/git/blobs/${response.sha}`)).content
+        : response.content
+
       // Decode base64 content
-      const content = Buffer.from(response.content, 'base64').toString('utf8')
+      const content = Buffer.from(encoded, 'base64').toString('utf8')
       return {
         content: JSON.parse(content),
         sha: response.sha
@@ -130,6 +136,19 @@ class GitHubStorageService {
     }
   }
 
+  /**
+   * Load only the stored manifest version
+   * @returns {string|null} Version, or null when no manifest is stored
+   */
+  async loadManifestVersion() {
+    const versionFile = await this.getFile(`${this.manifestPath}/version.json`)
+    if (versionFile) return versionFile.content.version
+
+    // Manifests saved before version.json existed only carry the version inside the manifest
+    const manifest = await this.loadManifest()
+    return manifest?.version || null
+  }
+
   /**
    * Save manifest to GitHub storage
    */
@@ -141,6 +160,9 @@ class GitHubStorageService {
       const existingFile = await this.getFile(`${this.manifestPath}/manifest.json`)
       const sha = existingFile?.sha
 
+      // Diff against the manifest being replaced before it is overwritten
+      const diff = await this.saveManifestDiff(existingFile?.content, manifest)
+
       // Save manifest
       const result = await this.saveFile(
         `${this.manifestPath}/manifest.json`,
@@ -149,8 +171,17 @@ class GitHubStorageService {
         sha
       )
 
+      // A small sidecar so version checks don't download the whole manifest
+      const existingVersion = await this.getFile(`${this.manifestPath}/version.json`)
+      await this.saveFile(
+        `${this.manifestPath}/version.json`,
+        { version: manifest.version, lastUpdated: manifest.lastUpdated },
+        `Record manifest version ${manifest.version}`,
+        existingVersion?.sha
+      )
+
       console.log('✅ Manifest saved to GitHub storage successfully')
-      return result
+      return { ...result, diff }
 
     } catch (error) {
       console.error('Error saving manifest to GitHub:', error)
@@ -159,195 +190,122 @@ class GitHubStorageService {
   }
 
   /**
-   * Share build with a friend
+   * Diff a new manifest against the stored one and save it under its version pair, so earlier
+   * diffs stay available. Diff failures are logged rather than thrown so they never block a manifest update.
    */
-  async shareBuild(senderMembershipId, senderDisplayName, recipientMembershipId, buildData) {
-    try {
-      const buildId = `build-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
-      const timestamp = new Date().toISOString()
-      
-      // Create minimal build structure with just essential data
-      const sharedBuild = {
-        id: buildId,
-        metadata: {
-          name: buildData.name || 'Shared Build',
-          description: buildData.description || '',
-          class: buildData.class,
-          subclass: buildData.subclass,
-          createdAt: timestamp,
-          sender: {
-            membershipId: senderMembershipId,
-            displayName: senderDisplayName
-          },
-          recipient: {
-            membershipId: recipientMembershipId
-          }
-        },
-        loadout: buildData.loadout,
-        sharing: {
-          status: 'sent',
-          sharedAt: timestamp,
-          expiresAt: new Date(Date.now() + (7 * 24 * 60 * 60 * 1000)).toISOString() // 7 days
-        }
-      }
+  async saveManifestDiff(previousManifest, manifest) {
+    const previousItems = previousManifest?.data?.DestinyInventoryItemDefinition || {}
 
-      // Save to sent folder for sender
-      const senderPath = `${this.basePath}/user-${senderMembershipId}/sent/${buildId}.json`
-      await this.saveFile(senderPath, sharedBuild, `Share build to ${recipientMembershipId}`)
+    // Older manifests were saved as empty table stubs - diffing against them lists every item as added
+    if (Object.keys(previousItems).length === 0) {
+      console.log('No previous item definitions to diff against')
+      return null
+    }
 
-      // Save to received folder for recipient  
-      const recipientPath = `${this.basePath}/user-${recipientMembershipId}/received/${buildId}.json`
-      await this.saveFile(recipientPath, sharedBuild, `Receive build from ${senderMembershipId}`)
+    // Re-saving the same version has nothing to record
+    if (previousManifest.version === manifest.version) {
+      console.log(`Manifest version ${manifest.version} unchanged - keeping the recorded diffs`)
+      return null
+    }
 
-      return {
-        success: true,
-        buildId,
-        message: 'Build shared successfully'
-      }
+    try {
+      const diff = diffManifests(previousManifest, manifest)
+      console.log(`📝 Manifest diff: ${diff.summary.added} added, ${diff.summary.removed} removed, ${diff.summary.changed} changed`)
+
+      const diffPath = this.getManifestDiffPath(diff.fromVersion, diff.toVersion)
+      const existingDiff = await this.getFile(diffPath)
+      await this.saveFile(diffPath, diff, `Record manifest changes ${diff.fromVersion} -> ${diff.toVersion}`, existingDiff?.sha)
+
+      // The index lists one entry per version pair, newest first - pulling the same pair again replaces its entry
+      const existingIndex = await this.getFile(`${this.manifestPath}/diffs/index.json`)
+      const entries = (existingIndex?.content || [])
+        .filter(entry => entry.fromVersion !== diff.fromVersion || entry.toVersion !== diff.toVersion)
+      const entry = { fromVersion: diff.fromVersion, toVersion: diff.toVersion, generatedAt: diff.generatedAt, summary: diff.summary }
+      await this.saveFile(
+        `${this.manifestPath}/diffs/index.json`,
+        [entry, ...entries],
+        `Index manifest changes ${diff.fromVersion} -> ${diff.toVersion}`,
+        existingIndex?.sha
+      )
 
+      return diff
     } catch (error) {
-      console.error('Error sharing build:', error)
-      throw new Error(`Failed to share build: ${error.message}`)
+      console.error('Error saving manifest diff:', error)
+      return null
     }
   }
 
+  getManifestDiffPath(fromVersion, toVersion) {
+    const safe = version => String(version).replace(/[^\w.-]/g, '_')
+    return `${this.manifestPath}/diffs/${safe(fromVersion)}--${safe(toVersion)}.json`
+  }
+
   /**
-   * Get shared builds for a user
+   * List the recorded manifest diffs, newest first
+   * @returns {Array} Entries with fromVersion, toVersion, generatedAt and summary
    */
-  async getUserBuilds(membershipId, type = 'received') {
-    try {
-      const basePath = `${this.basePath}/user-${membershipId}/${type}`
-      
-      let files = []
-      try {
-        const endpoint = `/repos/${this.owner}/${this.repo}/contents/${basePath}`
-        const response = await this.makeRequest(endpoint)
-        files = Array.isArray(response) ? response : []
-      } catch (error) {
-        if (error.message.includes('404')) {
-          return [] // No builds folder exists yet
-        }
-        throw error
-      }
-
-      // Load each build file
-      const builds = []
-      for (const file of files) {
-        if (file.name.endsWith('.json')) {
-          try {
-            const buildFile = await this.getFile(`${basePath}/${file.name}`)
-            if (buildFile) {
-              builds.push(buildFile.content)
-            }
-          } catch (error) {
-            console.error(`Error loading build ${file.name}:`, error)
-          }
-        }
-      }
-
-      return builds
-    } catch (error) {
-      console.error('Error getting user builds:', error)
-      return []
-    }
+  async listManifestDiffs() {
+    const indexFile = await this.getFile(`${this.manifestPath}/diffs/index.json`)
+    return indexFile?.content || []
   }
 
   /**
-   * Mark build as viewed
+   * Load the diff recorded for a version pair, or the most recent one without a pair
    */
-  async markBuildViewed(membershipId, buildId) {
-    try {
-      const filePath = `${this.basePath}/user-${membershipId}/received/${buildId}.json`
-      const buildFile = await this.getFile(filePath)
-      
-      if (!buildFile) {
-        throw new Error('Build not found')
-      }
+  async loadManifestDiff(fromVersion = null, toVersion = null) {
+    if (fromVersion && toVersion) {
+      const diffFile = await this.getFile(this.getManifestDiffPath(fromVersion, toVersion))
+      return diffFile?.content || null
+    }
 
-      // Update status
-      const updatedBuild = {
-        ...buildFile.content,
-        sharing: {
-          ...buildFile.content.sharing,
-          status: 'viewed',
-          viewedAt: new Date().toISOString()
-        }
-      }
+    const [latest] = await this.listManifestDiffs()
+    if (latest) return this.loadManifestDiff(latest.fromVersion, latest.toVersion)
 
-      await this.saveFile(
-        filePath,
-        updatedBuild,
-        `Mark build as viewed: ${buildFile.content.metadata.name}`,
-        buildFile.sha
-      )
-
-      return {
-        success: true,
-        message: 'Build marked as viewed'
-      }
-
-    } catch (error) {
-      console.error('Error marking build as viewed:', error)
-      throw new Error(`Failed to mark build as viewed: ${error.message}`)
-    }
+    // Diffs recorded before the index existed kept only the latest one
+    const legacyFile = await this.getFile(`${this.manifestPath}/manifest-diff.json`)
+    return legacyFile?.content || null
   }
 
   /**
-   * Delete shared build
+   * List the entries of a directory in the repository
    */
-  async deleteBuild(membershipId, buildId, type = 'received') {
+  async listFiles(dirPath) {
     try {
-      const filePath = `${this.basePath}/user-${membershipId}/${type}/${buildId}.json`
-      
-      const endpoint = `/repos/${this.owner}/${this.repo}/contents/${filePath}`
-      const fileData = await this.makeRequest(endpoint)
-      
-      // Delete file
-      await this.makeRequest(endpoint, 'DELETE', {
-        message: `Delete ${type} build: ${buildId}`,
-        sha: fileData.sha,
-        branch: 'main'
-      })
-
-      return {
-        success: true,
-        message: 'Build deleted successfully'
-      }
-
+      const endpoint = `/repos/${this.owner}/${this.repo}/contents/${dirPath}`
+      const response = await this.makeRequest(endpoint)
+      return Array.isArray(response) ? response : []
     } catch (error) {
-      console.error('Error deleting build:', error)
-      throw new Error(`Failed to delete build: ${error.message}`)
+      if (error.message.includes('404')) {
+        return [] // Directory doesn't exist yet
+      }
+      throw error
     }
   }
 
   /**
-   * Get repository statistics
+   * Delete file from repository
+   * @returns {boolean} Whether a file was deleted
    */
-  async getStats() {
+  async deleteFile(filePath, message) {
+    const endpoint = `/repos/${this.owner}/${this.repo}/contents/${filePath}`
+
+    let fileData
     try {
-      // This would be used for admin purposes to see sharing activity
-      const endpoint = `/repos/${this.owner}/${this.repo}/contents/${this.basePath}`
-      
-      let userDirs = []
-      try {
-        const response = await this.makeRequest(endpoint)
-        userDirs = Array.isArray(response) ? response.filter(item => item.type === 'dir') : []
-      } catch (error) {
-        if (error.message.includes('404')) {
-          return { totalUsers: 0, totalBuilds: 0 }
-        }
-        throw error
+      fileData = await this.makeRequest(endpoint)
+    } catch (error) {
+      if (error.message.includes('404')) {
+        return false
       }
+      throw error
+    }
 
-      return {
-        totalUsers: userDirs.length,
-        lastUpdated: new Date().toISOString()
-      }
+    await this.makeRequest(endpoint, 'DELETE', {
+      message,
+      sha: fileData.sha,
+      branch: 'main'
+    })
 
-    } catch (error) {
-      console.error('Error getting repository stats:', error)
-      return { totalUsers: 0, totalBuilds: 0, error: error.message }
-    }
+    return true
   }
 }
 
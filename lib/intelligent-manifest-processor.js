@@ -1,6 +1,8 @@
 // lib/intelligent-manifest-processor.js
 // Intelligent manifest processing system for enhanced analysis
 
+import { KeywordIndex } from './destiny-intelligence/keyword-index'
+
 export class IntelligentManifestProcessor {
   constructor() {
     this.initialized = false
@@ -12,6 +14,7 @@ export class IntelligentManifestProcessor {
       stats: new Map(),
       classes: new Map()
     }
+    this.keywordIndex = null
     this.version = '2.0.0'
   }
 
@@ -48,6 +51,7 @@ export class IntelligentManifestProcessor {
     const items = this.manifest.data.DestinyInventoryItemDefinition || {}
     
     console.log('⚙️ Processing item definitions...')
+    this.keywordIndex = new KeywordIndex(this.manifest.data)
     
     Object.entries(items).forEach(([hash, item]) => {
       if (!item.displayProperties?.name || item.displayProperties.name.includes('Classified')) {
@@ -72,7 +76,7 @@ export class IntelligentManifestProcessor {
           element: this._extractElement(item),
           activity: this._analyzeActivityFit(item),
           buildRole: this._determineBuildRole(item),
-          synergies: this._identifyItemSynergies(item),
+          synergies: this._identifyItemSynergies(item, hash),
           tags: this._generateTags(item),
           rating: this._calculateItemRating(item)
         },
@@ -186,7 +190,7 @@ export class IntelligentManifestProcessor {
     return roleMap[primaryStat] || 'balanced'
   }
 
-  _identifyItemSynergies(item) {
+  _identifyItemSynergies(item, hash) {
     const synergies = []
     const name = item.displayProperties?.name?.toLowerCase() || ''
     const description = item.displayProperties?.description?.toLowerCase() || ''
@@ -204,6 +208,13 @@ export class IntelligentManifestProcessor {
       if (description.includes('explosion')) synergies.push('explosive_synergy')
       if (description.includes('precision')) synergies.push('precision_synergy')
     }
+
+    // Verbs from the description and intrinsic perk, e.g. scorch_producer / scorch_consumer
+    const keywords = this.keywordIndex.getTags(hash)
+    if (keywords) {
+      keywords.produces.forEach(verb => synergies.push(`${verb}_producer`))
+      keywords.consumes.forEach(verb => synergies.push(`${verb}_consumer`))
+    }
     
     return synergies
   }
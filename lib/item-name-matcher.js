@@ -0,0 +1,215 @@
+// lib/item-name-matcher.js
+// Item name lookup that survives typos and nicknames - character trigrams narrow the candidates, edit distance ranks them
+
+// Community nicknames -> manifest item names
+export const NICKNAMES = {
+  'gally': 'Gjallarhorn',
+  'gjally': 'Gjallarhorn',
+  'gjallar': 'Gjallarhorn',
+  'starfire': 'Starfire Protocol',
+  'hoil': 'Heart of Inmost Light',
+  'nighthawk': 'Celestial Nighthawk',
+  'gyrfalcon': 'Gyrfalcon\'s Hauberk',
+  'gyrfalcons': 'Gyrfalcon\'s Hauberk',
+  'orpheus': 'Orpheus Rig',
+  'omni': 'Omnioculus',
+  'lunas': 'Lunafaction Boots',
+  'lunafaction': 'Lunafaction Boots',
+  'contra': 'Contraverse Hold',
+  'contraverse': 'Contraverse Hold',
+  'geomags': 'Geomag Stabilizers',
+  'crown': 'Crown of Tempests',
+  'cuirass': 'Cuirass of the Falling Star',
+  'synthos': 'Synthoceps',
+  'stompees': 'St0mp-EE5',
+  'stompy': 'St0mp-EE5',
+  'transversives': 'Transversive Steps',
+  'wormgod': 'Wormgod Caress',
+  'hallowfire': 'Hallowfire Heart',
+  'ursa': 'Ursa Furiosa',
+  'loreley': 'Loreley Splendor Helm',
+  'div': 'Divinity',
+  'sleeper': 'Sleeper Simulant',
+  'lament': 'The Lament',
+  'izzy': 'Izanagi\'s Burden',
+  'izanagi': 'Izanagi\'s Burden',
+  'ace': 'Ace of Spades',
+  'dmt': 'Dead Man\'s Tale',
+  'xeno': 'Xenophage',
+  'outbreak': 'Outbreak Perfected',
+  'lord of wolves': 'Lord of Wolves',
+  'eriana': 'Eriana\'s Vow',
+  'wish ender': 'Wish-Ender',
+  'leviathans breath': 'Leviathan\'s Breath'
+}
+
+// Names scoring below this never come back, however few candidates there are
+const DEFAULT_MIN_SCORE = 0.75
+// Share of trigrams a name must have in common with the query before edit distance is worth computing
+const MIN_TRIGRAM_OVERLAP = 0.2
+// A name matched on only some of its words keeps this much of the word score
+const PARTIAL_BASE = 0.85
+// Nicknames this short are a letter away from ordinary words ("crown"/"crowd", "gally"/"ally") - they only match exactly
+const EXACT_NICKNAME_LENGTH = 5
+
+/**
+ * Lowercase, drop apostrophes and turn anything else that isn't a letter or digit into single spaces
+ * @param {string} text - Item name or query
+ * @returns {string} "Gyrfalcon's Hauberk" -> "gyrfalcons hauberk"
+ */
+export function normalizeName(text) {
+  return String(text || '').toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, ' ').trim()
+}
+
+function trigrams(text) {
+  const padded = `  ${text} `
+  const grams = new Set()
+  for (let index = 0; index < padded.length - 2; index++) {
+    grams.add(padded.slice(index, index + 3))
+  }
+  return grams
+}
+
+/**
+ * Levenshtein distance - insertions, deletions and substitutions needed to turn a into b
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+const similarity = (a, b) => 1 - editDistance(a, b) / (Math.max(a.length, b.length) || 1)
+
+/**
+ * Trigram index over item names and the nicknames of the names it contains
+ * @param {Array} items - [{ name, hash, ... }] - every other field comes back with the item in findItems results
+ * @param {Object} options - { nicknames } to replace NICKNAMES
+ * @returns {Object} { entries: [{ item, normalized, words, grams, nickname }], postings: Map(trigram -> entry indexes) }
+ */
+export function buildNameIndex(items = [], { nicknames = NICKNAMES } = {}) {
+  const entries = []
+  const byName = new Map()
+
+  const addEntry = (item, text, nickname = null) => {
+    const normalized = normalizeName(text)
+    if (!normalized) return
+    entries.push({ item, normalized, words: normalized.split(' '), grams: trigrams(normalized), nickname })
+  }
+
+  items.forEach(item => {
+    if (!item?.name) return
+    addEntry(item, item.name)
+    const key = normalizeName(item.name)
+    if (!byName.has(key)) byName.set(key, [])
+    byName.get(key).push(item)
+  })
+
+  Object.entries(nicknames).forEach(([nickname, name]) => {
+    for (const item of byName.get(normalizeName(name)) || []) addEntry(item, nickname, nickname)
+  })
+
+  const postings = new Map()
+  entries.forEach((entry, index) => {
+    entry.grams.forEach(gram => {
+      if (!postings.has(gram)) postings.set(gram, [])
+      postings.get(gram).push(index)
+    })
+  })
+
+  return { entries, postings }
+}
+
+// Whole-name similarity; with partial, also how well each query word matches some word of the name ("nighthawk")
+function scoreEntry(query, queryWords, entry, partial) {
+  if (entry.nickname && entry.normalized.length <= EXACT_NICKNAME_LENGTH) return query === entry.normalized ? 1 : 0
+
+  const whole = similarity(query, entry.normalized)
+  if (!partial || entry.nickname) return whole
+
+  const wordScore = queryWords.reduce((sum, word) =>
+    sum + Math.max(...entry.words.map(nameWord => similarity(word, nameWord))), 0) / queryWords.length
+  const coverage = Math.min(1, queryWords.length / entry.words.length)
+  return Math.max(whole, wordScore * (PARTIAL_BASE + (1 - PARTIAL_BASE) * coverage))
+}
+
+/**
+ * Items whose name (or a nickname of it) is closest to the query
+ * @param {Object} index - buildNameIndex result
+ * @param {string} query - Possibly misspelt name, part of a name or nickname
+ * @param {Object} options - { limit, minScore, partial } - partial lets a query match some of a name's words
+ * @returns {Array} [{ item, hash, name, score, matchedBy: 'name' | 'nickname' }] best first, one entry per item
+ */
+export function findItems(index, query, { limit = 5, minScore = DEFAULT_MIN_SCORE, partial = false } = {}) {
+  const normalized = normalizeName(query)
+  if (!normalized || !index?.entries.length) return []
+
+  const queryGrams = trigrams(normalized)
+  const shared = new Map()
+  queryGrams.forEach(gram => {
+    for (const entryIndex of index.postings.get(gram) || []) {
+      shared.set(entryIndex, (shared.get(entryIndex) || 0) + 1)
+    }
+  })
+
+  const queryWords = normalized.split(' ')
+  const best = new Map()
+  shared.forEach((count, entryIndex) => {
+    const entry = index.entries[entryIndex]
+    // Partial matches share few trigrams with the whole name, so measure overlap against the smaller side
+    const overlap = count / (partial ? Math.min(queryGrams.size, entry.grams.size) : Math.max(queryGrams.size, entry.grams.size))
+    if (overlap < MIN_TRIGRAM_OVERLAP) return
+
+    const score = Math.round(scoreEntry(normalized, queryWords, entry, partial) * 100) / 100
+    if (score < minScore) return
+
+    const current = best.get(entry.item)
+    if (!current || score > current.score) {
+      best.set(entry.item, {
+        item: entry.item,
+        hash: entry.item.hash,
+        name: entry.item.name,
+        score,
+        matchedBy: entry.nickname ? 'nickname' : 'name'
+      })
+    }
+  })
+
+  return [...best.values()]
+    .sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name))
+    .slice(0, limit)
+}
+
+/**
+ * Filter and rank a list by how well each item's name matches a search - exact substrings first, then fuzzy matches
+ * @param {Array} items - Items to search
+ * @param {string} query - Search text
+ * @param {Object} options - { getName(item), minScore }
+ * @returns {Array} Matching items, best first (all items when the query is empty)
+ */
+export function searchItems(items = [], query = '', { getName = item => item.name, minScore = DEFAULT_MIN_SCORE } = {}) {
+  const normalized = normalizeName(query)
+  if (!normalized) return items
+
+  const named = items.map(item => ({ name: getName(item) || '', source: item }))
+  const matches = findItems(buildNameIndex(named), normalized, { limit: Infinity, minScore, partial: true })
+  const scores = new Map(matches.map(match => [match.item.source, match.score]))
+
+  named.forEach(({ name, source }) => {
+    if (normalizeName(name).includes(normalized)) scores.set(source, 1)
+  })
+
+  return items
+    .filter(item => scores.has(item))
+    .sort((a, b) => scores.get(b) - scores.get(a))
+}
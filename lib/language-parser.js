@@ -1,227 +1,846 @@
-// Natural language processing for build requests
-export function parseLanguageInput(input, manifest) {
-  const cleanInput = input.toLowerCase().trim()
-  
-  const parsedRequest = {
-    originalInput: input,
-    keywords: [],
-    buildType: null,
-    activities: [],
-    weaponTypes: [],
-    damageTypes: [],
-    classType: null,
-    specialRequirements: [],
-    confidence: 0
-  }
+// lib/language-parser.js
+// Build request parser - tokenizes a natural language request and reads it with a small grammar into one typed request object
+
+import { buildNameIndex, findItems } from './item-name-matcher'
+
+export const CLASSES = ['titan', 'hunter', 'warlock']
+export const ELEMENTS = ['solar', 'arc', 'void', 'stasis', 'strand', 'prismatic']
+export const ACTIVITIES = ['general_pve', 'raid', 'dungeon', 'nightfall', 'gambit', 'pvp']
+export const PLAYSTYLES = ['balanced', 'aggressive', 'defensive', 'support', 'dps', 'speed', 'ability_focused']
+export const STATS = ['mobility', 'resilience', 'recovery', 'discipline', 'intellect', 'strength']
+
+export const WEAPON_SLOTS = {
+  'Auto Rifle': 'primary',
+  'Bow': 'primary',
+  'Hand Cannon': 'primary',
+  'Pulse Rifle': 'primary',
+  'Scout Rifle': 'primary',
+  'Sidearm': 'primary',
+  'Submachine Gun': 'primary',
+  'Fusion Rifle': 'special',
+  'Glaive': 'special',
+  'Shotgun': 'special',
+  'Sniper Rifle': 'special',
+  'Trace Rifle': 'special',
+  'Grenade Launcher': 'heavy',
+  'Linear Fusion Rifle': 'heavy',
+  'Machine Gun': 'heavy',
+  'Rocket Launcher': 'heavy',
+  'Sword': 'heavy'
+}
+
+// How sure a match is: the canonical word, a common alias, or a value implied by something else (a subclass, an exotic)
+const EXACT = 1
+const ALIAS = 0.8
+const LOOSE = 0.6
+const IMPLIED = 0.7
+const CONFLICTED = 0.4
+
+const CLASS_CODES = { 0: 'titan', 1: 'hunter', 2: 'warlock' }
 
-  // Extract keywords from input
-  const words = cleanInput.split(/\s+/)
-  parsedRequest.keywords = words
-
-  // Parse build types
-  parsedRequest.buildType = parseBuildType(cleanInput)
-  
-  // Parse activities
-  parsedRequest.activities = parseActivities(cleanInput)
-  
-  // Parse weapon preferences
-  parsedRequest.weaponTypes = parseWeaponTypes(cleanInput)
-  
-  // Parse damage types
-  parsedRequest.damageTypes = parseDamageTypes(cleanInput)
-  
-  // Parse class type
-  parsedRequest.classType = parseClassType(cleanInput)
-  
-  // Parse special requirements
-  parsedRequest.specialRequirements = parseSpecialRequirements(cleanInput)
-  
-  // Calculate confidence score
-  parsedRequest.confidence = calculateConfidence(parsedRequest)
-
-  return parsedRequest
+const SUBCLASSES = {
+  sunbreaker: ['titan', 'solar'],
+  striker: ['titan', 'arc'],
+  sentinel: ['titan', 'void'],
+  behemoth: ['titan', 'stasis'],
+  berserker: ['titan', 'strand'],
+  gunslinger: ['hunter', 'solar'],
+  arcstrider: ['hunter', 'arc'],
+  nightstalker: ['hunter', 'void'],
+  revenant: ['hunter', 'stasis'],
+  threadrunner: ['hunter', 'strand'],
+  dawnblade: ['warlock', 'solar'],
+  stormcaller: ['warlock', 'arc'],
+  voidwalker: ['warlock', 'void'],
+  shadebinder: ['warlock', 'stasis'],
+  broodweaver: ['warlock', 'strand']
 }
 
-function parseBuildType(input) {
-  const buildTypes = {
-    'dps': ['dps', 'damage', 'boss damage', 'high damage', 'damage per second', 'burst damage', 'single target'],
-    'pvp': ['pvp', 'crucible', 'trials', 'trials of osiris', 'comp', 'competitive', 'survival', 'control', 'clash'],
-    'add_clear': ['add clear', 'adds', 'mob clear', 'trash', 'minor enemies', 'crowd control', 'aoe', 'area damage'],
-    'survivability': ['survivability', 'tanky', 'survive', 'defensive', 'gm', 'grandmaster', 'nightfall', 'endgame'],
-    'support': ['support', 'healer', 'healing', 'buff', 'team', 'wells', 'orbs', 'team support'],
-    'ability_spam': ['ability spam', 'grenades', 'constant grenades', 'infinite abilities', 'ability regen', 'cooldown'],
-    'movement': ['movement', 'speed', 'fast', 'mobility', 'parkour', 'traversal'],
-    'exotic_synergy': ['build around', 'synergy', 'exotic synergy']
+// phrase -> meanings. Plurals are handled by the tokenizer lookup, so list singular forms.
+const VOCABULARY = [
+  ...CLASSES.map(value => [value, [{ field: 'class', value, confidence: EXACT }]]),
+  ['crayon', [{ field: 'class', value: 'titan', confidence: LOOSE }]],
+  ['cloak', [{ field: 'class', value: 'hunter', confidence: LOOSE }]],
+  ['space wizard', [{ field: 'class', value: 'warlock', confidence: LOOSE }]],
+
+  ...ELEMENTS.map(value => [value, [{ field: 'element', value, confidence: EXACT }]]),
+  ['ignition', [{ field: 'element', value: 'solar', confidence: LOOSE }]],
+  ['scorch', [{ field: 'element', value: 'solar', confidence: LOOSE }]],
+  ['jolt', [{ field: 'element', value: 'arc', confidence: LOOSE }]],
+  ['volatile', [{ field: 'element', value: 'void', confidence: LOOSE }]],
+  ['devour', [{ field: 'element', value: 'void', confidence: LOOSE }]],
+  ['freeze', [{ field: 'element', value: 'stasis', confidence: LOOSE }]],
+  ['shatter', [{ field: 'element', value: 'stasis', confidence: LOOSE }]],
+  ['suspend', [{ field: 'element', value: 'strand', confidence: LOOSE }]],
+  ['tangle', [{ field: 'element', value: 'strand', confidence: LOOSE }]],
+
+  ...Object.entries(SUBCLASSES).map(([name, [className, element]]) => [name, [
+    { field: 'subclass', value: name, confidence: EXACT },
+    { field: 'class', value: className, confidence: IMPLIED, implied: true },
+    { field: 'element', value: element, confidence: IMPLIED, implied: true }
+  ]]),
+
+  ['raid', [{ field: 'activity', value: 'raid', confidence: EXACT }]],
+  ...['vog', 'vault of glass', 'dsc', 'deep stone crypt', 'last wish', 'garden of salvation', 'king\'s fall', 'kings fall',
+    'vow of the disciple', 'crota\'s end', 'root of nightmares', 'salvation\'s edge']
+    .map(name => [name, [{ field: 'activity', value: 'raid', confidence: ALIAS }]]),
+  ['dungeon', [{ field: 'activity', value: 'dungeon', confidence: EXACT }]],
+  ...['prophecy', 'pit of heresy', 'shattered throne', 'grasp of avarice', 'duality', 'spire of the watcher',
+    'ghosts of the deep', 'warlord\'s ruin', 'vesper\'s host']
+    .map(name => [name, [{ field: 'activity', value: 'dungeon', confidence: ALIAS }]]),
+  ['nightfall', [{ field: 'activity', value: 'nightfall', confidence: EXACT }]],
+  ...['gm', 'grandmaster', 'nf', 'ordeal', 'strike']
+    .map(name => [name, [{ field: 'activity', value: 'nightfall', confidence: ALIAS }]]),
+  ['gambit', [{ field: 'activity', value: 'gambit', confidence: EXACT }]],
+  ['pvp', [{ field: 'activity', value: 'pvp', confidence: EXACT }]],
+  ...['crucible', 'trials', 'trials of osiris', 'iron banner', 'comp', 'competitive', 'clash']
+    .map(name => [name, [{ field: 'activity', value: 'pvp', confidence: ALIAS }]]),
+  ...['pve', 'patrol', 'open world', 'lost sector', 'seasonal activity']
+    .map(name => [name, [{ field: 'activity', value: 'general_pve', confidence: ALIAS }]]),
+
+  ...['aggressive', 'offense', 'offensive', 'aggro']
+    .map(word => [word, [{ field: 'playstyle', value: 'aggressive', confidence: ALIAS }]]),
+  ...['defensive', 'tank', 'tanky', 'survivability', 'survive']
+    .map(word => [word, [{ field: 'playstyle', value: 'defensive', confidence: ALIAS }]]),
+  ...['support', 'healer', 'team support']
+    .map(word => [word, [{ field: 'playstyle', value: 'support', confidence: ALIAS }]]),
+  ...['dps', 'damage', 'boss damage', 'burst damage', 'boss dps']
+    .map(word => [word, [{ field: 'playstyle', value: 'dps', confidence: ALIAS }]]),
+  ...['speed', 'fast', 'speedrun']
+    .map(word => [word, [
+      { field: 'playstyle', value: 'speed', confidence: ALIAS },
+      { field: 'focusStats', value: 'mobility', confidence: LOOSE }
+    ]]),
+  ...['ability spam', 'spam', 'cooldown', 'infinite abilities', 'ability regen']
+    .map(word => [word, [{ field: 'playstyle', value: 'ability_focused', confidence: ALIAS }]]),
+  ['balanced', [{ field: 'playstyle', value: 'balanced', confidence: EXACT }]],
+
+  ...STATS.map(stat => [stat, [{ field: 'stat', value: stat, confidence: EXACT }]]),
+  ...[['mob', 'mobility'], ['res', 'resilience'], ['resil', 'resilience'], ['rec', 'recovery'], ['disc', 'discipline'],
+    ['int', 'intellect'], ['intel', 'intellect'], ['str', 'strength']]
+    .map(([word, stat]) => [word, [{ field: 'stat', value: stat, confidence: ALIAS }]]),
+  ...[['movement', 'mobility'], ['health', 'recovery'], ['healing', 'recovery'], ['heal', 'recovery'],
+    ['regen', 'recovery'], ['resistance', 'resilience'], ['damage resistance', 'resilience'], ['grenade', 'discipline'],
+    ['nade', 'discipline'], ['super', 'intellect'], ['melee', 'strength'], ['punch', 'strength']]
+    .map(([word, stat]) => [word, [{ field: 'focusStats', value: stat, confidence: LOOSE }]]),
+
+  ...Object.keys(WEAPON_SLOTS).map(type => [type.toLowerCase(), [{ field: 'weapons', value: type, confidence: EXACT }]]),
+  ...[['hc', 'Hand Cannon'], ['handcannon', 'Hand Cannon'], ['pulse', 'Pulse Rifle'], ['scout', 'Scout Rifle'],
+    ['auto', 'Auto Rifle'], ['smg', 'Submachine Gun'], ['side arm', 'Sidearm'], ['combat bow', 'Bow'],
+    ['sniper', 'Sniper Rifle'], ['shotty', 'Shotgun'], ['fusion', 'Fusion Rifle'], ['trace', 'Trace Rifle'],
+    ['linear fusion', 'Linear Fusion Rifle'], ['lfr', 'Linear Fusion Rifle'], ['linear', 'Linear Fusion Rifle'],
+    ['rocket', 'Rocket Launcher'], ['rl', 'Rocket Launcher'], ['gl', 'Grenade Launcher'],
+    ['lmg', 'Machine Gun'], ['mg', 'Machine Gun']]
+    .map(([word, type]) => [word, [{ field: 'weapons', value: type, confidence: ALIAS }]]),
+
+  // Grammar words for stat targets and exclusions - they mean nothing on their own
+  ['tier', [{ field: 'keyword', value: 'tier' }]],
+  ...['max', 'maxed', 'maximum', 'max out'].map(word => [word, [{ field: 'keyword', value: 'max' }]]),
+  ...['at least', 'minimum', 'min', 'no less than', 'need', 'must have', 'required']
+    .map(word => [word, [{ field: 'keyword', value: 'minimum' }]]),
+  ...['no', 'not', 'without', 'avoid', 'except', 'exclude', 'excluding', 'never', 'don\'t', 'dont']
+    .map(word => [word, [{ field: 'keyword', value: 'negation' }]]),
+  ...['but', 'instead', 'rather', 'with', 'prefer']
+    .map(word => [word, [{ field: 'keyword', value: 'boundary' }]])
+]
+
+const LEXICON = new Map(VOCABULARY)
+const MAX_PHRASE_LENGTH = Math.max(...VOCABULARY.map(([phrase]) => phrase.split(' ').length))
+const TOKEN_PATTERN = /[a-z0-9]+(?:'[a-z]+)?/g
+const CLAUSE_BREAK = /[,.;:!?()]/
+
+// Words that never start or end a misspelt exotic name
+const FILLER_WORDS = new Set([
+  'a', 'an', 'the', 'my', 'me', 'i', 'use', 'using', 'run', 'running', 'build', 'builds', 'loadout', 'setup', 'and', 'or',
+  'of', 'on', 'in', 'to', 'for', 'some', 'good', 'best', 'want', 'make', 'like', 'around', 'it', 'is', 'that', 'this'
+])
+// Fuzzy name matches below this are left unrecognised
+const FUZZY_EXOTIC_SCORE = 0.8
+// A single word is usually an ordinary one - it needs this many letters and a closer match, unless it's a nickname typed exactly
+const FUZZY_WORD_MIN_LENGTH = 6
+const FUZZY_WORD_SCORE = 0.85
+const EXOTIC_CANDIDATES = 3
+
+// Request field -> excluded list it feeds
+const EXCLUDABLE = { weapons: 'weapons', element: 'elements', exotic: 'exotics' }
+
+/**
+ * Split text into lowercase word tokens with their character offsets in the original text
+ * @param {string} text - Request text
+ * @returns {Array} [{ text, start, end }]
+ */
+export function tokenize(text = '') {
+  return [...String(text).toLowerCase().matchAll(TOKEN_PATTERN)].map(match => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }))
+}
+
+/**
+ * Phrase and fuzzy name index of the manifest's exotic weapons and armor, for parseBuildRequest's options.exoticIndex
+ * @param {Object} itemDefinitions - DestinyInventoryItemDefinition table
+ * @returns {Object} { phrases: Map(phrase -> exotic), maxLength, names: item-name-matcher index over the exotics }
+ */
+export function buildExoticIndex(itemDefinitions = {}) {
+  const phrases = new Map()
+  let maxLength = 0
+
+  Object.entries(itemDefinitions).forEach(([hash, item]) => {
+    const name = item?.displayProperties?.name
+    if (!name || item.inventory?.tierType !== 6 || ![2, 3].includes(item.itemType)) return
+
+    const tokens = tokenize(name).map(token => token.text)
+    const phrase = tokens.join(' ')
+    if (!phrase || phrases.has(phrase)) return
+
+    phrases.set(phrase, {
+      name,
+      hash: Number(hash),
+      itemType: item.itemType === 3 ? 'weapon' : 'armor',
+      classType: item.itemType === 2 && CLASS_CODES[item.classType] ? item.classType : null
+    })
+    maxLength = Math.max(maxLength, tokens.length)
+  })
+
+  return { phrases, maxLength, names: buildNameIndex([...phrases.values()]) }
+}
+
+function emptyRequest(input) {
+  return {
+    input,
+    class: 'any',
+    element: 'any',
+    subclass: null,
+    activity: 'general_pve',
+    playstyle: 'balanced',
+    focusStats: [],
+    statTargets: {},
+    weapons: [],
+    exotic: null,
+    exoticCandidates: [],
+    excluded: { weapons: [], elements: [], exotics: [] },
+    keywords: [],
+    confidence: {
+      overall: 0, class: 0, element: 0, subclass: 0, activity: 0, playstyle: 0,
+      focusStats: 0, statTargets: 0, weapons: 0, exotic: 0
+    },
+    spans: {},
+    conflicts: []
   }
+}
+
+// Longest phrase starting at each token wins; a trailing plural 's' is dropped when the plural isn't known itself
+function matchTerms(tokens, exoticIndex) {
+  const terms = []
+  const maxLength = Math.max(MAX_PHRASE_LENGTH, exoticIndex?.maxLength || 0)
+  let index = 0
+
+  while (index < tokens.length) {
+    let term = null
 
-  for (const [type, keywords] of Object.entries(buildTypes)) {
-    for (const keyword of keywords) {
-      if (input.includes(keyword)) {
-        return type
+    for (let length = Math.min(maxLength, tokens.length - index); length > 0 && !term; length--) {
+      const words = tokens.slice(index, index + length).map(token => token.text)
+      const phrase = words.join(' ')
+      const singular = words[length - 1].length > 2 && words[length - 1].endsWith('s')
+        ? [...words.slice(0, -1), words[length - 1].slice(0, -1)].join(' ')
+        : null
+
+      const exotic = exoticIndex?.phrases.get(phrase)
+      const meanings = exotic
+        ? [{ field: 'exotic', value: exotic, confidence: EXACT }]
+        : LEXICON.get(phrase) || (singular && LEXICON.get(singular))
+      if (meanings) {
+        term = { meanings, first: index, last: index + length - 1 }
       }
     }
+
+    if (!term) {
+      const text = tokens[index].text
+      const tierMatch = text.match(/^t(\d{1,2})$/)
+      if (/^\d+$/.test(text)) term = { number: Number(text), first: index, last: index }
+      else if (tierMatch) term = { tier: Number(tierMatch[1]), first: index, last: index }
+    }
+
+    if (term) {
+      terms.push(term)
+      index = term.last + 1
+    } else {
+      index++
+    }
   }
 
-  return 'general' // Default
+  if (exoticIndex?.names) {
+    terms.push(...matchFuzzyExotics(tokens, terms, exoticIndex))
+    terms.sort((a, b) => a.first - b.first)
+  }
+  terms.forEach(term => {
+    term.span = { start: tokens[term.first].start, end: tokens[term.last].end }
+  })
+  return terms
 }
 
-function parseActivities(input) {
-  const activities = []
-  
-  const activityMappings = {
-    'raid': ['raid', 'vog', 'vault of glass', 'dsc', 'deep stone crypt', 'garden', 'garden of salvation', 'last wish', 'kings fall', 'vow', 'vow of the disciple'],
-    'nightfall': ['nightfall', 'nf', 'gm', 'grandmaster', 'ordeal', 'nightfall ordeal'],
-    'trials': ['trials', 'trials of osiris', 'flawless'],
-    'gambit': ['gambit', 'prime'],
-    'dungeon': ['dungeon', 'prophecy', 'pit', 'shattered throne', 'grasp', 'duality', 'spire'],
-    'crucible': ['crucible', 'pvp', 'comp', 'competitive', 'survival', 'control', 'clash', 'elimination'],
-    'strike': ['strike', 'strikes', 'playlist'],
-    'patrol': ['patrol', 'open world', 'public events', 'lost sectors']
-  }
+// Misspelt exotic names and nicknames ("gjallahorn", "hoil") in the runs of words nothing else matched.
+// Every window of a run is scored and the best ones are kept, so filler around a name doesn't stretch the match.
+function matchFuzzyExotics(tokens, terms, exoticIndex) {
+  const matched = new Set(terms.flatMap(term => Array.from({ length: term.last - term.first + 1 }, (_, offset) => term.first + offset)))
+  // One word longer than the longest name, for an extra word like "heart of the inmost light"
+  const maxLength = exoticIndex.maxLength + 1
+  const windows = []
 
-  for (const [activity, keywords] of Object.entries(activityMappings)) {
-    for (const keyword of keywords) {
-      if (input.includes(keyword) && !activities.includes(activity)) {
-        activities.push(activity)
-      }
+  for (let first = 0; first < tokens.length; first++) {
+    for (let last = first; last < Math.min(tokens.length, first + maxLength); last++) {
+      if (matched.has(last)) break
+      if (FILLER_WORDS.has(tokens[first].text) || FILLER_WORDS.has(tokens[last].text)) continue
+
+      const text = tokens.slice(first, last + 1).map(({ text }) => text).join(' ')
+      if (text.length < 3 || /^\d+$/.test(text)) continue
+
+      const single = first === last
+      const candidates = findItems(exoticIndex.names, text, {
+        limit: EXOTIC_CANDIDATES,
+        minScore: single ? FUZZY_WORD_SCORE : FUZZY_EXOTIC_SCORE
+      }).filter(candidate => !single || candidate.score === 1 || text.length >= FUZZY_WORD_MIN_LENGTH)
+      if (candidates.length > 0) windows.push({ first, last, candidates })
     }
   }
 
-  return activities
+  const fuzzyTerms = []
+  windows
+    .sort((a, b) => b.candidates[0].score - a.candidates[0].score || (b.last - b.first) - (a.last - a.first))
+    .forEach(({ first, last, candidates }) => {
+      if (fuzzyTerms.some(term => first <= term.last && last >= term.first)) return
+      const [best] = candidates
+      fuzzyTerms.push({
+        meanings: [{
+          field: 'exotic',
+          value: best.item,
+          confidence: Math.round(best.score * ALIAS * 100) / 100,
+          candidates: candidates.map(({ name, hash, score, matchedBy }) => ({ name, hash, score, matchedBy }))
+        }],
+        first,
+        last
+      })
+    })
+
+  return fuzzyTerms
 }
 
-function parseWeaponTypes(input) {
-  const weaponTypes = []
-  
-  const weaponMappings = {
-    'hand_cannon': ['hand cannon', 'hc', 'handcannon'],
-    'pulse_rifle': ['pulse', 'pulse rifle'],
-    'scout_rifle': ['scout', 'scout rifle'],
-    'auto_rifle': ['auto', 'auto rifle', 'ar'],
-    'submachine_gun': ['smg', 'submachine gun', 'sub'],
-    'sidearm': ['sidearm', 'side arm'],
-    'bow': ['bow', 'combat bow'],
-    'sniper_rifle': ['sniper', 'sniper rifle'],
-    'shotgun': ['shotgun', 'shotty'],
-    'fusion_rifle': ['fusion', 'fusion rifle'],
-    'linear_fusion_rifle': ['linear fusion', 'linear', 'lfr'],
-    'rocket_launcher': ['rocket', 'rocket launcher', 'rl'],
-    'grenade_launcher': ['gl', 'grenade launcher'],
-    'machine_gun': ['machine gun', 'mg', 'lmg'],
-    'sword': ['sword'],
-    'glaive': ['glaive']
-  }
+const meaningOf = (term, field) => term?.meanings?.find(meaning => meaning.field === field)
+const adjacent = (a, b) => a && b && b.first === a.last + 1
 
-  for (const [type, keywords] of Object.entries(weaponMappings)) {
-    for (const keyword of keywords) {
-      if (input.includes(keyword) && !weaponTypes.includes(type)) {
-        weaponTypes.push(type)
-      }
+/**
+ * Stat targets grammar, over adjacent terms:
+ *   NUMBER STAT | STAT NUMBER       "100 resilience", "recovery 80"
+ *   tier NUMBER STAT | tN STAT      "tier 7 discipline", "t10 recovery"
+ *   max STAT                        "max intellect"
+ * A minimum word in front ("at least 80 recovery", "need tier 7 discipline") or a '+' after the number ("80+ recovery")
+ * makes the target hard - the build has to reach it. Other targets are soft: aimed for, reported when missed.
+ * @returns {Object} { targets: [{ stat, value, hard, confidence, span }], used: Set of the terms read }
+ */
+function readStatTargets(terms, text) {
+  const targets = []
+  const used = new Set()
+
+  terms.forEach((term, index) => {
+    const stat = meaningOf(term, 'stat')
+    if (!stat || used.has(term)) return
+
+    const previous = terms[index - 1]
+    const beforePrevious = terms[index - 2]
+    const next = terms[index + 1]
+    let value = null
+    let parts = null
+
+    const follows = adjacent(previous, term) && !used.has(previous)
+
+    if (follows && previous.tier !== undefined) {
+      value = previous.tier * 10
+      parts = [previous, term]
+    } else if (follows && previous.number !== undefined && adjacent(beforePrevious, previous) && meaningOf(beforePrevious, 'keyword')?.value === 'tier') {
+      value = previous.number * 10
+      parts = [beforePrevious, previous, term]
+    } else if (follows && previous.number !== undefined) {
+      value = previous.number
+      parts = [previous, term]
+    } else if (follows && meaningOf(previous, 'keyword')?.value === 'max') {
+      value = 100
+      parts = [previous, term]
+    } else if (adjacent(term, next) && next.number !== undefined && !used.has(next)) {
+      value = next.number
+      parts = [term, next]
     }
-  }
 
-  return weaponTypes
+    // Stats stop counting at 100 (tier 10) - bigger numbers are about something else
+    if (value === null || value > 100) return
+
+    const number = parts.find(part => part.number !== undefined || part.tier !== undefined)
+    const qualifier = terms[terms.indexOf(parts[0]) - 1]
+    const minimum = adjacent(qualifier, parts[0]) && !used.has(qualifier) && meaningOf(qualifier, 'keyword')?.value === 'minimum'
+    if (minimum) parts.unshift(qualifier)
+    const plus = number !== undefined && text[number.span.end] === '+'
+
+    parts.forEach(part => used.add(part))
+    targets.push({
+      stat: stat.value,
+      value,
+      hard: minimum || plus,
+      confidence: stat.confidence,
+      span: { start: parts[0].span.start, end: Math.max(parts[parts.length - 1].span.end, plus ? number.span.end + 1 : 0) }
+    })
+  })
+
+  return { targets, used }
+}
+
+/**
+ * Exclusion scopes: a negation word negates the term after it and every following weapon type, element or exotic,
+ * until punctuation, a boundary word ("but", "with") or some other kind of term ends the scope.
+ *   "no shotguns or fusions", "not Gyrfalcon's", "avoid void, arc is fine"
+ * @returns {Object} { exclusions: [{ field, value, span }], negated: Set of the terms read }
+ */
+function readExclusions(terms, text) {
+  const exclusions = []
+  const negated = new Set()
+  let scope = null
+
+  terms.forEach((term, index) => {
+    const keyword = meaningOf(term, 'keyword')?.value
+    const previous = terms[index - 1]
+    if (scope && (keyword === 'boundary' || CLAUSE_BREAK.test(text.slice(previous.span.end, term.span.start)))) {
+      scope = null
+    }
+
+    if (keyword === 'negation') {
+      negated.add(term)
+      scope = { terms: 0 }
+      return
+    }
+    if (!scope) return
+
+    // Implied meanings stay out - "no nightstalker" doesn't rule out every void build
+    const excludable = (term.meanings || []).filter(meaning => EXCLUDABLE[meaning.field] && !meaning.implied)
+    if (scope.terms > 0 && excludable.length === 0) {
+      scope = null
+      return
+    }
+
+    // The first term is negated whatever it is, so "not aggressive" doesn't ask for aggressive
+    negated.add(term)
+    scope.terms++
+    excludable.forEach(meaning => exclusions.push({ field: meaning.field, value: meaning.value, span: term.span }))
+  })
+
+  return { exclusions, negated }
 }
 
-function parseDamageTypes(input) {
-  const damageTypes = []
-  
-  const damageMappings = {
-    'solar': ['solar', 'fire', 'burn', 'ignition'],
-    'void': ['void', 'purple', 'devour', 'volatile'],
-    'arc': ['arc', 'lightning', 'electric', 'chain lightning'],
-    'strand': ['strand', 'green', 'grapple', 'suspend'],
-    'stasis': ['stasis', 'ice', 'freeze', 'crystal'],
-    'kinetic': ['kinetic', 'white', 'no element']
+/**
+ * Parse a build request. Every generator reads this object, so the same text gives the same request everywhere.
+ * @param {string} input - Natural language request
+ * @param {Object} options - { exoticIndex } from buildExoticIndex to recognise exotic names
+ * @returns {Object} { input, class, element, subclass, activity, playstyle, focusStats, statTargets: { stat: { value, hard } },
+ *   weapons: [{ type, slot }], exotic: { name, hash, itemType, classType } | null,
+ *   exoticCandidates: [{ name, hash, score, matchedBy }] (ranked, when the exotic was matched fuzzily),
+ *   excluded: { weapons: [type], elements: [element], exotics: [exotic] }, keywords,
+ *   confidence: { overall, <field>: 0-1 }, spans: { <field>: [{ start, end, text }] },
+ *   conflicts: [{ field, values, excluded? }] }
+ */
+export function parseBuildRequest(input = '', options = {}) {
+  const text = String(input)
+  const request = emptyRequest(text)
+  const tokens = tokenize(text)
+  const terms = matchTerms(tokens, options.exoticIndex)
+  request.keywords = tokens.map(token => token.text)
+
+  const addSpan = (field, span) => {
+    request.spans[field] = request.spans[field] || []
+    if (!request.spans[field].some(existing => existing.start === span.start && existing.end === span.end)) {
+      request.spans[field].push({ ...span, text: text.slice(span.start, span.end) })
+    }
   }
 
-  for (const [type, keywords] of Object.entries(damageMappings)) {
-    for (const keyword of keywords) {
-      if (input.includes(keyword) && !damageTypes.includes(type)) {
-        damageTypes.push(type)
-      }
+  // Single-valued fields: the first mention wins, a different later one is recorded as a conflict
+  const setSingle = (field, value, confidence, span) => {
+    const current = request[field]
+    const unset = request.confidence[field] === 0
+    const key = (candidate) => (candidate && typeof candidate === 'object' ? candidate.hash : candidate)
+
+    if (unset) {
+      request[field] = value
+      request.confidence[field] = confidence
+      addSpan(field, span)
+    } else if (key(current) === key(value)) {
+      request.confidence[field] = Math.max(request.confidence[field], confidence)
+      addSpan(field, span)
+    } else {
+      const conflict = request.conflicts.find(entry => entry.field === field)
+      if (conflict) conflict.values.push(value)
+      else request.conflicts.push({ field, values: [current, value] })
+      request.confidence[field] = CONFLICTED
+    }
+  }
+
+  const addToList = (field, value, confidence, span) => {
+    if (!request[field].includes(value)) request[field].push(value)
+    request.confidence[field] = Math.max(request.confidence[field], confidence)
+    addSpan(field, span)
+  }
+
+  const { targets, used } = readStatTargets(terms, text)
+  targets.forEach(({ stat, value, hard, confidence, span }) => {
+    request.statTargets[stat] = { value, hard }
+    request.confidence.statTargets = Math.max(request.confidence.statTargets, confidence)
+    addSpan('statTargets', span)
+    addToList('focusStats', stat, confidence, span)
+  })
+
+  const { exclusions, negated } = readExclusions(terms.filter(term => !used.has(term)), text)
+
+  // Stated values first, so a subclass only fills in what the text leaves open (and conflicts with what it contradicts)
+  const meanings = terms
+    .filter(term => !used.has(term) && !negated.has(term))
+    .flatMap(term => (term.meanings || []).map(meaning => ({ ...meaning, span: term.span })))
+  const ordered = [...meanings.filter(meaning => !meaning.implied), ...meanings.filter(meaning => meaning.implied)]
+
+  ordered.forEach(meaning => {
+    switch (meaning.field) {
+      case 'class':
+      case 'element':
+      case 'subclass':
+      case 'activity':
+      case 'playstyle':
+        setSingle(meaning.field, meaning.value, meaning.confidence, meaning.span)
+        break
+      case 'stat':
+      case 'focusStats':
+        addToList('focusStats', meaning.value, meaning.confidence, meaning.span)
+        break
+      case 'weapons':
+        if (!request.weapons.some(weapon => weapon.type === meaning.value)) {
+          request.weapons.push({ type: meaning.value, slot: WEAPON_SLOTS[meaning.value] })
+        }
+        request.confidence.weapons = Math.max(request.confidence.weapons, meaning.confidence)
+        addSpan('weapons', meaning.span)
+        break
+      case 'exotic':
+        setSingle('exotic', meaning.value, meaning.confidence, meaning.span)
+        // A fuzzy match keeps its runners-up so the user can be asked which exotic they meant
+        if (meaning.candidates && request.exotic === meaning.value) request.exoticCandidates = meaning.candidates
+        break
+    }
+  })
+
+  // An exclusion beats a mention of the same thing elsewhere in the request; the clash is kept as a conflict
+  exclusions.forEach(({ field, value, span }) => {
+    const list = request.excluded[EXCLUDABLE[field]]
+    const key = (candidate) => (field === 'exotic' ? candidate.hash : candidate)
+    if (!list.some(existing => key(existing) === key(value))) list.push(value)
+    addSpan('excluded', span)
+
+    const requested = field === 'weapons'
+      ? request.weapons.some(weapon => weapon.type === value)
+      : request[field] && key(request[field]) === key(value)
+    if (!requested) return
+
+    request.conflicts.push({ field, values: [value], excluded: true })
+    if (field === 'weapons') {
+      request.weapons = request.weapons.filter(weapon => weapon.type !== value)
+    } else {
+      request[field] = field === 'element' ? 'any' : null
+      delete request.spans[field]
     }
+    request.confidence[field] = CONFLICTED
+  })
+
+  // Exotic armor is class-locked
+  const exoticClass = CLASS_CODES[request.exotic?.classType]
+  if (exoticClass) {
+    setSingle('class', exoticClass, IMPLIED, request.spans.exotic[0])
   }
 
-  return damageTypes
+  request.confidence.overall = overallConfidence(request, tokens.length)
+  return request
 }
 
-function parseClassType(input) {
-  if (input.includes('titan') || input.includes('crayon')) return 'titan'
-  if (input.includes('hunter') || input.includes('cloak')) return 'hunter'
-  if (input.includes('warlock') || input.includes('dress') || input.includes('bond')) return 'warlock'
-  
-  return null // No specific class mentioned
+// Mean confidence of the fields that were recognised, scaled down while only one or two fields are known
+function overallConfidence(request, tokenCount) {
+  const fields = Object.entries(request.confidence).filter(([field, value]) => field !== 'overall' && value > 0)
+  if (fields.length === 0 || tokenCount === 0) return 0
+
+  const mean = fields.reduce((sum, [, value]) => sum + value, 0) / fields.length
+  const coverage = Math.min(1, 0.4 + fields.length * 0.2)
+  const conflictPenalty = request.conflicts.length * 0.15
+  return Math.round(Math.max(0, mean * coverage - conflictPenalty) * 100) / 100
 }
 
-function parseSpecialRequirements(input) {
-  const requirements = []
-  
-  const requirementMappings = {
-    'no_reload': ['never reload', 'no reload', 'infinite ammo', 'auto loading'],
-    'constant_abilities': ['constant abilities', 'infinite abilities', 'ability spam', 'cooldown reduction'],
-    'high_mobility': ['fast', 'speed', 'mobility', 'movement'],
-    'max_range': ['long range', 'range', 'distance'],
-    'close_range': ['close range', 'melee', 'cqc', 'close quarters'],
-    'team_play': ['team', 'fireteam', 'group', 'cooperative'],
-    'solo_play': ['solo', 'alone', 'independent'],
-    'budget_build': ['budget', 'cheap', 'easy to get', 'accessible'],
-    'meta_build': ['meta', 'optimal', 'best in slot', 'bis', 'competitive'],
-    'fun_build': ['fun', 'meme', 'silly', 'creative', 'unique']
+/**
+ * Apply choices made outside the text (class/activity/subclass pickers, a locked exotic) - they're certain
+ * @param {Object} request - parseBuildRequest result
+ * @param {Object} selections - { class, activity, element, exotic }
+ * @returns {Object} New request
+ */
+export function applySelections(request, selections = {}) {
+  const updated = {
+    ...request,
+    excluded: { ...request.excluded },
+    confidence: { ...request.confidence },
+    spans: { ...request.spans },
+    conflicts: [...request.conflicts]
   }
 
-  for (const [requirement, keywords] of Object.entries(requirementMappings)) {
-    for (const keyword of keywords) {
-      if (input.includes(keyword) && !requirements.includes(requirement)) {
-        requirements.push(requirement)
-      }
-    }
+  Object.entries(selections).forEach(([field, value]) => {
+    if (value === undefined || value === null) return
+    updated[field] = value
+    updated.confidence[field] = EXACT
+    delete updated.spans[field]
+    updated.conflicts = updated.conflicts.filter(conflict => conflict.field !== field)
+  })
+
+  // A picked element or exotic overrides the text excluding it
+  if (selections.element && updated.excluded.elements) {
+    updated.excluded.elements = updated.excluded.elements.filter(element => element !== selections.element)
+  }
+  if (selections.exotic?.hash !== undefined && updated.excluded.exotics) {
+    updated.excluded.exotics = updated.excluded.exotics.filter(exotic => exotic.hash !== selections.exotic.hash)
   }
 
-  return requirements
+  updated.confidence.overall = overallConfidence(updated, updated.keywords.length || 1)
+  return updated
+}
+
+/**
+ * Whether the request rules out a weapon type, element or exotic
+ * @param {Object} request - Parsed request (requests without exclusions rule out nothing)
+ * @param {string} list - 'weapons', 'elements' or 'exotics'
+ * @param {string|number} value - Weapon type, element name or exotic item hash
+ * @returns {boolean}
+ */
+export function isExcluded(request, list, value) {
+  const excluded = request?.excluded?.[list] || []
+  return list === 'exotics'
+    ? excluded.some(exotic => exotic.hash === Number(value))
+    : excluded.includes(value)
+}
+
+/**
+ * Weapon types for a slot that the request doesn't exclude, in WEAPON_SLOTS order
+ * @param {Object} request - Parsed request
+ * @param {string} slot - 'primary', 'special' or 'heavy'
+ * @returns {Array} Weapon type names
+ */
+export function allowedWeaponTypes(request, slot) {
+  return Object.keys(WEAPON_SLOTS).filter(type => WEAPON_SLOTS[type] === slot && !isExcluded(request, 'weapons', type))
+}
+
+/**
+ * Elements the request doesn't exclude, in ELEMENTS order
+ * @param {Object} request - Parsed request
+ * @returns {Array} Element names
+ */
+export function allowedElements(request) {
+  return ELEMENTS.filter(element => !isExcluded(request, 'elements', element))
 }
 
-function calculateConfidence(parsedRequest) {
-  let confidence = 0
-  
-  // Base confidence for having a build type
-  if (parsedRequest.buildType && parsedRequest.buildType !== 'general') {
-    confidence += 30
+/**
+ * Warnings and tips for a parsed request
+ * @param {Object} request - parseBuildRequest result
+ * @returns {Object} { isValid, warnings, suggestions }
+ */
+export function validateBuildRequest(request) {
+  const validation = {
+    isValid: true,
+    warnings: [],
+    suggestions: []
   }
-  
-  // Confidence boost for specific activities
-  if (parsedRequest.activities.length > 0) {
-    confidence += 20
+
+  request.conflicts.forEach(({ field, values, excluded }) => {
+    const names = values.map(value => (typeof value === 'object' ? value.name : value))
+    validation.warnings.push(excluded
+      ? `The request both asks for and excludes ${names.join(', ')} - leaving it out`
+      : `The request mentions more than one ${field}: ${names.join(', ')}`)
+  })
+
+  if (request.confidence.overall < 0.5) {
+    validation.warnings.push('Build request may be too vague')
+    validation.suggestions.push('Try being more specific about the activity or playstyle you want')
   }
-  
-  // Confidence boost for weapon type preferences
-  if (parsedRequest.weaponTypes.length > 0) {
-    confidence += 15
+
+  // One weapon per slot
+  const slots = request.weapons.map(weapon => weapon.slot).filter(Boolean)
+  if (slots.length !== new Set(slots).size) {
+    validation.warnings.push('More than one weapon type asked for in the same slot')
+    validation.suggestions.push('Destiny 2 builds carry one primary, one special and one heavy weapon')
   }
-  
-  // Confidence boost for damage type preferences
-  if (parsedRequest.damageTypes.length > 0) {
-    confidence += 10
+
+  return validation
+}
+
+// Below this overall confidence the request is too vague to build from without asking
+export const CLARIFY_BELOW = 0.5
+// A fuzzy exotic match is only taken as read when it's this good and clearly ahead of the runner-up
+const SURE_EXOTIC_SCORE = 0.9
+const EXOTIC_MARGIN = 0.05
+
+const ACTIVITY_LABELS = {
+  general_pve: 'General PvE',
+  raid: 'Raid',
+  dungeon: 'Dungeon',
+  nightfall: 'Nightfall / GM',
+  gambit: 'Gambit',
+  pvp: 'Crucible (PvP)'
+}
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1)
+const labelOf = (field, value) => {
+  if (value && typeof value === 'object') return value.name
+  return (field === 'activity' && ACTIVITY_LABELS[value]) || capitalize(String(value))
+}
+const optionId = (value) => String(value && typeof value === 'object' ? value.hash : value)
+
+// Class options that contradict the exotic or subclass the other class came from also drop that item
+function classConflictQuestion(request, values) {
+  const exoticClass = CLASS_CODES[request.exotic?.classType]
+  const subclassClass = SUBCLASSES[request.subclass]?.[0]
+  const source = exoticClass ? request.exotic.name : subclassClass ? capitalize(request.subclass) : null
+  const sourceClass = exoticClass || subclassClass
+
+  return {
+    id: 'conflict-class',
+    field: 'class',
+    question: source
+      ? `${source} is ${capitalize(sourceClass)} only - which class is the build for?`
+      : 'The request mentions more than one class - which one is the build for?',
+    options: values.map(value => {
+      const clear = source && value !== sourceClass ? [exoticClass ? 'exotic' : 'subclass'] : []
+      return {
+        id: value,
+        label: clear.length ? `${capitalize(value)} (without ${source})` : capitalize(value),
+        selections: { class: value },
+        clear
+      }
+    })
   }
-  
-  // Confidence boost for class specificity
-  if (parsedRequest.classType) {
-    confidence += 10
+}
+
+/**
+ * Follow-up questions for a request that conflicts with itself, names an exotic ambiguously or is too vague to build from
+ * @param {Object} request - parseBuildRequest result (answered questions are in request.clarified)
+ * @returns {Array} [{ id, field, question, options: [{ id, label, selections, clear }] }] - answer with answerClarifications
+ */
+export function clarifyingQuestions(request) {
+  const answered = new Set(request.clarified || [])
+  const questions = []
+
+  request.conflicts.forEach(({ field, values, excluded }) => {
+    if (excluded) {
+      // Only elements and exotics can be put back by a selection
+      if (field !== 'element' && field !== 'exotic') return
+      const [value] = values
+      questions.push({
+        id: `exclusion-${field}`,
+        field,
+        question: `The request both asks for and excludes ${labelOf(field, value)} - should the build use it?`,
+        options: [
+          { id: 'exclude', label: `Leave ${labelOf(field, value)} out`, selections: {}, clear: [] },
+          { id: optionId(value), label: `Use ${labelOf(field, value)}`, selections: { [field]: value }, clear: [] }
+        ]
+      })
+    } else if (field === 'class') {
+      questions.push(classConflictQuestion(request, values))
+    } else {
+      questions.push({
+        id: `conflict-${field}`,
+        field,
+        question: `The request mentions more than one ${field} - which one did you mean?`,
+        options: values.map(value => ({ id: optionId(value), label: labelOf(field, value), selections: { [field]: value }, clear: [] }))
+      })
+    }
+  })
+
+  // A picked exotic (confidence EXACT) settles it, whatever the text matched
+  const [best, runnerUp] = request.exoticCandidates || []
+  const conflicted = request.conflicts.some(conflict => conflict.field === 'exotic')
+  if (best && !conflicted && request.confidence.exotic < EXACT && (best.score < SURE_EXOTIC_SCORE || (runnerUp && best.score - runnerUp.score <= EXOTIC_MARGIN))) {
+    questions.push({
+      id: 'exotic',
+      field: 'exotic',
+      question: `Which exotic did you mean by "${request.spans.exotic?.[0]?.text || best.name}"?`,
+      options: [
+        ...request.exoticCandidates.map(candidate => ({
+          id: optionId(candidate.hash),
+          label: candidate.name,
+          selections: { exotic: { name: candidate.name, hash: candidate.hash } },
+          clear: []
+        })),
+        { id: 'none', label: 'None of these', selections: {}, clear: ['exotic'] }
+      ]
+    })
   }
-  
-  // Confidence boost for special requirements
-  if (parsedRequest.specialRequirements.length > 0) {
-    confidence += 15
+
+  // Only a vague request gets asked what it left out - "solar raid build" is fine for any class
+  if (request.confidence.overall < CLARIFY_BELOW) {
+    if (request.confidence.class === 0) {
+      questions.push({
+        id: 'missing-class',
+        field: 'class',
+        question: 'Which class is the build for?',
+        options: [
+          ...CLASSES.map(value => ({ id: value, label: capitalize(value), selections: { class: value }, clear: [] })),
+          { id: 'any', label: 'Any class', selections: {}, clear: [] }
+        ]
+      })
+    }
+    if (request.confidence.activity === 0) {
+      questions.push({
+        id: 'missing-activity',
+        field: 'activity',
+        question: 'What will you be playing?',
+        options: ACTIVITIES.map(value => ({ id: value, label: labelOf('activity', value), selections: { activity: value }, clear: [] }))
+      })
+    }
   }
 
-  return Math.min(100, confidence)
+  return questions.filter(question => !answered.has(question.id))
+}
+
+/**
+ * Apply answers to clarifyingQuestions - each answered question is recorded in clarified and never asked again
+ * @param {Object} request - parseBuildRequest result
+ * @param {Object} answers - { questionId: optionId }
+ * @returns {Object} New request (the same request when there are no answers)
+ */
+export function answerClarifications(request, answers = {}) {
+  const questions = clarifyingQuestions(request)
+  let updated = request
+  const clarified = [...(request.clarified || [])]
+
+  Object.entries(answers || {}).forEach(([questionId, answer]) => {
+    const option = questions.find(question => question.id === questionId)?.options.find(candidate => candidate.id === String(answer))
+    if (!option) return
+
+    updated = applySelections(updated, option.selections)
+    option.clear.forEach(field => {
+      updated = {
+        ...updated,
+        [field]: null,
+        confidence: { ...updated.confidence, [field]: 0 },
+        conflicts: updated.conflicts.filter(conflict => conflict.field !== field)
+      }
+      delete updated.spans[field]
+      if (field === 'exotic') updated.exoticCandidates = []
+    })
+    clarified.push(questionId)
+  })
+
+  if (updated === request) return request
+  updated.confidence.overall = overallConfidence(updated, updated.keywords.length || 1)
+  return { ...updated, clarified }
 }
 
-// Export additional utility functions
 export function generateSearchSuggestions(partialInput, manifest) {
   const suggestions = []
   const input = partialInput.toLowerCase()
-  
+
   // Common build suggestions
   const commonBuilds = [
     'High DPS build for raid bosses',
@@ -237,14 +856,14 @@ export function generateSearchSuggestions(partialInput, manifest) {
     'Maximum range sniper build',
     'Close quarters shotgun build'
   ]
-  
+
   // Filter suggestions based on input
   for (const suggestion of commonBuilds) {
     if (suggestion.toLowerCase().includes(input)) {
       suggestions.push(suggestion)
     }
   }
-  
+
   // Add exotic-specific suggestions if manifest available
   if (manifest?.weapons) {
     Object.values(manifest.weapons)
@@ -256,34 +875,6 @@ export function generateSearchSuggestions(partialInput, manifest) {
         }
       })
   }
-  
+
   return suggestions.slice(0, 8) // Limit to 8 suggestions
 }
-
-export function validateBuildRequest(parsedRequest) {
-  const validation = {
-    isValid: true,
-    warnings: [],
-    suggestions: []
-  }
-  
-  // Check for conflicting requirements
-  if (parsedRequest.buildType === 'pvp' && parsedRequest.activities.includes('raid')) {
-    validation.warnings.push('PVP builds may not be optimal for raid content')
-    validation.suggestions.push('Consider separate builds for PVP and raid activities')
-  }
-  
-  // Check for low confidence
-  if (parsedRequest.confidence < 50) {
-    validation.warnings.push('Build request may be too vague')
-    validation.suggestions.push('Try being more specific about the activity or playstyle you want')
-  }
-  
-  // Check for impossible combinations
-  if (parsedRequest.weaponTypes.length > 3) {
-    validation.warnings.push('Too many weapon types specified')
-    validation.suggestions.push('Destiny 2 builds can only use 3 weapons at once')
-  }
-  
-  return validation
-}
\ No newline at end of file
@@ -0,0 +1,173 @@
+// lib/manifest-diff.js
+// Compares two manifest versions and reports added, removed, renamed and changed item definitions
+
+// Cosmetic and mod plug sets would turn every new shader or mod into a "perk change" on every item
+const NON_PERK_PLUG_PATTERN = /shader|skins|ornament|memento|tracker|masterwork|crafting|enhancements|emote|transmat|empty/i
+
+// Simple item fields worth reporting, by label
+const COMPARED_FIELDS = {
+  description: item => item.displayProperties?.description,
+  icon: item => item.displayProperties?.icon,
+  type: item => item.itemTypeDisplayName,
+  tier: item => item.inventory?.tierType,
+  bucket: item => item.inventory?.bucketTypeHash,
+  damageType: item => item.defaultDamageType,
+  classType: item => item.classType
+}
+
+/**
+ * Diff the item definitions of two manifests
+ * @param {Object} previous - Manifest currently in storage
+ * @param {Object} next - Newly extracted manifest
+ * @returns {Object} Diff with summary counts and per-category item lists
+ */
+export function diffManifests(previous, next) {
+  const previousItems = previous?.data?.DestinyInventoryItemDefinition || {}
+  const nextItems = next?.data?.DestinyInventoryItemDefinition || {}
+
+  const diff = {
+    fromVersion: previous?.version || null,
+    toVersion: next?.version || null,
+    generatedAt: new Date().toISOString(),
+    summary: { added: 0, removed: 0, changed: 0, renamed: 0, perkChanges: 0, statChanges: 0 },
+    added: [],
+    removed: [],
+    changed: [],
+    renamed: [],
+    perkChanges: [],
+    statChanges: []
+  }
+
+  Object.entries(nextItems).forEach(([hash, item]) => {
+    const before = previousItems[hash]
+    if (!before) {
+      diff.added.push(describeItem(hash, item))
+      return
+    }
+
+    const changes = []
+
+    const fromName = before.displayProperties?.name || ''
+    const toName = item.displayProperties?.name || ''
+    if (fromName !== toName) {
+      changes.push('name')
+      diff.renamed.push({ hash: Number(hash), from: fromName, to: toName })
+    }
+
+    Object.entries(COMPARED_FIELDS).forEach(([field, read]) => {
+      if (read(before) !== read(item)) changes.push(field)
+    })
+
+    if (isWeaponOrArmor(item)) {
+      const perks = diffPerks(getPerkNames(before, previous), getPerkNames(item, next))
+      if (perks) {
+        changes.push('perks')
+        diff.perkChanges.push({ ...describeItem(hash, item), ...perks })
+      }
+    }
+
+    if (item.itemType === 3) {
+      const stats = diffStats(before, item, next?.data?.DestinyStatDefinition || previous?.data?.DestinyStatDefinition || {})
+      if (stats.length > 0) {
+        changes.push('stats')
+        diff.statChanges.push({ ...describeItem(hash, item), stats })
+      }
+    }
+
+    if (changes.length > 0) {
+      diff.changed.push({ ...describeItem(hash, item), changes })
+    }
+  })
+
+  Object.entries(previousItems).forEach(([hash, item]) => {
+    if (!nextItems[hash]) diff.removed.push(describeItem(hash, item))
+  })
+
+  Object.keys(diff.summary).forEach(key => {
+    diff.summary[key] = diff[key].length
+  })
+
+  return diff
+}
+
+function describeItem(hash, item) {
+  return {
+    hash: Number(hash),
+    name: item.displayProperties?.name || 'Unknown',
+    type: item.itemTypeDisplayName || null,
+    itemType: item.itemType
+  }
+}
+
+function isWeaponOrArmor(item) {
+  return item.itemType === 2 || item.itemType === 3
+}
+
+/**
+ * Names of every perk an item can roll, from fixed, curated and randomized sockets
+ * @param {Object} item - Item definition
+ * @param {Object} manifest - Manifest the item came from (for plug set and plug lookups)
+ * @returns {Set} Perk names
+ */
+function getPerkNames(item, manifest) {
+  const items = manifest?.data?.DestinyInventoryItemDefinition || {}
+  const plugSets = manifest?.data?.DestinyPlugSetDefinition || {}
+  const names = new Set()
+
+  const addPlug = (plugHash) => {
+    if (!plugHash) return
+
+    const plug = items[plugHash]
+    if (!plug) return
+    if (NON_PERK_PLUG_PATTERN.test(plug.plug?.plugCategoryIdentifier || '')) return
+
+    const name = plug.displayProperties?.name
+    if (name) names.add(name)
+  }
+
+  const socketEntries = item.sockets?.socketEntries || []
+  socketEntries.forEach(entry => {
+    addPlug(entry.singleInitialItemHash)
+    const curated = entry.reusablePlugItems || []
+    curated.forEach(plug => addPlug(plug.plugItemHash))
+
+    const plugSetHashes = [entry.randomizedPlugSetHash, entry.reusablePlugSetHash]
+    plugSetHashes.forEach(plugSetHash => {
+      const plugItems = plugSets[plugSetHash]?.reusablePlugItems || []
+      plugItems.forEach(plug => addPlug(plug.plugItemHash))
+    })
+  })
+
+  return names
+}
+
+function diffPerks(before, after) {
+  const added = Array.from(after).filter(name => !before.has(name))
+  const removed = Array.from(before).filter(name => !after.has(name))
+
+  if (added.length === 0 && removed.length === 0) return null
+  return { addedPerks: added, removedPerks: removed }
+}
+
+function diffStats(before, after, statDefinitions) {
+  const beforeStats = before.stats?.stats || {}
+  const afterStats = after.stats?.stats || {}
+  const statHashes = new Set([...Object.keys(beforeStats), ...Object.keys(afterStats)])
+
+  const changes = []
+  statHashes.forEach(statHash => {
+    const from = beforeStats[statHash]?.value ?? null
+    const to = afterStats[statHash]?.value ?? null
+    if (from === to) return
+
+    changes.push({
+      statHash: Number(statHash),
+      name: statDefinitions[statHash]?.displayProperties?.name || `Stat ${statHash}`,
+      from,
+      to,
+      delta: from !== null && to !== null ? to - from : null
+    })
+  })
+
+  return changes
+}
@@ -0,0 +1,288 @@
+// lib/manifest-extractor.js
+// Extracts trimmed Destiny definition tables from Bungie's mobile world content SQLite database
+
+import { inflateRawSync, gunzipSync } from 'zlib'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import sqlite3 from 'sqlite3'
+import { open } from 'sqlite'
+
+// Tables the intelligence layer and manifest loaders read
+export const MANIFEST_TABLES = [
+  'DestinyInventoryItemDefinition',
+  'DestinyStatDefinition',
+  'DestinyClassDefinition',
+  'DestinyDamageTypeDefinition',
+  'DestinyInventoryBucketDefinition',
+  'DestinyPlugSetDefinition',
+  'DestinySocketTypeDefinition',
+  'DestinySocketCategoryDefinition',
+  'DestinyEnergyTypeDefinition',
+  'DestinySeasonDefinition'
+]
+
+// Armor, weapons, mods and subclasses - everything else (emblems, shaders, quests...) is dropped
+const KEPT_ITEM_TYPES = [2, 3, 16, 19]
+
+// Cosmetic plugs are socketed like mods but never affect a build
+const COSMETIC_ITEM_SUB_TYPES = [20, 21] // Shader, Ornament
+const COSMETIC_PLUG_CATEGORY = /shader|skins|ornament|mementos/
+
+const ITEM_FIELDS = [
+  'hash',
+  'index',
+  'redacted',
+  'displayProperties',
+  'itemType',
+  'itemSubType',
+  'itemTypeDisplayName',
+  'itemTypeAndTierDisplayName',
+  'itemCategoryHashes',
+  'classType',
+  'defaultDamageType',
+  'defaultDamageTypeHash',
+  'inventory',
+  'equippingBlock',
+  'stats',
+  'investmentStats',
+  'sockets',
+  'plug',
+  'perks',
+  'talentGrid'
+]
+
+const SQLITE_HEADER = 'SQLite format 3'
+const ZIP_LOCAL_HEADER = 0x04034b50
+const ZIP_CENTRAL_HEADER = 0x02014b50
+const ZIP_END_OF_DIRECTORY = 0x06054b50
+
+/**
+ * Bungie stores hashes in the `id` column as signed 32-bit integers
+ * @param {number} id - Raw id column value
+ * @returns {number} Unsigned definition hash
+ */
+export function toUnsignedHash(id) {
+  return id >>> 0
+}
+
+/**
+ * Identify what the world content download actually is
+ * @param {Buffer} buffer - Downloaded bytes
+ * @returns {string} 'zip', 'gzip', 'sqlite' or 'unknown'
+ */
+export function detectArchiveFormat(buffer) {
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b) return 'zip'
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) return 'gzip'
+  if (buffer.toString('latin1', 0, SQLITE_HEADER.length) === SQLITE_HEADER) return 'sqlite'
+  return 'unknown'
+}
+
+/**
+ * Read the first file out of a ZIP archive using only zlib.
+ * Sizes come from the central directory because Bungie's local headers may defer them to a data descriptor.
+ * @param {Buffer} buffer - ZIP archive bytes
+ * @returns {Object} { name, data }
+ */
+export function unzipFirstEntry(buffer) {
+  // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+  let endOffset = -1
+  const searchStart = Math.max(0, buffer.length - 22 - 0xffff)
+  for (let offset = buffer.length - 22; offset >= searchStart; offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_DIRECTORY) {
+      endOffset = offset
+      break
+    }
+  }
+
+  if (endOffset === -1) {
+    throw new Error('Invalid ZIP archive: end of central directory not found')
+  }
+
+  const directoryOffset = buffer.readUInt32LE(endOffset + 16)
+  if (buffer.readUInt32LE(directoryOffset) !== ZIP_CENTRAL_HEADER) {
+    throw new Error('Invalid ZIP archive: central directory not found')
+  }
+
+  const method = buffer.readUInt16LE(directoryOffset + 10)
+  const compressedSize = buffer.readUInt32LE(directoryOffset + 20)
+  const nameLength = buffer.readUInt16LE(directoryOffset + 28)
+  const localOffset = buffer.readUInt32LE(directoryOffset + 42)
+  const name = buffer.toString('utf8', directoryOffset + 46, directoryOffset + 46 + nameLength)
+
+  if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+    throw new Error(`Invalid ZIP archive: local header missing for ${name}`)
+  }
+
+  const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28)
+  const compressed = buffer.subarray(dataStart, dataStart + compressedSize)
+
+  if (method === 0) return { name, data: compressed }
+  if (method === 8) return { name, data: inflateRawSync(compressed) }
+
+  throw new Error(`Unsupported ZIP compression method ${method} for ${name}`)
+}
+
+/**
+ * Unwrap a world content download into raw SQLite bytes
+ * @param {Buffer} buffer - ZIP, GZIP or plain SQLite bytes
+ * @returns {Object} { format, database }
+ */
+export function unpackWorldContent(buffer) {
+  const format = detectArchiveFormat(buffer)
+
+  switch (format) {
+    case 'zip':
+      return { format, database: unzipFirstEntry(buffer).data }
+    case 'gzip':
+      return { format, database: gunzipSync(buffer) }
+    case 'sqlite':
+      return { format, database: buffer }
+    default:
+      throw new Error('Unrecognized world content format - expected ZIP, GZIP or SQLite')
+  }
+}
+
+/**
+ * Shaders and ornaments (weapon ornaments, armor "skins", memento plugs)
+ * @param {Object} definition - Parsed item definition
+ * @returns {boolean} Whether the item is a purely cosmetic plug
+ */
+export function isCosmeticPlug(definition) {
+  if (COSMETIC_ITEM_SUB_TYPES.includes(definition.itemSubType)) return true
+  return COSMETIC_PLUG_CATEGORY.test(definition.plug?.plugCategoryIdentifier || '')
+}
+
+/**
+ * Keep only the fields and items the intelligence layer reads
+ * @param {string} tableName - Definition table name
+ * @param {Object} definition - Parsed definition JSON
+ * @returns {Object|null} Trimmed definition, or null when it should be dropped
+ */
+export function trimDefinition(tableName, definition) {
+  if (tableName !== 'DestinyInventoryItemDefinition') return definition
+
+  if (!KEPT_ITEM_TYPES.includes(definition.itemType) && !definition.plug) return null
+  if (isCosmeticPlug(definition)) return null
+
+  const trimmed = {}
+  ITEM_FIELDS.forEach(field => {
+    if (definition[field] !== undefined) trimmed[field] = definition[field]
+  })
+
+  // Only hudDamageType is used from the talent grid (subclass element)
+  if (trimmed.talentGrid) {
+    trimmed.talentGrid = { hudDamageType: trimmed.talentGrid.hudDamageType }
+  }
+
+  return trimmed
+}
+
+/**
+ * Decode definition tables from a SQLite world content database
+ * @param {string} databasePath - Path to the SQLite file (the real manifest or a small fixture)
+ * @param {Object} options - { tables, trim }
+ * @returns {Object} { data, tableCounts, missingTables }
+ */
+export async function extractManifestTables(databasePath, options = {}) {
+  const { tables = MANIFEST_TABLES, trim = true } = options
+
+  const db = await open({
+    filename: databasePath,
+    driver: sqlite3.Database,
+    mode: sqlite3.OPEN_READONLY
+  })
+
+  try {
+    const rows = await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'Destiny%Definition'")
+    const available = new Set(rows.map(row => row.name))
+
+    const data = {}
+    const tableCounts = {}
+    const missingTables = tables.filter(table => !available.has(table))
+
+    for (const table of tables) {
+      if (!available.has(table)) continue
+
+      const definitions = {}
+      const columns = await db.all(`PRAGMA table_info(${table})`)
+      // Most tables key on a signed `id`; a few (e.g. history tables) use a text `key`
+      const keyColumn = columns.some(column => column.name === 'id') ? 'id' : 'key'
+
+      // Stream rows - the item table is far too large to hold twice in memory.
+      // Errors are collected rather than thrown, since the row callback runs outside the promise chain
+      let rowError = null
+      await db.each(`SELECT ${keyColumn} AS key, json FROM ${table}`, (error, row) => {
+        if (rowError) return
+        if (error) {
+          rowError = error
+          return
+        }
+
+        try {
+          const definition = JSON.parse(row.json)
+          const hash = keyColumn === 'id' ? toUnsignedHash(row.key) : row.key
+          const kept = trim ? trimDefinition(table, definition) : definition
+
+          if (kept) definitions[hash] = kept
+        } catch (parseError) {
+          rowError = new Error(`Failed to decode ${table} row ${row.key}: ${parseError.message}`)
+        }
+      })
+
+      if (rowError) throw rowError
+
+      data[table] = definitions
+      tableCounts[table] = Object.keys(definitions).length
+      console.log(`  ✓ ${table}: ${tableCounts[table]} definitions`)
+    }
+
+    if (missingTables.length > 0) {
+      console.warn(`⚠️  Tables not present in database: ${missingTables.join(', ')}`)
+    }
+
+    return { data, tableCounts, missingTables }
+  } finally {
+    await db.close()
+  }
+}
+
+/**
+ * Build a trimmed manifest from a downloaded world content archive
+ * @param {Buffer|ArrayBuffer} archive - Downloaded mobileWorldContentPaths bytes
+ * @param {Object} options - { version, tables, trim, tmpDir, metadata }
+ * @returns {Object} Manifest in the shape GitHubStorage.saveManifest expects
+ */
+export async function extractManifestFromArchive(archive, options = {}) {
+  const buffer = Buffer.isBuffer(archive) ? archive : Buffer.from(archive)
+  const { format, database } = unpackWorldContent(buffer)
+
+  console.log(`📦 Unpacked ${format} world content (${(database.length / 1024 / 1024).toFixed(2)}MB SQLite)`)
+
+  // sqlite3 only opens files, so stage the database in the temp dir (writable on Vercel too)
+  const databasePath = path.join(options.tmpDir || os.tmpdir(), `world-content-${Date.now()}.sqlite`)
+  await fs.writeFile(databasePath, database)
+
+  try {
+    const { data, tableCounts, missingTables } = await extractManifestTables(databasePath, options)
+
+    return {
+      version: options.version,
+      lastUpdated: new Date().toISOString(),
+      data,
+      metadata: {
+        ...options.metadata,
+        itemCount: tableCounts.DestinyInventoryItemDefinition || 0,
+        tableCounts,
+        missingTables,
+        processedAt: new Date().toISOString(),
+        format: 'sqlite-extracted',
+        compressionFormat: format,
+        downloadSize: buffer.length,
+        processingStatus: 'extracted'
+      }
+    }
+  } finally {
+    await fs.unlink(databasePath).catch(() => {})
+  }
+}
@@ -0,0 +1,27 @@
+// lib/owned-inventory.js
+// The signed-in user's complete inventory, loaded on the server for inventory-only builds
+
+import { requireAuthentication, getPrimaryMembershipFromRequest } from './session-utils'
+import BungieAPIService from './bungie-api-service'
+
+/**
+ * Load the complete inventory of the request's signed-in user
+ * @param {Object} req - API request carrying the session cookie
+ * @returns {Object|null} BungieAPIService.getCompleteInventory output, null when the account has no Destiny profile
+ * @throws {Error} 'Authentication required' without a valid session
+ */
+export async function loadOwnedInventory(req) {
+  const { accessToken, user } = await requireAuthentication(req)
+  const primaryMembership = await getPrimaryMembershipFromRequest(req)
+
+  if (!primaryMembership) return null
+
+  console.log(`🎒 Loading owned inventory for user: ${user.displayName}`)
+
+  const bungieAPI = new BungieAPIService()
+  return bungieAPI.getCompleteInventory(
+    primaryMembership.membershipType,
+    primaryMembership.membershipId,
+    accessToken
+  )
+}
@@ -0,0 +1,611 @@
+// lib/scoring-pipeline.js
+// Build scoring pipeline - registered category scorers each return a 0-100 score and the evidence behind it, weighted by a scoring profile
+
+import { TriggerDatabase } from './destiny-intelligence/trigger-database'
+import { DamageModel } from './destiny-intelligence/damage-model'
+import { AbilityCooldownCalculator } from './destiny-intelligence/ability-cooldowns'
+import { resolveProfile, explainWeightedScore } from './scoring-profiles'
+import { OBJECTIVES, paretoFronts, explainRanking } from './build-ranking'
+
+// Bump whenever a scorer changes - together with the manifest version it identifies a breakdown
+export const PIPELINE_VERSION = '1.0.0'
+
+// Damage output is only scored for builds meant to kill bosses
+const DAMAGE_ACTIVITIES = ['raid', 'dungeon', 'nightfall']
+const DAMAGE_REQUEST_PATTERN = /\b(dps|boss|damage)\b/i
+// Sustained DPS that earns a full damage score - a buffed, debuffed Linear Fusion rotation
+const REFERENCE_DPS = 60000
+const MODIFIER_NAMES = { empowering: 'an empowering buff', debuff: 'an enemy debuff', surge: 'weapon surge mods' }
+
+const ACTIVITY_STAT_THRESHOLDS = {
+  raid: { recovery: 70, discipline: 60 },
+  pvp: { mobility: 60, resilience: 60 },
+  dungeon: { recovery: 70, strength: 50 },
+  nightfall: { resilience: 80, recovery: 60 }
+}
+const ACTIVITY_WEAPON_FIT = {
+  raid: { 'Linear Fusion Rifle': 25, 'Scout Rifle': 20, 'Sniper Rifle': 15, 'Auto Rifle': 15 },
+  pvp: { 'Hand Cannon': 25, 'Shotgun': 20, 'Pulse Rifle': 15 },
+  dungeon: { 'Sword': 25, 'Fusion Rifle': 20, 'Auto Rifle': 15 },
+  nightfall: { 'Machine Gun': 25, 'Sniper Rifle': 20, 'Pulse Rifle': 15 }
+}
+// Synergies are either engine results with a strength or plain descriptions, which count as medium
+const SYNERGY_STRENGTH = { legendary: 30, high: 25, medium: 15, low: 8 }
+const SYNERGY_SUGGESTION = 'Look for exotic armor that enhances your playstyle, and weapons and abilities that work together'
+const CLASS_TYPES = { titan: 0, hunter: 1, warlock: 2 }
+const ANY_CLASS_TYPE = 3
+const ABILITY_LABELS = { grenade: 'Grenade', melee: 'Melee', classAbility: 'Class ability', super: 'Super' }
+
+const clampScore = (score) => Math.max(0, Math.min(100, Math.round(score)))
+const statTier = (stats, stat) => Math.max(0, Math.min(Math.floor((stats[stat] || 0) / 10), 10))
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1)
+const joinList = (items) => items.join(', ').replace(/, ([^,]*)$/, ' and $1')
+// toLocaleString would format differently on the server and in the browser
+const formatNumber = (value) => String(Math.round(value)).replace(/\B(?=(\d{3})+(?!\d))/g, ',')
+
+function countMods(mods = {}) {
+  const lists = Array.isArray(mods) ? [mods] : Object.values(mods)
+  return lists.reduce((count, list) => count + (Array.isArray(list) ? list.length : 0), 0)
+}
+
+/**
+ * Built-in scorers, run in this order. A scorer is { id, label, applies?(build, context), score(build, context) }
+ * where score returns { score, evidence: [string], suggestion? } from the build and context alone.
+ */
+export const DEFAULT_SCORERS = [
+  {
+    id: 'requestMatch',
+    label: 'Request Match',
+    applies: (build, { requirements }) => Boolean(requirements.class || requirements.element) ||
+      Object.values(requirements.excluded).some(list => list.length > 0),
+    score(build, { requirements }) {
+      const evidence = []
+      let checks = 0
+      let matched = 0
+
+      if (requirements.class) {
+        checks++
+        const buildClass = build.metadata?.class
+        const wrongArmor = Object.values(build.loadout?.armor || {})
+          .filter(piece => piece && typeof piece.classType === 'number' &&
+            piece.classType !== ANY_CLASS_TYPE && piece.classType !== CLASS_TYPES[requirements.class])
+        if (buildClass === requirements.class && wrongArmor.length === 0) {
+          matched++
+          evidence.push(`${capitalize(requirements.class)} build, as requested`)
+        } else if (wrongArmor.length > 0) {
+          evidence.push(`${joinList(wrongArmor.map(piece => piece.name || 'Armor'))} cannot be worn by a ${requirements.class}`)
+        } else {
+          evidence.push(`${capitalize(requirements.class)} requested, build is for ${buildClass || 'any class'}`)
+        }
+      }
+
+      if (requirements.element) {
+        checks++
+        const element = (build.loadout?.subclass?.element || build.metadata?.element || '').toLowerCase()
+        if (element === requirements.element) {
+          matched++
+          evidence.push(`${capitalize(requirements.element)} subclass, as requested`)
+        } else {
+          evidence.push(`${capitalize(requirements.element)} requested, subclass is ${element || 'unknown'}`)
+        }
+      }
+
+      const { weapons, elements, exotics } = requirements.excluded
+      if (weapons.length + elements.length + exotics.length > 0) {
+        checks++
+        const element = (build.loadout?.subclass?.element || build.metadata?.element || '').toLowerCase()
+        const buildWeapons = Object.values(build.loadout?.weapons || {}).filter(Boolean)
+        const armor = Object.values(build.loadout?.armor || {}).filter(Boolean)
+        const violations = [...new Set([
+          ...(elements.includes(element) ? [`${capitalize(element)} subclass`] : []),
+          ...buildWeapons.filter(weapon => weapons.includes(weapon.type) || elements.includes(weapon.element)),
+          ...[...buildWeapons, ...armor].filter(item => exotics.includes(Number(item.hash)))
+        ])].map(violation => (typeof violation === 'string' ? violation : violation.name || violation.type))
+        if (violations.length === 0) {
+          matched++
+          evidence.push('Nothing the request excludes is in the build')
+        } else {
+          evidence.push(`${joinList(violations)} excluded by the request`)
+        }
+      }
+
+      return { score: clampScore((matched / checks) * 100), evidence }
+    }
+  },
+  {
+    id: 'statOptimization',
+    label: 'Stat Optimization',
+    score(build, { requirements, stats }) {
+      if (requirements.focusStats.length === 0) {
+        return { score: 70, evidence: ['No focus stats requested'] }
+      }
+
+      const evidence = []
+      const total = requirements.focusStats.reduce((sum, stat) => {
+        const value = stats[stat] || 0
+        const tier = statTier(stats, stat)
+
+        // A stat with a target is measured against it; a missed hard target costs double
+        const target = requirements.statTargets[stat]
+        if (target) {
+          const shortBy = Math.max(0, target.value - value)
+          const wanted = `${target.hard ? 'required' : 'targeted'} ${target.value}`
+          evidence.push(shortBy === 0
+            ? `${capitalize(stat)} ${value} - reaches the ${wanted}`
+            : `${capitalize(stat)} ${value} - ${shortBy} short of the ${wanted}`)
+          return sum + (shortBy === 0 ? 100 : Math.max(0, 100 - shortBy * (target.hard ? 2 : 1)))
+        }
+        const wasted = value % 10
+
+        // Full tiers score; points that don't reach the next tier are wasted
+        const efficiencyBonus = wasted <= 1 ? 10 : 0
+        evidence.push(wasted > 0
+          ? `${capitalize(stat)} ${value} - tier ${tier}, ${wasted} point${wasted > 1 ? 's' : ''} wasted below tier ${tier + 1}`
+          : `${capitalize(stat)} ${value} - tier ${tier}`)
+        return sum + Math.min(tier * 10 + efficiencyBonus, 100)
+      }, 0)
+
+      return {
+        score: clampScore(total / requirements.focusStats.length),
+        evidence,
+        suggestion: 'Focus on reaching tier 10 in your priority stats - masterwork armor and use stat mods'
+      }
+    }
+  },
+  {
+    id: 'statDistribution',
+    label: 'Stat Distribution',
+    score(build, { profile, stats }) {
+      const priorities = Object.entries(profile.statPriorities || {}).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      const totalWeight = priorities.reduce((sum, [, weight]) => sum + weight, 0)
+      if (totalWeight === 0) {
+        return { score: 50, evidence: [`${profile.name} has no stat priorities`] }
+      }
+
+      const total = priorities.reduce((sum, [stat, weight]) => sum + statTier(stats, stat) * 10 * weight, 0)
+      const evidence = priorities
+        .slice(0, 3)
+        .map(([stat, weight]) => `${capitalize(stat)} tier ${statTier(stats, stat)} (${profile.name} priority ${weight})`)
+
+      // Highest priority stat with the most room to grow
+      const [weakest] = [...priorities].sort((a, b) => (10 - statTier(stats, b[0])) * b[1] - (10 - statTier(stats, a[0])) * a[1])
+      return {
+        score: clampScore(total / totalWeight),
+        evidence,
+        suggestion: `Raise ${weakest[0]} - the biggest gap among the ${profile.name} profile's stat priorities`
+      }
+    }
+  },
+  {
+    id: 'activityFit',
+    label: 'Activity Fit',
+    score(build, { requirements, stats }) {
+      const activity = requirements.activity || 'general_pve'
+      const thresholds = ACTIVITY_STAT_THRESHOLDS[activity]
+      if (!thresholds) {
+        return { score: 75, evidence: [`No stat thresholds for ${activity.replace(/_/g, ' ')}`] }
+      }
+
+      const evidence = []
+      let score = 50
+      Object.entries(thresholds).forEach(([stat, threshold]) => {
+        const value = stats[stat] || 0
+        if (value >= threshold) {
+          score += 25
+          evidence.push(`${capitalize(stat)} ${value} meets the ${activity} threshold of ${threshold}`)
+        } else {
+          // Partial credit for getting close
+          score += Math.round((value / threshold) * 15)
+          evidence.push(`${capitalize(stat)} ${value} is short of the ${activity} threshold of ${threshold}`)
+        }
+      })
+
+      return {
+        score: clampScore(score),
+        evidence,
+        suggestion: `Optimize stats for ${activity} - focus on the stats that matter most there`
+      }
+    }
+  },
+  {
+    id: 'weaponSynergy',
+    label: 'Weapon Synergy',
+    score(build, { requirements }) {
+      const fit = ACTIVITY_WEAPON_FIT[requirements.activity] || {}
+      const weapons = Object.values(build.loadout?.weapons || {}).filter(weapon => weapon?.type)
+      if (weapons.length === 0) {
+        return { score: 50, evidence: ['No weapons selected'] }
+      }
+
+      const evidence = []
+      const score = weapons.reduce((sum, weapon) => {
+        const bonus = fit[weapon.type] || 5
+        const name = weapon.name && weapon.name !== weapon.type ? `${weapon.name} (${weapon.type})` : weapon.type
+        evidence.push(fit[weapon.type]
+          ? `${name} suits ${requirements.activity} (+${bonus})`
+          : `${name} (+${bonus})`)
+        return sum + bonus
+      }, 50)
+
+      return { score: clampScore(score), evidence }
+    }
+  },
+  {
+    id: 'synergyStrength',
+    label: 'Synergy Strength',
+    score(build) {
+      const synergies = Array.isArray(build.synergies) ? build.synergies : []
+      if (synergies.length === 0) {
+        return {
+          score: 40,
+          evidence: ['No synergies found'],
+          suggestion: SYNERGY_SUGGESTION
+        }
+      }
+
+      const total = synergies.reduce((sum, synergy) => {
+        const strength = typeof synergy === 'string' ? 'medium' : synergy.strength
+        return sum + (SYNERGY_STRENGTH[strength] || 5)
+      }, 0)
+      const evidence = synergies
+        .slice(0, 5)
+        .map(synergy => (typeof synergy === 'string' ? synergy : `${synergy.name || synergy.description} (${synergy.strength || 'unrated'})`))
+      if (synergies.length > 5) evidence.push(`${synergies.length - 5} more`)
+
+      return {
+        score: clampScore(total),
+        evidence,
+        suggestion: SYNERGY_SUGGESTION
+      }
+    }
+  },
+  {
+    id: 'armorOptimization',
+    label: 'Armor Optimization',
+    score(build, { requirements }) {
+      const pieces = Object.values(build.loadout?.armor || {}).filter(Boolean)
+      const exotics = pieces.filter(piece => piece.isExotic)
+      const evidence = []
+      let score = 60
+
+      if (exotics.length === 1) {
+        score += 15
+        evidence.push(`One exotic armor piece${exotics[0].name ? `: ${exotics[0].name}` : ''}`)
+      } else if (exotics.length === 0) {
+        score -= 10
+        evidence.push('No exotic armor')
+      } else {
+        score -= 20
+        evidence.push(`${exotics.length} exotic armor pieces - only one can be equipped`)
+      }
+
+      // Most slots filled is the best the build data tells us about the stat spread
+      if (requirements.focusStats.length > 0) {
+        score += pieces.length >= 4 ? 20 : -5
+        evidence.push(`${pieces.length} of 5 armor slots filled`)
+      }
+
+      return { score: clampScore(score), evidence }
+    }
+  },
+  {
+    id: 'exoticUtilization',
+    label: 'Exotic Utilization',
+    score(build) {
+      const exoticArmor = Object.values(build.loadout?.armor || {}).filter(piece => piece?.isExotic)
+      const exoticWeapons = Object.values(build.loadout?.weapons || {}).filter(weapon => weapon?.isExotic)
+      const evidence = [...exoticArmor, ...exoticWeapons].map(item => `Exotic: ${item.name || item.type || 'unnamed'}`)
+
+      let score
+      if (exoticArmor.length > 1 || exoticWeapons.length > 1) {
+        score = 30
+        evidence.push('More than one exotic in a slot type - the loadout cannot be equipped')
+      } else if (exoticArmor.length === 1 && exoticWeapons.length === 1) {
+        score = 95
+      } else if (exoticArmor.length === 1) {
+        score = 85
+      } else if (exoticWeapons.length === 1) {
+        score = 80
+      } else {
+        score = 40
+        evidence.push('No exotics used')
+      }
+
+      return { score, evidence, suggestion: 'Consider an exotic that enhances your playstyle' }
+    }
+  },
+  {
+    id: 'modEffectiveness',
+    label: 'Mod Effectiveness',
+    score(build) {
+      const modCount = countMods(build.loadout?.mods)
+      const errors = build.modValidation?.errors || []
+      const evidence = [`${modCount} mod${modCount === 1 ? '' : 's'} equipped`]
+
+      let score = 50
+      if (modCount >= 8) score += 20
+      else if (modCount >= 5) score += 10
+      else if (modCount >= 2) score += 5
+      else score -= 10
+
+      // Mods that don't fit the sockets or energy do nothing in game
+      errors.forEach(error => evidence.push(error.message))
+      score -= errors.length * 10
+
+      return {
+        score: clampScore(score),
+        evidence,
+        suggestion: errors.length > 0 ? 'Fix the mod validation errors' : 'Fill more mod sockets'
+      }
+    }
+  },
+  {
+    id: 'damageOutput',
+    label: 'Damage Output',
+    applies: (build, { requirements }) => isDamageFocused(requirements),
+    score(build, { damageEstimate }) {
+      const evidence = [`${formatNumber(damageEstimate.sustainedDps)} DPS over a ${damageEstimate.phaseLength / 1000}s damage phase`]
+      if (damageEstimate.superDamage > 0) {
+        evidence.push(`Super: ${formatNumber(damageEstimate.superDamage)} damage`)
+      }
+      damageEstimate.weapons.forEach(weapon => {
+        evidence.push(`${weapon.name}: ${formatNumber(weapon.damage)} damage in ${Math.round(weapon.time / 1000)}s`)
+      })
+      damageEstimate.modifiers.forEach(modifier => evidence.push(`+${modifier.magnitude}% from ${modifier.description}`))
+
+      const categories = damageEstimate.modifiers.map(modifier => modifier.category)
+      const missing = ['empowering', 'debuff', 'surge'].filter(category => !categories.includes(category))
+      return {
+        score: scoreDamageOutput(damageEstimate),
+        evidence,
+        suggestion: missing.length > 0
+          ? `Add ${joinList(missing.map(category => MODIFIER_NAMES[category]))} for damage phases`
+          : 'Use a higher damage heavy weapon for damage phases'
+      }
+    }
+  },
+  {
+    id: 'abilityUptime',
+    label: 'Ability Uptime',
+    score(build, { cooldowns, cooldownCalculator }) {
+      const evidence = Object.entries(cooldowns).map(([ability, cooldown]) => {
+        const name = cooldown.name ? ` (${cooldown.name})` : ''
+        if (cooldown.unknown) return `${ABILITY_LABELS[ability]}${name}: unknown without a class`
+        const stat = cooldown.stat ? ` at ${cooldown.stat} tier ${cooldown.statTier}` : ''
+        const sources = cooldown.reductions.length > 0 ? `, shortened by ${joinList(cooldown.reductions.map(reduction => reduction.source))}` : ''
+        return `${ABILITY_LABELS[ability]}${name}: ${cooldown.cooldown}s${stat}${sources}`
+      })
+
+      return {
+        score: cooldownCalculator.scoreCooldowns(cooldowns),
+        evidence,
+        suggestion: 'Shorten ability cooldowns - raise discipline, strength and intellect or add regen mods like Kickstarts and Bomber'
+      }
+    }
+  }
+]
+
+function isDamageFocused(requirements) {
+  return DAMAGE_ACTIVITIES.includes(requirements.activity) ||
+    requirements.playstyle === 'dps' ||
+    DAMAGE_REQUEST_PATTERN.test(requirements.userRequest || '')
+}
+
+function scoreDamageOutput(damageEstimate) {
+  return Math.min(Math.round((damageEstimate.sustainedDps / REFERENCE_DPS) * 100), 100)
+}
+
+export function determineScoreTier(score) {
+  if (score >= 90) return 'S'
+  if (score >= 80) return 'A'
+  if (score >= 70) return 'B'
+  if (score >= 60) return 'C'
+  if (score >= 50) return 'D'
+  return 'F'
+}
+
+// Requests and build metadata both work - 'any' and missing values mean no preference
+function normalizeRequirements(requirements = {}) {
+  const preference = (value) => (value && value !== 'any' ? value : null)
+  return {
+    class: preference(requirements.class),
+    element: preference(requirements.element),
+    activity: preference(requirements.activity),
+    playstyle: preference(requirements.playstyle),
+    focusStats: Array.isArray(requirements.focusStats) ? requirements.focusStats : [],
+    statTargets: requirements.statTargets || {},
+    excluded: {
+      weapons: requirements.excluded?.weapons || [],
+      elements: requirements.excluded?.elements || [],
+      exotics: (requirements.excluded?.exotics || []).map(exotic => Number(exotic.hash))
+    },
+    userRequest: requirements.input || requirements.userRequest || requirements.userInput || (requirements.keywords || []).join(' ')
+  }
+}
+
+export class ScoringPipeline {
+  constructor() {
+    this.initialized = false
+    this.manifestVersion = null
+    this.version = PIPELINE_VERSION
+    this.scorers = []
+    this.cooldownCalculator = new AbilityCooldownCalculator()
+    this.triggerDatabase = new TriggerDatabase()
+    this.damageModel = new DamageModel(this.triggerDatabase)
+
+    DEFAULT_SCORERS.forEach(scorer => this.register(scorer))
+  }
+
+  async initialize(manifestData = null) {
+    try {
+      console.log('📊 Initializing Scoring Pipeline...')
+
+      this.manifestVersion = manifestData?.version || null
+      await this.triggerDatabase.initialize(manifestData)
+      this.initialized = true
+      console.log('✅ Scoring Pipeline initialized successfully')
+      return true
+
+    } catch (error) {
+      console.error('❌ Failed to initialize Scoring Pipeline:', error)
+      this.initialized = false
+      throw error
+    }
+  }
+
+  isInitialized() {
+    return this.initialized
+  }
+
+  /**
+   * Add a category scorer, or replace the one with the same id
+   * @param {Object} scorer - { id, label, score(build, context), applies?(build, context), defaultWeight? }
+   *   defaultWeight is used when the profile has no weight for the id
+   */
+  register(scorer) {
+    if (!scorer?.id || typeof scorer.score !== 'function') {
+      throw new Error('Scorers need an id and a score function')
+    }
+
+    const index = this.scorers.findIndex(existing => existing.id === scorer.id)
+    if (index === -1) this.scorers.push(scorer)
+    else this.scorers[index] = scorer
+    return this
+  }
+
+  getScorers() {
+    return [...this.scorers]
+  }
+
+  /**
+   * Score a build. Only the build, requirements, profile and manifest feed the result, so the
+   * same inputs under the same pipelineVersion and manifestVersion give the same breakdown.
+   * @param {Object} build - Build to score
+   * @param {Object} requirements - Parsed request or build metadata: { class, element, activity, playstyle, focusStats, userRequest }
+   * @param {Object} options - { profile: id or object, userProfiles, phaseLength, teamBuffs }
+   * @returns {Object} { total, tier, scores, categories: [{ id, label, score, weight, share, points, evidence }],
+   *   improvements, objectives, damageEstimate, profile, pipelineVersion, manifestVersion }
+   */
+  score(build, requirements = {}, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Scoring pipeline not initialized')
+    }
+
+    const normalized = normalizeRequirements(requirements)
+    const profile = resolveProfile(options.profile, { activity: normalized.activity, userProfiles: options.userProfiles })
+    const context = {
+      requirements: normalized,
+      profile,
+      stats: build.stats || {},
+      cooldowns: this.cooldownCalculator.calculate(build),
+      cooldownCalculator: this.cooldownCalculator,
+      damageEstimate: this.damageModel.estimate(build, { phaseLength: options.phaseLength, teamBuffs: options.teamBuffs })
+    }
+
+    const results = []
+    this.scorers.forEach(scorer => {
+      if (scorer.applies && !scorer.applies(build, context)) return
+
+      const { score, evidence = [], suggestion } = scorer.score(build, context)
+      results.push({ id: scorer.id, label: scorer.label || scorer.id, score: clampScore(score), evidence, suggestion })
+    })
+
+    const weights = this.getWeights(profile)
+    const scores = Object.fromEntries(results.map(result => [result.id, result.score]))
+    const contributions = explainWeightedScore(scores, weights)
+    const total = this.calculateWeightedScore(scores, weights)
+
+    return {
+      total,
+      tier: determineScoreTier(total),
+      scores,
+      categories: results.map(({ suggestion, ...result }) => {
+        const contribution = contributions.find(entry => entry.category === result.id)
+        return {
+          ...result,
+          weight: weights[result.id] || 0,
+          share: contribution?.share || 0,
+          points: contribution?.points || 0
+        }
+      }),
+      improvements: results
+        .filter(result => result.suggestion && result.score < 60 && weights[result.id] > 0)
+        .sort((a, b) => a.score - b.score)
+        .map(result => ({ category: result.id, score: result.score, suggestion: result.suggestion })),
+      objectives: this.scoreObjectives(context, scores),
+      damageEstimate: 'damageOutput' in scores ? context.damageEstimate : null,
+      profile: { id: profile.id, name: profile.name },
+      pipelineVersion: this.version,
+      manifestVersion: this.manifestVersion
+    }
+  }
+
+  /**
+   * Score builds under one profile and rank them
+   * @param {Array} builds - Builds to rank
+   * @param {Object} requirements - Same as score
+   * @param {Object} options - score options plus mode: 'weighted' (default) or 'pareto'
+   * @returns {Object} Weighted: { mode, profile, ranked, explanation }. Pareto: { mode, profile, objectives, front, ranked }
+   *   where ranked entries carry their front (0 = nothing beats them on every objective)
+   */
+  rankBuilds(builds = [], requirements = {}, options = {}) {
+    const profile = resolveProfile(options.profile, {
+      activity: normalizeRequirements(requirements).activity,
+      userProfiles: options.userProfiles
+    })
+    const entries = builds.map(build => ({ build, scoring: this.score(build, requirements, { ...options, profile }) }))
+
+    if (options.mode === 'pareto') {
+      const ranked = paretoFronts(entries.map(entry => ({ ...entry, objectives: entry.scoring.objectives })))
+      return {
+        mode: 'pareto',
+        profile: { id: profile.id, name: profile.name },
+        objectives: OBJECTIVES,
+        front: ranked.filter(entry => entry.front === 0),
+        ranked
+      }
+    }
+
+    const weights = this.getWeights(profile)
+    const ranked = [...entries].sort((a, b) => b.scoring.total - a.scoring.total)
+    return {
+      mode: 'weighted',
+      profile: { id: profile.id, name: profile.name, weights },
+      ranked: ranked.map((entry, index) => ({ ...entry, rank: index + 1 })),
+      explanation: explainRanking(ranked, weights)
+    }
+  }
+
+  // Profile weights, plus the default weight of any registered scorer the profile doesn't know
+  getWeights(profile) {
+    const weights = { ...profile.weights }
+    this.scorers.forEach(scorer => {
+      if (!(scorer.id in weights)) weights[scorer.id] = scorer.defaultWeight || 0
+    })
+    return weights
+  }
+
+  // Pareto objectives (0-100): staying alive, boss damage and ability uptime - damage is estimated even outside boss content
+  scoreObjectives(context, scores) {
+    return {
+      survivability: statTier(context.stats, 'resilience') * 6 + statTier(context.stats, 'recovery') * 4,
+      damage: scores.damageOutput ?? scoreDamageOutput(context.damageEstimate),
+      abilityUptime: scores.abilityUptime ?? this.cooldownCalculator.scoreCooldowns(context.cooldowns)
+    }
+  }
+
+  calculateWeightedScore(scores, weights) {
+    let totalScore = 0
+    let totalWeight = 0
+
+    Object.entries(weights).forEach(([category, weight]) => {
+      // Categories that don't apply to this build (e.g. damage output outside boss content) are left out
+      if (!(category in scores)) return
+
+      totalScore += scores[category] * weight
+      totalWeight += weight
+    })
+
+    return totalWeight > 0 ? Math.round(totalScore / totalWeight) : 50
+  }
+}
@@ -0,0 +1,113 @@
+// lib/scoring-profile-store.js
+// Per-user scoring profiles, persisted through the configured storage backend
+
+import crypto from 'crypto'
+import { getStorage } from './storage'
+import { validateProfile, BUILT_IN_PROFILES } from './scoring-profiles'
+
+const PROFILES_COLLECTION = 'scoring-profiles'
+const MAX_PROFILES = 20
+
+function toProfileDocument(data) {
+  return { profiles: data?.profiles || [], selectedProfileId: data?.selectedProfileId || null }
+}
+
+// Read errors propagate - callers must never mistake a failed read for an empty list
+async function loadProfileDocument(userId) {
+  return toProfileDocument(await getStorage().get(PROFILES_COLLECTION, String(userId)))
+}
+
+// Conditional read-modify-write - two tabs changing profiles at once both keep their change
+async function updateProfileDocument(userId, updater) {
+  return getStorage().update(PROFILES_COLLECTION, String(userId), data => updater(toProfileDocument(data)))
+}
+
+export async function loadUserProfiles(userId) {
+  const { profiles } = await loadProfileDocument(userId)
+  return profiles
+}
+
+/**
+ * Scoring options for the user's generated builds
+ * @param {string} userId - Bungie membership id
+ * @param {string} profileId - Profile picked for this request, overriding the saved selection
+ * @returns {Object} { profile, userProfiles } for ScoringPipeline.score / rankBuilds
+ */
+export async function loadScoringOptions(userId, profileId = null) {
+  const { profiles, selectedProfileId } = await loadProfileDocument(userId)
+  return { profile: profileId || selectedProfileId || undefined, userProfiles: profiles }
+}
+
+/**
+ * Pick the profile generated builds are scored with (null goes back to the activity default)
+ * @returns {boolean} false when the id is neither built in nor one of the user's profiles
+ */
+export async function selectUserProfile(userId, profileId) {
+  let found = true
+  await updateProfileDocument(userId, stored => {
+    found = !profileId || Boolean(BUILT_IN_PROFILES[profileId]) || stored.profiles.some(profile => profile.id === profileId)
+    return found ? { ...stored, selectedProfileId: profileId || null } : stored
+  })
+  return found
+}
+
+/**
+ * Create or update one of the user's profiles (matched by id)
+ * @returns {Object} { success, profile } or { success: false, errors }
+ */
+export async function saveUserProfile(userId, profile) {
+  const errors = validateProfile(profile)
+  if (profile?.id && BUILT_IN_PROFILES[profile.id]) {
+    errors.push('Built-in profiles cannot be overwritten')
+  }
+  if (errors.length > 0) {
+    return { success: false, errors }
+  }
+
+  let saved = null
+  await updateProfileDocument(userId, stored => {
+    const { profiles } = stored
+    const existing = profiles.find(candidate => candidate.id === profile.id)
+    if (!existing && profiles.length >= MAX_PROFILES) {
+      saved = null
+      return stored
+    }
+
+    const now = new Date().toISOString()
+    saved = {
+      id: existing?.id || `profile_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`,
+      name: profile.name.trim(),
+      basedOn: profile.basedOn || null,
+      activity: profile.activity || null,
+      weights: profile.weights || {},
+      statPriorities: profile.statPriorities || {},
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    }
+
+    return {
+      ...stored,
+      profiles: existing
+        ? profiles.map(candidate => (candidate.id === saved.id ? saved : candidate))
+        : [...profiles, saved]
+    }
+  })
+
+  if (!saved) {
+    return { success: false, errors: [`You can keep up to ${MAX_PROFILES} scoring profiles`] }
+  }
+  return { success: true, profile: saved }
+}
+
+export async function deleteUserProfile(userId, profileId) {
+  let found = false
+  await updateProfileDocument(userId, ({ profiles, selectedProfileId }) => {
+    const remaining = profiles.filter(profile => profile.id !== profileId)
+    found = remaining.length < profiles.length
+    return {
+      profiles: remaining,
+      selectedProfileId: selectedProfileId === profileId ? null : selectedProfileId
+    }
+  })
+  return found
+}
@@ -0,0 +1,153 @@
+// lib/scoring-profiles.js
+// Named scoring profiles - category weights for the scoring pipeline plus stat priorities, built in per activity or user-defined
+
+// Ids of the scoring pipeline's built-in scorers
+export const SCORE_CATEGORIES = [
+  'requestMatch', 'statOptimization', 'statDistribution', 'activityFit', 'weaponSynergy', 'synergyStrength',
+  'armorOptimization', 'exoticUtilization', 'modEffectiveness', 'damageOutput', 'abilityUptime'
+]
+export const STAT_NAMES = ['mobility', 'resilience', 'recovery', 'discipline', 'intellect', 'strength']
+
+const MAX_NAME_LENGTH = 50
+
+// Relative category weights - a category's share of the total is its weight over the sum of the applicable ones
+const BASE_WEIGHTS = {
+  requestMatch: 10,
+  statOptimization: 25,
+  statDistribution: 15,
+  activityFit: 20,
+  weaponSynergy: 15,
+  synergyStrength: 20,
+  armorOptimization: 10,
+  exoticUtilization: 5,
+  modEffectiveness: 10,
+  damageOutput: 20,
+  abilityUptime: 10
+}
+
+function builtIn(id, name, statPriorities, weights = {}) {
+  return {
+    id,
+    name,
+    activity: id,
+    builtIn: true,
+    weights: { ...BASE_WEIGHTS, ...weights },
+    statPriorities
+  }
+}
+
+export const BUILT_IN_PROFILES = {
+  general_pve: builtIn('general_pve', 'General PvE', {
+    resilience: 0.8, recovery: 0.8, discipline: 0.7, intellect: 0.6, strength: 0.6, mobility: 0.5
+  }),
+  raid: builtIn('raid', 'Raid', {
+    resilience: 1.0, recovery: 0.8, discipline: 0.7, intellect: 0.6, strength: 0.5, mobility: 0.4
+  }, { damageOutput: 30 }),
+  dungeon: builtIn('dungeon', 'Dungeon', {
+    resilience: 0.9, recovery: 0.9, discipline: 0.7, strength: 0.6, intellect: 0.5, mobility: 0.5
+  }, { damageOutput: 25, abilityUptime: 15 }),
+  nightfall: builtIn('nightfall', 'Nightfall', {
+    resilience: 1.0, recovery: 0.8, discipline: 0.7, intellect: 0.6, strength: 0.5, mobility: 0.4
+  }, { damageOutput: 15, armorOptimization: 15 }),
+  gambit: builtIn('gambit', 'Gambit', {
+    recovery: 0.9, intellect: 0.8, resilience: 0.7, discipline: 0.6, strength: 0.5, mobility: 0.5
+  }),
+  pvp: builtIn('pvp', 'Crucible', {
+    mobility: 1.0, recovery: 0.9, resilience: 0.7, discipline: 0.6, intellect: 0.5, strength: 0.4
+  }, { weaponSynergy: 25, abilityUptime: 15, synergyStrength: 15, exoticUtilization: 10 })
+}
+
+/**
+ * Profile to score with: an id (built in or one of the user's), a profile object, or the activity's built-in profile
+ * @param {string|Object} profile - Profile id or object; omitted picks the activity's profile
+ * @param {Object} options - { activity, userProfiles }
+ * @returns {Object} Complete profile - user profiles are filled in from the profile they're based on
+ */
+export function resolveProfile(profile, { activity, userProfiles = [] } = {}) {
+  const fallback = BUILT_IN_PROFILES[activity] || BUILT_IN_PROFILES.general_pve
+  if (!profile) return fallback
+
+  const found = typeof profile === 'string'
+    ? BUILT_IN_PROFILES[profile] || userProfiles.find(candidate => candidate.id === profile)
+    : profile
+  if (!found) return fallback
+  if (found.builtIn) return found
+
+  const base = BUILT_IN_PROFILES[found.basedOn] || fallback
+  return {
+    ...found,
+    activity: found.activity || base.activity,
+    weights: { ...base.weights, ...found.weights },
+    statPriorities: { ...base.statPriorities, ...found.statPriorities }
+  }
+}
+
+/**
+ * Check a user-defined profile
+ * @param {Object} profile - Profile object
+ * @returns {Array} Error messages (empty when valid)
+ */
+export function validateProfile(profile) {
+  const errors = []
+
+  if (!profile || typeof profile !== 'object') {
+    errors.push('Profile data is required')
+    return errors
+  }
+
+  if (!profile.name || typeof profile.name !== 'string') {
+    errors.push('Profile name is required')
+  } else if (profile.name.length > MAX_NAME_LENGTH) {
+    errors.push(`Profile name must be ${MAX_NAME_LENGTH} characters or less`)
+  }
+
+  if (profile.basedOn && !BUILT_IN_PROFILES[profile.basedOn]) {
+    errors.push(`Unknown base profile "${profile.basedOn}"`)
+  }
+
+  const checkWeights = (weights, allowed, label) => {
+    if (weights === undefined) return
+    if (!weights || typeof weights !== 'object') {
+      errors.push(`${label} must be an object`)
+      return
+    }
+
+    Object.entries(weights).forEach(([key, value]) => {
+      if (!allowed.includes(key)) errors.push(`Unknown ${label} entry "${key}"`)
+      else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) errors.push(`${label}.${key} must be a number of 0 or more`)
+    })
+  }
+  checkWeights(profile.weights, SCORE_CATEGORIES, 'weights')
+  checkWeights(profile.statPriorities, STAT_NAMES, 'statPriorities')
+
+  if (errors.length === 0) {
+    const resolved = resolveProfile({ ...profile, builtIn: false })
+    if (!Object.values(resolved.weights).some(weight => weight > 0)) {
+      errors.push('At least one category weight must be above 0')
+    }
+  }
+
+  return errors
+}
+
+/**
+ * Contribution of each category to a weighted score - which weights drove the total
+ * @param {Object} scores - Category scores
+ * @param {Object} weights - Category weights
+ * @returns {Array} [{ category, score, weight, share, points }] sorted by points, largest first
+ */
+export function explainWeightedScore(scores, weights) {
+  const applicable = Object.keys(weights).filter(category => category in scores && weights[category] > 0)
+  const totalWeight = applicable.reduce((sum, category) => sum + weights[category], 0)
+  if (totalWeight === 0) return []
+
+  return applicable
+    .map(category => ({
+      category,
+      score: scores[category],
+      weight: weights[category],
+      share: Math.round((weights[category] / totalWeight) * 100),
+      points: Math.round((scores[category] * weights[category] / totalWeight) * 10) / 10
+    }))
+    .sort((a, b) => b.points - a.points)
+}
@@ -0,0 +1,44 @@
+// lib/stat-targets.js
+// Stat targets from a build request ("at least 80 recovery", "tier 7 discipline") - the tiers to optimize for, and how a build measures up
+
+/**
+ * Tier each targeted stat has to reach - the smallest tier whose points cover the target
+ * @param {Object} statTargets - Parsed request statTargets ({ stat: { value, hard } })
+ * @param {Object} options - { hardOnly } leaves soft targets out
+ * @returns {Object} { stat: tier }
+ */
+export function targetTiers(statTargets = {}, { hardOnly = false } = {}) {
+  const tiers = {}
+  Object.entries(statTargets || {}).forEach(([stat, target]) => {
+    if (hardOnly && !target.hard) return
+    tiers[stat] = Math.min(Math.ceil(target.value / 10), 10)
+  })
+  return tiers
+}
+
+/**
+ * Which targets a build's stats meet, and how far short the others fall
+ * @param {Object} stats - Build stat totals
+ * @param {Object} statTargets - Parsed request statTargets
+ * @returns {Object} { targets: [{ stat, target, hard, achieved, met, shortBy }], met: [stat], missed: [stat], hardMet }
+ */
+export function evaluateStatTargets(stats = {}, statTargets = {}) {
+  const targets = Object.entries(statTargets || {}).map(([stat, { value, hard }]) => {
+    const achieved = stats?.[stat] || 0
+    return {
+      stat,
+      target: value,
+      hard: Boolean(hard),
+      achieved,
+      met: achieved >= value,
+      shortBy: Math.max(0, value - achieved)
+    }
+  })
+
+  return {
+    targets,
+    met: targets.filter(target => target.met).map(target => target.stat),
+    missed: targets.filter(target => !target.met).map(target => target.stat),
+    hardMet: targets.every(target => target.met || !target.hard)
+  }
+}
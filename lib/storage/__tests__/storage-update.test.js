@@ -0,0 +1,121 @@
+// lib/storage/__tests__/storage-update.test.js
+// Concurrent update() calls must not lose each other's writes on any backend
+
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+import FileSystemStorage from '../fs-storage'
+import SQLiteStorage from '../sqlite-storage'
+import GitHubStorageAdapter from '../github-storage-adapter'
+
+const CONCURRENT_UPDATES = 5
+
+// Yield between read and write so concurrent updates genuinely interleave
+const appendSlowly = (value) => async (list) => {
+  await new Promise(resolve => setTimeout(resolve, 1))
+  return [...list, value]
+}
+
+const runConcurrentUpdates = (storage) => Promise.all(
+  Array.from({ length: CONCURRENT_UPDATES }, (_, index) => storage.update('builds', 'user1', appendSlowly(index), []))
+)
+
+// In-memory stand-in for GitHubStorageService with the contents API's sha checks
+const createFakeGitHub = () => {
+  const files = new Map()
+  let revision = 0
+
+  return {
+    files,
+    async getFile(filePath) {
+      const file = files.get(filePath)
+      return file ? { content: JSON.parse(file.json), sha: file.sha } : null
+    },
+    async saveFile(filePath, content, message, sha = null) {
+      const existing = files.get(filePath)
+      if (existing && !sha) throw new Error('GitHub API Error 422: Invalid request. "sha" wasn\'t supplied.')
+      if (existing && existing.sha !== sha) throw new Error(`GitHub API Error 409: ${filePath} does not match ${sha}`)
+
+      files.set(filePath, { json: JSON.stringify(content), sha: `sha-${++revision}` })
+      return {}
+    }
+  }
+}
+
+describe('StorageAdapter.update', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}))
+  afterEach(() => jest.restoreAllMocks())
+
+  it('serializes filesystem updates with a lock file', async () => {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-update-'))
+    const storage = new FileSystemStorage({ baseDir })
+
+    try {
+      await runConcurrentUpdates(storage)
+
+      const stored = await storage.get('builds', 'user1')
+      expect(stored.sort((a, b) => a - b)).toEqual([...Array(CONCURRENT_UPDATES).keys()])
+      expect(await fs.readdir(path.join(baseDir, 'builds'))).toEqual(['user1.json'])
+    } finally {
+      await fs.rm(baseDir, { recursive: true, force: true })
+    }
+  })
+
+  it('breaks a lock left behind by a crashed process', async () => {
+    const baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-update-'))
+    const storage = new FileSystemStorage({ baseDir })
+
+    try {
+      const lockPath = path.join(baseDir, 'builds', 'user1.json.lock')
+      await fs.mkdir(path.dirname(lockPath), { recursive: true })
+      await fs.writeFile(lockPath, '')
+      const longAgo = new Date(Date.now() - 60 * 1000)
+      await fs.utimes(lockPath, longAgo, longAgo)
+
+      await storage.update('builds', 'user1', list => [...list, 'saved'], [])
+      expect(await storage.get('builds', 'user1')).toEqual(['saved'])
+    } finally {
+      await fs.rm(baseDir, { recursive: true, force: true })
+    }
+  })
+
+  it('retries SQLite updates whose row changed underneath them', async () => {
+    const storage = new SQLiteStorage({ filename: ':memory:' })
+
+    try {
+      await runConcurrentUpdates(storage)
+
+      const stored = await storage.get('builds', 'user1')
+      expect(stored).toHaveLength(CONCURRENT_UPDATES)
+    } finally {
+      await storage.close()
+    }
+  })
+
+  it('retries GitHub updates rejected for a stale sha', async () => {
+    const github = createFakeGitHub()
+    const storage = new GitHubStorageAdapter({ github, basePath: 'data/storage' })
+
+    // Two writers read the same sha; the second one must re-read and re-apply
+    await Promise.all([
+      storage.update('builds', 'user1', appendSlowly('a'), []),
+      storage.update('builds', 'user1', appendSlowly('b'), [])
+    ])
+
+    expect((await storage.get('builds', 'user1')).sort()).toEqual(['a', 'b'])
+  })
+
+  it('gives up after repeated conflicts', async () => {
+    const github = createFakeGitHub()
+    const storage = new GitHubStorageAdapter({ github, basePath: 'data/storage' })
+    await storage.put('builds', 'user1', [])
+
+    // Another writer changes the file every time this updater runs
+    const updater = async (list) => {
+      await github.saveFile('data/storage/builds/user1.json', ['other'], 'race', github.files.get('data/storage/builds/user1.json').sha)
+      return [...list, 'mine']
+    }
+
+    await expect(storage.update('builds', 'user1', updater, [])).rejects.toMatchObject({ code: 'STORAGE_CONFLICT' })
+  })
+})
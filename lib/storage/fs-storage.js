@@ -0,0 +1,130 @@
+// lib/storage/fs-storage.js
+// Local filesystem backend - one JSON file per document under data/<collection>/<id>.json
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import StorageAdapter from './storage-adapter'
+
+const LOCK_RETRY_MS = 25
+const LOCK_TIMEOUT_MS = 5000
+// A lock older than this was left by a crashed process
+const LOCK_STALE_MS = 30000
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+class FileSystemStorage extends StorageAdapter {
+  /**
+   * @param {Object} options - { baseDir } (defaults to STORAGE_FS_DIR, then ./data or /tmp on Vercel)
+   */
+  constructor(options = {}) {
+    super('filesystem')
+    this.baseDir = options.baseDir ||
+      process.env.STORAGE_FS_DIR ||
+      (process.env.VERCEL ? '/tmp/casting-destiny' : path.join(process.cwd(), 'data'))
+  }
+
+  getFilePath(collection, id) {
+    this.validateKey(collection, id)
+    return path.join(this.baseDir, collection, `${id}.json`)
+  }
+
+  async get(collection, id) {
+    try {
+      const data = await fs.readFile(this.getFilePath(collection, id), 'utf8')
+      return JSON.parse(data)
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  async put(collection, id, value) {
+    const filePath = this.getFilePath(collection, id)
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+
+    // Write then rename so a crash mid-write never leaves half a JSON file behind
+    const tempPath = `${filePath}.${process.pid}.tmp`
+    await fs.writeFile(tempPath, JSON.stringify(value, null, 2))
+    await fs.rename(tempPath, filePath)
+  }
+
+  /**
+   * Read-modify-write under a lock file, so concurrent requests (and processes) sharing
+   * the data directory apply their updates one after another
+   */
+  async update(collection, id, updater, defaultValue = null) {
+    const filePath = this.getFilePath(collection, id)
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+
+    const release = await this.acquireLock(`${filePath}.lock`)
+    try {
+      const current = await this.get(collection, id)
+      const next = await updater(current ?? defaultValue)
+      await this.put(collection, id, next)
+      return next
+    } finally {
+      await release()
+    }
+  }
+
+  async acquireLock(lockPath) {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS
+
+    for (;;) {
+      try {
+        // 'wx' fails if the file exists, which makes creating it an atomic test-and-set
+        const handle = await fs.open(lockPath, 'wx')
+        await handle.close()
+        return () => fs.unlink(lockPath).catch(() => {})
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error
+      }
+
+      const stat = await fs.stat(lockPath).catch(() => null)
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.unlink(lockPath).catch(() => {})
+        continue
+      }
+
+      if (Date.now() >= deadline) {
+        const error = new Error(`Timed out waiting for ${path.basename(lockPath)} - another request is still updating it`)
+        error.code = 'STORAGE_CONFLICT'
+        throw error
+      }
+      await sleep(LOCK_RETRY_MS)
+    }
+  }
+
+  async delete(collection, id) {
+    try {
+      await fs.unlink(this.getFilePath(collection, id))
+      return true
+    } catch (error) {
+      if (error.code === 'ENOENT') return false
+      throw error
+    }
+  }
+
+  async list(collection) {
+    this.validateKey(collection, 'list')
+
+    let files = []
+    try {
+      files = await fs.readdir(path.join(this.baseDir, collection))
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const documents = []
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const id = file.slice(0, -'.json'.length)
+      const value = await this.get(collection, id)
+      if (value !== null) documents.push({ id, value })
+    }
+
+    return documents
+  }
+}
+
+export default FileSystemStorage
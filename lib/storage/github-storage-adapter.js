@@ -0,0 +1,70 @@
+// lib/storage/github-storage-adapter.js
+// GitHub contents API backend - documents are committed as JSON files, so they survive serverless cold starts
+
+import { getGitHubStorage } from '../github-storage'
+import StorageAdapter from './storage-adapter'
+
+class GitHubStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} options - { github, basePath } (basePath defaults to STORAGE_GITHUB_PATH, then data/storage)
+   */
+  constructor(options = {}) {
+    super('github')
+    this.github = options.github || getGitHubStorage()
+    this.basePath = options.basePath || process.env.STORAGE_GITHUB_PATH || 'data/storage'
+  }
+
+  getFilePath(collection, id) {
+    this.validateKey(collection, id)
+    return `${this.basePath}/${collection}/${id}.json`
+  }
+
+  async get(collection, id) {
+    const file = await this.github.getFile(this.getFilePath(collection, id))
+    return file ? file.content : null
+  }
+
+  async put(collection, id, value) {
+    const filePath = this.getFilePath(collection, id)
+    const existing = await this.github.getFile(filePath)
+    await this.github.saveFile(filePath, value, `Update ${collection}/${id}`, existing?.sha)
+  }
+
+  // The blob sha is the version - GitHub rejects a write whose sha is no longer current
+  async getVersioned(collection, id) {
+    const file = await this.github.getFile(this.getFilePath(collection, id))
+    return file ? { value: file.content, version: file.sha } : { value: null, version: null }
+  }
+
+  async putIfVersion(collection, id, value, version) {
+    try {
+      await this.github.saveFile(this.getFilePath(collection, id), value, `Update ${collection}/${id}`, version)
+    } catch (error) {
+      // 409: the sha is stale. 422: a create without a sha found the file already there
+      if (error.message.includes('409') || (version === null && error.message.includes('422'))) {
+        throw this.conflictError(collection, id)
+      }
+      throw error
+    }
+  }
+
+  async delete(collection, id) {
+    return this.github.deleteFile(this.getFilePath(collection, id), `Delete ${collection}/${id}`)
+  }
+
+  async list(collection) {
+    this.validateKey(collection, 'list')
+    const files = await this.github.listFiles(`${this.basePath}/${collection}`)
+
+    const documents = []
+    for (const file of files.filter(entry => entry.type === 'file' && entry.name.endsWith('.json'))) {
+      const id = file.name.slice(0, -'.json'.length)
+      const value = await this.get(collection, id)
+      if (value !== null) documents.push({ id, value })
+    }
+
+    return documents
+  }
+}
+
+export default GitHubStorageAdapter
@@ -0,0 +1,57 @@
+// lib/storage/index.js
+// Storage backend selection - STORAGE_BACKEND picks fs, sqlite or github
+
+import StorageAdapter from './storage-adapter'
+import FileSystemStorage from './fs-storage'
+import SQLiteStorage from './sqlite-storage'
+import GitHubStorageAdapter from './github-storage-adapter'
+
+const BACKENDS = {
+  fs: FileSystemStorage,
+  sqlite: SQLiteStorage,
+  github: GitHubStorageAdapter
+}
+
+/**
+ * Backend named by STORAGE_BACKEND, or GitHub on Vercel when a token is configured
+ * (Vercel's /tmp is wiped on every cold start), or the local filesystem otherwise
+ */
+export function resolveStorageBackend(env = process.env) {
+  if (env.STORAGE_BACKEND) return env.STORAGE_BACKEND.toLowerCase()
+  return env.VERCEL && env.GITHUB_TOKEN ? 'github' : 'fs'
+}
+
+/**
+ * Create a storage adapter
+ * @param {string} backend - 'fs', 'sqlite' or 'github'
+ * @param {Object} options - Adapter-specific options (baseDir, filename, basePath...)
+ * @returns {StorageAdapter} Adapter instance
+ */
+export function createStorage(backend = resolveStorageBackend(), options = {}) {
+  const Adapter = BACKENDS[backend]
+  if (!Adapter) {
+    throw new Error(`Unknown storage backend "${backend}" - expected one of: ${Object.keys(BACKENDS).join(', ')}`)
+  }
+
+  if (process.env.VERCEL && backend !== 'github') {
+    console.warn(`⚠️ Using ${backend} storage on Vercel - data will not survive cold starts`)
+  }
+
+  return new Adapter(options)
+}
+
+// Singleton instance
+let storageInstance = null
+
+/**
+ * Get the configured storage adapter (singleton)
+ */
+export function getStorage() {
+  if (!storageInstance) {
+    storageInstance = createStorage()
+    console.log(`💾 Storage backend: ${storageInstance.name}`)
+  }
+  return storageInstance
+}
+
+export { StorageAdapter, FileSystemStorage, SQLiteStorage, GitHubStorageAdapter }
@@ -0,0 +1,119 @@
+// lib/storage/sqlite-storage.js
+// SQLite backend - every collection shares one documents table keyed by (collection, id)
+
+import { promises as fs } from 'fs'
+import path from 'path'
+import sqlite3 from 'sqlite3'
+import { open } from 'sqlite'
+import StorageAdapter from './storage-adapter'
+
+class SQLiteStorage extends StorageAdapter {
+  /**
+   * @param {Object} options - { filename } (defaults to STORAGE_SQLITE_PATH, then data/storage.sqlite)
+   */
+  constructor(options = {}) {
+    super('sqlite')
+    this.filename = options.filename ||
+      process.env.STORAGE_SQLITE_PATH ||
+      (process.env.VERCEL ? '/tmp/casting-destiny.sqlite' : path.join(process.cwd(), 'data', 'storage.sqlite'))
+    this.database = null
+  }
+
+  async getDatabase() {
+    // Cache the promise so concurrent first requests share one connection
+    if (!this.database) {
+      this.database = this.openDatabase().catch(error => {
+        this.database = null
+        throw error
+      })
+    }
+    return this.database
+  }
+
+  async openDatabase() {
+    if (this.filename !== ':memory:') {
+      await fs.mkdir(path.dirname(this.filename), { recursive: true })
+    }
+
+    const db = await open({ filename: this.filename, driver: sqlite3.Database })
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      )
+    `)
+
+    console.log(`🗄️ SQLite storage ready at ${this.filename}`)
+    return db
+  }
+
+  async get(collection, id) {
+    this.validateKey(collection, id)
+    const db = await this.getDatabase()
+    const row = await db.get('SELECT value FROM documents WHERE collection = ? AND id = ?', collection, id)
+    return row ? JSON.parse(row.value) : null
+  }
+
+  async put(collection, id, value) {
+    this.validateKey(collection, id)
+    const db = await this.getDatabase()
+    await db.run(
+      `INSERT INTO documents (collection, id, value, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (collection, id) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+      collection, id, JSON.stringify(value), new Date().toISOString()
+    )
+  }
+
+  // The stored JSON text doubles as the version - the write only lands if it is unchanged
+  async getVersioned(collection, id) {
+    this.validateKey(collection, id)
+    const db = await this.getDatabase()
+    const row = await db.get('SELECT value FROM documents WHERE collection = ? AND id = ?', collection, id)
+    return row ? { value: JSON.parse(row.value), version: row.value } : { value: null, version: null }
+  }
+
+  async putIfVersion(collection, id, value, version) {
+    this.validateKey(collection, id)
+    const db = await this.getDatabase()
+    const now = new Date().toISOString()
+
+    const result = version === null
+      ? await db.run(
+        `INSERT INTO documents (collection, id, value, updated_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT (collection, id) DO NOTHING`,
+        collection, id, JSON.stringify(value), now
+      )
+      : await db.run(
+        'UPDATE documents SET value = ?, updated_at = ? WHERE collection = ? AND id = ? AND value = ?',
+        JSON.stringify(value), now, collection, id, version
+      )
+
+    if (result.changes === 0) throw this.conflictError(collection, id)
+  }
+
+  async delete(collection, id) {
+    this.validateKey(collection, id)
+    const db = await this.getDatabase()
+    const result = await db.run('DELETE FROM documents WHERE collection = ? AND id = ?', collection, id)
+    return result.changes > 0
+  }
+
+  async list(collection) {
+    this.validateKey(collection, 'list')
+    const db = await this.getDatabase()
+    const rows = await db.all('SELECT id, value FROM documents WHERE collection = ? ORDER BY id', collection)
+    return rows.map(row => ({ id: row.id, value: JSON.parse(row.value) }))
+  }
+
+  async close() {
+    if (!this.database) return
+    const db = await this.database
+    this.database = null
+    await db.close()
+  }
+}
+
+export default SQLiteStorage
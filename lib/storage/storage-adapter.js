@@ -0,0 +1,106 @@
+// lib/storage/storage-adapter.js
+// Base class for storage backends - JSON documents addressed by collection and id
+
+// Collections and ids become file paths in the fs and GitHub backends, so keep them path-safe
+const KEY_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9._-]*$/
+
+// Concurrent writers retry this many times, after a growing random pause, before update() gives up
+const UPDATE_ATTEMPTS = 8
+const UPDATE_BACKOFF_MS = 20
+
+class StorageAdapter {
+  constructor(name) {
+    this.name = name
+  }
+
+  /**
+   * Load a document
+   * @param {string} collection - Collection name (e.g. 'builds')
+   * @param {string} id - Document id (e.g. a membership id)
+   * @returns {*} Stored value, or null when missing
+   */
+  async get(collection, id) {
+    throw new Error(`${this.name} storage does not implement get(${collection}, ${id})`)
+  }
+
+  /**
+   * Create or replace a document
+   * @param {string} collection - Collection name
+   * @param {string} id - Document id
+   * @param {*} value - JSON-serializable value
+   */
+  async put(collection, id, value) {
+    throw new Error(`${this.name} storage does not implement put(${collection}, ${id})`)
+  }
+
+  /**
+   * Remove a document
+   * @returns {boolean} Whether a document was removed
+   */
+  async delete(collection, id) {
+    throw new Error(`${this.name} storage does not implement delete(${collection}, ${id})`)
+  }
+
+  /**
+   * Every document in a collection
+   * @returns {Array} [{ id, value }]
+   */
+  async list(collection) {
+    throw new Error(`${this.name} storage does not implement list(${collection})`)
+  }
+
+  /**
+   * Load a document along with a version token for putIfVersion
+   * @returns {Object} { value, version } - version is null when the document doesn't exist
+   */
+  async getVersioned(collection, id) {
+    throw new Error(`${this.name} storage does not implement getVersioned(${collection}, ${id})`)
+  }
+
+  /**
+   * Write a document only if it is still at the version getVersioned returned
+   * @param {*} version - Token from getVersioned (null to create a document that must not exist yet)
+   * @throws {Error} code STORAGE_CONFLICT when another writer got there first
+   */
+  async putIfVersion(collection, id, value, version) {
+    throw new Error(`${this.name} storage does not implement putIfVersion(${collection}, ${id})`)
+  }
+
+  /**
+   * Read-modify-write a document, re-running the updater when another writer changed it in between
+   * @param {string} collection - Collection name
+   * @param {string} id - Document id
+   * @param {Function} updater - Receives the current value (or defaultValue) and returns the new one
+   * @param {*} defaultValue - Value passed to the updater when the document doesn't exist
+   * @returns {*} The stored value
+   */
+  async update(collection, id, updater, defaultValue = null) {
+    for (let attempt = 1; ; attempt++) {
+      const { value, version } = await this.getVersioned(collection, id)
+      const next = await updater(value ?? defaultValue)
+
+      try {
+        await this.putIfVersion(collection, id, next, version)
+        return next
+      } catch (error) {
+        if (error.code !== 'STORAGE_CONFLICT' || attempt >= UPDATE_ATTEMPTS) throw error
+      }
+
+      await new Promise(resolve => setTimeout(resolve, Math.random() * UPDATE_BACKOFF_MS * attempt))
+    }
+  }
+
+  conflictError(collection, id) {
+    const error = new Error(`${collection}/${id} was changed by another request - try again`)
+    error.code = 'STORAGE_CONFLICT'
+    return error
+  }
+
+  validateKey(collection, id) {
+    if (!KEY_PATTERN.test(String(collection)) || !KEY_PATTERN.test(String(id))) {
+      throw new Error(`Invalid storage key: ${collection}/${id}`)
+    }
+  }
+}
+
+export default StorageAdapter
@@ -3,17 +3,22 @@
 
 import { useState, useEffect } from 'react'
 
+const DIFF_LIST_LIMIT = 50
+
 export default function AdminPage() {
   const [apiKey, setApiKey] = useState('')
   const [pulling, setPulling] = useState(false)
   const [status, setStatus] = useState('')
   const [error, setError] = useState('')
   const [manifestInfo, setManifestInfo] = useState(null)
+  const [manifestDiff, setManifestDiff] = useState(null)
+  const [diffHistory, setDiffHistory] = useState([])
   const [logs, setLogs] = useState([])
 
   // Load current manifest info on mount
   useEffect(() => {
     loadManifestInfo()
+    loadManifestDiff()
     // Load saved API key from localStorage
     const savedKey = localStorage.getItem('admin_api_key')
     if (savedKey) {
@@ -42,6 +47,21 @@ export default function AdminPage() {
     }
   }
 
+  // Without a version pair the most recent diff is loaded
+  const loadManifestDiff = async (fromVersion = null, toVersion = null) => {
+    try {
+      const query = fromVersion && toVersion
+        ? `?from=${encodeURIComponent(fromVersion)}&to=${encodeURIComponent(toVersion)}`
+        : ''
+      const response = await fetch(`/api/github/manifest/diff${query}`)
+      const data = await response.json().catch(() => ({}))
+      setManifestDiff(response.ok ? data.diff : null)
+      setDiffHistory(data.history || [])
+    } catch (error) {
+      console.error('Failed to load manifest diff:', error)
+    }
+  }
+
   const handleManifestPull = async () => {
     if (!apiKey) {
       setError('Bungie API key is required')
@@ -76,10 +96,16 @@ export default function AdminPage() {
       setStatus('✅ Manifest successfully downloaded and saved to GitHub!')
       addLog(`Success! Version ${data.data?.version || 'unknown'} downloaded`)
       addLog(`Items: ${data.data?.metadata?.itemCount || 'unknown'}`)
+
+      const changes = data.summary?.changes
+      if (changes) {
+        addLog(`Changes: ${changes.added} added, ${changes.removed} removed, ${changes.changed} changed`)
+      }
       
       // Reload manifest info
       setTimeout(() => {
         loadManifestInfo()
+        loadManifestDiff()
       }, 2000)
       
     } catch (error) {
@@ -101,6 +127,31 @@ export default function AdminPage() {
     return new Date(dateString).toLocaleString()
   }
 
+  const formatDelta = (delta) => {
+    if (delta === null) return ''
+    return delta > 0 ? `(+${delta})` : `(${delta})`
+  }
+
+  // Long lists (new seasons add thousands of items) are cut off to keep the page usable
+  const renderDiffList = (title, entries, renderEntry) => {
+    if (!entries?.length) return null
+
+    const shown = entries.slice(0, DIFF_LIST_LIMIT)
+    return (
+      <details className="diff-category">
+        <summary>{title} ({entries.length})</summary>
+        <ul>
+          {shown.map(entry => (
+            <li key={entry.hash}>{renderEntry(entry)}</li>
+          ))}
+        </ul>
+        {entries.length > shown.length && (
+          <p className="diff-more">…and {entries.length - shown.length} more</p>
+        )}
+      </details>
+    )
+  }
+
   return (
     <div className="admin-page">
       <div className="container">
@@ -139,6 +190,68 @@ export default function AdminPage() {
           )}
         </div>
 
+        {/* Manifest Changes - one recorded diff per version pair */}
+        {manifestDiff && (
+          <div className="diff-section">
+            <h2>Manifest Changes</h2>
+            {diffHistory.length > 1 && (
+              <select
+                className="diff-picker"
+                value={`${manifestDiff.fromVersion}|${manifestDiff.toVersion}`}
+                onChange={(e) => loadManifestDiff(...e.target.value.split('|'))}
+              >
+                {diffHistory.map(entry => (
+                  <option key={`${entry.fromVersion}|${entry.toVersion}`} value={`${entry.fromVersion}|${entry.toVersion}`}>
+                    {entry.fromVersion} → {entry.toVersion} ({formatDate(entry.generatedAt)})
+                  </option>
+                ))}
+              </select>
+            )}
+            <p className="diff-versions">
+              {manifestDiff.fromVersion} → {manifestDiff.toVersion} · {formatDate(manifestDiff.generatedAt)}
+            </p>
+
+            <div className="diff-summary">
+              {Object.entries(manifestDiff.summary).map(([key, count]) => (
+                <div key={key} className="status-item">
+                  <span className="label">{key}</span>
+                  <span className="value">{count}</span>
+                </div>
+              ))}
+            </div>
+
+            {renderDiffList('Added', manifestDiff.added, item => (
+              <>{item.name} <span className="diff-type">{item.type}</span></>
+            ))}
+            {renderDiffList('Removed', manifestDiff.removed, item => (
+              <>{item.name} <span className="diff-type">{item.type}</span></>
+            ))}
+            {renderDiffList('Renamed', manifestDiff.renamed, item => (
+              <>{item.from} → {item.to}</>
+            ))}
+            {renderDiffList('Perk Changes', manifestDiff.perkChanges, item => (
+              <>
+                <strong>{item.name}</strong>
+                {item.addedPerks.length > 0 && <span className="diff-added"> +{item.addedPerks.join(', +')}</span>}
+                {item.removedPerks.length > 0 && <span className="diff-removed"> -{item.removedPerks.join(', -')}</span>}
+              </>
+            ))}
+            {renderDiffList('Weapon Stat Changes', manifestDiff.statChanges, item => (
+              <>
+                <strong>{item.name}</strong>
+                {item.stats.map(stat => (
+                  <span key={stat.statHash} className="diff-stat">
+                    {stat.name}: {stat.from ?? '–'} → {stat.to ?? '–'} {formatDelta(stat.delta)}
+                  </span>
+                ))}
+              </>
+            ))}
+            {renderDiffList('Other Changes', manifestDiff.changed, item => (
+              <>{item.name} <span className="diff-type">{item.changes.join(', ')}</span></>
+            ))}
+          </div>
+        )}
+
         {/* Manifest Download Section */}
         <div className="download-section">
           <h2>Download New Manifest</h2>
@@ -245,7 +358,7 @@ export default function AdminPage() {
           font-size: 1.1em;
         }
 
-        .status-section, .download-section, .logs-section, .info-section {
+        .status-section, .diff-section, .download-section, .logs-section, .info-section {
           background: rgba(255, 255, 255, 0.05);
           border-radius: 12px;
           padding: 24px;
@@ -253,7 +366,7 @@ export default function AdminPage() {
           border: 1px solid rgba(255, 255, 255, 0.1);
         }
 
-        .status-section h2, .download-section h2 {
+        .status-section h2, .diff-section h2, .download-section h2 {
           color: #ff6b35;
           margin-bottom: 16px;
           font-size: 1.4em;
@@ -284,6 +397,69 @@ export default function AdminPage() {
           font-weight: 500;
         }
 
+        .diff-picker {
+          width: 100%;
+          padding: 8px 12px;
+          margin-bottom: 12px;
+          background: rgba(255, 255, 255, 0.1);
+          border: 1px solid rgba(255, 255, 255, 0.2);
+          border-radius: 8px;
+          color: #fff;
+          font-size: 13px;
+        }
+
+        .diff-versions {
+          color: #a0a0a0;
+          font-size: 13px;
+          margin-bottom: 16px;
+        }
+
+        .diff-summary {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+          gap: 12px;
+          margin-bottom: 16px;
+        }
+
+        .diff-category {
+          background: rgba(0, 0, 0, 0.3);
+          border-radius: 8px;
+          padding: 12px 16px;
+          margin-bottom: 8px;
+        }
+
+        .diff-category summary {
+          cursor: pointer;
+          font-weight: 600;
+          color: #ff6b35;
+        }
+
+        .diff-category ul {
+          margin: 12px 0 0;
+          padding-left: 20px;
+          font-size: 13px;
+          line-height: 1.6;
+        }
+
+        .diff-type, .diff-more {
+          color: #888;
+          font-size: 12px;
+        }
+
+        .diff-added {
+          color: #4ade80;
+        }
+
+        .diff-removed {
+          color: #ef4444;
+        }
+
+        .diff-stat {
+          display: inline-block;
+          margin-left: 12px;
+          color: #a0a0a0;
+        }
+
         .no-manifest {
           text-align: center;
           padding: 20px;
@@ -1,6 +1,8 @@
 // pages/api/admin/manifest-pull.js
 // Simplified admin endpoint - accepts API key from request body
 
+import { extractManifestFromArchive } from '../../../lib/manifest-extractor'
+
 export const config = {
   api: {
     responseLimit: false,
@@ -61,19 +63,6 @@ export default async function handler(req, res) {
     const version = manifestInfo.Response.version
     console.log(`📦 Found manifest version: ${version}`)
 
-    // Initialize manifest data structure
-    const manifestData = {
-      version,
-      lastUpdated: new Date().toISOString(),
-      data: {},
-      metadata: {
-        itemCount: 0,
-        processedAt: new Date().toISOString(),
-        source: 'admin-pull',
-        format: 'sqlite-extracted'
-      }
-    }
-
     // Step 2: Download SQLite database (FIXED: use mobileWorldContentPaths instead of jsonWorldContentPaths)
     const sqlitePaths = manifestInfo.Response.mobileWorldContentPaths?.en
     
@@ -101,52 +90,28 @@ export default async function handler(req, res) {
     const arrayBuffer = await sqliteResponse.arrayBuffer()
     const fileSize = (arrayBuffer.byteLength / 1024 / 1024).toFixed(2)
     console.log(`✅ Downloaded ${fileSize}MB SQLite database`)
-    
-    // Check file format
-    const uint8Array = new Uint8Array(arrayBuffer)
-    const isZip = uint8Array[0] === 0x50 && uint8Array[1] === 0x4b
-    const isGzip = uint8Array[0] === 0x1f && uint8Array[1] === 0x8b
-    const isSqlite = uint8Array[0] === 0x53 && uint8Array[1] === 0x51 && uint8Array[2] === 0x4c && uint8Array[3] === 0x69
-    
-    console.log(`📊 File format: ${isZip ? 'ZIP' : isGzip ? 'GZIP' : isSqlite ? 'SQLite' : 'Unknown'}`)
-    
-    manifestData.metadata.downloadSize = arrayBuffer.byteLength
-    manifestData.metadata.compressionFormat = isZip ? 'zip' : isGzip ? 'gzip' : isSqlite ? 'sqlite' : 'unknown'
-    
-    // For now, create a minimal manifest structure
-    // In a full implementation, you'd extract the SQLite database and process tables
-    // This requires additional dependencies like sqlite3 or better-sqlite3
-    
-    console.log('⚡ Creating lightweight manifest structure...')
-    
-    // Essential table structure (populate with actual data in full implementation)
-    manifestData.data = {
-      DestinyInventoryItemDefinition: {},
-      DestinyStatDefinition: {},
-      DestinyClassDefinition: {},
-      DestinySocketTypeDefinition: {},
-      DestinySocketCategoryDefinition: {},
-      DestinyActivityDefinition: {},
-      DestinyActivityTypeDefinition: {},
-      DestinyDamageTypeDefinition: {},
-      DestinyEnergyTypeDefinition: {},
-      DestinySeasonDefinition: {}
-    }
-    
-    // Add processing note
-    manifestData.metadata.note = 'SQLite database downloaded successfully. Full processing requires sqlite3 extraction.'
-    manifestData.metadata.processingStatus = 'sqlite-downloaded-not-processed'
-    manifestData.metadata.recommendedAction = 'Use local converter for full manifest processing'
-    
-    // Step 3: Try to save to GitHub storage
+
+    // Unzip, open the SQLite database and decode the definition tables we use
+    console.log('⚡ Extracting definition tables...')
+
+    const manifestData = await extractManifestFromArchive(arrayBuffer, {
+      version,
+      metadata: { source: 'admin-pull' }
+    })
+
+    console.log(`📊 Extracted ${manifestData.metadata.itemCount} item definitions`)
+
+    // Step 3: Try to save to GitHub storage (this also records what changed since the last version)
+    let manifestDiff = null
     try {
       // Import GitHub storage dynamically to avoid build issues if not configured
       const { getGitHubStorage } = await import('../../../lib/github-storage')
       const githubStorage = getGitHubStorage()
       
-      console.log('💾 Saving manifest metadata to GitHub...')
-      await githubStorage.saveManifest(manifestData)
-      console.log('✅ Manifest metadata saved to GitHub successfully')
+      console.log('💾 Saving manifest to GitHub...')
+      const saveResult = await githubStorage.saveManifest(manifestData)
+      manifestDiff = saveResult.diff
+      console.log('✅ Manifest saved to GitHub successfully')
       
       manifestData.metadata.savedToGitHub = true
       
@@ -164,18 +129,26 @@ export default async function handler(req, res) {
     
     return res.status(200).json({
       success: true,
-      message: 'Manifest downloaded successfully from Bungie',
-      data: manifestData,
+      message: 'Manifest downloaded and extracted successfully from Bungie',
+      // Definition tables are tens of MB - return only the header, the tables live in storage
+      data: {
+        version: manifestData.version,
+        lastUpdated: manifestData.lastUpdated,
+        metadata: manifestData.metadata
+      },
       summary: {
         version: manifestData.version,
         downloadSize: `${fileSize}MB`,
         format: manifestData.metadata.compressionFormat,
+        itemCount: manifestData.metadata.itemCount,
+        tableCounts: manifestData.metadata.tableCounts,
+        changes: manifestDiff?.summary || null,
         savedToGitHub: manifestData.metadata.savedToGitHub
       },
       notes: [
-        'SQLite database downloaded successfully',
-        'For full processing, use the local manifest converter',
-        'Manifest metadata saved to GitHub (if configured)'
+        'SQLite database downloaded and extracted successfully',
+        `${Object.keys(manifestData.data).length} definition tables extracted`,
+        'Manifest saved to GitHub (if configured)'
       ]
     })
 
@@ -0,0 +1,47 @@
+// pages/api/builds/[buildId]/duplicate.js
+// API endpoint that copies a saved build into a new build
+
+import { requireAuthentication } from '../../../../lib/session-utils'
+import BuildManager from '../../../../lib/build-manager'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { user } = await requireAuthentication(req)
+    const { buildId } = req.query
+    const { name } = req.body || {}
+
+    const buildManager = new BuildManager()
+    const result = await buildManager.duplicateBuild(user.membershipId, buildId, { name })
+
+    if (result.code === 'BUILD_LIMIT_REACHED') {
+      return res.status(409).json({ error: result.error, code: result.code })
+    }
+
+    if (!result.success) {
+      return res.status(result.error === 'Build not found' ? 404 : 500).json({ error: result.error })
+    }
+
+    return res.status(201).json({
+      success: true,
+      build: result.build,
+      message: 'Build duplicated successfully'
+    })
+
+  } catch (error) {
+    console.error('Error duplicating build:', error)
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to duplicate build',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+}
@@ -0,0 +1,43 @@
+// pages/api/builds/[buildId]/rename.js
+// API endpoint that renames a saved build
+
+import { requireAuthentication } from '../../../../lib/session-utils'
+import BuildManager from '../../../../lib/build-manager'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { user } = await requireAuthentication(req)
+    const { buildId } = req.query
+    const { name } = req.body || {}
+
+    const buildManager = new BuildManager()
+    const result = await buildManager.renameBuild(user.membershipId, buildId, name)
+
+    if (!result.success) {
+      return res.status(result.error === 'Build not found' ? 404 : 400).json({ error: result.error })
+    }
+
+    return res.status(200).json({
+      success: true,
+      build: result.build,
+      message: 'Build renamed successfully'
+    })
+
+  } catch (error) {
+    console.error('Error renaming build:', error)
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to rename build',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+}
@@ -0,0 +1,52 @@
+// pages/api/builds/[buildId]/revisions.js
+// API endpoint for a saved build's revision history
+// GET lists revisions (or diffs two with ?from=&to=), POST { revision } restores one
+
+import { requireAuthentication } from '../../../../lib/session-utils'
+import BuildManager from '../../../../lib/build-manager'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { user } = await requireAuthentication(req)
+    const { buildId, from, to } = req.query
+    const buildManager = new BuildManager()
+
+    let result
+    if (req.method === 'GET') {
+      result = from
+        ? await buildManager.diffRevisions(user.membershipId, buildId, from, to || 'current')
+        : await buildManager.getRevisions(user.membershipId, buildId)
+    } else {
+      const { revision } = req.body || {}
+      if (!revision) {
+        return res.status(400).json({ error: 'Revision number is required' })
+      }
+
+      result = await buildManager.restoreRevision(user.membershipId, buildId, revision)
+    }
+
+    if (!result.success) {
+      return res.status(404).json({ error: result.error })
+    }
+
+    return res.status(200).json(result)
+
+  } catch (error) {
+    console.error('Error handling build revisions:', error)
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load build revisions',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+}
@@ -0,0 +1,46 @@
+// pages/api/builds/[buildId]/shares.js
+// API endpoint for a saved build's public share links
+// GET lists links with view counts, POST { shareType, permissions, expiresInDays } creates one
+
+import { requireAuthentication } from '../../../../lib/session-utils'
+import BuildManager from '../../../../lib/build-manager'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { user } = await requireAuthentication(req)
+    const { buildId } = req.query
+    const buildManager = new BuildManager()
+
+    if (req.method === 'GET') {
+      const result = await buildManager.getUserShares(user.membershipId, buildId)
+      return res.status(200).json(result)
+    }
+
+    const { shareType, permissions, expiresInDays } = req.body || {}
+    const result = await buildManager.shareBuild(user, buildId, { shareType, permissions, expiresInDays })
+
+    if (!result.success) {
+      return res.status(result.error === 'Build not found' ? 404 : 400).json({ error: result.error })
+    }
+
+    return res.status(201).json(result)
+
+  } catch (error) {
+    console.error('Error handling build share links:', error)
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to handle share links',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+}
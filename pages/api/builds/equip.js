@@ -0,0 +1,76 @@
+// pages/api/builds/equip.js
+// API endpoint that moves a build's items onto a character and equips them (or previews the plan)
+
+import { requireAuthentication, getPrimaryMembershipFromRequest } from '../../../lib/session-utils'
+import BungieAPIService from '../../../lib/bungie-api-service'
+import EquipPlanner from '../../../lib/equip-planner'
+
+const CLASS_TYPES = { titan: 0, hunter: 1, warlock: 2 }
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { accessToken, user } = await requireAuthentication(req)
+    const { build, characterId, dryRun = false } = req.body
+
+    if (!build?.loadout) {
+      return res.status(400).json({ error: 'Build with a loadout is required' })
+    }
+
+    const primaryMembership = await getPrimaryMembershipFromRequest(req)
+    if (!primaryMembership) {
+      return res.status(404).json({ error: 'No Destiny account found' })
+    }
+
+    const bungieAPI = new BungieAPIService()
+    const inventory = await bungieAPI.getCompleteInventory(
+      primaryMembership.membershipType,
+      primaryMembership.membershipId,
+      accessToken
+    )
+
+    const targetCharacterId = characterId ||
+      build.inventory?.characterId ||
+      findCharacterForClass(inventory.characters, build.metadata?.class)
+
+    if (!targetCharacterId) {
+      return res.status(400).json({ error: 'No character available for this build' })
+    }
+
+    console.log(`🎯 ${dryRun ? 'Planning' : 'Equipping'} build for ${user.displayName} on character ${targetCharacterId}`)
+
+    const planner = new EquipPlanner(bungieAPI)
+    const report = await planner.equipBuild(build, inventory, targetCharacterId, accessToken, { dryRun })
+
+    return res.status(200).json({
+      success: report.summary.failed === 0,
+      report
+    })
+
+  } catch (error) {
+    console.error('Error equipping build:', error)
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to equip build',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+}
+
+// Most recently played character of the build's class (any character for class-agnostic builds)
+function findCharacterForClass(characters = [], className) {
+  const classType = CLASS_TYPES[className]
+  const candidates = characters
+    .filter(character => classType === undefined || character.classType === classType)
+    .sort((a, b) => new Date(b.dateLastPlayed || 0) - new Date(a.dateLastPlayed || 0))
+
+  return candidates[0]?.characterId || null
+}
@@ -2,6 +2,8 @@
 // API endpoint for build generation - handles both local and remote generation
 
 import { getSessionFromRequest } from '../../../lib/session-utils'
+import { loadScoringOptions } from '../../../lib/scoring-profile-store'
+import { loadOwnedInventory } from '../../../lib/owned-inventory'
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -94,16 +96,57 @@ export default async function handler(req, res) {
       })
     }
 
+    // Inventory-only builds pick from the signed-in user's own items, loaded here rather than taken from the client
+    let inventory = null
+    if (buildOptions.useInventoryOnly === true) {
+      if (!manifest) {
+        return res.status(503).json({ error: 'Inventory-only builds need the manifest - try again shortly' })
+      }
+      inventory = await loadOwnedInventory(req)
+      if (!inventory) {
+        return res.status(404).json({ error: 'No Destiny account found' })
+      }
+    }
+
+    // Signed-in users are scored with their selected profile - buildOptions.profileId picks another for this request.
+    // Generating only reads profiles, so an unreadable store falls back to the activity's built-in profile
+    let scoring = { profile: buildOptions.profileId }
+    if (session?.user) {
+      try {
+        scoring = await loadScoringOptions(session.user.membershipId, buildOptions.profileId)
+      } catch (error) {
+        console.error('Error loading scoring profiles:', error)
+      }
+    }
+
     // Generate the build
     const result = await buildIntelligence.generateBuild(userInput, {
       includeAlternatives: buildOptions.includeAlternatives !== false,
       detailedAnalysis: buildOptions.detailedAnalysis !== false,
       optimizationSuggestions: buildOptions.optimizationSuggestions !== false,
       useInventoryOnly: buildOptions.useInventoryOnly === true,
+      inventory,
       lockedExotic: buildOptions.lockedExotic || null,
-      userSession: session // Pass session for inventory access if needed
+      userSession: session, // Pass session for inventory access if needed
+      answers: req.body.answers || {},
+      skipClarification: buildOptions.skipClarification === true,
+      profile: scoring.profile,
+      userProfiles: scoring.userProfiles,
+      // 'pareto' ranks alternatives by front across survivability, damage and ability uptime instead of by total
+      rankingMode: buildOptions.rankingMode === 'pareto' ? 'pareto' : 'weighted'
     })
 
+    // Ambiguous request - the client resubmits the same input with the picked answers
+    if (result?.needsClarification) {
+      return res.status(200).json({
+        success: false,
+        needsClarification: true,
+        questions: result.questions,
+        parsedRequest: result.parsedRequest,
+        input: userInput
+      })
+    }
+
     if (!result || result.error) {
       console.log('❌ Build generation failed:', result?.error)
       return res.status(400).json({
@@ -133,6 +176,11 @@ export default async function handler(req, res) {
     res.status(200).json(responseData)
 
   } catch (error) {
+    // Only inventory-only builds need a signed-in user
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({ error: 'Sign in to build from your inventory' })
+    }
+
     console.error('❌ Build generation API error:', error)
     
     res.status(500).json({
@@ -1,5 +1,5 @@
 import { jwtVerify } from 'jose'
-import GitHubStorageService from '../../../lib/github-storage'
+import BuildManager from '../../../lib/build-manager'
 
 const secret = new TextEncoder().encode(process.env.NEXTAUTH_SECRET)
 
@@ -37,11 +37,10 @@ export default async function handler(req, res) {
       // Get all received builds
       console.log(`Loading received builds for user: ${session.user.displayName}`)
 
-      // Initialize GitHub storage service
-      const githubStorage = new GitHubStorageService()
+      const buildManager = new BuildManager()
       
       // Get received builds
-      const receivedBuilds = await githubStorage.getReceivedBuilds(membershipId)
+      const receivedBuilds = await buildManager.getReceivedBuilds(membershipId)
 
       // Categorize builds
       const newBuilds = receivedBuilds.filter(build => build.sharing.status === 'sent')
@@ -74,13 +73,13 @@ export default async function handler(req, res) {
         })
       }
 
-      const githubStorage = new GitHubStorageService()
+      const buildManager = new BuildManager()
 
       switch (action) {
         case 'markViewed':
           console.log(`Marking build as viewed: ${buildId} for user ${session.user.displayName}`)
           
-          const viewResult = await githubStorage.markBuildAsViewed(membershipId, buildId)
+          const viewResult = await buildManager.markBuildViewed(membershipId, buildId)
           
           if (!viewResult.success) {
             return res.status(500).json({ 
@@ -99,7 +98,7 @@ export default async function handler(req, res) {
         case 'delete':
           console.log(`Deleting received build: ${buildId} for user ${session.user.displayName}`)
           
-          const deleteResult = await githubStorage.deleteBuild(membershipId, buildId, 'received')
+          const deleteResult = await buildManager.deleteReceivedBuild(membershipId, buildId)
           
           if (!deleteResult.success) {
             return res.status(500).json({ 
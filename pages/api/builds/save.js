@@ -42,17 +42,23 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Build data is required' })
     }
 
+    const buildManager = new BuildManager()
+
     // Validate build structure
-    if (!build.items || typeof build.items !== 'object') {
-      return res.status(400).json({ error: 'Invalid build structure: items required' })
+    const validationErrors = buildManager.validateBuildData(build)
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: `Invalid build structure: ${validationErrors.join(', ')}` })
     }
 
     const userId = session.user.membershipId
-    const buildManager = new BuildManager()
     
     // Save the build
     const result = await buildManager.saveBuild(userId, build)
     
+    if (result.code === 'BUILD_LIMIT_REACHED') {
+      return res.status(409).json({ error: result.error, code: result.code })
+    }
+
     if (!result.success) {
       return res.status(500).json({ 
         error: 'Failed to save build',
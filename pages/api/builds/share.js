@@ -1,5 +1,5 @@
 import { jwtVerify } from 'jose'
-import GitHubStorageService from '../../../lib/github-storage'
+import BuildManager from '../../../lib/build-manager'
 
 const secret = new TextEncoder().encode(process.env.NEXTAUTH_SECRET)
 
@@ -63,13 +63,14 @@ export default async function handler(req, res) {
       recipient: recipientMembershipId
     })
 
-    // Initialize GitHub storage service
-    const githubStorage = new GitHubStorageService()
+    const buildManager = new BuildManager()
     
     // Share the build
-    const result = await githubStorage.shareBuild(
-      session.user.membershipId,
-      session.user.displayName,
+    const result = await buildManager.sendBuildToFriend(
+      {
+        membershipId: session.user.membershipId,
+        displayName: session.user.displayName
+      },
       recipientMembershipId,
       buildData
     )
@@ -0,0 +1,55 @@
+// pages/api/builds/shared/[shareId].js
+// API endpoint behind public share links
+// GET views the build (no login needed for public links), POST copies it into the viewer's builds, DELETE revokes it (owner only)
+
+import { getUserFromRequest } from '../../../../lib/session-utils'
+import BuildManager from '../../../../lib/build-manager'
+
+const STATUS_BY_CODE = {
+  SHARE_NOT_FOUND: 404,
+  SHARE_REVOKED: 410,
+  SHARE_EXPIRED: 410,
+  AUTH_REQUIRED: 401,
+  FORBIDDEN: 403,
+  BUILD_LIMIT_REACHED: 409
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST', 'DELETE'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { shareId } = req.query
+    const user = await getUserFromRequest(req)
+    const buildManager = new BuildManager()
+
+    if (req.method !== 'GET' && !user) {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    let result
+    if (req.method === 'GET') {
+      result = await buildManager.getSharedBuild(shareId, user)
+    } else if (req.method === 'POST') {
+      result = await buildManager.copySharedBuild(shareId, user)
+    } else {
+      result = await buildManager.revokeShare(user.membershipId, shareId)
+    }
+
+    if (!result.success) {
+      return res.status(STATUS_BY_CODE[result.code] || 500).json({ error: result.error, code: result.code })
+    }
+
+    return res.status(req.method === 'POST' ? 201 : 200).json(result)
+
+  } catch (error) {
+    console.error('Error handling shared build:', error)
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load shared build',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+}
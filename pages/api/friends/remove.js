@@ -1,15 +1,9 @@
 // pages/api/friends/remove.js
 import { jwtVerify } from 'jose'
-import fs from 'fs'
-import path from 'path'
+import { FRIENDS_ERROR_STATUS, friendsError, updateFriendPair } from '../../../lib/friends-store'
 
 const secret = new TextEncoder().encode(process.env.NEXTAUTH_SECRET)
 
-// Use /tmp directory in serverless environment, local data directory otherwise
-const FRIENDS_DIR = process.env.VERCEL ? 
-  '/tmp/friends' : 
-  path.join(process.cwd(), 'data', 'friends')
-
 async function getSessionFromRequest(req) {
   try {
     const token = req.cookies['session-token']
@@ -23,39 +17,6 @@ async function getSessionFromRequest(req) {
   }
 }
 
-function loadUserFriends(userId) {
-  try {
-    if (!fs.existsSync(FRIENDS_DIR)) {
-      fs.mkdirSync(FRIENDS_DIR, { recursive: true })
-    }
-    
-    const filePath = path.join(FRIENDS_DIR, `${userId}.json`)
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf8')
-      return JSON.parse(data)
-    }
-    return { friends: [], pendingRequests: [], sentRequests: [] }
-  } catch (error) {
-    console.error('Error loading friends data:', error)
-    return { friends: [], pendingRequests: [], sentRequests: [] }
-  }
-}
-
-function saveUserFriends(userId, friendsData) {
-  try {
-    if (!fs.existsSync(FRIENDS_DIR)) {
-      fs.mkdirSync(FRIENDS_DIR, { recursive: true })
-    }
-    
-    const filePath = path.join(FRIENDS_DIR, `${userId}.json`)
-    fs.writeFileSync(filePath, JSON.stringify(friendsData, null, 2))
-    return true
-  } catch (error) {
-    console.error('Error saving friends data:', error)
-    return false
-  }
-}
-
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' })
@@ -82,39 +43,18 @@ export default async function handler(req, res) {
 
     console.log(`Removing friendship between ${userId} and ${friendId}`)
 
-    // Load current user's friends data
-    const userFriends = loadUserFriends(userId)
-    
-    // Check if they are actually friends
-    const friendIndex = userFriends.friends?.findIndex(f => f.membershipId === friendId) ?? -1
-    if (friendIndex === -1) {
-      return res.status(404).json({ error: 'User is not in your friends list' })
-    }
-
-    const friendData = userFriends.friends[friendIndex]
-
-    // Remove from current user's friends list
-    userFriends.friends.splice(friendIndex, 1)
-
-    // Load friend's data and remove current user from their friends list
-    const friendFriends = loadUserFriends(friendId)
-    if (!friendFriends.friends) friendFriends.friends = []
-    
-    friendFriends.friends = friendFriends.friends.filter(f => f.membershipId !== userId)
-
-    // Save both users' updated friend data
-    const userSaveSuccess = saveUserFriends(userId, userFriends)
-    const friendSaveSuccess = saveUserFriends(friendId, friendFriends)
-
-    if (!userSaveSuccess || !friendSaveSuccess) {
-      // Try to rollback if one save failed
-      if (userSaveSuccess && !friendSaveSuccess) {
-        userFriends.friends.push(friendData) // Add back to current user's list
-        saveUserFriends(userId, userFriends)
+    let friendData = null
+    await updateFriendPair(userId, userFriends => {
+      // Check if they are actually friends
+      friendData = userFriends.friends.find(f => f.membershipId === friendId)
+      if (!friendData) {
+        throw friendsError('NOT_FOUND', 'User is not in your friends list')
       }
-      
-      return res.status(500).json({ error: 'Failed to remove friend' })
-    }
+      return { ...userFriends, friends: userFriends.friends.filter(f => f.membershipId !== friendId) }
+    }, friendId, friendFriends => ({
+      ...friendFriends,
+      friends: friendFriends.friends.filter(f => f.membershipId !== userId)
+    }))
 
     console.log(`Friendship removed successfully: ${userId} and ${friendId}`)
 
@@ -128,6 +68,10 @@ export default async function handler(req, res) {
     })
 
   } catch (error) {
+    if (FRIENDS_ERROR_STATUS[error.code]) {
+      return res.status(FRIENDS_ERROR_STATUS[error.code]).json({ error: error.message })
+    }
+
     console.error('Error removing friend:', error)
     res.status(500).json({ 
       error: 'Failed to remove friend',
@@ -1,15 +1,9 @@
 // pages/api/friends/respond.js
 import { jwtVerify } from 'jose'
-import fs from 'fs'
-import path from 'path'
+import { FRIENDS_ERROR_STATUS, friendsError, loadUserFriends, updateFriendPair } from '../../../lib/friends-store'
 
 const secret = new TextEncoder().encode(process.env.NEXTAUTH_SECRET)
 
-// Use /tmp directory in serverless environment, local data directory otherwise
-const FRIENDS_DIR = process.env.VERCEL ? 
-  '/tmp/friends' : 
-  path.join(process.cwd(), 'data', 'friends')
-
 async function getSessionFromRequest(req) {
   try {
     const token = req.cookies['session-token']
@@ -23,39 +17,6 @@ async function getSessionFromRequest(req) {
   }
 }
 
-function loadUserFriends(userId) {
-  try {
-    if (!fs.existsSync(FRIENDS_DIR)) {
-      fs.mkdirSync(FRIENDS_DIR, { recursive: true })
-    }
-    
-    const filePath = path.join(FRIENDS_DIR, `${userId}.json`)
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf8')
-      return JSON.parse(data)
-    }
-    return { friends: [], pendingRequests: [], sentRequests: [] }
-  } catch (error) {
-    console.error('Error loading friends data:', error)
-    return { friends: [], pendingRequests: [], sentRequests: [] }
-  }
-}
-
-function saveUserFriends(userId, friendsData) {
-  try {
-    if (!fs.existsSync(FRIENDS_DIR)) {
-      fs.mkdirSync(FRIENDS_DIR, { recursive: true })
-    }
-    
-    const filePath = path.join(FRIENDS_DIR, `${userId}.json`)
-    fs.writeFileSync(filePath, JSON.stringify(friendsData, null, 2))
-    return true
-  } catch (error) {
-    console.error('Error saving friends data:', error)
-    return false
-  }
-}
-
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' })
@@ -78,66 +39,55 @@ export default async function handler(req, res) {
 
     console.log(`Responding to friend request ${requestId}: ${accept ? 'accept' : 'decline'}`)
 
-    // Load user's friends data
-    const userFriends = loadUserFriends(userId)
-    
-    // Find the pending request
-    const requestIndex = userFriends.pendingRequests?.findIndex(r => r.id === requestId) ?? -1
-    if (requestIndex === -1) {
+    // Find the pending request - the update below checks again in case another response got there first
+    const { pendingRequests } = await loadUserFriends(userId)
+    const request = pendingRequests.find(r => r.id === requestId)
+    if (!request) {
       return res.status(404).json({ error: 'Friend request not found' })
     }
 
-    const request = userFriends.pendingRequests[requestIndex]
     const requesterId = request.requesterId
-
-    // Remove from pending requests
-    userFriends.pendingRequests.splice(requestIndex, 1)
-
-    let requesterFriends = loadUserFriends(requesterId)
+    const currentTime = new Date().toISOString()
+
+    await updateFriendPair(userId, userFriends => {
+      if (!userFriends.pendingRequests.some(r => r.id === requestId)) {
+        throw friendsError('NOT_FOUND', 'Friend request not found')
+      }
+
+      const updated = { ...userFriends, pendingRequests: userFriends.pendingRequests.filter(r => r.id !== requestId) }
+      if (accept) {
+        // Add requester to current user's friends
+        updated.friends = [...userFriends.friends, {
+          membershipId: requesterId,
+          displayName: request.requesterName,
+          displayNameCode: request.requesterCode || '',
+          addedAt: currentTime,
+          isOnline: false // We'd need to check this via API
+        }]
+      }
+      return updated
+    }, requesterId, requesterFriends => {
+      // Remove from requester's sent requests
+      const updated = { ...requesterFriends, sentRequests: requesterFriends.sentRequests.filter(r => r.targetUserId !== userId) }
+      if (accept) {
+        // Add current user to requester's friends list
+        updated.friends = [...requesterFriends.friends, {
+          membershipId: userId,
+          displayName: session.user.displayName,
+          displayNameCode: session.user.displayNameCode || '',
+          addedAt: currentTime,
+          isOnline: false
+        }]
+      }
+      return updated
+    })
 
     if (accept) {
-      // Add to both users' friends lists
-      const currentTime = new Date().toISOString()
-      
-      // Add requester to current user's friends
-      if (!userFriends.friends) userFriends.friends = []
-      userFriends.friends.push({
-        membershipId: requesterId,
-        displayName: request.requesterName,
-        displayNameCode: request.requesterCode || '',
-        addedAt: currentTime,
-        isOnline: false // We'd need to check this via API
-      })
-      
-      // Add current user to requester's friends list
-      if (!requesterFriends.friends) requesterFriends.friends = []
-      requesterFriends.friends.push({
-        membershipId: userId,
-        displayName: session.user.displayName,
-        displayNameCode: session.user.displayNameCode || '',
-        addedAt: currentTime,
-        isOnline: false
-      })
-
       console.log(`Friend request accepted: ${requesterId} and ${userId} are now friends`)
     } else {
       console.log(`Friend request declined: ${requesterId} -> ${userId}`)
     }
 
-    // Remove from requester's sent requests
-    if (!requesterFriends.sentRequests) requesterFriends.sentRequests = []
-    requesterFriends.sentRequests = requesterFriends.sentRequests.filter(
-      r => r.targetUserId !== userId
-    )
-
-    // Save both users' friend data
-    const userSaveSuccess = saveUserFriends(userId, userFriends)
-    const requesterSaveSuccess = saveUserFriends(requesterId, requesterFriends)
-
-    if (!userSaveSuccess || !requesterSaveSuccess) {
-      return res.status(500).json({ error: 'Failed to save friend data' })
-    }
-
     res.status(200).json({ 
       success: true,
       message: accept ? 'Friend request accepted' : 'Friend request declined',
@@ -145,6 +95,10 @@ export default async function handler(req, res) {
     })
 
   } catch (error) {
+    if (FRIENDS_ERROR_STATUS[error.code]) {
+      return res.status(FRIENDS_ERROR_STATUS[error.code]).json({ error: error.message })
+    }
+
     console.error('Error responding to friend request:', error)
     res.status(500).json({ 
       error: 'Failed to respond to friend request',
@@ -1,15 +1,9 @@
 // pages/api/friends/search.js
 import { jwtVerify } from 'jose'
-import fs from 'fs'
-import path from 'path'
+import { loadUserFriends } from '../../../lib/friends-store'
 
 const secret = new TextEncoder().encode(process.env.NEXTAUTH_SECRET)
 
-// Use /tmp directory in serverless environment, local data directory otherwise
-const FRIENDS_DIR = process.env.VERCEL ? 
-  '/tmp/friends' : 
-  path.join(process.cwd(), 'data', 'friends')
-
 async function getSessionFromRequest(req) {
   try {
     const token = req.cookies['session-token']
@@ -23,24 +17,6 @@ async function getSessionFromRequest(req) {
   }
 }
 
-function loadUserFriends(userId) {
-  try {
-    if (!fs.existsSync(FRIENDS_DIR)) {
-      fs.mkdirSync(FRIENDS_DIR, { recursive: true })
-    }
-    
-    const filePath = path.join(FRIENDS_DIR, `${userId}.json`)
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf8')
-      return JSON.parse(data)
-    }
-    return { friends: [], pendingRequests: [], sentRequests: [] }
-  } catch (error) {
-    console.error('Error loading friends data:', error)
-    return { friends: [], pendingRequests: [], sentRequests: [] }
-  }
-}
-
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' })
@@ -107,7 +83,7 @@ export default async function handler(req, res) {
     const filteredUsers = users.filter(user => user.membershipId !== session.user.membershipId)
 
     // Check which users are already friends or have pending requests
-    const currentUserFriends = loadUserFriends(session.user.membershipId)
+    const currentUserFriends = await loadUserFriends(session.user.membershipId)
     const friendIds = new Set(currentUserFriends.friends?.map(f => f.membershipId) || [])
     const sentRequestIds = new Set(currentUserFriends.sentRequests?.map(r => r.targetUserId) || [])
 
@@ -2,6 +2,8 @@
 // Updated API endpoint using Enhanced Build Intelligence system with GitHub cached manifest
 
 import { getSessionFromRequest } from '../../lib/session-utils'
+import { loadScoringOptions } from '../../lib/scoring-profile-store'
+import { loadOwnedInventory } from '../../lib/owned-inventory'
 
 let buildIntelligence = null
 let lastManifestVersion = null
@@ -76,7 +78,7 @@ export default async function handler(req, res) {
     await initializeIntelligence(manifest)
 
     // Extract input data from request
-    const { input, preferences, constraints, buildOptions } = req.body
+    const { input, preferences, constraints, buildOptions, answers } = req.body
 
     if (!input || typeof input !== 'string') {
       return res.status(400).json({ 
@@ -94,7 +96,8 @@ export default async function handler(req, res) {
       analysis = await buildIntelligence.analyzeRequest(input, {
         userPreferences: preferences || {},
         constraints: constraints || {},
-        userSession: session
+        userSession: session,
+        answers: answers || {}
       })
     } catch (parseError) {
       console.error('Request analysis failed:', parseError)
@@ -119,14 +122,53 @@ export default async function handler(req, res) {
       element: analysis.parsedRequest?.element
     })
 
+    // Ambiguous requests get follow-up questions - the client resubmits the same input with the picked answers
+    if (analysis.questions?.length > 0 && !buildOptions?.skipClarification) {
+      return res.status(200).json({
+        success: false,
+        needsClarification: true,
+        questions: analysis.questions,
+        analysis: {
+          originalInput: input,
+          parsedRequest: analysis.parsedRequest,
+          confidence: analysis.confidence
+        }
+      })
+    }
+
+    // Inventory-only builds pick from the signed-in user's own items, loaded here rather than taken from the client
+    let inventory = null
+    if (buildOptions?.useInventoryOnly === true) {
+      inventory = await loadOwnedInventory(req)
+      if (!inventory) {
+        return res.status(404).json({ error: 'No Destiny account found' })
+      }
+    }
+
+    // Signed-in users are scored with their selected profile - buildOptions.profileId picks another for this request.
+    // Generating only reads profiles, so an unreadable store falls back to the activity's built-in profile
+    let scoring = { profile: buildOptions?.profileId }
+    if (session?.user) {
+      try {
+        scoring = await loadScoringOptions(session.user.membershipId, buildOptions?.profileId)
+      } catch (error) {
+        console.error('Error loading scoring profiles:', error)
+      }
+    }
+
     // Generate the intelligent build using enhanced system
     const buildResult = await buildIntelligence.generateBuild(analysis.parsedRequest, {
       includeAlternatives: buildOptions?.includeAlternatives !== false,
       detailedAnalysis: buildOptions?.detailedAnalysis !== false,
       optimizationSuggestions: buildOptions?.optimizationSuggestions !== false,
       useInventoryOnly: buildOptions?.useInventoryOnly === true,
+      inventory,
       lockedExotic: buildOptions?.lockedExotic || null,
-      userSession: session
+      userSession: session,
+      skipClarification: true,
+      profile: scoring.profile,
+      userProfiles: scoring.userProfiles,
+      rankingMode: buildOptions?.rankingMode === 'pareto' ? 'pareto' : 'weighted'
     })
 
     if (!buildResult || buildResult.error) {
@@ -153,6 +195,7 @@ export default async function handler(req, res) {
         generatedAt: new Date().toISOString(),
         manifestVersion: manifest.version,
         intelligenceVersion: buildIntelligence.version || '2.0.0',
+        scoringVersion: buildResult.scoring?.pipelineVersion || null,
         authenticated: !!session?.user,
         processingTime: Date.now() // Will be updated at end
       }
@@ -167,6 +210,11 @@ export default async function handler(req, res) {
     res.status(200).json(response)
 
   } catch (error) {
+    // Only inventory-only builds need a signed-in user
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({ error: 'Sign in to build from your inventory' })
+    }
+
     console.error('❌ Intelligence build API error:', error)
     
     res.status(500).json({
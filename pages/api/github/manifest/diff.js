@@ -0,0 +1,43 @@
+// pages/api/github/manifest/diff.js
+// Returns the changes recorded for a manifest version pair (?from=&to=), the most recent by default, and the list of recorded pairs
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { getGitHubStorage } = await import('../../../../lib/github-storage')
+    const githubStorage = getGitHubStorage()
+
+    const { from, to } = req.query
+    const [diff, history] = await Promise.all([
+      githubStorage.loadManifestDiff(from, to),
+      githubStorage.listManifestDiffs()
+    ])
+
+    if (!diff) {
+      return res.status(404).json({
+        available: false,
+        message: from && to ? `No manifest changes recorded for ${from} -> ${to}` : 'No manifest changes recorded yet',
+        suggestion: 'A diff is recorded the next time a new manifest version is pulled',
+        history
+      })
+    }
+
+    return res.status(200).json({
+      available: true,
+      diff,
+      history
+    })
+
+  } catch (error) {
+    console.error('Error loading manifest diff:', error)
+
+    return res.status(500).json({
+      available: false,
+      error: 'Failed to load manifest diff',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+}
@@ -0,0 +1,44 @@
+// pages/api/inventory/owned.js
+// API endpoint returning the signed-in user's complete inventory for inventory-only build generation
+
+import { loadOwnedInventory } from '../../../lib/owned-inventory'
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const inventory = await loadOwnedInventory(req)
+
+    if (!inventory) {
+      return res.status(404).json({ error: 'No Destiny account found' })
+    }
+
+    // Plug states are only needed for the full inventory page - drop them to keep the payload small
+    const { plugStates, ...itemComponents } = inventory.itemComponents
+
+    res.setHeader('Cache-Control', 'private, max-age=60')
+    return res.status(200).json({
+      success: true,
+      inventory: {
+        ...inventory,
+        itemComponents
+      },
+      loadedAt: new Date().toISOString()
+    })
+
+  } catch (error) {
+    console.error('Error loading owned inventory:', error)
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load inventory',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+}
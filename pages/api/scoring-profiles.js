@@ -0,0 +1,74 @@
+// pages/api/scoring-profiles.js
+// API endpoint for scoring profiles
+// GET lists built-in and saved profiles, POST { profile } creates or updates one, PUT { profileId } selects the one
+// generated builds are scored with, DELETE ?id= removes one
+
+import { requireAuthentication } from '../../lib/session-utils'
+import { BUILT_IN_PROFILES } from '../../lib/scoring-profiles'
+import { loadScoringOptions, saveUserProfile, selectUserProfile, deleteUserProfile } from '../../lib/scoring-profile-store'
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'POST', 'PUT', 'DELETE'])
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const { user } = await requireAuthentication(req)
+    const userId = user.membershipId
+
+    if (req.method === 'GET') {
+      // Listing is read-only, so an unreadable store can safely show as no saved profiles
+      let scoring = { profile: undefined, userProfiles: [] }
+      try {
+        scoring = await loadScoringOptions(userId)
+      } catch (error) {
+        console.error('Error loading scoring profiles:', error)
+      }
+      return res.status(200).json({
+        builtIn: Object.values(BUILT_IN_PROFILES),
+        profiles: scoring.userProfiles,
+        selectedProfileId: scoring.profile || null
+      })
+    }
+
+    if (req.method === 'PUT') {
+      const { profileId = null } = req.body || {}
+      const selected = await selectUserProfile(userId, profileId)
+      if (!selected) {
+        return res.status(404).json({ error: 'Scoring profile not found' })
+      }
+      return res.status(200).json({ success: true, selectedProfileId: profileId })
+    }
+
+    if (req.method === 'DELETE') {
+      const removed = await deleteUserProfile(userId, req.query.id)
+      if (!removed) {
+        return res.status(404).json({ error: 'Scoring profile not found' })
+      }
+      return res.status(200).json({ success: true })
+    }
+
+    const { profile } = req.body || {}
+    const result = await saveUserProfile(userId, profile)
+
+    if (!result.success) {
+      return res.status(400).json({ error: 'Invalid scoring profile', details: result.errors })
+    }
+
+    return res.status(200).json(result)
+
+  } catch (error) {
+    console.error('Error handling scoring profiles:', error)
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({ error: 'Authentication required' })
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to handle scoring profiles',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+}
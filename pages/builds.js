@@ -1,10 +1,15 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useContext } from 'react'
 import { useRouter } from 'next/router'
 import { useAuth } from '../lib/useAuth'
+import { AppContext } from './_app'
 import BuildDisplay from '../components/BuildDisplay'
+import { setSlotItem, resolveBuildItems } from '../lib/build-diff'
+import { encodeBuildCode, validateBuildCode } from '../lib/build-code'
+import { exportDimLoadout, importDimLoadout, getDimLoadouts } from '../lib/dim-loadout'
 
 export default function BuildsPage() {
   const { session, isLoading } = useAuth()
+  const { manifest } = useContext(AppContext)
   const [builds, setBuilds] = useState([])
   const [selectedBuild, setSelectedBuild] = useState(null)
   const [isLoadingBuilds, setIsLoadingBuilds] = useState(false)
@@ -12,6 +17,15 @@ export default function BuildsPage() {
   const [searchTerm, setSearchTerm] = useState('')
   const [sortBy, setSortBy] = useState('newest')
   const [filterBy, setFilterBy] = useState('all')
+  const [revisions, setRevisions] = useState([])
+  const [revisionDiff, setRevisionDiff] = useState(null)
+  const [shares, setShares] = useState([])
+  const [shareOptions, setShareOptions] = useState({ shareType: 'public', expiresInDays: 30, allowCopy: false })
+  const [showImport, setShowImport] = useState(false)
+  const [importText, setImportText] = useState('')
+  const [isImporting, setIsImporting] = useState(false)
+  const [copiedKey, setCopiedKey] = useState(null)
+  const [mappingReport, setMappingReport] = useState(null)
   const router = useRouter()
 
   useEffect(() => {
@@ -20,6 +34,25 @@ export default function BuildsPage() {
     }
   }, [session])
 
+  // Links like /builds?import=<code> open the import panel pre-filled
+  useEffect(() => {
+    if (typeof router.query.import === 'string') {
+      setImportText(router.query.import)
+      setShowImport(true)
+    }
+  }, [router.query.import])
+
+  useEffect(() => {
+    setRevisionDiff(null)
+    if (selectedBuild?.id) {
+      loadRevisions(selectedBuild.id)
+      loadShares(selectedBuild.id)
+    } else {
+      setRevisions([])
+      setShares([])
+    }
+  }, [selectedBuild?.id])
+
   const loadUserBuilds = async () => {
     setIsLoadingBuilds(true)
     setError(null)
@@ -177,35 +210,339 @@ export default function BuildsPage() {
 
   const duplicateBuild = async (build) => {
     try {
-      const duplicatedBuild = {
-        ...build.build,
-        name: `${build.name} (Copy)`,
-        description: `Copy of ${build.description}`
+      const response = await fetch(`/api/builds/${build.id}/duplicate`, {
+        method: 'POST',
+        credentials: 'include'
+      })
+
+      if (response.ok) {
+        await loadUserBuilds() // Refresh builds list
+        console.log('Build duplicated successfully')
+      } else {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.error || 'Failed to duplicate build')
       }
+    } catch (error) {
+      console.error('Error duplicating build:', error)
+      setError(error.message)
+    }
+  }
 
-      const response = await fetch('/api/build', {
+  const renameBuild = async (build) => {
+    const name = prompt('New name for this build:', build.name)
+    if (!name || name.trim() === build.name) {
+      return
+    }
+
+    try {
+      const response = await fetch(`/api/builds/${build.id}/rename`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         credentials: 'include',
-        body: JSON.stringify({
-          build: duplicatedBuild,
-          name: duplicatedBuild.name,
-          description: duplicatedBuild.description,
-          tags: build.tags
-        })
+        body: JSON.stringify({ name })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to rename build')
+      }
+
+      replaceBuild(data.build)
+    } catch (error) {
+      console.error('Error renaming build:', error)
+      setError(error.message)
+    }
+  }
+
+  // Swap an updated record into the list (and the open view)
+  const replaceBuild = (updatedBuild) => {
+    setBuilds(prev => prev.map(build => build.id === updatedBuild.id ? updatedBuild : build))
+    setSelectedBuild(prev => prev?.id === updatedBuild.id ? updatedBuild : prev)
+  }
+
+  const loadRevisions = async (buildId) => {
+    try {
+      const response = await fetch(`/api/builds/${buildId}/revisions`, {
+        credentials: 'include'
       })
 
       if (response.ok) {
-        await loadUserBuilds() // Refresh builds list
-        console.log('Build duplicated successfully')
+        const data = await response.json()
+        setRevisions(data.revisions || [])
       } else {
-        throw new Error('Failed to duplicate build')
+        setRevisions([])
       }
     } catch (error) {
-      console.error('Error duplicating build:', error)
-      setError('Failed to duplicate build')
+      console.error('Error loading revisions:', error)
+      setRevisions([])
+    }
+  }
+
+  const loadShares = async (buildId) => {
+    try {
+      const response = await fetch(`/api/builds/${buildId}/shares`, {
+        credentials: 'include'
+      })
+
+      if (response.ok) {
+        const data = await response.json()
+        setShares(data.shares || [])
+      } else {
+        setShares([])
+      }
+    } catch (error) {
+      console.error('Error loading share links:', error)
+      setShares([])
+    }
+  }
+
+  const createShare = async () => {
+    try {
+      const response = await fetch(`/api/builds/${selectedBuild.id}/shares`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          shareType: shareOptions.shareType,
+          expiresInDays: shareOptions.expiresInDays,
+          permissions: shareOptions.allowCopy ? ['view', 'copy'] : ['view']
+        })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create share link')
+      }
+
+      await loadShares(selectedBuild.id)
+    } catch (error) {
+      console.error('Error creating share link:', error)
+      setError(error.message)
+    }
+  }
+
+  const revokeShare = async (shareId) => {
+    if (!confirm('Revoke this link? Anyone using it will no longer see the build.')) {
+      return
+    }
+
+    try {
+      const response = await fetch(`/api/builds/shared/${shareId}`, {
+        method: 'DELETE',
+        credentials: 'include'
+      })
+
+      if (!response.ok) {
+        const data = await response.json()
+        throw new Error(data.error || 'Failed to revoke share link')
+      }
+
+      await loadShares(selectedBuild.id)
+    } catch (error) {
+      console.error('Error revoking share link:', error)
+      setError(error.message)
+    }
+  }
+
+  // Item swaps in BuildDisplay are saved straight away as a new revision
+  const handleBuildEdit = async (slot, item) => {
+    try {
+      const response = await fetch('/api/build', {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          buildId: selectedBuild.id,
+          build: setSlotItem(selectedBuild.build, slot, item),
+          message: item ? `Changed ${slot} to ${item.name}` : `Cleared ${slot}`
+        })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save build changes')
+      }
+
+      replaceBuild(data.build)
+      await loadRevisions(data.build.id)
+    } catch (error) {
+      console.error('Error saving build changes:', error)
+      setError(error.message)
+    }
+  }
+
+  const compareRevision = async (revision) => {
+    try {
+      const response = await fetch(`/api/builds/${selectedBuild.id}/revisions?from=${revision}&to=current`, {
+        credentials: 'include'
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to compare revisions')
+      }
+
+      setRevisionDiff(data)
+    } catch (error) {
+      console.error('Error comparing revisions:', error)
+      setError(error.message)
+    }
+  }
+
+  const restoreRevision = async (revision) => {
+    if (!confirm(`Restore revision ${revision}? Your current version stays in the history.`)) {
+      return
+    }
+
+    try {
+      const response = await fetch(`/api/builds/${selectedBuild.id}/revisions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ revision })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to restore revision')
+      }
+
+      replaceBuild(data.build)
+      setRevisionDiff(null)
+      await loadRevisions(data.build.id)
+    } catch (error) {
+      console.error('Error restoring revision:', error)
+      setError(error.message)
+    }
+  }
+
+  const copyBuildCode = async (build) => {
+    try {
+      const code = encodeBuildCode({
+        ...build.build,
+        metadata: { ...build.build?.metadata, name: build.name }
+      })
+      await navigator.clipboard.writeText(code)
+      setCopiedKey(`${build.id}-code`)
+      setTimeout(() => setCopiedKey(null), 2000)
+    } catch (error) {
+      console.error('Error copying build code:', error)
+      setError('Failed to copy build code')
+    }
+  }
+
+  const exportToDim = async (build) => {
+    try {
+      const { loadout, unmapped } = exportDimLoadout(build.build || {}, {
+        manifest: manifest?.data,
+        name: build.name,
+        notes: build.description
+      })
+      await navigator.clipboard.writeText(JSON.stringify(loadout, null, 2))
+      setCopiedKey(`${build.id}-dim`)
+      setTimeout(() => setCopiedKey(null), 2000)
+      setMappingReport(unmapped.length > 0
+        ? { title: `DIM loadout for ${build.name} copied - some parts couldn't be mapped`, items: unmapped }
+        : null)
+    } catch (error) {
+      console.error('Error exporting DIM loadout:', error)
+      setError('Failed to export DIM loadout')
+    }
+  }
+
+  // Turn pasted text into builds: DIM loadout JSON, or one build code per line
+  const parseImportText = (text) => {
+    const trimmed = text.trim()
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      let data
+      try {
+        data = JSON.parse(trimmed)
+      } catch (error) {
+        return { error: 'Pasted JSON could not be parsed' }
+      }
+
+      const loadouts = getDimLoadouts(data)
+      if (!loadouts) {
+        return { error: 'Only DIM loadout JSON can be imported here' }
+      }
+
+      const imported = loadouts.map(loadout => importDimLoadout(loadout, { manifest: manifest?.data }))
+      return {
+        builds: imported.map(entry => entry.build),
+        unmapped: imported.flatMap(entry => entry.unmapped)
+      }
+    }
+
+    const codes = trimmed.split(/\s+/).filter(Boolean)
+    if (codes.length === 0) {
+      return { error: 'Paste a build code or DIM loadout' }
+    }
+
+    const decoded = codes.map(code => validateBuildCode(code))
+    const invalidIndex = decoded.findIndex(result => !result.valid)
+    if (invalidIndex !== -1) {
+      return { error: codes.length > 1 ? `Build code ${invalidIndex + 1}: ${decoded[invalidIndex].error}` : decoded[invalidIndex].error }
+    }
+
+    // Build codes only carry hashes - the manifest (when loaded) fills in item names before saving
+    const itemDefinitions = manifest?.data?.DestinyInventoryItemDefinition || {}
+    return {
+      builds: decoded.map(result => resolveBuildItems(result.build, itemDefinitions)),
+      unmapped: []
+    }
+  }
+
+  const importBuilds = async () => {
+    const { builds: imported, unmapped, error: parseError } = parseImportText(importText)
+    if (parseError) {
+      setError(parseError)
+      return
+    }
+
+    setIsImporting(true)
+    setError(null)
+
+    try {
+      for (const build of imported) {
+        const response = await fetch('/api/build', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          credentials: 'include',
+          body: JSON.stringify({
+            build,
+            name: build.metadata.name,
+            tags: ['imported']
+          })
+        })
+
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}))
+          throw new Error(data.error || 'Failed to save imported build')
+        }
+      }
+
+      setImportText('')
+      setShowImport(false)
+      setMappingReport(unmapped.length > 0
+        ? { title: `Imported ${imported.length} build${imported.length === 1 ? '' : 's'} - some items couldn't be mapped`, items: unmapped }
+        : null)
+      await loadUserBuilds()
+    } catch (error) {
+      console.error('Error importing builds:', error)
+      setError(error.message)
+    } finally {
+      setIsImporting(false)
     }
   }
 
@@ -317,6 +654,24 @@ export default function BuildsPage() {
           >
             View Build
           </button>
+          <button 
+            onClick={() => renameBuild(build)}
+            className="action-btn secondary"
+          >
+            Rename
+          </button>
+          <button 
+            onClick={() => copyBuildCode(build)}
+            className="action-btn secondary"
+          >
+            {copiedKey === `${build.id}-code` ? 'Copied!' : 'Copy Code'}
+          </button>
+          <button 
+            onClick={() => exportToDim(build)}
+            className="action-btn secondary"
+          >
+            {copiedKey === `${build.id}-dim` ? 'Copied!' : 'Export to DIM'}
+          </button>
           <button 
             onClick={() => duplicateBuild(build)}
             className="action-btn secondary"
@@ -363,10 +718,166 @@ export default function BuildsPage() {
   if (selectedBuild) {
     return (
       <div className="builds-page">
+        <div className="build-actions">
+          <button 
+            onClick={() => setSelectedBuild(null)}
+            className="action-btn secondary"
+          >
+            ← Back to My Builds
+          </button>
+          <button 
+            onClick={() => renameBuild(selectedBuild)}
+            className="action-btn secondary"
+          >
+            Rename
+          </button>
+        </div>
+
+        {error && (
+          <div className="error-banner">
+            <span>⚠️ {error}</span>
+            <button onClick={() => setError(null)}>×</button>
+          </div>
+        )}
+
         <BuildDisplay 
           build={selectedBuild.build}
-          onNewSearch={() => setSelectedBuild(null)}
+          onItemChange={(index, slot, item) => handleBuildEdit(slot, item)}
         />
+
+        <div className="build-shares">
+          <h3>Share Links</h3>
+          <div className="share-options">
+            <select 
+              value={shareOptions.shareType}
+              onChange={(e) => setShareOptions(prev => ({ ...prev, shareType: e.target.value }))}
+              className="filter-select"
+            >
+              <option value="public">Anyone with the link</option>
+              <option value="signed-in">Signed-in Guardians</option>
+              <option value="friends">Friends only</option>
+            </select>
+            <select 
+              value={shareOptions.expiresInDays ?? 'never'}
+              onChange={(e) => setShareOptions(prev => ({
+                ...prev,
+                expiresInDays: e.target.value === 'never' ? null : Number(e.target.value)
+              }))}
+              className="filter-select"
+            >
+              <option value="1">Expires in 1 day</option>
+              <option value="7">Expires in 7 days</option>
+              <option value="30">Expires in 30 days</option>
+              <option value="never">Never expires</option>
+            </select>
+            <label className="share-copy-option">
+              <input
+                type="checkbox"
+                checked={shareOptions.allowCopy}
+                onChange={(e) => setShareOptions(prev => ({ ...prev, allowCopy: e.target.checked }))}
+              />
+              Allow copying
+            </label>
+            <button onClick={createShare} className="action-btn primary">
+              Create Link
+            </button>
+          </div>
+
+          {shares.length === 0 ? (
+            <p className="no-revisions">This build has not been shared yet.</p>
+          ) : (
+            <ul className="revision-list">
+              {shares.map(share => (
+                <li key={share.shareId} className={`revision-item share-${share.status}`}>
+                  <div className="revision-header">
+                    <a href={share.shareUrl} target="_blank" rel="noreferrer" className="share-url">
+                      {share.shareUrl}
+                    </a>
+                    <span className="share-status">{share.status}</span>
+                  </div>
+                  <p className="revision-date">
+                    {share.shareType} · {share.permissions.join(', ')} · {share.views} view{share.views === 1 ? '' : 's'}
+                    {share.lastViewedAt && ` · last viewed ${formatDate(share.lastViewedAt)}`}
+                    {' · '}{share.expiresAt ? `expires ${formatDate(share.expiresAt)}` : 'never expires'}
+                  </p>
+                  {share.status === 'active' && (
+                    <div className="build-actions">
+                      <button 
+                        onClick={() => navigator.clipboard?.writeText(share.shareUrl)}
+                        className="action-btn secondary"
+                      >
+                        Copy Link
+                      </button>
+                      <button 
+                        onClick={() => revokeShare(share.shareId)}
+                        className="action-btn danger"
+                      >
+                        Revoke
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="build-revisions">
+          <h3>Revision History</h3>
+          {revisions.length === 0 ? (
+            <p className="no-revisions">No revisions recorded yet.</p>
+          ) : (
+            <ul className="revision-list">
+              {revisions.map(revision => (
+                <li key={`${revision.revision}-${revision.createdAt}`} className="revision-item">
+                  <div className="revision-header">
+                    <span className="revision-number">Revision {revision.revision}</span>
+                    <span className="revision-date">{formatDate(revision.createdAt)}</span>
+                  </div>
+                  <p className="revision-message">{revision.message}</p>
+                  {revision.changes?.length > 0 && (
+                    <ul className="revision-changes">
+                      {revision.changes.map(change => (
+                        <li key={change}>{change}</li>
+                      ))}
+                    </ul>
+                  )}
+                  {revision.revision !== (selectedBuild.revision || 1) && (
+                    <div className="build-actions">
+                      <button 
+                        onClick={() => compareRevision(revision.revision)}
+                        className="action-btn secondary"
+                      >
+                        Compare with current
+                      </button>
+                      <button 
+                        onClick={() => restoreRevision(revision.revision)}
+                        className="action-btn primary"
+                      >
+                        Restore
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {revisionDiff && (
+            <div className="revision-diff">
+              <h4>Revision {revisionDiff.from} → current (revision {revisionDiff.to})</h4>
+              {revisionDiff.diff.hasChanges ? (
+                <ul className="revision-changes">
+                  {revisionDiff.diff.summary.map(change => (
+                    <li key={change}>{change}</li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="no-revisions">No differences.</p>
+              )}
+            </div>
+          )}
+        </div>
       </div>
     )
   }
@@ -386,9 +897,42 @@ export default function BuildsPage() {
           >
             + Create New Build
           </button>
+          <button 
+            onClick={() => setShowImport(!showImport)}
+            className="action-btn secondary"
+          >
+            Import Build
+          </button>
         </div>
       </div>
 
+      {showImport && (
+        <div className="build-import">
+          <textarea
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            placeholder="Paste build codes (one per line) or a DIM loadout"
+            rows={3}
+            className="build-import-input"
+          />
+          <div className="build-actions">
+            <button 
+              onClick={importBuilds}
+              disabled={isImporting}
+              className="action-btn primary"
+            >
+              {isImporting ? 'Importing...' : 'Import'}
+            </button>
+            <button 
+              onClick={() => setShowImport(false)}
+              className="action-btn secondary"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Controls */}
       <div className="builds-controls">
         <div className="search-controls">
@@ -447,6 +991,22 @@ export default function BuildsPage() {
         </div>
       )}
 
+      {mappingReport && (
+        <div className="mapping-report">
+          <div className="mapping-report-header">
+            <span>{mappingReport.title}</span>
+            <button onClick={() => setMappingReport(null)}>×</button>
+          </div>
+          <ul className="revision-changes">
+            {mappingReport.items.map((item, index) => (
+              <li key={index}>
+                {item.name || item.hash}{item.slot ? ` (${item.slot})` : ''}: {item.reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Builds List */}
       <div className="builds-content">
         {isLoadingBuilds ? (
@@ -0,0 +1,148 @@
+// pages/builds/shared/[shareId].js
+// Read-only view of a build shared by link - public links work without signing in
+
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import Head from 'next/head'
+import { useAuth } from '../../../lib/useAuth'
+import BuildDisplay from '../../../components/BuildDisplay'
+
+export default function SharedBuildPage() {
+  const { session, isLoading: isAuthLoading } = useAuth()
+  const router = useRouter()
+  const { shareId } = router.query
+  const [shared, setShared] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [copyStatus, setCopyStatus] = useState(null)
+
+  // Wait for the session - signed-in and friends-only links depend on it, and each load counts a view
+  useEffect(() => {
+    if (shareId && !isAuthLoading) {
+      loadSharedBuild()
+    }
+  }, [shareId, isAuthLoading, session?.user?.membershipId])
+
+  const loadSharedBuild = async () => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      const response = await fetch(`/api/builds/shared/${shareId}`, {
+        credentials: 'include'
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        setShared(null)
+        setError({ message: data.error || 'Failed to load shared build', code: data.code })
+        return
+      }
+
+      setShared(data)
+    } catch (error) {
+      console.error('Error loading shared build:', error)
+      setError({ message: 'Failed to load shared build' })
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const copyToMyBuilds = async () => {
+    setCopyStatus('saving')
+
+    try {
+      const response = await fetch(`/api/builds/shared/${shareId}`, {
+        method: 'POST',
+        credentials: 'include'
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to copy build')
+      }
+
+      setCopyStatus('saved')
+    } catch (error) {
+      console.error('Error copying shared build:', error)
+      setCopyStatus(null)
+      setError({ message: error.message })
+    }
+  }
+
+  if (isLoading) {
+    return (
+      <div className="loading-screen">
+        <div className="loading-spinner"></div>
+        <p>Loading shared build...</p>
+      </div>
+    )
+  }
+
+  if (!shared) {
+    return (
+      <div className="auth-required">
+        <div className="auth-container">
+          <h1>Build Unavailable</h1>
+          <p>{error?.message || 'This shared build could not be found.'}</p>
+          {error?.code === 'AUTH_REQUIRED' && (
+            <button 
+              className="bungie-login-btn"
+              onClick={() => window.location.href = '/api/auth/bungie-login'}
+            >
+              Sign in with Bungie.net
+            </button>
+          )}
+        </div>
+      </div>
+    )
+  }
+
+  const { build, share } = shared
+
+  return (
+    <div className="builds-page">
+      <Head>
+        <title>{build.name} - Casting Destiny</title>
+        <meta name="description" content={build.description} />
+      </Head>
+
+      <div className="page-header">
+        <h1>{build.name}</h1>
+        <p>{build.description}</p>
+        <p className="build-subtitle">
+          Shared by {share.ownerName} · Revision {build.revision} · {share.views} view{share.views === 1 ? '' : 's'}
+        </p>
+
+        <div className="build-actions">
+          {shared.canCopy && (
+            <button 
+              onClick={copyToMyBuilds}
+              disabled={copyStatus !== null}
+              className="action-btn primary"
+            >
+              {copyStatus === 'saved' ? 'Saved to My Builds' : copyStatus === 'saving' ? 'Saving...' : 'Save to My Builds'}
+            </button>
+          )}
+          {shared.isOwner && (
+            <button 
+              onClick={() => router.push('/builds')}
+              className="action-btn secondary"
+            >
+              Manage in My Builds
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-banner">
+          <span>⚠️ {error.message}</span>
+          <button onClick={() => setError(null)}>×</button>
+        </div>
+      )}
+
+      <BuildDisplay build={build.build} readOnly />
+    </div>
+  )
+}
@@ -1,9 +1,10 @@
 // scripts/update-manifest.js
-// Fixed to use SQLite database instead of massive JSON
+// Extracts definition tables from the SQLite database instead of the massive JSON
 // Standalone script for updating manifest via GitHub Actions or cron
 
 import fetch from 'node-fetch'
-import { GitHubStorage } from '../lib/github-storage.js'
+import { getGitHubStorage } from '../lib/github-storage.js'
+import { extractManifestFromArchive } from '../lib/manifest-extractor.js'
 
 async function updateManifest() {
   console.log('🔄 Starting automated manifest update...')
@@ -11,11 +12,11 @@ async function updateManifest() {
   
   try {
     // Initialize GitHub storage
-    const githubStorage = new GitHubStorage()
+    const githubStorage = getGitHubStorage()
     
-    // Check existing manifest
-    const existingMetadata = await githubStorage.getManifestMetadata()
-    console.log('Current manifest version:', existingMetadata?.version || 'none')
+    // Check existing manifest version
+    const currentVersion = await githubStorage.loadManifestVersion()
+    console.log('Current manifest version:', currentVersion || 'none')
     
     // Get latest manifest version from Bungie
     console.log('Checking Bungie for latest manifest...')
@@ -42,7 +43,7 @@ async function updateManifest() {
     console.log('Latest Bungie manifest version:', latestVersion)
     
     // Check if update is needed
-    if (existingMetadata?.version === latestVersion) {
+    if (currentVersion === latestVersion) {
       console.log('✅ Manifest is already up to date')
       return {
         success: true,
@@ -62,19 +63,6 @@ async function updateManifest() {
     console.log('📱 Using SQLite database format for efficient processing')
     console.log('📊 Expected size: ~50MB (compressed)')
     
-    const manifestData = {
-      version: latestVersion,
-      lastUpdated: new Date().toISOString(),
-      data: {},
-      metadata: {
-        itemCount: 0,
-        processedAt: new Date().toISOString(),
-        automated: true,
-        source: 'sqlite-database',
-        compressionFormat: 'zip'
-      }
-    }
-    
     // Download SQLite database
     const sqliteUrl = `https://www.bungie.net${sqlitePaths}`
     console.log(`⬇️  Downloading SQLite database from: ${sqliteUrl}`)
@@ -94,101 +82,16 @@ async function updateManifest() {
     const fileSize = (arrayBuffer.byteLength / 1024 / 1024).toFixed(2)
     console.log(`✅ Downloaded ${fileSize}MB SQLite database`)
     
-    // Check file format
-    const uint8Array = new Uint8Array(arrayBuffer)
-    const isZip = uint8Array[0] === 0x50 && uint8Array[1] === 0x4b
-    const isGzip = uint8Array[0] === 0x1f && uint8Array[1] === 0x8b
-    
-    if (isZip) {
-      console.log('📦 Format: ZIP archive (contains SQLite database)')
-      manifestData.metadata.format = 'zip'
-    } else if (isGzip) {
-      console.log('🗜️  Format: GZIP compressed')
-      manifestData.metadata.format = 'gzip'
-    } else {
-      console.log('📄 Format: Raw SQLite database')
-      manifestData.metadata.format = 'sqlite'
-    }
-    
-    // For automated scripts, we have a few options:
-    // 1. Save the SQLite file and process it locally
-    // 2. Use a SQLite WASM library to process in Node.js
-    // 3. Extract essential data only
-    // 4. Use the existing JSON endpoint for specific tables
-    
-    console.log('⚡ Processing SQLite database...')
-    
-    // Option: Use existing JSON endpoint for essential tables only
-    // This is more efficient than downloading the full 400MB JSON
-    const essentialTables = [
-      'DestinyInventoryItemDefinition',
-      'DestinyStatDefinition', 
-      'DestinyClassDefinition',
-      'DestinySocketTypeDefinition',
-      'DestinySocketCategoryDefinition',
-      'DestinyActivityDefinition',
-      'DestinyActivityTypeDefinition',
-      'DestinyDamageTypeDefinition',
-      'DestinyEnergyTypeDefinition',
-      'DestinySeasonDefinition',
-      'DestinyPowerCapDefinition'
-    ]
-    
-    console.log('📋 Extracting essential tables from processed JSON endpoint...')
-    
-    // Use the app's own manifest API which properly handles SQLite
-    const appManifestUrl = process.env.VERCEL_URL 
-      ? `https://${process.env.VERCEL_URL}/api/bungie/manifest`
-      : 'http://localhost:3000/api/bungie/manifest'
-    
-    try {
-      const appManifestResponse = await fetch(appManifestUrl, {
-        headers: {
-          'User-Agent': 'CastingDestinyV2-Updater/1.0'
-        }
-      })
-      
-      if (appManifestResponse.ok) {
-        const processedManifest = await appManifestResponse.json()
-        console.log('✅ Retrieved processed manifest from app API')
-        
-        // Extract only essential tables
-        for (const tableName of essentialTables) {
-          if (processedManifest.data[tableName]) {
-            manifestData.data[tableName] = processedManifest.data[tableName]
-            console.log(`  ✓ ${tableName}: ${Object.keys(processedManifest.data[tableName]).length} items`)
-          }
-        }
-        
-        manifestData.metadata.itemCount = Object.keys(manifestData.data.DestinyInventoryItemDefinition || {}).length
-        manifestData.metadata.extractionMethod = 'app-api-processed'
-        
-      } else {
-        console.log('⚠️  App manifest API not available, using fallback method')
-        
-        // Fallback: Create minimal manifest structure
-        manifestData.data = {
-          DestinyInventoryItemDefinition: {},
-          DestinyStatDefinition: {},
-          DestinyClassDefinition: {}
-        }
-        
-        manifestData.metadata.note = 'SQLite downloaded but not processed. App API unavailable.'
-        manifestData.metadata.extractionMethod = 'minimal-fallback'
-      }
-    } catch (apiError) {
-      console.log('⚠️  Could not reach app manifest API:', apiError.message)
-      
-      // Minimal fallback
-      manifestData.data = {
-        DestinyInventoryItemDefinition: {},
-        DestinyStatDefinition: {},
-        DestinyClassDefinition: {}
+    console.log('⚡ Extracting definition tables from SQLite database...')
+
+    const manifestData = await extractManifestFromArchive(arrayBuffer, {
+      version: latestVersion,
+      metadata: {
+        automated: true,
+        source: 'sqlite-database',
+        extractionMethod: 'sqlite'
       }
-      
-      manifestData.metadata.note = 'SQLite downloaded but not processed due to API unavailability.'
-      manifestData.metadata.extractionMethod = 'error-fallback'
-    }
+    })
     
     // Save to GitHub storage
     console.log('💾 Saving updated manifest to GitHub...')